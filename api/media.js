@@ -0,0 +1,3 @@
+const { createVercelHandler } = require('../server/adapters/vercel');
+
+module.exports = createVercelHandler('media');
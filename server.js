@@ -4,13 +4,14 @@ require('dotenv').config();
 const cors = require('cors');
 const apiRoutes = require('./server/routes/api');
 const { initializeDb } = require('./server/config/db');
+const { JSON_BODY_LIMIT } = require('./server/config/http');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
 
 // API Routes - must come before static file serving
 app.use('/api', apiRoutes);
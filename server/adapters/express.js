@@ -0,0 +1,36 @@
+const express = require('express');
+const { routes, matchRoute, handleRequest } = require('../handlers');
+const { sendResult, error } = require('../handlers/response');
+
+// Mount every shared API route on an Express router
+const createApiRouter = () => {
+  const router = express.Router();
+
+  routes.forEach((route) => {
+    router[route.method.toLowerCase()](route.path, async (req, res) => {
+      const result = await handleRequest(route, {
+        method: req.method,
+        path: req.path,
+        params: req.params,
+        query: req.query,
+        body: req.body,
+        headers: req.headers,
+        ip: req.ip
+      });
+      sendResult(res, result);
+    });
+  });
+
+  // Known path, wrong method: answer 405 like the Vercel adapter.
+  // Unknown paths fall through so other routers (e.g. /debug) still match.
+  router.use((req, res, next) => {
+    if (matchRoute(req.method, req.path).status === 405) {
+      return sendResult(res, error(405, 'Method not allowed'));
+    }
+    next();
+  });
+
+  return router;
+};
+
+module.exports = { createApiRouter };
@@ -0,0 +1,48 @@
+const { matchRoute, handleRequest } = require('../handlers');
+const { sendResult, error } = require('../handlers/response');
+
+const getClientIp = (req) => {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return (req.socket && req.socket.remoteAddress) || 'unknown';
+};
+
+// Build the Vercel function for one api/<resource>.js file.
+// vercel.json rewrites /api/<resource>/<rest> to /api/<resource>?__path=<rest>, so
+// both /api/likes/user_1 and /api/likes?userId=user_1 reach the same function.
+// The path is taken from req.url, which keeps the original URL still
+// percent-encoded, so matchRoute decodes each parameter once, as under Express.
+// __path arrives decoded already: it is only used, encoded again, when req.url
+// is the rewritten one.
+const createVercelHandler = (resource) => async function handler(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const query = { ...(req.query || Object.fromEntries(url.searchParams)) };
+  const rest = query.__path;
+  delete query.__path;
+
+  let path = url.pathname.replace(/^\/api/, '').replace(/\/+$/, '');
+  if (path === `/${resource}` && rest) {
+    path = `/${resource}/${[].concat(rest).join('/').split('/').map(encodeURIComponent).join('/')}`;
+  }
+  const { route, params, status } = matchRoute(req.method, path);
+
+  if (!route) {
+    const messages = { 400: 'Malformed URL', 405: 'Method not allowed' };
+    return sendResult(res, error(status, messages[status] || 'Not found'));
+  }
+
+  const result = await handleRequest(route, {
+    method: req.method,
+    path,
+    params,
+    query,
+    body: req.body,
+    headers: req.headers,
+    ip: getClientIp(req)
+  });
+  return sendResult(res, result);
+};
+
+module.exports = { createVercelHandler };
@@ -0,0 +1,238 @@
+const path = require('path');
+const { connectToDatabase } = require('../config/db');
+const { normalizePost } = require('../reddit/normalize');
+const { resolveLookup } = require('../media');
+const { resolveGif } = require('../redgifs/client');
+const { createLocalStore } = require('./localStore');
+const { isArchivable, fetchAllowed } = require('./remote');
+const { openWithAudio } = require('./redditVideo');
+
+// Copies of liked posts' media, so a like keeps its picture after Reddit or the
+// host deletes the original. When a like is created its best image, its video
+// and every gallery item are downloaded into a blob store, and the like document
+// records what was kept:
+//
+//   archive: { status: 'done' | 'partial' | 'failed' | 'none', archivedAt,
+//              items: [{ kind: 'image' | 'video' | 'poster', gallery, source, mimeType, size }] }
+//
+// Item i is stored under "<likeId>/<i>" and served by GET /api/media/:likeId/:i;
+// items that could not be downloaded keep their place with size 0. A blob store
+// implements
+//   put(key, stream, { maxBytes }) -> Promise<size>
+//   open(key, { start, end })      -> Promise<{ stream, size } | null>
+//   remove(prefix)                 -> Promise
+// The local filesystem store is the default; setArchiveStore() plugs in another.
+
+const DEFAULT_ROOT = path.join(__dirname, '../../media-archive');
+const MAX_BLOB_BYTES = 200 * 1024 * 1024;
+const MAX_ITEMS = 50;
+const MEDIA_CONTENT_TYPE = /^(image|video)\//i;
+
+// MEDIA_ARCHIVE=local|off. Off by default on Vercel, whose filesystem does not persist.
+//   MEDIA_ARCHIVE_DIR  where the local store keeps files (default: media-archive/ in the repo)
+const createStore = () => {
+  const kind = process.env.MEDIA_ARCHIVE || (process.env.VERCEL ? 'off' : 'local');
+  if (kind === 'local') {
+    return createLocalStore({ root: process.env.MEDIA_ARCHIVE_DIR || DEFAULT_ROOT });
+  }
+  return null;
+};
+
+let archiveStore;
+
+// The blob store in use, or null when archiving is off
+const getArchiveStore = () => {
+  if (archiveStore === undefined) {
+    archiveStore = createStore();
+  }
+  return archiveStore;
+};
+
+// Replace the store (e.g. with one backed by S3); null turns archiving off
+const setArchiveStore = (store) => {
+  archiveStore = store;
+};
+
+const urlsOf = (candidates) => (candidates || []).map(c => c.url).filter(Boolean);
+
+// What to keep for a normalized post: [{ kind, gallery, urls, redgifs?, dash? }],
+// each with its candidate URLs best first. Text and link posts keep nothing.
+const mediaToArchive = (model) => {
+  if (!model) return [];
+
+  if (model.type === 'gallery' && model.gallery) {
+    return model.gallery.slice(0, MAX_ITEMS).map((item, index) => (item.video
+      ? { kind: 'video', gallery: index, urls: urlsOf(item.video.sources) }
+      : { kind: 'image', gallery: index, urls: urlsOf(item.sources) }));
+  }
+
+  if (model.type === 'image') {
+    return [{ kind: 'image', gallery: null, urls: urlsOf(model.sources) }];
+  }
+
+  if (!['gif', 'video', 'embed'].includes(model.type)) return [];
+
+  const items = [];
+  const videoUrls = urlsOf(model.video && model.video.sources);
+  if (videoUrls.length > 0) {
+    // Reddit's video file is silent; its sound is muxed in from the DASH manifest
+    const { dash, hasAudio } = model.video;
+    items.push({ kind: 'video', gallery: null, urls: videoUrls, ...(dash && hasAudio !== false ? { dash } : {}) });
+  } else if (model.embed && model.embed.provider === 'redgifs' && model.embed.id) {
+    // Resolved to a media URL only when it is downloaded
+    items.push({ kind: 'video', gallery: null, urls: [], redgifs: model.embed.id });
+  } else if (model.type === 'gif') {
+    // A GIF file without an MP4 transcode
+    items.push({ kind: 'image', gallery: null, urls: urlsOf(model.sources) });
+    return items;
+  }
+  // Cards show the poster until the video plays
+  const posterUrls = [...new Set([...(model.poster ? [model.poster.url] : []), ...urlsOf(model.sources)])];
+  if (posterUrls.length > 0) {
+    items.push({ kind: 'poster', gallery: null, urls: posterUrls });
+  }
+  return items;
+};
+
+// Open the first candidate URL that answers with media. Resolves to
+// { stream, mimeType, size, source } (size null when not announced) or null.
+const fetchMedia = async (urls) => {
+  for (const url of urls) {
+    const response = await fetchAllowed(url);
+    if (!response) continue;
+    const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim();
+    if (!MEDIA_CONTENT_TYPE.test(mimeType)) {
+      response.body.resume();
+      continue;
+    }
+    const size = parseInt(response.headers.get('content-length'), 10);
+    return { stream: response.body, mimeType, size: Number.isNaN(size) ? null : size, source: url };
+  }
+  return null;
+};
+
+// Media URLs of a RedGifs embed, best first
+const redgifsUrls = async (id) => {
+  try {
+    const urls = await resolveGif(id);
+    return [urls.hd, urls.sd].filter(Boolean);
+  } catch (err) {
+    console.error(`[Archive] RedGifs lookup failed for ${id}:`, err.message);
+    return [];
+  }
+};
+
+// Open one item of mediaToArchive(): RedGifs embeds are resolved and Reddit
+// videos get their sound, falling back to the silent file. Resolves to
+// { stream, mimeType, size, source } or null. Also used for downloads
+// (server/handlers/download.js).
+const fetchItem = async (planned) => {
+  if (planned.dash) {
+    const muxed = await openWithAudio(planned.urls, planned.dash);
+    if (muxed) return muxed;
+  }
+  return fetchMedia(planned.redgifs ? await redgifsUrls(planned.redgifs) : planned.urls);
+};
+
+// Download an item into `key`. Resolves to { source, mimeType, size }, or
+// null when it could not be stored.
+const download = async (store, key, planned) => {
+  const media = await fetchItem(planned);
+  if (!media) return null;
+  try {
+    const size = await store.put(key, media.stream, { maxBytes: MAX_BLOB_BYTES });
+    return { source: media.source, mimeType: media.mimeType, size };
+  } catch (err) {
+    console.error(`[Archive] Failed to store ${media.source}:`, err.message);
+    return null;
+  }
+};
+
+const statusOf = (items) => {
+  const stored = items.filter(item => item.size > 0).length;
+  if (items.length === 0) return 'none';
+  if (stored === items.length) return 'done';
+  return stored > 0 ? 'partial' : 'failed';
+};
+
+// Archive one like's media and record the result on the like. Likes already
+// archived are skipped; resolves to the like's archive (null when archiving is
+// off or the like is gone).
+const archiveLike = async (likeId) => {
+  const store = getArchiveStore();
+  if (!store) return null;
+
+  const db = await connectToDatabase();
+  const likes = db.collection('likes');
+  const like = await likes.findOne({ _id: likeId }, { projection: { memeData: 1, archive: 1 } });
+  if (!like || !like.memeData) return null;
+  if (like.archive && like.archive.status === 'done') return like.archive;
+
+  const model = await resolveLookup(like.memeData.normalized || normalizePost(like.memeData));
+  const items = [];
+  for (const [index, planned] of mediaToArchive(model).entries()) {
+    const stored = await download(store, `${likeId}/${index}`, planned);
+    items.push({ kind: planned.kind, gallery: planned.gallery, ...(stored || { source: null, mimeType: null, size: 0 }) });
+  }
+
+  const archive = { status: statusOf(items), items, archivedAt: new Date() };
+  const result = await likes.updateOne({ _id: likeId }, { $set: { archive } });
+  if (result.matchedCount === 0) {
+    // Unliked while downloading
+    await store.remove(String(likeId));
+    return null;
+  }
+  console.log(`[Archive] ${archive.status}: ${items.filter(item => item.size > 0).length}/${items.length} items for like ${likeId}`);
+  return archive;
+};
+
+// Likes are archived one at a time in the background so a burst of likes (or
+// an import) never downloads in parallel. On serverless the work may be frozen
+// with the function, which is one reason archiving is off there by default.
+let queue = Promise.resolve();
+const queued = new Set();
+
+const scheduleArchive = (likeId) => {
+  const key = String(likeId);
+  if (!getArchiveStore() || queued.has(key)) return;
+  queued.add(key);
+  queue = queue
+    .then(() => archiveLike(likeId))
+    .catch(err => console.error(`[Archive] Failed to archive like ${key}:`, err.message))
+    .finally(() => queued.delete(key));
+};
+
+// Delete a like's archived files (when it is unliked)
+const removeArchive = async (likeId) => {
+  const store = getArchiveStore();
+  if (!store) return;
+  try {
+    await store.remove(String(likeId));
+  } catch (err) {
+    console.error(`[Archive] Failed to remove archive of like ${likeId}:`, err.message);
+  }
+};
+
+// The stored items of a like document as client-facing URLs, or null
+const archivedMediaOf = (like) => {
+  const items = like && like.archive && like.archive.items;
+  if (!items) return null;
+  const stored = items
+    .map((item, index) => ({ ...item, index }))
+    .filter(item => item.size > 0)
+    .map(({ kind, gallery, mimeType, index }) => ({ kind, gallery, mimeType, url: `/api/media/${like._id}/${index}` }));
+  return stored.length > 0 ? stored : null;
+};
+
+module.exports = {
+  getArchiveStore,
+  setArchiveStore,
+  mediaToArchive,
+  fetchItem,
+  archiveLike,
+  scheduleArchive,
+  removeArchive,
+  archivedMediaOf,
+  isArchivable,
+  MAX_BLOB_BYTES
+};
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Keys are built by the archiver ("<likeId>/<index>"), never taken from a request
+const KEY_PATTERN = /^[\w-]+(\/[\w-]+)*$/;
+
+class BlobTooLargeError extends Error {
+  constructor(maxBytes) {
+    super(`Blob is larger than ${maxBytes} bytes`);
+    this.name = 'BlobTooLargeError';
+  }
+}
+
+// Blob store on the local filesystem, one file per key under `root`. Files are
+// written to a temporary name and renamed, so readers never see half a file.
+const createLocalStore = ({ root }) => {
+  const fileFor = (key) => {
+    if (!KEY_PATTERN.test(key)) {
+      throw new TypeError(`Invalid blob key: ${key}`);
+    }
+    return path.join(root, ...key.split('/'));
+  };
+
+  // Write a readable stream to `key`, stopping at maxBytes. Resolves to the size.
+  const put = async (key, stream, { maxBytes = Infinity } = {}) => {
+    const file = fileFor(key);
+    const partial = `${file}.${process.pid}.partial`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    let size = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        callback(size > maxBytes ? new BlobTooLargeError(maxBytes) : null, chunk);
+      }
+    });
+    try {
+      await pipeline(stream, counter, fs.createWriteStream(partial));
+      await fs.promises.rename(partial, file);
+    } catch (err) {
+      await fs.promises.rm(partial, { force: true });
+      throw err;
+    }
+    return size;
+  };
+
+  // Read `key`, optionally only bytes start..end (inclusive).
+  // Resolves to { stream, size } (size of the whole blob) or null when missing.
+  const open = async (key, { start, end } = {}) => {
+    const file = fileFor(key);
+    try {
+      const { size } = await fs.promises.stat(file);
+      return { stream: fs.createReadStream(file, { start, end }), size };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  };
+
+  // Delete `prefix` and everything under it
+  const remove = (prefix) => fs.promises.rm(fileFor(prefix), { recursive: true, force: true });
+
+  return { name: 'local', put, open, remove };
+};
+
+module.exports = { createLocalStore, BlobTooLargeError };
@@ -0,0 +1,90 @@
+const { fetchAllowed } = require('./remote');
+const { muxTracks } = require('../download/mp4Mux');
+
+// Reddit-hosted videos (v.redd.it) keep picture and sound in separate DASH
+// representations; the fallback_url players download is the picture alone.
+// openWithAudio() fetches both and muxes them into one MP4 (see
+// server/download/mp4Mux.js) as it streams.
+
+// Audio representations older posts used, for when the manifest cannot be read
+const GUESSED_AUDIO_FILES = ['DASH_AUDIO_128.mp4', 'DASH_AUDIO_64.mp4', 'DASH_audio.mp4', 'audio'];
+
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const attribute = (attributes, name) => {
+  const match = new RegExp(`\\b${name}="([^"]*)"`).exec(attributes);
+  return match ? decodeXml(match[1]) : null;
+};
+
+// Audio representation URLs in a DASH manifest, highest bitrate first
+const audioUrlsFromMpd = (mpd, mpdUrl) => {
+  const representations = [];
+  for (const [, setAttributes, set] of mpd.matchAll(/<AdaptationSet\b([^>]*)>([\s\S]*?)<\/AdaptationSet>/g)) {
+    const setIsAudio = /audio/.test(`${attribute(setAttributes, 'contentType')} ${attribute(setAttributes, 'mimeType')}`);
+    for (const [, attributes, body] of set.matchAll(/<Representation\b([^>]*)>([\s\S]*?)<\/Representation>/g)) {
+      const baseUrl = /<BaseURL>([^<]+)<\/BaseURL>/.exec(body);
+      if (!baseUrl || !(setIsAudio || /^audio\//.test(attribute(attributes, 'mimeType') || ''))) continue;
+      try {
+        representations.push({
+          url: new URL(decodeXml(baseUrl[1].trim()), mpdUrl).href,
+          bandwidth: Number(attribute(attributes, 'bandwidth')) || 0
+        });
+      } catch {
+        // Not a URL
+      }
+    }
+  }
+  return representations.sort((a, b) => b.bandwidth - a.bandwidth).map(representation => representation.url);
+};
+
+// Where the audio may be: the manifest's audio representations, else the usual names
+const audioCandidates = async (dashUrl, videoUrl) => {
+  const manifest = await fetchAllowed(dashUrl);
+  if (manifest) {
+    try {
+      // A manifest without audio means the video is silent
+      return audioUrlsFromMpd(await manifest.text(), dashUrl);
+    } catch (err) {
+      console.error(`[Archive] Could not read DASH manifest ${dashUrl}:`, err.message);
+    }
+  }
+  return GUESSED_AUDIO_FILES.map(file => new URL(file, videoUrl).href);
+};
+
+const openFirst = async (urls) => {
+  for (const url of urls) {
+    const response = await fetchAllowed(url);
+    if (response) return { url, stream: response.body };
+  }
+  return null;
+};
+
+// Open a Reddit video with its sound. videoUrls: the video file's candidates;
+// dashUrl: the post's DASH manifest. Resolves to { stream, mimeType, size,
+// source } like fetchMedia, or null when there is no audio track or the files
+// cannot be muxed, so the caller can fall back to the silent file.
+const openWithAudio = async (videoUrls, dashUrl) => {
+  if (videoUrls.length === 0) return null;
+  const audio = await openFirst(await audioCandidates(dashUrl, videoUrls[0]));
+  if (!audio) return null;
+  const video = await openFirst(videoUrls);
+  if (!video) {
+    audio.stream.destroy();
+    return null;
+  }
+
+  try {
+    const stream = await muxTracks(video.stream, audio.stream);
+    return { stream, mimeType: 'video/mp4', size: null, source: video.url };
+  } catch (err) {
+    console.error(`[Archive] Could not mux ${video.url} with ${audio.url}:`, err.message);
+    return null;
+  }
+};
+
+module.exports = { openWithAudio, audioUrlsFromMpd };
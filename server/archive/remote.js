@@ -0,0 +1,31 @@
+const fetch = require('node-fetch');
+
+// Fetching of post media from its hosts, shared by the archiver and downloads.
+// Only media CDNs are fetched, never arbitrary hosts from a post's URL.
+const FETCH_TIMEOUT_MS = 60 * 1000;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+const ARCHIVE_HOSTS = /(^|\.)(redd\.it|redditmedia\.com|imgur\.com|redgifs\.com|streamable\.com|giphy\.com)$/i;
+
+const isArchivable = (url) => {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return (protocol === 'https:' || protocol === 'http:') && ARCHIVE_HOSTS.test(hostname);
+  } catch {
+    return false;
+  }
+};
+
+// GET an allowed URL. Resolves to the response when it answered 2xx, else null.
+const fetchAllowed = async (url) => {
+  if (!isArchivable(url)) return null;
+  try {
+    const response = await fetch(url, { headers: { 'User-Agent': USER_AGENT }, timeout: FETCH_TIMEOUT_MS });
+    if (response.ok) return response;
+    response.body.resume();
+  } catch (err) {
+    console.error(`[Archive] Failed to fetch ${url}:`, err.message);
+  }
+  return null;
+};
+
+module.exports = { isArchivable, fetchAllowed };
@@ -0,0 +1,114 @@
+const { createMemoryCache } = require('./memoryCache');
+const { createMongoCache } = require('./mongoCache');
+
+// Stale-while-revalidate cache over a pluggable store. A store implements
+//   get(key) -> { value, freshUntil, expiresAt } | null
+//   set(key, { value, freshUntil, expiresAt })
+//   size()
+// Entries are fresh until `ttl` has passed, then served stale (while a background
+// refresh runs) until `ttl + staleTtl`, after which they count as misses.
+const createCache = (store, { ttl, staleTtl }) => {
+  const stats = { hits: 0, staleHits: 0, misses: 0, refreshes: 0, errors: 0 };
+  // Concurrent misses and refreshes for one key share a single upstream call
+  const inFlight = new Map();
+
+  const readEntry = async (key) => {
+    try {
+      return await store.get(key);
+    } catch (err) {
+      stats.errors++;
+      console.error(`[Cache] ${store.name} read failed for ${key}:`, err.message);
+      return null;
+    }
+  };
+
+  const load = (key, fetcher) => {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const promise = (async () => {
+      const value = await fetcher();
+      const now = Date.now();
+      try {
+        await store.set(key, { value, freshUntil: now + ttl, expiresAt: now + ttl + staleTtl });
+      } catch (err) {
+        stats.errors++;
+        console.error(`[Cache] ${store.name} write failed for ${key}:`, err.message);
+      }
+      return value;
+    })().finally(() => inFlight.delete(key));
+
+    inFlight.set(key, promise);
+    return promise;
+  };
+
+  // Resolve `key` from the cache, calling `fetcher` on a miss.
+  // Returns { value, fromCache, stale }.
+  const wrap = async (key, fetcher) => {
+    const entry = await readEntry(key);
+    const now = Date.now();
+
+    if (entry && now < entry.freshUntil) {
+      stats.hits++;
+      return { value: entry.value, fromCache: true, stale: false };
+    }
+
+    if (entry) {
+      stats.staleHits++;
+      if (!inFlight.has(key)) {
+        stats.refreshes++;
+        // On serverless the refresh may be frozen with the function; the entry then
+        // simply stays stale until the next request refreshes it
+        load(key, fetcher).catch(err => console.error(`[Cache] Background refresh failed for ${key}:`, err.message));
+      }
+      return { value: entry.value, fromCache: true, stale: true };
+    }
+
+    stats.misses++;
+    return { value: await load(key, fetcher), fromCache: false, stale: false };
+  };
+
+  // Whether `key` can be served without an upstream call (fresh or stale)
+  const has = async (key) => Boolean(await readEntry(key));
+
+  const getStats = async () => {
+    let size = null;
+    try {
+      size = await store.size();
+    } catch (err) {
+      // size is informational only
+    }
+    const lookups = stats.hits + stats.staleHits + stats.misses;
+    return {
+      store: store.name,
+      size,
+      ...stats,
+      hitRate: lookups ? (stats.hits + stats.staleHits) / lookups : null
+    };
+  };
+
+  return { wrap, has, getStats };
+};
+
+// Pick the store: REDDIT_CACHE=memory|mongodb, defaulting to MongoDB whenever a
+// database is configured so serverless instances share one warm cache
+const createStore = () => {
+  const kind = process.env.REDDIT_CACHE || (process.env.MONGODB_URI ? 'mongodb' : 'memory');
+  if (kind === 'mongodb') {
+    return createMongoCache();
+  }
+  return createMemoryCache({ maxEntries: parseInt(process.env.REDDIT_CACHE_MAX_ENTRIES, 10) || 500 });
+};
+
+let redditCache = null;
+
+const getRedditCache = () => {
+  if (!redditCache) {
+    redditCache = createCache(createStore(), {
+      ttl: 5 * 60 * 1000, // 5 minutes fresh
+      staleTtl: 60 * 60 * 1000 // then served stale for up to an hour
+    });
+  }
+  return redditCache;
+};
+
+module.exports = { createCache, getRedditCache };
@@ -0,0 +1,38 @@
+// In-process LRU cache. Map iteration order is insertion order, so re-inserting
+// an entry on every read keeps the least recently used entry first.
+// Entries: { value, freshUntil, expiresAt } (epoch ms).
+const createMemoryCache = ({ maxEntries = 500 } = {}) => {
+  const entries = new Map();
+
+  const get = async (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    if (Date.now() >= entry.expiresAt) {
+      entries.delete(key);
+      return null;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  };
+
+  const set = async (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return {
+    name: 'memory',
+    get,
+    set,
+    size: async () => entries.size
+  };
+};
+
+module.exports = { createMemoryCache };
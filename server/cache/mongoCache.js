@@ -0,0 +1,59 @@
+const { connectToDatabase } = require('../config/db');
+
+const COLLECTION = 'reddit_cache';
+
+// MongoDB-backed cache shared by every server instance and surviving cold starts.
+// Documents: { _id: key, value, freshUntil, expiresAt }. A TTL index on expiresAt
+// lets MongoDB delete entries once they are too old to serve even as stale.
+const createMongoCache = () => {
+  let indexReady = null;
+
+  // Vercel functions never run initializeDb(), so the cache ensures its own index
+  const getCollection = async () => {
+    const db = await connectToDatabase();
+    const collection = db.collection(COLLECTION);
+    if (!indexReady) {
+      indexReady = collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+        .catch((err) => {
+          indexReady = null;
+          throw err;
+        });
+    }
+    await indexReady;
+    return collection;
+  };
+
+  const get = async (key) => {
+    const collection = await getCollection();
+    const doc = await collection.findOne({ _id: key });
+    // The TTL monitor only runs once a minute, so check expiry here too
+    if (!doc || doc.expiresAt.getTime() <= Date.now()) return null;
+    return {
+      value: doc.value,
+      freshUntil: doc.freshUntil.getTime(),
+      expiresAt: doc.expiresAt.getTime()
+    };
+  };
+
+  const set = async (key, entry) => {
+    const collection = await getCollection();
+    await collection.replaceOne(
+      { _id: key },
+      {
+        value: entry.value,
+        freshUntil: new Date(entry.freshUntil),
+        expiresAt: new Date(entry.expiresAt)
+      },
+      { upsert: true }
+    );
+  };
+
+  return {
+    name: 'mongodb',
+    get,
+    set,
+    size: async () => (await getCollection()).estimatedDocumentCount()
+  };
+};
+
+module.exports = { createMongoCache };
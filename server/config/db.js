@@ -12,6 +12,10 @@ async function connectToDatabase() {
     return db;
   }
 
+  if (!MONGODB_URI) {
+    throw new Error('MONGODB_URI environment variable is not set');
+  }
+
   try {
     console.log('[DB] Connecting to MongoDB...');
     client = new MongoClient(MONGODB_URI);
@@ -48,6 +52,13 @@ function getConnectionStatus() {
   };
 }
 
+// Likes search (GET /likes?q=): [keys, options]. Searches also create it on
+// first use (handlers/likes.js), since Vercel functions never run initializeDb().
+const LIKES_SEARCH_INDEX = [
+  { userId: 1, 'memeData.title': 'text', 'memeData.author': 'text' },
+  { name: 'likes_search' }
+];
+
 // Initialize database collections and indexes
 async function initializeDb() {
   try {
@@ -59,11 +70,26 @@ async function initializeDb() {
     await likesCollection.createIndex({ userId: 1, memeId: 1 }, { unique: true });
     await likesCollection.createIndex({ userId: 1 });
     await likesCollection.createIndex({ createdAt: -1 });
+    // Cursor pagination: newest first, _id breaks ties between equal timestamps
+    await likesCollection.createIndex({ userId: 1, createdAt: -1, _id: -1 });
+    await likesCollection.createIndex({ userId: 1, 'memeData.subreddit': 1, createdAt: -1, _id: -1 });
+    await likesCollection.createIndex({ userId: 1, 'memeData.created_utc': -1, _id: -1 });
+    // Likes search (GET /likes?q=); userId first so each search stays within one user's likes
+    await likesCollection.createIndex(...LIKES_SEARCH_INDEX);
     
     // Create seen_memes collection with indexes
     const seenMemesCollection = database.collection('seen_memes');
     await seenMemesCollection.createIndex({ userId: 1, feedKey: 1, memeId: 1 }, { unique: true });
     await seenMemesCollection.createIndex({ userId: 1, feedKey: 1 });
+
+    // Custom feeds, listed newest first per user
+    const customFeedsCollection = database.collection('custom_feeds');
+    await customFeedsCollection.createIndex({ userId: 1, createdAt: -1 });
+
+    // Collections (boards), in the user's order; their items are likes tagged with collectionIds
+    const collectionsCollection = database.collection('collections');
+    await collectionsCollection.createIndex({ userId: 1, position: 1 });
+    await likesCollection.createIndex({ userId: 1, collectionIds: 1, createdAt: -1, _id: -1 });
     
     console.log('[DB] Database collections initialized successfully');
   } catch (error) {
@@ -88,5 +114,6 @@ module.exports = {
   getClient,
   getConnectionStatus,
   initializeDb,
-  closeConnection
+  closeConnection,
+  LIKES_SEARCH_INDEX
 };
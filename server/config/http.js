@@ -0,0 +1,7 @@
+// Largest JSON request body the Express servers accept. It stays under the
+// 4.5 MB Vercel allows a function request, so running locally refuses what a
+// deployment would; likes imports are sent in batches well below it
+// (src/utils/likesTransfer.js).
+const JSON_BODY_LIMIT = '4mb';
+
+module.exports = { JSON_BODY_LIMIT };
@@ -0,0 +1,55 @@
+// Download filenames built from post metadata. Titles and names can hold
+// slashes, emoji and control characters, so every part is cut down to
+// letters, digits, "-" and "_" before it reaches a Content-Disposition header
+// or a ZIP entry.
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/quicktime': 'mov'
+};
+
+const MAX_PART_LENGTH = 40;
+
+// "Déjà vu / 😂" -> "Deja-vu"; empty results become `fallback`
+const sanitizePart = (text, fallback = 'unknown') => {
+  const clean = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w-]+/g, '-')
+    .replace(/^[-_]+|[-_]+$/g, '')
+    .slice(0, MAX_PART_LENGTH)
+    .replace(/[-_]+$/, '');
+  return clean || fallback;
+};
+
+// File extension for a content type, e.g. "image/jpeg" -> "jpg"
+const extensionFor = (mimeType) => {
+  const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  if (EXTENSIONS[type]) return EXTENSIONS[type];
+  const subtype = type.split('/')[1] || '';
+  return /^[a-z0-9]{1,5}$/.test(subtype) ? subtype : 'bin';
+};
+
+// subreddit_author_id_index.ext, with a 1-based index
+const mediaFileName = (post, index, mimeType) => [
+  sanitizePart(post.subreddit),
+  sanitizePart(post.author),
+  sanitizePart(post.id),
+  index
+].join('_') + `.${extensionFor(mimeType)}`;
+
+// A single download, named after the post's title (its ID when the title has
+// nothing usable). Gallery items get a 1-based suffix: "Title_2.jpg".
+const titleFileName = (post, galleryIndex, mimeType) => sanitizePart(post.title, sanitizePart(post.id))
+  + (galleryIndex === null ? '' : `_${galleryIndex + 1}`)
+  + `.${extensionFor(mimeType)}`;
+
+module.exports = { sanitizePart, extensionFor, mediaFileName, titleFileName };
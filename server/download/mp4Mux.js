@@ -0,0 +1,359 @@
+const { Readable } = require('stream');
+
+// Muxes a video-only and an audio-only fragmented MP4 (Reddit's DASH
+// representations) into one fragmented MP4 with both tracks, in plain
+// JavaScript. Nothing is re-encoded: the two init segments are merged into one
+// moov with the video as track 1 and the audio as track 2, then the moof+mdat
+// fragments of both files are copied across in decode-time order, with their
+// track IDs, sequence numbers and any absolute offsets patched in place.
+//
+// Only fragmented files (a moov with mvex) with one track each can be muxed;
+// anything else is rejected with a MuxError before any output, so callers can
+// fall back to the video-only file.
+
+// One box (or a whole fragment's mdat) held in memory at a time
+const MAX_BOX_BYTES = 64 * 1024 * 1024;
+const VIDEO_TRACK_ID = 1;
+const AUDIO_TRACK_ID = 2;
+// tfhd flag: base_data_offset (an absolute file position) is present
+const BASE_DATA_OFFSET_PRESENT = 0x000001;
+// Index boxes describe the source file's layout, which muxing changes
+const DROPPED_BOXES = new Set(['sidx', 'ssix', 'styp', 'mfra']);
+
+class MuxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MuxError';
+  }
+}
+
+const box = (type, ...payloads) => {
+  const body = Buffer.concat(payloads);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+};
+
+// Child boxes of buffer[start, end): [{ type, start, body, end }]
+const childrenOf = (buffer, start = 0, end = buffer.length) => {
+  const children = [];
+  let position = start;
+  while (position + 8 <= end) {
+    let size = buffer.readUInt32BE(position);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(position + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - position;
+    }
+    if (size < headerSize || position + size > end) {
+      throw new MuxError('Malformed MP4 box');
+    }
+    children.push({
+      type: buffer.toString('latin1', position + 4, position + 8),
+      start: position,
+      body: position + headerSize,
+      end: position + size
+    });
+    position += size;
+  }
+  return children;
+};
+
+// The first box at `path` (e.g. ['mdia', 'mdhd']) under `parent`, or null
+const find = (buffer, parent, path) => {
+  let current = parent;
+  for (const type of path) {
+    current = childrenOf(buffer, current.body, current.end).find(child => child.type === type);
+    if (!current) return null;
+  }
+  return current;
+};
+
+const asBox = (buffer) => ({ type: buffer.toString('latin1', 4, 8), start: 0, body: 8, end: buffer.length });
+
+// Full boxes start with a version byte and 24 bits of flags
+const versionOf = (buffer, fullBox) => buffer[fullBox.body];
+
+// The timescale field of an mvhd or mdhd
+const timescaleOf = (buffer, fullBox) => buffer.readUInt32BE(fullBox.body + (versionOf(buffer, fullBox) === 1 ? 20 : 12));
+
+const rescale = (value, from, to) => (from === to ? value : (value * BigInt(to)) / BigInt(from));
+
+// Read a stream as a sequence of boxes, each fully buffered
+const createBoxReader = (stream) => {
+  const iterator = stream[Symbol.asyncIterator]();
+  const chunks = [];
+  let length = 0;
+  let offset = 0;
+  let ended = false;
+
+  const fill = async (bytes) => {
+    while (length < bytes && !ended) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        ended = true;
+      } else {
+        chunks.push(value);
+        length += value.length;
+      }
+    }
+    return length >= bytes;
+  };
+
+  const peek = (bytes) => (chunks[0].length >= bytes ? chunks[0] : Buffer.concat(chunks));
+
+  const take = (bytes) => {
+    const all = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks);
+    chunks.length = 0;
+    if (all.length > bytes) chunks.push(all.subarray(bytes));
+    length -= bytes;
+    return all.subarray(0, bytes);
+  };
+
+  // Resolves to { type, data, offset } (offset in the source), or null at the end
+  const next = async () => {
+    if (!(await fill(8))) {
+      if (length > 0) throw new MuxError('Truncated MP4 box');
+      return null;
+    }
+    let size = peek(8).readUInt32BE(0);
+    let headerSize = 8;
+    if (size === 1) {
+      if (!(await fill(16))) throw new MuxError('Truncated MP4 box');
+      size = Number(peek(16).readBigUInt64BE(8));
+      headerSize = 16;
+    }
+    if (size === 0) throw new MuxError('MP4 boxes of unknown size are not supported');
+    if (size < headerSize) throw new MuxError('Malformed MP4 box');
+    if (size > MAX_BOX_BYTES) throw new MuxError('MP4 box too large to mux');
+    if (!(await fill(size))) throw new MuxError('Truncated MP4 box');
+
+    const data = Buffer.from(take(size));
+    const boxOffset = offset;
+    offset += size;
+    return { type: data.toString('latin1', 4, 8), data, offset: boxOffset };
+  };
+
+  const close = () => {
+    if (typeof stream.destroy === 'function') stream.destroy();
+  };
+
+  return { next, close };
+};
+
+// Read a file up to its first fragment: { moov, trak, timescale, movieTimescale, nextMoof }
+const readInit = async (reader, label) => {
+  let moov = null;
+  for (let current = await reader.next(); current; current = await reader.next()) {
+    if (current.type === 'moov') {
+      moov = current.data;
+      const root = asBox(moov);
+      if (!find(moov, root, ['mvex'])) {
+        throw new MuxError(`The ${label} file is not fragmented`);
+      }
+      const traks = childrenOf(moov, root.body, root.end).filter(child => child.type === 'trak');
+      if (traks.length !== 1) {
+        throw new MuxError(`The ${label} file has ${traks.length} tracks`);
+      }
+    } else if (current.type === 'moof') {
+      if (!moov) break;
+      const root = asBox(moov);
+      const mvhd = find(moov, root, ['mvhd']);
+      const trak = childrenOf(moov, root.body, root.end).find(child => child.type === 'trak');
+      const mdhd = find(moov, trak, ['mdia', 'mdhd']);
+      if (!mvhd || !mdhd) break;
+      return {
+        moov,
+        trak,
+        movieTimescale: timescaleOf(moov, mvhd),
+        timescale: timescaleOf(moov, mdhd),
+        nextMoof: current
+      };
+    } else if (current.type === 'mdat') {
+      break;
+    }
+  }
+  throw new MuxError(`The ${label} file has no fragments`);
+};
+
+// A track's trak box as track `trackId`, with movie-timescale durations moved
+// from the file's timescale to the output's
+const retrack = (init, trackId, movieTimescale) => {
+  const trak = Buffer.from(init.moov.subarray(init.trak.start, init.trak.end));
+  const root = asBox(trak);
+
+  const tkhd = find(trak, root, ['tkhd']);
+  if (!tkhd) throw new MuxError('Track header missing');
+  const long = versionOf(trak, tkhd) === 1;
+  trak.writeUInt32BE(trackId, tkhd.body + (long ? 20 : 12));
+  if (long) {
+    const at = tkhd.body + 28;
+    trak.writeBigUInt64BE(rescale(trak.readBigUInt64BE(at), init.movieTimescale, movieTimescale), at);
+  } else {
+    const at = tkhd.body + 20;
+    const duration = trak.readUInt32BE(at);
+    if (duration !== 0xffffffff) {
+      trak.writeUInt32BE(Number(rescale(BigInt(duration), init.movieTimescale, movieTimescale)), at);
+    }
+  }
+
+  // Edit list segment durations are in the movie timescale too
+  const elst = find(trak, root, ['edts', 'elst']);
+  if (elst) {
+    const wide = versionOf(trak, elst) === 1;
+    const count = trak.readUInt32BE(elst.body + 4);
+    for (let i = 0; i < count; i++) {
+      const at = elst.body + 8 + i * (wide ? 20 : 12);
+      if (wide) {
+        trak.writeBigUInt64BE(rescale(trak.readBigUInt64BE(at), init.movieTimescale, movieTimescale), at);
+      } else {
+        trak.writeUInt32BE(Number(rescale(BigInt(trak.readUInt32BE(at)), init.movieTimescale, movieTimescale)), at);
+      }
+    }
+  }
+  return trak;
+};
+
+const trexOf = (init, trackId) => {
+  const trex = find(init.moov, asBox(init.moov), ['mvex', 'trex']);
+  if (!trex) throw new MuxError('Track defaults (trex) missing');
+  const copy = Buffer.from(init.moov.subarray(trex.start, trex.end));
+  copy.writeUInt32BE(trackId, 12);
+  return copy;
+};
+
+// ftyp for a fragmented MP4 that any player opens as a plain file
+const FTYP = box('ftyp', Buffer.from('isom', 'latin1'), Buffer.from([0, 0, 2, 0]), Buffer.from('isomiso6mp41', 'latin1'));
+
+// One moov with the video's movie header and both tracks
+const buildMoov = (video, audio) => {
+  const root = asBox(video.moov);
+  const mvhd = find(video.moov, root, ['mvhd']);
+  const movieHeader = Buffer.from(video.moov.subarray(mvhd.start, mvhd.end));
+  movieHeader.writeUInt32BE(AUDIO_TRACK_ID + 1, movieHeader.length - 4); // next_track_ID
+
+  const mehd = find(video.moov, root, ['mvex', 'mehd']);
+  const mvex = box('mvex',
+    mehd ? video.moov.subarray(mehd.start, mehd.end) : Buffer.alloc(0),
+    trexOf(video, VIDEO_TRACK_ID),
+    trexOf(audio, AUDIO_TRACK_ID));
+
+  // Keep the video's metadata boxes (udta and the like)
+  const extras = childrenOf(video.moov, root.body, root.end)
+    .filter(child => !['mvhd', 'trak', 'mvex', 'iods'].includes(child.type))
+    .map(child => video.moov.subarray(child.start, child.end));
+
+  return box('moov',
+    movieHeader,
+    retrack(video, VIDEO_TRACK_ID, video.movieTimescale),
+    retrack(audio, AUDIO_TRACK_ID, video.movieTimescale),
+    ...extras,
+    mvex);
+};
+
+// The next moof and the boxes after it (its mdat), or null at the end
+const readFragment = async (track) => {
+  const moof = track.nextMoof;
+  if (!moof) return null;
+  track.nextMoof = null;
+  const boxes = [];
+  for (let current = await track.reader.next(); current; current = await track.reader.next()) {
+    if (current.type === 'moof') {
+      track.nextMoof = current;
+      break;
+    }
+    if (!DROPPED_BOXES.has(current.type)) boxes.push(current.data);
+  }
+
+  // Decode time in seconds, to interleave the two tracks
+  const tfdt = find(moof.data, asBox(moof.data), ['traf', 'tfdt']);
+  let time = null;
+  if (tfdt) {
+    const base = versionOf(moof.data, tfdt) === 1
+      ? Number(moof.data.readBigUInt64BE(tfdt.body + 4))
+      : moof.data.readUInt32BE(tfdt.body + 4);
+    time = base / track.timescale;
+  }
+  return { moof, boxes, time };
+};
+
+// The moof for its new place: track ID, sequence number, and absolute
+// base_data_offsets moved by `shift` bytes
+const rewriteMoof = ({ data }, trackId, sequence, shift) => {
+  const moof = Buffer.from(data);
+  for (const child of childrenOf(moof, 8, moof.length)) {
+    if (child.type === 'mfhd') {
+      moof.writeUInt32BE(sequence, child.body + 4);
+    } else if (child.type === 'traf') {
+      const tfhd = find(moof, child, ['tfhd']);
+      if (!tfhd) throw new MuxError('Fragment header (tfhd) missing');
+      moof.writeUInt32BE(trackId, tfhd.body + 4);
+      if (moof.readUInt32BE(tfhd.body) & BASE_DATA_OFFSET_PRESENT) {
+        const at = tfhd.body + 8;
+        moof.writeBigUInt64BE(moof.readBigUInt64BE(at) + BigInt(shift), at);
+      }
+    }
+  }
+  return moof;
+};
+
+async function* muxedFile(header, tracks) {
+  yield header;
+  let written = header.length;
+  let sequence = 1;
+  const emitted = tracks.map(() => 0);
+
+  const heads = [];
+  for (const track of tracks) heads.push(await readFragment(track));
+
+  while (heads.some(Boolean)) {
+    // The earliest fragment next; without decode times, take turns
+    const ready = heads.map((head, index) => index).filter(index => heads[index]);
+    const timed = ready.every(index => heads[index].time !== null);
+    const pick = ready.reduce((best, index) => {
+      const better = timed ? heads[index].time < heads[best].time : emitted[index] < emitted[best];
+      return better ? index : best;
+    });
+
+    const { moof, boxes } = heads[pick];
+    const track = tracks[pick];
+    const rewritten = rewriteMoof(moof, track.trackId, sequence, written - moof.offset);
+    yield rewritten;
+    written += rewritten.length;
+    for (const data of boxes) {
+      yield data;
+      written += data.length;
+    }
+    sequence++;
+    emitted[pick]++;
+    heads[pick] = await readFragment(track);
+  }
+}
+
+// Mux a video-only and an audio-only fragmented MP4 stream. Resolves to a
+// Readable of the combined file once both init segments have been read, or
+// rejects with a MuxError when they cannot be muxed (both inputs are then closed).
+const muxTracks = async (videoStream, audioStream) => {
+  const readers = [createBoxReader(videoStream), createBoxReader(audioStream)];
+  const closeAll = () => readers.forEach(reader => reader.close());
+  try {
+    const video = await readInit(readers[0], 'video');
+    const audio = await readInit(readers[1], 'audio');
+    const header = Buffer.concat([FTYP, buildMoov(video, audio)]);
+    const tracks = [
+      { reader: readers[0], trackId: VIDEO_TRACK_ID, timescale: video.timescale, nextMoof: video.nextMoof },
+      { reader: readers[1], trackId: AUDIO_TRACK_ID, timescale: audio.timescale, nextMoof: audio.nextMoof }
+    ];
+    const output = Readable.from(muxedFile(header, tracks), { objectMode: false });
+    output.on('close', closeAll);
+    return output;
+  } catch (err) {
+    closeAll();
+    throw err instanceof RangeError ? new MuxError('Malformed MP4 box') : err;
+  }
+};
+
+module.exports = { muxTracks, createBoxReader, childrenOf, MuxError };
@@ -0,0 +1,179 @@
+const { PassThrough } = require('stream');
+const { once } = require('events');
+
+// Streaming ZIP writer. Entries are stored uncompressed (media is compressed
+// already) and written as they arrive: each one's CRC and size follow its data
+// in a data descriptor, so nothing is buffered and the archive's total size
+// need not be known up front. No ZIP64, so the archive must stay under 4 GB:
+// check fits() before each entry.
+//
+//   const zip = createZipStream();
+//   respond with zip.stream, then:
+//   await zip.addEntry('a.jpg', readable);
+//   await zip.addEntry('manifest.json', Buffer.from(json));
+//   await zip.finish();
+
+const MAX_ZIP_BYTES = 0xffffffff;
+// Bit 3: sizes in a data descriptor; bit 11: UTF-8 file names
+const FLAGS = 0x0808;
+const VERSION = 20;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// Continue a CRC-32 over `chunk`; start from 0
+const crc32 = (chunk, crc = 0) => {
+  let c = (crc ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < chunk.length; i++) {
+    c = CRC_TABLE[(c ^ chunk[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time, in local time as ZIP tools expect
+const dosDateTime = (date) => {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+};
+
+const localHeader = (name, stamp) => {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(FLAGS, 6);
+  header.writeUInt16LE(0, 8); // stored
+  header.writeUInt16LE(stamp.time, 10);
+  header.writeUInt16LE(stamp.date, 12);
+  // CRC and sizes (bytes 14-25) stay zero; the data descriptor has them
+  header.writeUInt16LE(name.length, 26);
+  header.writeUInt16LE(0, 28);
+  return Buffer.concat([header, name]);
+};
+
+const dataDescriptor = ({ crc, size }) => {
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(crc, 4);
+  descriptor.writeUInt32LE(size, 8);
+  descriptor.writeUInt32LE(size, 12);
+  return descriptor;
+};
+
+const centralHeader = ({ name, stamp, crc, size, offset }) => {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(VERSION, 6);
+  header.writeUInt16LE(FLAGS, 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(stamp.time, 12);
+  header.writeUInt16LE(stamp.date, 14);
+  header.writeUInt32LE(crc, 16);
+  header.writeUInt32LE(size, 20);
+  header.writeUInt32LE(size, 24);
+  header.writeUInt16LE(name.length, 28);
+  // Extra field, comment, disk number and attributes (bytes 30-41) stay zero
+  header.writeUInt32LE(offset, 42);
+  return Buffer.concat([header, name]);
+};
+
+const endOfCentralDirectory = (count, size, offset) => {
+  const record = Buffer.alloc(22);
+  record.writeUInt32LE(0x06054b50, 0);
+  record.writeUInt16LE(count, 8);
+  record.writeUInt16LE(count, 10);
+  record.writeUInt32LE(size, 12);
+  record.writeUInt32LE(offset, 16);
+  return record;
+};
+
+// Bytes each entry adds besides its data and name: local header and data
+// descriptor, then its central directory header
+const ENTRY_OVERHEAD = 30 + 16 + 46;
+const END_RECORD_SIZE = 22;
+
+class EntryTooLargeError extends Error {
+  constructor(fileName, maxBytes) {
+    super(`${fileName} is larger than ${maxBytes} bytes`);
+    this.name = 'EntryTooLargeError';
+  }
+}
+
+// `maxBytes` lowers the 4 GB limit (for tests)
+const createZipStream = ({ maxBytes = MAX_ZIP_BYTES } = {}) => {
+  const stream = new PassThrough();
+  const entries = [];
+  let offset = 0;
+
+  // Write with backpressure; fails once the reader has gone away
+  const write = async (chunk) => {
+    if (stream.destroyed) {
+      throw new Error('ZIP stream closed');
+    }
+    offset += chunk.length;
+    if (offset > maxBytes) {
+      throw new RangeError('ZIP archive would exceed 4 GB');
+    }
+    if (!stream.write(chunk)) {
+      await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+    }
+  };
+
+  // Add a file from a Buffer or a readable stream. Entries are written one at
+  // a time: await each call before the next. A source longer than `maxBytes`
+  // rejects with EntryTooLargeError; what was written of it is left out of the
+  // central directory, so the archive stays valid without it.
+  const addEntry = async (fileName, source, { date = new Date(), maxBytes: maxEntryBytes = Infinity } = {}) => {
+    const name = Buffer.from(fileName, 'utf8');
+    const stamp = dosDateTime(date);
+    const entry = { name, stamp, offset, crc: 0, size: 0 };
+    await write(localHeader(name, stamp));
+
+    const chunks = Buffer.isBuffer(source) ? [source] : source;
+    for await (const chunk of chunks) {
+      if (entry.size + chunk.length > maxEntryBytes) {
+        await write(dataDescriptor(entry));
+        throw new EntryTooLargeError(fileName, maxEntryBytes);
+      }
+      entry.crc = crc32(chunk, entry.crc);
+      entry.size += chunk.length;
+      await write(chunk);
+    }
+    await write(dataDescriptor(entry));
+    entries.push(entry);
+  };
+
+  // Whether an entry of `size` bytes still fits, leaving room for the central
+  // directory and `reserve` more bytes (entries written after it)
+  const fits = (fileName, size, reserve = 0) => {
+    const nameLength = Buffer.byteLength(fileName, 'utf8');
+    const directory = entries.reduce((sum, entry) => sum + 46 + entry.name.length, END_RECORD_SIZE);
+    return offset + ENTRY_OVERHEAD + 2 * nameLength + size + directory + reserve <= maxBytes;
+  };
+
+  // Write the central directory and end the stream
+  const finish = async () => {
+    const start = offset;
+    for (const entry of entries) {
+      await write(centralHeader(entry));
+    }
+    await write(endOfCentralDirectory(entries.length, offset - start, start));
+    stream.end();
+  };
+
+  return { stream, addEntry, fits, finish, entryCount: () => entries.length };
+};
+
+module.exports = { createZipStream, crc32, EntryTooLargeError };
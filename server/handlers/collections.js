@@ -0,0 +1,274 @@
+const { ObjectId } = require('mongodb');
+const { connectToDatabase } = require('../config/db');
+const { json, error } = require('./response');
+const { insertMissingLikes } = require('./likes');
+
+// Collections (boards): named, ordered groups of a user's likes. The board
+// itself lives in `collections`; membership is the `collectionIds` array on
+// each like, so a post can sit on several boards and leaves them when unliked.
+const MAX_COLLECTIONS = 100;
+const MAX_NAME_LENGTH = 50;
+
+// Validate a create/rename body. Returns { name } or { message } for a 400.
+const parseName = (body) => {
+  const { name } = body || {};
+  if (typeof name !== 'string' || !name.trim()) {
+    return { message: 'name is required' };
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return { message: `name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  return { name: name.trim() };
+};
+
+const parseCollectionId = (collectionId) => (/^[a-f0-9]{24}$/i.test(collectionId || '') ? new ObjectId(collectionId) : null);
+
+// Validate a reorder body: every ID once. Returns { ids } or { message }.
+const parseOrder = (body) => {
+  const { ids } = body || {};
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return { message: 'ids must be a non-empty array' };
+  }
+  const objectIds = ids.map(parseCollectionId);
+  if (objectIds.some(id => !id)) {
+    return { message: 'Invalid collection ID' };
+  }
+  if (new Set(ids.map(id => id.toLowerCase())).size !== ids.length) {
+    return { message: 'ids must not repeat' };
+  }
+  return { ids: objectIds };
+};
+
+const present = (doc, counts = {}, memberOf = null) => {
+  const id = doc._id.toString();
+  const collection = {
+    id,
+    name: doc.name,
+    position: doc.position,
+    count: counts[id] || 0,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+  if (memberOf) {
+    collection.contains = memberOf.includes(id);
+  }
+  return collection;
+};
+
+// Likes per collection for one user
+const countItems = async (db, userId) => {
+  const groups = await db.collection('likes').aggregate([
+    { $match: { userId, collectionIds: { $exists: true, $ne: [] } } },
+    { $unwind: '$collectionIds' },
+    { $group: { _id: '$collectionIds', count: { $sum: 1 } } }
+  ]).toArray();
+  const counts = {};
+  groups.forEach(({ _id, count }) => {
+    counts[_id] = count;
+  });
+  return counts;
+};
+
+// GET /collections  - in the user's order, with item counts.
+// ?memeId= also reports whether that like is in each one (`contains`).
+const listCollections = async (ctx) => {
+  const { userId } = ctx;
+  const { memeId } = ctx.query;
+  try {
+    const db = await connectToDatabase();
+    const [docs, counts, like] = await Promise.all([
+      db.collection('collections').find({ userId }).sort({ position: 1, createdAt: 1 }).toArray(),
+      countItems(db, userId),
+      memeId ? db.collection('likes').findOne({ userId, memeId }, { projection: { collectionIds: 1 } }) : null
+    ]);
+    const memberOf = memeId ? ((like && like.collectionIds) || []) : null;
+    return json(docs.map(doc => present(doc, counts, memberOf)));
+  } catch (err) {
+    console.error('[Collections] Error fetching collections:', err);
+    return error(500, 'Failed to fetch collections');
+  }
+};
+
+// POST /collections  body: { name }  - added at the end
+const createCollection = async (ctx) => {
+  const { name, message } = parseName(ctx.body);
+  if (message) {
+    return error(400, message);
+  }
+
+  try {
+    const db = await connectToDatabase();
+    const collections = db.collection('collections');
+    const [count, last] = await Promise.all([
+      collections.countDocuments({ userId: ctx.userId }),
+      collections.find({ userId: ctx.userId }).sort({ position: -1 }).limit(1).next()
+    ]);
+    if (count >= MAX_COLLECTIONS) {
+      return error(400, `You can have at most ${MAX_COLLECTIONS} collections`);
+    }
+
+    const now = new Date();
+    const doc = { userId: ctx.userId, name, position: last ? last.position + 1 : 0, createdAt: now, updatedAt: now };
+    const { insertedId } = await collections.insertOne(doc);
+    console.log('[Collections] Created collection', insertedId.toString(), 'for user:', ctx.userId);
+    return json(present({ ...doc, _id: insertedId }), 201);
+  } catch (err) {
+    console.error('[Collections] Error creating collection:', err);
+    return error(500, 'Failed to create collection');
+  }
+};
+
+// Load one of the user's collections. Returns { doc } or { result } with a 4xx.
+const findCollection = async (db, ctx) => {
+  const _id = parseCollectionId(ctx.params.collectionId || ctx.query.collectionId);
+  if (!_id) {
+    return { result: error(400, 'Invalid collection ID') };
+  }
+  const doc = await db.collection('collections').findOne({ _id, userId: ctx.userId });
+  return doc ? { doc } : { result: error(404, 'Collection not found') };
+};
+
+// PUT /collections/:collectionId  body: { name }
+const renameCollection = async (ctx) => {
+  const { name, message } = parseName(ctx.body);
+  if (message) {
+    return error(400, message);
+  }
+
+  try {
+    const db = await connectToDatabase();
+    const { doc, result } = await findCollection(db, ctx);
+    if (result) return result;
+
+    const updatedAt = new Date();
+    await db.collection('collections').updateOne(
+      { _id: doc._id, userId: ctx.userId },
+      { $set: { name, updatedAt } }
+    );
+    const counts = await countItems(db, ctx.userId);
+    return json(present({ ...doc, name, updatedAt }, counts));
+  } catch (err) {
+    console.error('[Collections] Error renaming collection:', err);
+    return error(500, 'Failed to rename collection');
+  }
+};
+
+// PUT /collections/order  body: { ids }  - ids in their new order
+const reorderCollections = async (ctx) => {
+  const { ids, message } = parseOrder(ctx.body);
+  if (message) {
+    return error(400, message);
+  }
+
+  try {
+    const db = await connectToDatabase();
+    const collections = db.collection('collections');
+    const [owned, total] = await Promise.all([
+      collections.countDocuments({ userId: ctx.userId, _id: { $in: ids } }),
+      collections.countDocuments({ userId: ctx.userId })
+    ]);
+    if (owned !== ids.length || total !== ids.length) {
+      return error(400, 'ids must list each of your collections once');
+    }
+
+    await collections.bulkWrite(ids.map((_id, position) => ({
+      updateOne: { filter: { _id, userId: ctx.userId }, update: { $set: { position } } }
+    })));
+    return listCollections({ ...ctx, query: {} });
+  } catch (err) {
+    console.error('[Collections] Error reordering collections:', err);
+    return error(500, 'Failed to reorder collections');
+  }
+};
+
+// DELETE /collections/:collectionId  - the likes themselves are kept
+const deleteCollection = async (ctx) => {
+  try {
+    const db = await connectToDatabase();
+    const { doc, result } = await findCollection(db, ctx);
+    if (result) return result;
+
+    const id = doc._id.toString();
+    await db.collection('collections').deleteOne({ _id: doc._id, userId: ctx.userId });
+    await db.collection('likes').updateMany(
+      { userId: ctx.userId, collectionIds: id },
+      { $pull: { collectionIds: id } }
+    );
+    console.log('[Collections] Deleted collection', id, 'for user:', ctx.userId);
+    return json({ success: true });
+  } catch (err) {
+    console.error('[Collections] Error deleting collection:', err);
+    return error(500, 'Failed to delete collection');
+  }
+};
+
+// POST /collections/:collectionId/items  body: { memeId, meme? }
+// The post must be liked. With `meme`, a like the client has not sent yet (it
+// is still in its outbox, e.g. offline) is saved first, as in POST /likes/bulk.
+const addItem = async (ctx) => {
+  const { memeId, meme } = ctx.body || {};
+  if (!memeId || typeof memeId !== 'string') {
+    return error(400, 'memeId is required');
+  }
+  if (meme !== undefined && (!meme || typeof meme !== 'object' || meme.id !== memeId)) {
+    return error(400, 'meme must be the post memeId names');
+  }
+
+  try {
+    const db = await connectToDatabase();
+    const { doc, result } = await findCollection(db, ctx);
+    if (result) return result;
+
+    if (meme) {
+      await insertMissingLikes(ctx.userId, [{ memeId, meme, createdAt: new Date() }]);
+    }
+
+    const { matchedCount } = await db.collection('likes').updateOne(
+      { userId: ctx.userId, memeId },
+      { $addToSet: { collectionIds: doc._id.toString() } }
+    );
+    if (matchedCount === 0) {
+      return error(404, 'Like not found');
+    }
+    return json({ success: true });
+  } catch (err) {
+    console.error('[Collections] Error adding to collection:', err);
+    return error(500, 'Failed to add to collection');
+  }
+};
+
+// DELETE /collections/:collectionId/items/:memeId  (also ?memeId=)
+const removeItem = async (ctx) => {
+  const memeId = ctx.params.memeId || ctx.query.memeId;
+  if (!memeId) {
+    return error(400, 'memeId is required');
+  }
+
+  try {
+    const db = await connectToDatabase();
+    const { doc, result } = await findCollection(db, ctx);
+    if (result) return result;
+
+    await db.collection('likes').updateOne(
+      { userId: ctx.userId, memeId },
+      { $pull: { collectionIds: doc._id.toString() } }
+    );
+    return json({ success: true });
+  } catch (err) {
+    console.error('[Collections] Error removing from collection:', err);
+    return error(500, 'Failed to remove from collection');
+  }
+};
+
+module.exports = {
+  listCollections,
+  createCollection,
+  renameCollection,
+  reorderCollections,
+  deleteCollection,
+  addItem,
+  removeItem,
+  parseName,
+  parseOrder,
+  parseCollectionId
+};
@@ -0,0 +1,259 @@
+const { connectToDatabase } = require('../config/db');
+const { error } = require('./response');
+const { parseLikesQuery, commaList, sortStages, ensureSearchIndex } = require('./likes');
+const { fetchPostsById, upstreamError, POST_ID_PATTERN } = require('./reddit');
+const { normalizePost } = require('../reddit/normalize');
+const { resolveLookup } = require('../media');
+const { getArchiveStore, mediaToArchive, fetchItem, MAX_BLOB_BYTES } = require('../archive');
+const { createZipStream, EntryTooLargeError } = require('../download/zip');
+const { sanitizePart, mediaFileName, titleFileName } = require('../download/fileNames');
+
+// Downloads of post media through the server, since browsers ignore the
+// `download` attribute on cross-origin links. One file is proxied as it is;
+// several (a selection or filtered set of likes, or every item of a gallery)
+// are fetched one at a time (from the media archive when it has them) and
+// streamed into a ZIP as they arrive, followed by a manifest.json describing
+// each file. Only media CDNs are fetched (see isArchivable in server/archive),
+// and only URLs taken from the post itself, so this is no open proxy.
+const MAX_ZIP_LIKES = 500;
+const REDDIT_ORIGIN = 'https://www.reddit.com';
+const MANIFEST_GENERATOR = 'twiix';
+// Room kept for manifest.json, written after the media; well above what 500
+// posts of 50 items each need
+const MANIFEST_RESERVE = 64 * 1024 * 1024;
+
+const attachment = (fileName) => ({
+  'Content-Type': 'application/zip',
+  'Content-Disposition': `attachment; filename="${fileName}"`,
+  'Cache-Control': 'no-store'
+});
+
+// The post's media items without posters: [[archiveIndex, { kind, gallery, urls, redgifs?, dash? }]]
+const downloadableMedia = async (memeData) => {
+  const model = await resolveLookup(memeData.normalized || normalizePost(memeData));
+  return [...mediaToArchive(model).entries()].filter(([, item]) => item.kind !== 'poster');
+};
+
+// The archived copy of planned item `index` when the like has one, else the
+// first original that answers. Resolves to { stream, mimeType, size, source } or null.
+const openMedia = async (post, planned, index) => {
+  const store = getArchiveStore();
+  const archived = post.archive && post.archive.items && post.archive.items[index];
+  if (store && archived && archived.size > 0 && archived.kind === planned.kind && archived.gallery === planned.gallery) {
+    const blob = await store.open(`${post.likeId}/${index}`);
+    if (blob) {
+      return { stream: blob.stream, mimeType: archived.mimeType, size: blob.size, source: archived.source };
+    }
+  }
+  return fetchItem(planned);
+};
+
+// Write each post's media and then manifest.json into `zip`, and finish it.
+// posts: [{ memeData, likeId?, archive?, likedAt? }]. Posters are left out;
+// anything that cannot be fetched is listed under `missing` in the manifest.
+// Once the next file could take the archive past the ZIP size limit, it and
+// everything after it are listed as missing and the manifest says truncated.
+// `maxFileBytes` lowers the largest file taken (for tests).
+const writeZip = async (zip, posts, { truncated = false, maxFileBytes = MAX_BLOB_BYTES } = {}) => {
+  const items = [];
+  const missing = [];
+  let full = false;
+
+  for (const post of posts) {
+    const { memeData } = post;
+    if (full) {
+      missing.push({ postId: memeData.id, gallery: null, reason: 'ZIP size limit reached' });
+      continue;
+    }
+    const planned = await downloadableMedia(memeData);
+    if (planned.length === 0) {
+      missing.push({ postId: memeData.id, gallery: null, reason: 'No downloadable media' });
+      continue;
+    }
+
+    for (const [position, [index, item]] of planned.entries()) {
+      if (full) {
+        missing.push({ postId: memeData.id, gallery: item.gallery, reason: 'ZIP size limit reached' });
+        continue;
+      }
+      const media = await openMedia(post, item, index);
+      if (!media) {
+        missing.push({ postId: memeData.id, gallery: item.gallery, reason: 'Media unavailable' });
+        continue;
+      }
+      if (media.size > maxFileBytes) {
+        media.stream.destroy();
+        missing.push({ postId: memeData.id, gallery: item.gallery, reason: 'Larger than 200 MB' });
+        continue;
+      }
+
+      const file = mediaFileName(memeData, position + 1, media.mimeType);
+      // Without an announced size, assume the largest file we take; addEntry
+      // stops one that turns out larger
+      if (!zip.fits(file, media.size === null ? maxFileBytes : media.size, MANIFEST_RESERVE)) {
+        media.stream.destroy();
+        full = true;
+        missing.push({ postId: memeData.id, gallery: item.gallery, reason: 'ZIP size limit reached' });
+        continue;
+      }
+      try {
+        await zip.addEntry(file, media.stream, { date: post.likedAt || new Date(), maxBytes: maxFileBytes });
+      } catch (err) {
+        media.stream.destroy();
+        if (!(err instanceof EntryTooLargeError)) throw err;
+        missing.push({ postId: memeData.id, gallery: item.gallery, reason: 'Larger than 200 MB' });
+        continue;
+      }
+      items.push({
+        file,
+        postId: memeData.id,
+        title: memeData.title || null,
+        subreddit: memeData.subreddit || null,
+        author: memeData.author || null,
+        permalink: memeData.permalink ? `${REDDIT_ORIGIN}${memeData.permalink}` : null,
+        sourceUrl: media.source || null,
+        kind: item.kind,
+        gallery: item.gallery,
+        likedAt: post.likedAt ? post.likedAt.toISOString() : null
+      });
+    }
+  }
+
+  const manifest = { generator: MANIFEST_GENERATOR, createdAt: new Date().toISOString(), truncated: truncated || full, items, missing };
+  await zip.addEntry('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+  await zip.finish();
+  return manifest;
+};
+
+// Respond with the ZIP stream right away and fill it in the background. Once
+// headers are out an error can only cut the download short.
+const streamZip = (fileName, posts, options) => {
+  const zip = createZipStream();
+  writeZip(zip, posts, options)
+    .then(({ items, missing }) => console.log(`[Download] ${fileName}: ${items.length} files, ${missing.length} missing`))
+    .catch((err) => {
+      console.error(`[Download] ${fileName} failed:`, err.message);
+      zip.stream.destroy(err);
+    });
+  return { status: 200, headers: attachment(fileName), stream: zip.stream };
+};
+
+// GET /download/likes  - the user's likes as a ZIP. Either ids=a,b,c (a
+// selection) or the filters of GET /likes (subreddit=, collection=, q=, ...),
+// in the same order. At most MAX_ZIP_LIKES likes; the manifest says when
+// more matched.
+const downloadLikes = async (ctx) => {
+  const { userId } = ctx;
+  const { filter: conditions, sort, message } = parseLikesQuery(ctx.query);
+  if (message) {
+    return error(400, message);
+  }
+
+  const ids = commaList(ctx.query.ids).map(id => id.toLowerCase());
+  if (ids.some(id => !POST_ID_PATTERN.test(id))) {
+    return error(400, 'Invalid post ID in ids');
+  }
+  if (ids.length > MAX_ZIP_LIKES) {
+    return error(400, `At most ${MAX_ZIP_LIKES} likes per download`);
+  }
+  const filter = { userId, ...conditions, ...(ids.length > 0 ? { memeId: { $in: ids } } : {}) };
+
+  try {
+    const db = await connectToDatabase();
+    if (filter.$text) await ensureSearchIndex(db.collection('likes'));
+    const likes = await db.collection('likes').aggregate([
+      { $match: filter },
+      ...sortStages(sort),
+      { $limit: MAX_ZIP_LIKES + 1 },
+      { $project: { memeData: 1, archive: 1, createdAt: 1 } }
+    ]).toArray();
+    const posts = likes
+      .filter(like => like.memeData)
+      .slice(0, MAX_ZIP_LIKES)
+      .map(like => ({ memeData: like.memeData, likeId: like._id, archive: like.archive, likedAt: like.createdAt }));
+    if (posts.length === 0) {
+      return error(404, 'No likes to download');
+    }
+
+    const subreddits = commaList(ctx.query.subreddit);
+    const scope = subreddits.length === 1 ? `-${sanitizePart(subreddits[0])}` : '';
+    const fileName = `twiix-likes${scope}-${new Date().toISOString().slice(0, 10)}.zip`;
+    console.log('[Download] Zipping', posts.length, 'likes for user:', userId);
+    return streamZip(fileName, posts, { truncated: likes.length > MAX_ZIP_LIKES });
+  } catch (err) {
+    console.error('[Download] Error preparing likes download:', err);
+    return error(500, 'Failed to prepare download');
+  }
+};
+
+// GET /download/post/:postId  (also /download/post?postId=)
+// Every item of one post (all images of a gallery) as a ZIP
+const downloadPost = async (ctx) => {
+  const postId = String(ctx.params.postId || ctx.query.postId || '').toLowerCase();
+  if (!POST_ID_PATTERN.test(postId)) {
+    return error(400, 'Invalid post ID');
+  }
+
+  let memeData;
+  try {
+    memeData = (await fetchPostsById([postId])).get(postId);
+  } catch (err) {
+    console.error(`[Download] Error fetching post ${postId}:`, err.message);
+    return upstreamError(err, 'Failed to fetch Reddit post');
+  }
+  if (!memeData) {
+    return error(404, 'Post not found');
+  }
+
+  const fileName = `${[memeData.subreddit, memeData.author, memeData.id].map(part => sanitizePart(part)).join('_')}.zip`;
+  return streamZip(fileName, [{ memeData }]);
+};
+
+// GET /download?postId=&index=
+// One media file of a post as an attachment named after the post's title:
+// the video or image, or gallery item `index` (0-based, default 0).
+const downloadMedia = async (ctx) => {
+  const postId = String(ctx.query.postId || '').toLowerCase();
+  const indexParam = ctx.query.index === undefined ? '0' : String(ctx.query.index);
+  if (!POST_ID_PATTERN.test(postId) || !/^\d{1,3}$/.test(indexParam)) {
+    return error(400, 'A post ID and a numeric index are required');
+  }
+  const index = Number(indexParam);
+
+  let memeData;
+  try {
+    memeData = (await fetchPostsById([postId])).get(postId);
+  } catch (err) {
+    console.error(`[Download] Error fetching post ${postId}:`, err.message);
+    return upstreamError(err, 'Failed to fetch Reddit post');
+  }
+  if (!memeData) {
+    return error(404, 'Post not found');
+  }
+
+  const planned = await downloadableMedia(memeData);
+  const isGallery = planned.some(([, item]) => item.gallery !== null);
+  const entry = isGallery ? planned.find(([, item]) => item.gallery === index) : planned[0];
+  if (!entry) {
+    return error(404, isGallery ? 'No such gallery item' : 'No downloadable media');
+  }
+
+  const [, item] = entry;
+  const media = await fetchItem(item);
+  if (!media) {
+    return error(502, 'Media unavailable');
+  }
+
+  return {
+    status: 200,
+    headers: {
+      'Content-Type': media.mimeType,
+      'Content-Disposition': `attachment; filename="${titleFileName(memeData, isGallery ? index : null, media.mimeType)}"`,
+      'Content-Length': media.size === null ? undefined : String(media.size),
+      'Cache-Control': 'private, max-age=3600'
+    },
+    stream: media.stream
+  };
+};
+
+module.exports = { downloadMedia, downloadLikes, downloadPost, writeZip, MAX_ZIP_LIKES, MANIFEST_RESERVE };
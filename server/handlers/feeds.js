@@ -0,0 +1,220 @@
+const { ObjectId } = require('mongodb');
+const { connectToDatabase } = require('../config/db');
+const { json, error } = require('./response');
+const { getMixedListing, parseSort, sortKeySuffix, SUBREDDIT_PATTERN, USERNAME_PATTERN } = require('./reddit');
+
+// Custom feeds: a named set of subreddits and users, mixed into one feed
+// (see getMixedListing in handlers/reddit.js). Stored in `custom_feeds`.
+const MAX_FEED_SOURCES = 10;
+const MAX_NAME_LENGTH = 50;
+
+// "r/pics", "/r/pics" and "pics" all mean the same subreddit. Duplicates are
+// dropped case-insensitively, keeping the first spelling.
+const cleanNames = (names, prefix) => {
+  const seen = new Set();
+  return names
+    .map(name => String(name).trim().replace(new RegExp(`^/?${prefix}/`, 'i'), ''))
+    .filter(name => name && !seen.has(name.toLowerCase()) && seen.add(name.toLowerCase()));
+};
+
+// Validate a create/update body. Returns { feed } or { message } for a 400.
+const parseFeed = (body) => {
+  const { name, subreddits = [], users = [] } = body || {};
+  if (typeof name !== 'string' || !name.trim()) {
+    return { message: 'name is required' };
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return { message: `name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  if (!Array.isArray(subreddits) || !Array.isArray(users)) {
+    return { message: 'subreddits and users must be arrays' };
+  }
+
+  const feed = {
+    name: name.trim(),
+    subreddits: cleanNames(subreddits, 'r'),
+    users: cleanNames(users, 'u')
+  };
+  const invalid = [
+    ...feed.subreddits.filter(s => !SUBREDDIT_PATTERN.test(s)).map(s => `r/${s}`),
+    ...feed.users.filter(u => !USERNAME_PATTERN.test(u)).map(u => `u/${u}`)
+  ];
+  if (invalid.length > 0) {
+    return { message: `Invalid names: ${invalid.join(', ')}` };
+  }
+
+  const sourceCount = feed.subreddits.length + feed.users.length;
+  if (sourceCount === 0) {
+    return { message: 'A feed needs at least one subreddit or user' };
+  }
+  if (sourceCount > MAX_FEED_SOURCES) {
+    return { message: `A feed can combine at most ${MAX_FEED_SOURCES} subreddits and users` };
+  }
+  return { feed };
+};
+
+// Each feed has its own seen-tracking key, like the subreddit and user feeds,
+// suffixed per sort the same way (see sortKeySuffix)
+const feedKeyOf = (feedId, sort = {}) => `seen_memes_feed_${feedId}${sortKeySuffix(sort)}`;
+
+const present = (doc) => ({
+  id: doc._id.toString(),
+  name: doc.name,
+  subreddits: doc.subreddits,
+  users: doc.users,
+  feedKey: feedKeyOf(doc._id.toString()),
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt
+});
+
+// Listings to mix for a feed, subreddits first. Users have no rising sort, so
+// their hot posts stand in.
+const feedSources = (feed, { sort = 'hot', t = null } = {}) => {
+  const timeWindow = t ? { t } : {};
+  return [
+    ...feed.subreddits.map(name => ({ key: `r/${name}`, path: `/r/${name}/${sort}.json`, query: timeWindow })),
+    ...feed.users.map(name => ({
+      key: `u/${name}`,
+      path: `/user/${name}/submitted.json`,
+      query: { sort: sort === 'rising' ? 'hot' : sort, ...timeWindow }
+    }))
+  ];
+};
+
+const parseFeedId = (feedId) => (/^[a-f0-9]{24}$/i.test(feedId || '') ? new ObjectId(feedId) : null);
+
+// GET /feeds
+const listFeeds = async (ctx) => {
+  try {
+    const db = await connectToDatabase();
+    const docs = await db.collection('custom_feeds')
+      .find({ userId: ctx.userId })
+      .sort({ createdAt: -1 })
+      .toArray();
+    return json(docs.map(present));
+  } catch (err) {
+    console.error('[Feeds] Error fetching feeds:', err);
+    return error(500, 'Failed to fetch feeds');
+  }
+};
+
+// POST /feeds  body: { name, subreddits, users }
+const createFeed = async (ctx) => {
+  const { feed, message } = parseFeed(ctx.body);
+  if (message) {
+    return error(400, message);
+  }
+
+  try {
+    const db = await connectToDatabase();
+    const now = new Date();
+    const doc = { userId: ctx.userId, ...feed, createdAt: now, updatedAt: now };
+    const { insertedId } = await db.collection('custom_feeds').insertOne(doc);
+    console.log('[Feeds] Created feed', insertedId.toString(), 'for user:', ctx.userId);
+    return json(present({ ...doc, _id: insertedId }), 201);
+  } catch (err) {
+    console.error('[Feeds] Error creating feed:', err);
+    return error(500, 'Failed to create feed');
+  }
+};
+
+// Load one of the user's feeds. Returns { doc } or { result } with a 4xx/500.
+const findFeed = async (ctx) => {
+  const _id = parseFeedId(ctx.params.feedId || ctx.query.feedId);
+  if (!_id) {
+    return { result: error(400, 'Invalid feed ID') };
+  }
+  const db = await connectToDatabase();
+  const doc = await db.collection('custom_feeds').findOne({ _id, userId: ctx.userId });
+  return doc ? { doc } : { result: error(404, 'Feed not found') };
+};
+
+// GET /feeds/:feedId
+const getFeed = async (ctx) => {
+  try {
+    const { doc, result } = await findFeed(ctx);
+    return result || json(present(doc));
+  } catch (err) {
+    console.error('[Feeds] Error fetching feed:', err);
+    return error(500, 'Failed to fetch feed');
+  }
+};
+
+// PUT /feeds/:feedId  body: { name, subreddits, users }
+const updateFeed = async (ctx) => {
+  const { feed, message } = parseFeed(ctx.body);
+  if (message) {
+    return error(400, message);
+  }
+
+  try {
+    const { doc, result } = await findFeed(ctx);
+    if (result) return result;
+
+    const updated = { ...doc, ...feed, updatedAt: new Date() };
+    const db = await connectToDatabase();
+    await db.collection('custom_feeds').updateOne(
+      { _id: doc._id, userId: ctx.userId },
+      { $set: { ...feed, updatedAt: updated.updatedAt } }
+    );
+    return json(present(updated));
+  } catch (err) {
+    console.error('[Feeds] Error updating feed:', err);
+    return error(500, 'Failed to update feed');
+  }
+};
+
+// DELETE /feeds/:feedId  - also forgets what was seen in it, under every sort
+const deleteFeed = async (ctx) => {
+  try {
+    const { doc, result } = await findFeed(ctx);
+    if (result) return result;
+
+    const db = await connectToDatabase();
+    await db.collection('custom_feeds').deleteOne({ _id: doc._id, userId: ctx.userId });
+    await db.collection('seen_memes').deleteMany({
+      userId: ctx.userId,
+      feedKey: { $regex: `^${feedKeyOf(doc._id.toString())}(_|$)` }
+    });
+    console.log('[Feeds] Deleted feed', doc._id.toString(), 'for user:', ctx.userId);
+    return json({ success: true });
+  } catch (err) {
+    console.error('[Feeds] Error deleting feed:', err);
+    return error(500, 'Failed to delete feed');
+  }
+};
+
+// GET /feeds/:feedId/posts  - same query and response as /reddit/:subreddit.
+// Posts already seen in this feed (with this sort) are skipped.
+const getFeedPosts = async (ctx) => {
+  const sort = parseSort(ctx.query);
+  if (sort.message) {
+    return error(400, sort.message);
+  }
+
+  let found;
+  try {
+    found = await findFeed(ctx);
+  } catch (err) {
+    console.error('[Feeds] Error fetching feed:', err);
+    return error(500, 'Failed to fetch feed');
+  }
+  if (found.result) return found.result;
+
+  const { doc } = found;
+  return getMixedListing(ctx, feedSources(doc, sort), {
+    label: `feed "${doc.name}" (${sort.t ? `${sort.sort}/${sort.t}` : sort.sort})`,
+    feedKey: feedKeyOf(doc._id.toString(), sort)
+  });
+};
+
+module.exports = {
+  listFeeds,
+  createFeed,
+  getFeed,
+  updateFeed,
+  deleteFeed,
+  getFeedPosts,
+  parseFeed,
+  feedSources
+};
@@ -0,0 +1,16 @@
+const { connectToDatabase } = require('../config/db');
+const { json } = require('./response');
+
+// GET /health
+const getHealth = async () => {
+  try {
+    const db = await connectToDatabase();
+    await db.command({ ping: 1 });
+    return json({ status: 'ok', database: 'connected' });
+  } catch (err) {
+    console.error('[Health] Error:', err);
+    return json({ status: 'error', message: err.message }, 500);
+  }
+};
+
+module.exports = { getHealth };
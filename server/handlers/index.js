@@ -0,0 +1,154 @@
+const { authenticateRequest, assertSameUser, getBearerToken, AuthError } = require('../middleware/auth');
+const { error } = require('./response');
+const { consumeQuota } = require('../rateLimit');
+const reddit = require('./reddit');
+const redgifs = require('./redgifs');
+const likes = require('./likes');
+const likesTransfer = require('./likesTransfer');
+const seen = require('./seen');
+const feeds = require('./feeds');
+const collections = require('./collections');
+const media = require('./media');
+const download = require('./download');
+const health = require('./health');
+
+// Every API route, shared by the Express router and the Vercel functions.
+// Paths are relative to /api. Both URL shapes are listed: the path-parameter
+// form used by the Express server and the query-string form used on Vercel.
+// `auth: true` routes get the verified Clerk user ID as ctx.userId.
+// `auth: 'optional'` routes also accept anonymous requests (ctx.userId stays null).
+// `quota` names the rate limit bucket (see server/rateLimit), keyed by user or IP.
+const routes = [
+  { method: 'GET', path: '/reddit/user/:username', auth: 'optional', quota: 'reddit', handler: reddit.getUserSubmissions },
+  { method: 'GET', path: '/reddit/post/:postId', quota: 'reddit', handler: reddit.getPost },
+  { method: 'GET', path: '/reddit/search/subreddits', quota: 'reddit', handler: reddit.searchSubreddits },
+  { method: 'GET', path: '/reddit/about/:subreddit', quota: 'reddit', handler: reddit.getSubredditAbout },
+  { method: 'POST', path: '/reddit/normalize', quota: 'reddit', handler: reddit.normalizePosts },
+  { method: 'GET', path: '/reddit/:subreddit', auth: 'optional', quota: 'reddit', handler: reddit.getSubreddit },
+  { method: 'GET', path: '/reddit', auth: 'optional', quota: 'reddit', handler: reddit.getSubreddit },
+
+  { method: 'GET', path: '/redgifs/:id', quota: 'redgifs', handler: redgifs.getRedgif },
+  { method: 'GET', path: '/redgifs', quota: 'redgifs', handler: redgifs.getRedgif },
+
+  { method: 'GET', path: '/likes', auth: true, handler: likes.listLikes },
+  // Must precede /likes/:userId so "summary" and "export" are not taken for a user ID
+  { method: 'GET', path: '/likes/summary', auth: true, handler: likes.getLikesSummary },
+  { method: 'GET', path: '/likes/export', auth: true, handler: likesTransfer.exportLikes },
+  { method: 'GET', path: '/likes/:userId', auth: true, handler: likes.listLikes },
+  { method: 'POST', path: '/likes', auth: true, quota: 'write', handler: likes.addLike },
+  { method: 'POST', path: '/likes/bulk', auth: true, quota: 'write', handler: likes.addLikesBulk },
+  { method: 'POST', path: '/likes/import', auth: true, quota: 'write', handler: likesTransfer.importLikes },
+  { method: 'DELETE', path: '/likes', auth: true, quota: 'write', handler: likes.removeLike },
+  { method: 'DELETE', path: '/likes/:userId/:memeId', auth: true, quota: 'write', handler: likes.removeLike },
+
+  { method: 'GET', path: '/seen', auth: true, handler: seen.listSeen },
+  { method: 'GET', path: '/seen/:userId/:feedKey', auth: true, handler: seen.listSeen },
+  { method: 'POST', path: '/seen', auth: true, quota: 'write', handler: seen.addSeen },
+  { method: 'POST', path: '/seen/bulk', auth: true, quota: 'write', handler: seen.addSeenBulk },
+
+  { method: 'GET', path: '/feeds', auth: true, handler: feeds.listFeeds },
+  { method: 'POST', path: '/feeds', auth: true, quota: 'write', handler: feeds.createFeed },
+  { method: 'GET', path: '/feeds/:feedId/posts', auth: true, quota: 'reddit', handler: feeds.getFeedPosts },
+  { method: 'GET', path: '/feeds/:feedId', auth: true, handler: feeds.getFeed },
+  { method: 'PUT', path: '/feeds/:feedId', auth: true, quota: 'write', handler: feeds.updateFeed },
+  { method: 'DELETE', path: '/feeds/:feedId', auth: true, quota: 'write', handler: feeds.deleteFeed },
+
+  { method: 'GET', path: '/collections', auth: true, handler: collections.listCollections },
+  { method: 'POST', path: '/collections', auth: true, quota: 'write', handler: collections.createCollection },
+  // Must precede /collections/:collectionId so "order" is not taken for an ID
+  { method: 'PUT', path: '/collections/order', auth: true, quota: 'write', handler: collections.reorderCollections },
+  { method: 'PUT', path: '/collections/:collectionId', auth: true, quota: 'write', handler: collections.renameCollection },
+  { method: 'DELETE', path: '/collections/:collectionId', auth: true, quota: 'write', handler: collections.deleteCollection },
+  { method: 'POST', path: '/collections/:collectionId/items', auth: true, quota: 'write', handler: collections.addItem },
+  { method: 'DELETE', path: '/collections/:collectionId/items', auth: true, quota: 'write', handler: collections.removeItem },
+  { method: 'DELETE', path: '/collections/:collectionId/items/:memeId', auth: true, quota: 'write', handler: collections.removeItem },
+
+  // Archived media is public so <img> and <video> can load it (see handlers/media.js)
+  { method: 'GET', path: '/media/:likeId/:index', quota: 'media', handler: media.getArchivedMedia },
+  { method: 'GET', path: '/media', quota: 'media', handler: media.getArchivedMedia },
+
+  // Fetches the post from Reddit, so it shares the reddit quota
+  { method: 'GET', path: '/download', quota: 'reddit', handler: download.downloadMedia },
+  { method: 'GET', path: '/download/likes', auth: true, quota: 'download', handler: download.downloadLikes },
+  { method: 'GET', path: '/download/post/:postId', quota: 'download', handler: download.downloadPost },
+  { method: 'GET', path: '/download/post', quota: 'download', handler: download.downloadPost },
+
+  { method: 'GET', path: '/health', handler: health.getHealth }
+];
+
+// Compile '/likes/:userId/:memeId' into a regex with named segments
+const compilePath = (path) => {
+  const names = [];
+  const pattern = path.replace(/:(\w+)/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return { regex: new RegExp(`^${pattern}/?$`), names };
+};
+
+const compiledRoutes = routes.map(route => ({ ...route, ...compilePath(route.path) }));
+
+// Find the route for a method and path. Returns { route, params }, or { status }
+// (404 for an unknown path, 405 when the path exists under another method, 400
+// when a parameter is not valid percent-encoding).
+const matchRoute = (method, path) => {
+  let pathMatched = false;
+
+  for (const route of compiledRoutes) {
+    const match = route.regex.exec(path);
+    if (!match) continue;
+    pathMatched = true;
+    if (route.method !== method) continue;
+
+    const params = {};
+    try {
+      route.names.forEach((name, index) => {
+        params[name] = decodeURIComponent(match[index + 1]);
+      });
+    } catch {
+      return { status: 400 };
+    }
+    return { route, params };
+  }
+
+  return { status: pathMatched ? 405 : 404 };
+};
+
+// Run a matched route. ctx: { method, path, params, query, body, headers, ip }
+const handleRequest = async (route, ctx) => {
+  try {
+    ctx.userId = null;
+    if (route.auth === 'optional') {
+      if (getBearerToken(ctx)) {
+        ctx.userId = await authenticateRequest(ctx);
+      }
+    } else if (route.auth) {
+      ctx.userId = await authenticateRequest(ctx);
+      assertSameUser(ctx.userId, ctx.params.userId || ctx.query.userId || (ctx.body && ctx.body.userId));
+    }
+
+    if (!route.quota) {
+      return await route.handler(ctx);
+    }
+
+    const client = ctx.userId || ctx.ip || 'unknown';
+    const quota = consumeQuota(route.quota, client);
+    if (!quota.allowed) {
+      console.log(`[API] Rate limited ${ctx.userId || ctx.ip} on ${route.quota} quota`);
+      const limited = error(429, 'Rate limit exceeded. Please wait before making more requests.', { retryAfter: quota.retryAfter });
+      return { ...limited, headers: quota.headers };
+    }
+    // Handlers that make several upstream calls take the rest themselves
+    ctx.consumeQuota = count => consumeQuota(route.quota, client, count);
+    const result = await route.handler(ctx);
+    return { ...result, headers: { ...quota.headers, ...result.headers } };
+  } catch (err) {
+    if (err instanceof AuthError) {
+      return error(err.status, err.message);
+    }
+    console.error(`[API] Unhandled error on ${ctx.method} ${ctx.path}:`, err);
+    return error(500, 'Internal server error');
+  }
+};
+
+module.exports = { routes, matchRoute, handleRequest };
@@ -0,0 +1,443 @@
+const { ObjectId } = require('mongodb');
+const { connectToDatabase, LIKES_SEARCH_INDEX } = require('../config/db');
+const { json, error } = require('./response');
+const { normalizePost } = require('../reddit/normalize');
+const { resolveLookup } = require('../media');
+const { scheduleArchive, removeArchive, archivedMediaOf } = require('../archive');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_BULK_LIKES = 200;
+
+// Orders for GET /likes?sort=. _id breaks ties in the same direction. Likes
+// whose post lacks a `type`d field (saved before Reddit sent it) come last.
+const LIKE_SORTS = {
+  liked: { field: 'createdAt', direction: -1 },
+  posted: { field: 'memeData.created_utc', direction: -1, type: 'number' },
+  title: { field: 'memeData.title', direction: 1, type: 'string' }
+};
+
+const MEDIA_TYPES = ['image', 'gif', 'video', 'gallery', 'embed', 'text', 'link'];
+const MAX_SEARCH_LENGTH = 100;
+const MAX_SUBREDDIT_FILTERS = 20;
+
+// $text needs the search index, and Vercel functions never run initializeDb(),
+// so the first search creates it (like the cache's TTL index, cache/mongoCache.js)
+let searchIndexReady = null;
+
+const ensureSearchIndex = (likes) => {
+  if (!searchIndexReady) {
+    searchIndexReady = likes.createIndex(...LIKES_SEARCH_INDEX)
+      .catch((err) => {
+        searchIndexReady = null;
+        throw err;
+      });
+  }
+  return searchIndexReady;
+};
+
+const fieldOf = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// The value a like is ordered by, or null when its post lacks the field
+const sortValueOf = (doc, sort) => {
+  const { field, type } = LIKE_SORTS[sort];
+  const value = fieldOf(doc, field);
+  return typeof value === type ? value : null;
+};
+
+// Cursors are opaque to clients: base64url JSON of the last item's sort value
+// and _id. The default (liked) order keeps its original { t, id } shape.
+const encodeCursor = (doc, sort = 'liked') => {
+  const payload = sort === 'liked'
+    ? { t: doc.createdAt.toISOString(), id: doc._id.toString() }
+    : { s: sort, v: sortValueOf(doc, sort), id: doc._id.toString() };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Returns the position as a partial document ({ createdAt, _id } for the
+// default order), or null for a malformed cursor or one from another order
+const decodeCursor = (cursor, sort = 'liked') => {
+  try {
+    const { t, s, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!ObjectId.isValid(id)) return null;
+    if (sort === 'liked') {
+      const createdAt = new Date(t);
+      if (Number.isNaN(createdAt.getTime())) return null;
+      return { createdAt, _id: new ObjectId(id) };
+    }
+    const { field, type } = LIKE_SORTS[sort];
+    if (s !== sort || (v !== null && typeof v !== type)) return null;
+    return { [field]: v, _id: new ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+// Aggregation stages that order likes by `sort`. A post field is copied into
+// _sortValue (null when missing or of another type) and _sortMissing puts
+// those likes last, so the order never changes which likes are listed.
+const sortStages = (sort) => {
+  const { field, direction, type } = LIKE_SORTS[sort];
+  if (!type) return [{ $sort: { [field]: direction, _id: direction } }];
+  const present = type === 'number' ? { $isNumber: `$${field}` } : { $eq: [{ $type: `$${field}` }, type] };
+  return [
+    {
+      $addFields: {
+        _sortMissing: { $cond: [present, 0, 1] },
+        _sortValue: { $cond: [present, `$${field}`, null] }
+      }
+    },
+    { $sort: { _sortMissing: 1, _sortValue: direction, _id: direction } }
+  ];
+};
+
+// Everything strictly after the cursor in the given order (a $match after sortStages)
+const afterCursor = (position, sort = 'liked') => {
+  const { field, direction, type } = LIKE_SORTS[sort];
+  const beyond = direction < 0 ? '$lt' : '$gt';
+  if (!type) {
+    return {
+      $or: [
+        { [field]: { [beyond]: position[field] } },
+        { [field]: position[field], _id: { [beyond]: position._id } }
+      ]
+    };
+  }
+  if (position[field] === null) {
+    return { _sortMissing: 1, _id: { [beyond]: position._id } };
+  }
+  return {
+    $or: [
+      { _sortMissing: 0, _sortValue: { [beyond]: position[field] } },
+      { _sortMissing: 0, _sortValue: position[field], _id: { [beyond]: position._id } },
+      { _sortMissing: 1 }
+    ]
+  };
+};
+
+const commaList = (value) => String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+// "2024-05-01" or a full timestamp. A bare date as an upper bound means the
+// end of that day. Returns a Date, null when absent, or undefined when invalid.
+const parseDateBound = (value, isUpper) => {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  if (isUpper && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
+  }
+  return date;
+};
+
+// Filter and order from GET /likes query parameters. Returns { filter, sort }
+// (filter without userId or cursor) or { message } for a 400.
+const parseLikesQuery = (query) => {
+  const sort = query.sort || 'liked';
+  if (!LIKE_SORTS[sort]) {
+    return { message: `sort must be one of: ${Object.keys(LIKE_SORTS).join(', ')}` };
+  }
+  const filter = {};
+
+  if (query.q !== undefined && String(query.q).trim()) {
+    const q = String(query.q).trim();
+    if (q.length > MAX_SEARCH_LENGTH) {
+      return { message: `q must be at most ${MAX_SEARCH_LENGTH} characters` };
+    }
+    // Served by the text index on title and author
+    filter.$text = { $search: q };
+  }
+
+  const types = commaList(query.type);
+  if (types.some(type => !MEDIA_TYPES.includes(type))) {
+    return { message: `type must be among: ${MEDIA_TYPES.join(', ')}` };
+  }
+  if (types.length > 0) {
+    filter['memeData.normalized.type'] = { $in: types };
+  }
+
+  const subreddits = commaList(query.subreddit);
+  if (subreddits.length > MAX_SUBREDDIT_FILTERS) {
+    return { message: `At most ${MAX_SUBREDDIT_FILTERS} subreddits` };
+  }
+  if (subreddits.length === 1) {
+    filter['memeData.subreddit'] = subreddits[0];
+  } else if (subreddits.length > 1) {
+    filter['memeData.subreddit'] = { $in: subreddits };
+  }
+
+  if (query.collection) {
+    filter.collectionIds = String(query.collection);
+  }
+
+  // likedFrom/likedTo on when it was liked, postedFrom/postedTo on Reddit's created_utc (seconds)
+  const ranges = [
+    ['liked', 'createdAt', date => date],
+    ['posted', 'memeData.created_utc', date => date.getTime() / 1000]
+  ];
+  for (const [name, field, toValue] of ranges) {
+    const from = parseDateBound(query[`${name}From`], false);
+    const to = parseDateBound(query[`${name}To`], true);
+    if (from === undefined || to === undefined) {
+      return { message: `${name}From and ${name}To must be dates` };
+    }
+    if (from || to) {
+      filter[field] = {
+        ...(from ? { $gte: toValue(from) } : {}),
+        ...(to ? { $lte: toValue(to) } : {})
+      };
+    }
+  }
+
+  return { filter, sort };
+};
+
+// fields=id,title,thumbnail -> projection on memeData. `id` is always included.
+const parseFields = (fields) => {
+  if (!fields) return null;
+  const names = String(fields).split(',').map(f => f.trim()).filter(f => /^\w+$/.test(f));
+  if (names.length === 0) return null;
+  const projection = { createdAt: 1, 'memeData.id': 1 };
+  names.forEach((name) => {
+    projection[`memeData.${name}`] = 1;
+  });
+  return projection;
+};
+
+// Likes saved before the normalized model existed get it computed on read
+const withNormalized = (memeData) => (memeData && !memeData.normalized
+  ? { ...memeData, normalized: normalizePost(memeData) }
+  : memeData);
+
+// Archived copies of the media ride along as `archive` for clients to fall back on
+const withArchive = (like, memeData) => {
+  const archive = archivedMediaOf(like);
+  return archive && memeData ? { ...memeData, archive } : memeData;
+};
+
+// GET /likes  (also /likes/:userId)
+// Query: limit, cursor, fields, plus the filters and sort of parseLikesQuery.
+// With limit or cursor the response is { items, nextCursor }; without either
+// it is the full array (legacy clients).
+const listLikes = async (ctx) => {
+  const { userId } = ctx;
+  const { cursor, fields } = ctx.query;
+  const paged = ctx.query.limit !== undefined || cursor !== undefined;
+
+  const { filter: conditions, sort, message } = parseLikesQuery(ctx.query);
+  if (message) {
+    return error(400, message);
+  }
+  const filter = { userId, ...conditions };
+
+  const pipeline = [{ $match: filter }, ...sortStages(sort)];
+  if (cursor) {
+    const position = decodeCursor(cursor, sort);
+    if (!position) {
+      return error(400, 'Invalid cursor');
+    }
+    pipeline.push({ $match: afterCursor(position, sort) });
+  }
+
+  const { field } = LIKE_SORTS[sort];
+  const projection = parseFields(fields);
+  if (projection) {
+    // The next cursor needs the sort value
+    projection[field] = 1;
+    projection.archive = 1;
+  }
+  // A projection returns only what was asked for
+  const present = like => withArchive(like, projection ? like.memeData : withNormalized(like.memeData));
+
+  try {
+    const db = await connectToDatabase();
+    if (filter.$text) await ensureSearchIndex(db.collection('likes'));
+    const shape = projection ? { $project: projection } : { $unset: ['_sortMissing', '_sortValue'] };
+    const query = (stages) => db.collection('likes').aggregate([...pipeline, ...stages, shape]).toArray();
+
+    if (!paged) {
+      const likes = await query([]);
+      console.log('[Likes] Found', likes.length, 'likes for user:', userId);
+      return json(likes.map(present));
+    }
+
+    const limit = Math.min(Math.max(parseInt(ctx.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    // Fetch one extra document to know whether another page exists
+    const docs = await query([{ $limit: limit + 1 }]);
+    const page = docs.slice(0, limit);
+    const nextCursor = docs.length > limit ? encodeCursor(page[page.length - 1], sort) : null;
+
+    return json({ items: page.map(present), nextCursor });
+  } catch (err) {
+    console.error('[Likes] Error fetching likes:', err);
+    return error(500, 'Failed to fetch likes');
+  }
+};
+
+// GET /likes/summary
+// Lightweight state for badges and isLiked(): total, per-subreddit counts and liked IDs
+const getLikesSummary = async (ctx) => {
+  const { userId } = ctx;
+  try {
+    const db = await connectToDatabase();
+    const likes = db.collection('likes');
+    const [groups, likedIds] = await Promise.all([
+      likes.aggregate([
+        { $match: { userId } },
+        { $group: { _id: '$memeData.subreddit', count: { $sum: 1 } } }
+      ]).toArray(),
+      likes.distinct('memeId', { userId })
+    ]);
+
+    const subreddits = {};
+    groups.forEach(({ _id, count }) => {
+      subreddits[_id || 'unknown'] = count;
+    });
+
+    return json({ total: likedIds.length, subreddits, likedIds });
+  } catch (err) {
+    console.error('[Likes] Error fetching likes summary:', err);
+    return error(500, 'Failed to fetch likes summary');
+  }
+};
+
+// POST /likes  body: { meme }
+const addLike = async (ctx) => {
+  const { userId } = ctx;
+  const { meme } = ctx.body || {};
+  console.log('[Likes] Saving like for user:', userId, 'meme:', meme?.id);
+  if (!meme) {
+    console.error('[Likes] Missing meme in request body');
+    return error(400, 'meme is required');
+  }
+
+  const memeId = meme.id || (meme.data && meme.data.id);
+  if (!memeId) {
+    console.error('[Likes] Could not determine meme ID from:', meme);
+    return error(400, 'Could not determine meme ID');
+  }
+
+  try {
+    // The stored model is always derived server-side, never taken from the client
+    const memeData = { ...meme, normalized: await resolveLookup(normalizePost(meme)) };
+    const db = await connectToDatabase();
+    const result = await db.collection('likes').updateOne(
+      { userId, memeId },
+      { $set: { userId, memeId, memeData, createdAt: new Date() } },
+      { upsert: true }
+    );
+    if (result.upsertedId) {
+      scheduleArchive(result.upsertedId);
+    }
+    console.log('[Likes] Successfully saved like for user:', userId, 'meme:', memeId);
+    return json({ success: true });
+  } catch (err) {
+    console.error('[Likes] Error saving like:', err);
+    return error(500, 'Failed to save like');
+  }
+};
+
+// Validate a bulk body: { likes: [meme with likedAt] }. Returns { likes } with
+// memeId and createdAt resolved, or { message } for a 400.
+const parseBulkLikes = (body) => {
+  const { likes } = body || {};
+  if (!Array.isArray(likes) || likes.length === 0) {
+    return { message: 'likes[] is required' };
+  }
+  if (likes.length > MAX_BULK_LIKES) {
+    return { message: `At most ${MAX_BULK_LIKES} likes per request` };
+  }
+
+  const parsed = [];
+  for (const meme of likes) {
+    const memeId = meme && (meme.id || (meme.data && meme.data.id));
+    if (!memeId || typeof memeId !== 'string') {
+      return { message: 'Every like needs an id' };
+    }
+    // Keep when it was liked; fall back to now for missing or nonsense dates
+    const likedAt = new Date(meme.likedAt);
+    const createdAt = Number.isNaN(likedAt.getTime()) || likedAt > new Date() ? new Date() : likedAt;
+    parsed.push({ memeId, meme, createdAt });
+  }
+  return { likes: parsed };
+};
+
+// Insert likes the user does not have yet; existing ones are left as they are.
+// `likes` are { memeId, meme, createdAt }. Resolves to the number inserted.
+// Only the offline part of the model is stored: host lookups for hundreds of
+// posts would take too long, and listLikes fills in missing models on read.
+const insertMissingLikes = async (userId, likes) => {
+  if (likes.length === 0) return 0;
+  const operations = likes.map(({ memeId, meme, createdAt }) => ({
+    updateOne: {
+      filter: { userId, memeId },
+      update: { $setOnInsert: { userId, memeId, memeData: { ...meme, normalized: normalizePost(meme) }, createdAt } },
+      upsert: true
+    }
+  }));
+  const db = await connectToDatabase();
+  const result = await db.collection('likes').bulkWrite(operations, { ordered: false });
+  Object.values(result.upsertedIds || {}).forEach(scheduleArchive);
+  return result.upsertedCount;
+};
+
+// POST /likes/bulk  body: { likes }  - used to merge anonymous likes on sign-in.
+// Likes already in the account are left as they are, so re-sending is harmless.
+const addLikesBulk = async (ctx) => {
+  const { userId } = ctx;
+  const { likes, message } = parseBulkLikes(ctx.body);
+  if (message) {
+    return error(400, message);
+  }
+
+  try {
+    const merged = await insertMissingLikes(userId, likes);
+    console.log('[Likes] Merged', merged, 'of', likes.length, 'likes for user:', userId);
+    return json({ received: likes.length, merged });
+  } catch (err) {
+    console.error('[Likes] Error merging likes:', err);
+    return error(500, 'Failed to merge likes');
+  }
+};
+
+// DELETE /likes?memeId=  (also /likes/:userId/:memeId)
+const removeLike = async (ctx) => {
+  const { userId } = ctx;
+  const memeId = ctx.params.memeId || ctx.query.memeId;
+  if (!memeId) {
+    return error(400, 'memeId is required');
+  }
+
+  console.log('[Likes] Deleting like for user:', userId, 'meme:', memeId);
+  try {
+    const db = await connectToDatabase();
+    const removed = await db.collection('likes').findOneAndDelete({ userId, memeId }, { projection: { _id: 1 } });
+    console.log('[Likes] Deleted like:', Boolean(removed));
+    if (removed) {
+      await removeArchive(removed._id);
+    }
+    return json({ success: true });
+  } catch (err) {
+    console.error('[Likes] Error deleting like:', err);
+    return error(500, 'Failed to delete like');
+  }
+};
+
+module.exports = {
+  listLikes,
+  getLikesSummary,
+  addLike,
+  addLikesBulk,
+  insertMissingLikes,
+  removeLike,
+  encodeCursor,
+  decodeCursor,
+  parseFields,
+  parseBulkLikes,
+  parseLikesQuery,
+  afterCursor,
+  sortStages,
+  ensureSearchIndex,
+  commaList,
+  LIKE_SORTS
+};
@@ -0,0 +1,331 @@
+const { connectToDatabase } = require('../config/db');
+const { json, error } = require('./response');
+const { insertMissingLikes } = require('./likes');
+const { fetchPostsById, upstreamError, POST_ID_PATTERN } = require('./reddit');
+
+// Export and import of a user's likes. Exports come as our own JSON, CSV or a
+// Netscape bookmark file (which every browser imports). Imports take our JSON,
+// Reddit's data-export saved_posts.csv, or any text with Reddit links in it;
+// posts known only by ID are looked up through the Reddit proxy.
+const EXPORT_FORMATS = {
+  json: { type: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { type: 'text/csv; charset=utf-8', extension: 'csv' },
+  html: { type: 'text/html; charset=utf-8', extension: 'html' }
+};
+const IMPORT_FORMATS = ['json', 'csv', 'links'];
+const JSON_EXPORT_FORMAT = 'twiix-likes';
+const MAX_IMPORT_LIKES = 1000;
+
+const REDDIT_ORIGIN = 'https://www.reddit.com';
+const CSV_COLUMNS = ['id', 'title', 'subreddit', 'author', 'permalink', 'url', 'posted_at', 'liked_at'];
+
+// reddit.com/r/x/comments/<id>/..., old./new./np. hosts and redd.it/<id>
+const POST_LINK_PATTERN = /(?:reddit\.com\/(?:r\/\w+\/|user\/[\w-]+\/)?comments\/|redd\.it\/)([a-z0-9]{1,12})(?![a-z0-9])/gi;
+
+const toIso = (seconds) => (typeof seconds === 'number' ? new Date(seconds * 1000).toISOString() : '');
+
+const permalinkUrl = (memeData) => (memeData.permalink ? `${REDDIT_ORIGIN}${memeData.permalink}` : '');
+
+// Quote a CSV field when needed. Cells starting with = + - @ are prefixed with
+// a quote so spreadsheets show them as text rather than run them as formulas.
+const csvField = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// likes: { memeData, createdAt } documents, newest first
+const formatJson = (likes, exportedAt) => JSON.stringify({
+  format: JSON_EXPORT_FORMAT,
+  version: 1,
+  exportedAt: exportedAt.toISOString(),
+  likes: likes.map(({ memeData, createdAt }) => {
+    const { normalized, ...post } = memeData;
+    return { ...post, likedAt: createdAt.toISOString() };
+  })
+}, null, 2);
+
+const formatCsv = (likes) => [
+  CSV_COLUMNS.join(','),
+  ...likes.map(({ memeData, createdAt }) => [
+    memeData.id,
+    memeData.title,
+    memeData.subreddit,
+    memeData.author,
+    permalinkUrl(memeData),
+    memeData.url,
+    toIso(memeData.created_utc),
+    createdAt.toISOString()
+  ].map(csvField).join(','))
+].join('\r\n') + '\r\n';
+
+const formatBookmarks = (likes, exportedAt) => {
+  const seconds = (date) => Math.floor(date.getTime() / 1000);
+  const links = likes.map(({ memeData, createdAt }) => {
+    const href = escapeHtml(permalinkUrl(memeData) || memeData.url);
+    const tags = memeData.subreddit ? ` TAGS="${escapeHtml(memeData.subreddit)}"` : '';
+    return `        <DT><A HREF="${href}" ADD_DATE="${seconds(createdAt)}"${tags}>${escapeHtml(memeData.title || memeData.id)}</A>`;
+  });
+  return [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+    `    <DT><H3 ADD_DATE="${seconds(exportedAt)}">twiix likes</H3>`,
+    '    <DL><p>',
+    ...links,
+    '    </DL><p>',
+    '</DL><p>',
+    ''
+  ].join('\n');
+};
+
+const formatLikes = (format, likes, exportedAt = new Date()) => {
+  if (format === 'csv') return formatCsv(likes);
+  if (format === 'html') return formatBookmarks(likes, exportedAt);
+  return formatJson(likes, exportedAt);
+};
+
+// GET /likes/export?format=json|csv|html  - every like, newest first, as a download
+const exportLikes = async (ctx) => {
+  const { userId } = ctx;
+  const format = ctx.query.format || 'json';
+  if (!EXPORT_FORMATS[format]) {
+    return error(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  try {
+    const db = await connectToDatabase();
+    const likes = await db.collection('likes')
+      .find({ userId }, { projection: { _id: 0, memeData: 1, createdAt: 1 } })
+      .sort({ createdAt: -1, _id: -1 })
+      .toArray();
+
+    const exportedAt = new Date();
+    const { type, extension } = EXPORT_FORMATS[format];
+    console.log('[Likes] Exporting', likes.length, 'likes as', format, 'for user:', userId);
+    return {
+      status: 200,
+      headers: {
+        'Content-Type': type,
+        'Content-Disposition': `attachment; filename="twiix-likes-${exportedAt.toISOString().slice(0, 10)}.${extension}"`,
+        'Cache-Control': 'no-store'
+      },
+      raw: formatLikes(format, likes.filter(like => like.memeData), exportedAt)
+    };
+  } catch (err) {
+    console.error('[Likes] Error exporting likes:', err);
+    return error(500, 'Failed to export likes');
+  }
+};
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF or LF
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+const postIdsInText = (text) => [...String(text).matchAll(POST_LINK_PATTERN)].map(match => match[1].toLowerCase());
+
+// Keep when it was liked; fall back to now for missing or nonsense dates
+const likedDate = (value) => {
+  const date = value === undefined || value === '' ? null : new Date(value);
+  return !date || Number.isNaN(date.getTime()) || date > new Date() ? new Date() : date;
+};
+
+const fromJson = (content) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    return { message: 'The file is not valid JSON' };
+  }
+  const items = Array.isArray(parsed) ? parsed : parsed && parsed.likes;
+  if (!Array.isArray(items)) {
+    return { message: 'Expected a twiix likes export or an array of posts' };
+  }
+
+  const posts = [];
+  const ids = [];
+  let invalid = 0;
+  items.forEach((item) => {
+    if (typeof item === 'string') {
+      const [id] = POST_ID_PATTERN.test(item) ? [item.toLowerCase()] : postIdsInText(item);
+      if (id) ids.push({ memeId: id, createdAt: new Date() });
+      else invalid++;
+      return;
+    }
+    const id = item && typeof item.id === 'string' && POST_ID_PATTERN.test(item.id) ? item.id : null;
+    if (!id) {
+      invalid++;
+      return;
+    }
+    const createdAt = likedDate(item.likedAt);
+    // A full post is stored as it is; anything thinner is looked up on Reddit
+    if (item.title && item.subreddit && item.permalink) {
+      const { likedAt, normalized, ...meme } = item;
+      posts.push({ memeId: id, meme, createdAt });
+    } else {
+      ids.push({ memeId: id, createdAt });
+    }
+  });
+  return { posts, ids, invalid };
+};
+
+// Reddit's saved_posts.csv has "id,permalink"; our own CSV export has both too
+const fromCsv = (rows) => {
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const idColumn = header.indexOf('id');
+  const permalinkColumn = header.indexOf('permalink');
+  const likedColumn = header.indexOf('liked_at');
+
+  const ids = [];
+  let invalid = 0;
+  rows.slice(1).forEach((cells) => {
+    const cellId = (cells[idColumn] || '').trim().replace(/^t3_/i, '');
+    const [id] = POST_ID_PATTERN.test(cellId) ? [cellId.toLowerCase()] : postIdsInText(cells[permalinkColumn] || '');
+    if (id) ids.push({ memeId: id, createdAt: likedDate(likedColumn >= 0 ? cells[likedColumn] : undefined) });
+    else invalid++;
+  });
+  return { posts: [], ids, invalid };
+};
+
+const isRedditCsv = (rows) => rows.length > 0 && ['id', 'permalink'].every(name => rows[0].map(cell => cell.trim().toLowerCase()).includes(name));
+
+// Work out what an uploaded file holds. Returns { format, posts, ids, invalid }
+// - posts ready to store and IDs to look up, duplicates dropped - or { message }.
+const parseImport = (content, format) => {
+  if (typeof content !== 'string' || !content.trim()) {
+    return { message: 'content is required' };
+  }
+  if (format !== undefined && !IMPORT_FORMATS.includes(format)) {
+    return { message: `format must be one of: ${IMPORT_FORMATS.join(', ')}` };
+  }
+
+  const text = content.replace(/^\uFEFF/, '').trim();
+  const rows = format === 'csv' || !format ? parseCsv(text) : [];
+  const detected = format || (/^[[{]/.test(text) ? 'json' : isRedditCsv(rows) ? 'csv' : 'links');
+
+  let result;
+  if (detected === 'json') {
+    result = fromJson(text);
+  } else if (detected === 'csv') {
+    if (!isRedditCsv(rows)) return { message: 'The CSV needs id and permalink columns' };
+    result = fromCsv(rows);
+  } else {
+    result = { posts: [], ids: postIdsInText(text).map(memeId => ({ memeId, createdAt: new Date() })), invalid: 0 };
+  }
+  if (result.message) return result;
+
+  // The first mention of a post wins
+  const seen = new Set();
+  const firstOf = (entry) => !seen.has(entry.memeId) && seen.add(entry.memeId);
+  const posts = result.posts.filter(firstOf);
+  const ids = result.ids.filter(firstOf);
+
+  if (posts.length + ids.length === 0) {
+    return { message: 'No Reddit posts found in the file' };
+  }
+  if (posts.length + ids.length > MAX_IMPORT_LIKES) {
+    return { message: `At most ${MAX_IMPORT_LIKES} posts per import` };
+  }
+  return { format: detected, posts, ids, invalid: result.invalid };
+};
+
+// POST /likes/import  body: { content, format? }  - format is detected when omitted.
+// Posts already liked are left as they are. Responds with counts:
+// { format, received, imported, alreadyLiked, notFound, invalid }.
+const importLikes = async (ctx) => {
+  const { userId } = ctx;
+  const { content, format } = ctx.body || {};
+  const parsed = parseImport(content, format);
+  if (parsed.message) {
+    return error(400, parsed.message);
+  }
+  const { posts, ids, invalid } = parsed;
+  const received = posts.length + ids.length;
+
+  try {
+    const db = await connectToDatabase();
+    const liked = new Set(await db.collection('likes').distinct('memeId', {
+      userId,
+      memeId: { $in: [...posts, ...ids].map(entry => entry.memeId) }
+    }));
+    const newPosts = posts.filter(entry => !liked.has(entry.memeId));
+    const toResolve = ids.filter(entry => !liked.has(entry.memeId));
+
+    let found;
+    try {
+      found = await fetchPostsById(toResolve.map(entry => entry.memeId));
+    } catch (err) {
+      console.error('[Likes] Error resolving imported posts:', err.message);
+      return upstreamError(err, 'Failed to look up posts on Reddit');
+    }
+    const resolved = toResolve
+      .filter(entry => found.has(entry.memeId))
+      .map(entry => ({ ...entry, meme: found.get(entry.memeId) }));
+
+    const imported = await insertMissingLikes(userId, [...newPosts, ...resolved]);
+    console.log('[Likes] Imported', imported, 'of', received, 'posts for user:', userId);
+    return json({
+      format: parsed.format,
+      received,
+      imported,
+      alreadyLiked: received - newPosts.length - toResolve.length,
+      notFound: toResolve.length - resolved.length,
+      invalid
+    });
+  } catch (err) {
+    console.error('[Likes] Error importing likes:', err);
+    return error(500, 'Failed to import likes');
+  }
+};
+
+module.exports = {
+  exportLikes,
+  importLikes,
+  formatLikes,
+  parseImport,
+  parseCsv,
+  MAX_IMPORT_LIKES
+};
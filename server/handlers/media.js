@@ -0,0 +1,83 @@
+const { ObjectId } = require('mongodb');
+const { connectToDatabase } = require('../config/db');
+const { error } = require('./response');
+const { getArchiveStore } = require('../archive');
+
+// Archived files never change, so browsers and CDNs may keep them for good
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// "bytes=start-end", "bytes=start-" or "bytes=-suffixLength" against a file of
+// `size` bytes. Returns { start, end } (inclusive), null to send the whole file
+// (no header, or one this does not handle), or undefined when unsatisfiable.
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return undefined;
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+  }
+  return start <= end && start < size ? { start, end } : undefined;
+};
+
+// GET /media/:likeId/:index  (also /media?likeId=&index=)
+// Serves an archived copy of a liked post's media (see server/archive). Not
+// behind auth, so <img> and <video> can load it: it is a copy of public media
+// and like IDs are never listed anywhere but the owner's own likes.
+const getArchivedMedia = async (ctx) => {
+  const likeId = String(ctx.params.likeId || ctx.query.likeId || '');
+  const indexParam = String(ctx.params.index || ctx.query.index || '');
+  if (!/^[a-f0-9]{24}$/i.test(likeId) || !/^\d{1,3}$/.test(indexParam)) {
+    return error(400, 'A like ID and item index are required');
+  }
+  const index = Number(indexParam);
+
+  const store = getArchiveStore();
+  if (!store) {
+    return error(404, 'Media archive is not enabled');
+  }
+
+  try {
+    const db = await connectToDatabase();
+    const like = await db.collection('likes').findOne({ _id: new ObjectId(likeId) }, { projection: { 'archive.items': 1 } });
+    const item = like && like.archive && like.archive.items && like.archive.items[index];
+    if (!item || !item.size) {
+      return error(404, 'Not archived');
+    }
+
+    const range = parseRange(ctx.headers && ctx.headers.range, item.size);
+    if (range === undefined) {
+      return { status: 416, headers: { 'Content-Range': `bytes */${item.size}` }, raw: '' };
+    }
+
+    const blob = await store.open(`${likeId}/${index}`, range || {});
+    if (!blob) {
+      return error(404, 'Not archived');
+    }
+
+    const headers = {
+      'Content-Type': item.mimeType || 'application/octet-stream',
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': CACHE_CONTROL
+    };
+    if (range) {
+      headers['Content-Range'] = `bytes ${range.start}-${range.end}/${blob.size}`;
+      headers['Content-Length'] = String(range.end - range.start + 1);
+      return { status: 206, headers, stream: blob.stream };
+    }
+    headers['Content-Length'] = String(blob.size);
+    return { status: 200, headers, stream: blob.stream };
+  } catch (err) {
+    console.error('[Media] Error serving archived media:', err);
+    return error(500, 'Failed to load archived media');
+  }
+};
+
+module.exports = { getArchivedMedia, parseRange };
@@ -0,0 +1,549 @@
+const { json, error } = require('./response');
+const { findSeenIds } = require('./seen');
+const { getRedditCache } = require('../cache');
+const { redditBudget, UpstreamBudgetError } = require('../rateLimit');
+const { redditGet } = require('../reddit/client');
+const { normalizePost, withNormalized } = require('../reddit/normalize');
+const { resolveLookup } = require('../media');
+
+// Names are interpolated into upstream paths, so only accept Reddit's own formats
+const SUBREDDIT_PATTERN = /^[A-Za-z0-9_]{1,50}$/;
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{1,30}$/;
+const POST_ID_PATTERN = /^[a-z0-9]{1,12}$/i;
+// Reddit's multireddit syntax: /r/pics+aww+funny
+const MAX_MULTI_SUBREDDITS = 25;
+const MAX_NORMALIZE_POSTS = 100;
+
+// Listing sorts, and the time windows (`t`) Reddit takes for top and controversial
+const SORTS = ['hot', 'new', 'top', 'rising', 'controversial'];
+const TIMED_SORTS = ['top', 'controversial'];
+const TIME_WINDOWS = ['hour', 'day', 'week', 'month', 'year', 'all'];
+
+// Validate ?sort= and ?t=. Returns { sort, t } or { message } for a 400. `t` is
+// null for sorts without a window and defaults to Reddit's own default, 'day'.
+const parseSort = (query) => {
+  const sort = query.sort || 'hot';
+  if (!SORTS.includes(sort)) {
+    return { message: `sort must be one of: ${SORTS.join(', ')}` };
+  }
+  if (!TIMED_SORTS.includes(sort)) {
+    return { sort, t: null };
+  }
+  const t = query.t || 'day';
+  if (!TIME_WINDOWS.includes(t)) {
+    return { message: `t must be one of: ${TIME_WINDOWS.join(', ')}` };
+  }
+  return { sort, t };
+};
+
+// Seen posts are tracked per sort: "top of the week" should not hide what was
+// seen in "hot". Hot keeps the plain key so existing history still applies.
+// The client builds the same suffix for the keys it sends (src/utils/feedSort.js).
+const sortKeySuffix = ({ sort, t }) => {
+  if (!sort || sort === 'hot') return '';
+  return t ? `_${sort}_${t}` : `_${sort}`;
+};
+
+const isValidSubredditPath = (subreddit) => {
+  const names = subreddit.split('+');
+  return names.length <= MAX_MULTI_SUBREDDITS && names.every(name => SUBREDDIT_PATTERN.test(name));
+};
+
+// Non-2xx response from Reddit; mapped to a client-facing status by upstreamError()
+class UpstreamError extends Error {
+  constructor(status) {
+    super(`Reddit API responded with status ${status}`);
+    this.name = 'UpstreamError';
+    this.status = status;
+  }
+}
+
+const retryLater = (message, retryAfter) => ({
+  ...error(429, message, { retryAfter }),
+  headers: { 'Retry-After': String(retryAfter) }
+});
+
+const upstreamError = (err, message) => {
+  if (err instanceof UpstreamBudgetError) {
+    return retryLater('The server is pacing requests to Reddit. Please try again shortly.', err.retryAfter);
+  }
+  if (err instanceof UpstreamError) {
+    if (err.status === 404) return error(404, 'Not found on Reddit');
+    if (err.status === 403) return error(403, 'This content is private, quarantined or banned');
+    if (err.status === 429) return retryLater('Reddit is rate limiting requests. Please try again shortly.', 60);
+    return error(502, message);
+  }
+  return error(500, message);
+};
+
+const buildCacheKey = (path, params) => `${path}?${new URLSearchParams({ ...params, include_over_18: '1' })}`;
+
+// GET a Reddit JSON path (e.g. '/r/memes/hot.json') through the shared cache.
+// `transform` reduces the response before it is cached (listing pages keep only
+// media posts). Resolves to { data, fromCache }; throws UpstreamError on a non-2xx.
+const fetchReddit = async (path, params = {}, transform = data => data) => {
+  const cacheKey = buildCacheKey(path, params);
+
+  const { value, fromCache, stale } = await getRedditCache().wrap(cacheKey, async () => {
+    await redditBudget.acquire();
+    const response = await redditGet(cacheKey);
+    redditBudget.record(response.headers);
+
+    if (response.status === 429) {
+      redditBudget.recordThrottled(parseInt(response.headers.get('retry-after'), 10) || 60);
+    }
+    if (!response.ok) {
+      throw new UpstreamError(response.status);
+    }
+
+    return transform(await response.json());
+  });
+
+  if (fromCache) {
+    console.log(`[Reddit] Serving ${stale ? 'stale' : 'cached'} data for ${cacheKey}`);
+  }
+  return { data: value, fromCache };
+};
+
+// Posts with media (images or videos)
+const isMediaPost = (post) => {
+  const postData = post.data;
+  return (
+    // Images: direct image, preview, or gallery
+    postData.post_hint === 'image' ||
+    (postData.preview && postData.preview.images && postData.preview.images.length > 0) ||
+    (postData.is_gallery && postData.media_metadata) ||
+    // Videos: Reddit-hosted or embedded
+    postData.is_video ||
+    (postData.media && (postData.media.reddit_video || postData.media.oembed))
+  );
+};
+
+// Upstream pages are always requested at Reddit's maximum size; the proxy
+// trims them to the client's limit, so fewer calls fill a page of media posts
+const UPSTREAM_PAGE_SIZE = 100;
+// Reddit calls one request may make while filling a page (cached pages are free)
+const MAX_UPSTREAM_CALLS = parseInt(process.env.REDDIT_MAX_UPSTREAM_CALLS, 10) || 4;
+const MAX_LIMIT = 100;
+
+// The `after` cursor handed to clients is Reddit's fullname, optionally followed by
+// `~<n>` when the first n media posts of that upstream page were already returned
+// (e.g. "t3_abc123~12", or "~12" for the first page).
+const encodeAfterCursor = (after, skip) => (skip > 0 ? `${after || ''}~${skip}` : after || null);
+
+const parseAfterCursor = (cursor) => {
+  if (!cursor) return { after: '', skip: 0 };
+  const [after, skipText = '0'] = String(cursor).split('~');
+  const skip = Number(skipText);
+  if ((after && !/^t\d_[a-z0-9]+$/i.test(after)) || !Number.isInteger(skip) || skip < 0) {
+    return null;
+  }
+  return { after, skip };
+};
+
+// `listingQuery` carries the listing's own parameters (sort, t), which are part
+// of the cache key like the path
+const listingParams = (after, listingQuery = {}) => (after
+  ? { ...listingQuery, limit: String(UPSTREAM_PAGE_SIZE), after }
+  : { ...listingQuery, limit: String(UPSTREAM_PAGE_SIZE) });
+
+// Fetch one upstream listing page, reduced to media posts. Pages are cached per
+// listing (not per user) so seen filtering never leaks between users.
+const fetchListingPage = async (listingPath, after, listingQuery) => {
+  const { data, fromCache } = await fetchReddit(listingPath, listingParams(after, listingQuery), raw => ({
+    children: (raw.data?.children || []).filter(isMediaPost),
+    after: raw.data?.after || null
+  }));
+  return { ...data, fromCache };
+};
+
+const isPageCached = (listingPath, after, listingQuery) => getRedditCache().has(buildCacheKey(listingPath, listingParams(after, listingQuery)));
+
+// Drop posts the user has already seen in this feed. A failed lookup serves the
+// page unfiltered rather than failing the whole feed.
+const dropSeen = async (userId, feedKey, posts) => {
+  try {
+    const seenIds = await findSeenIds(userId, feedKey, posts.map(post => post.data.id));
+    return posts.filter(post => !seenIds.has(post.data.id));
+  } catch (err) {
+    console.error('[Reddit] Seen lookup failed, serving unfiltered page:', err);
+    return posts;
+  }
+};
+
+// Follow upstream `after` tokens until `target` posts are collected, the listing
+// ends, or the upstream call budget is spent. `filter` removes posts from a page
+// (e.g. ones already seen). Returns { children, after, upstreamPages, upstreamCalls }.
+const fillPage = async ({ listingPath, listingQuery = {}, cursor, target, filter, maxCalls = MAX_UPSTREAM_CALLS }) => {
+  const children = [];
+  let { after: pageAfter, skip } = cursor;
+  let upstreamPages = 0;
+  let upstreamCalls = 0;
+
+  for (;;) {
+    if (upstreamCalls >= maxCalls && !(await isPageCached(listingPath, pageAfter, listingQuery))) {
+      // Budget spent: hand back a cursor that resumes exactly here
+      return { children, after: encodeAfterCursor(pageAfter, skip), upstreamPages, upstreamCalls };
+    }
+
+    const page = await fetchListingPage(listingPath, pageAfter, listingQuery);
+    upstreamPages++;
+    if (!page.fromCache) upstreamCalls++;
+
+    const candidates = await filter(page.children.slice(skip));
+    const needed = target - children.length;
+
+    if (candidates.length > needed) {
+      // Page has more than we need: return the rest of it next time
+      const taken = candidates.slice(0, needed);
+      const lastId = taken[taken.length - 1].data.id;
+      const consumed = page.children.findIndex(post => post.data.id === lastId) + 1;
+      children.push(...taken);
+      return { children, after: encodeAfterCursor(pageAfter, consumed), upstreamPages, upstreamCalls };
+    }
+
+    children.push(...candidates);
+    if (!page.after || children.length >= target) {
+      return { children, after: page.after || null, upstreamPages, upstreamCalls };
+    }
+    pageAfter = page.after;
+    skip = 0;
+  }
+};
+
+// A listing child with its normalized model, including any host API lookup
+// (imgur albums, streamable files; cached by the media registry)
+const normalizeChild = async (child) => {
+  const withModel = withNormalized(child);
+  return { ...withModel, normalized: await resolveLookup(withModel.normalized) };
+};
+
+// Shared by the subreddit and user feeds: returns up to `limit` media posts from
+// a listing, pulling as many upstream pages as the call budget allows. Signed-in
+// requests with a feedKey only get posts not yet seen in that feed. `after` in
+// the response is an opaque cursor for the next page. Each child carries the
+// normalized model (see reddit/normalize.js) next to Reddit's raw `data`.
+const getMediaListing = async (ctx, listingPath, label, listingQuery = {}) => {
+  const { limit = '25', after = '', feedKey } = ctx.query;
+  const target = Math.min(Math.max(parseInt(limit, 10) || 25, 1), MAX_LIMIT);
+
+  const cursor = parseAfterCursor(after);
+  if (!cursor) {
+    return error(400, 'Invalid after cursor');
+  }
+
+  const filter = ctx.userId && feedKey
+    ? posts => dropSeen(ctx.userId, feedKey, posts)
+    : async posts => posts;
+
+  try {
+    const result = await fillPage({ listingPath, listingQuery, cursor, target, filter });
+
+    const children = await Promise.all(result.children.map(normalizeChild));
+
+    console.log(`[Reddit] Returning ${children.length} media posts from ${label} (${result.upstreamPages} upstream page(s), ${result.upstreamCalls} call(s))`);
+    return json({
+      data: {
+        children,
+        after: result.after,
+        before: null
+      },
+      meta: {
+        upstreamPages: result.upstreamPages,
+        upstreamCalls: result.upstreamCalls
+      }
+    });
+  } catch (err) {
+    console.error(`[Reddit] Error fetching from ${label}:`, err);
+    return upstreamError(err, 'Failed to fetch Reddit media posts');
+  }
+};
+
+// Cursor for a mixed listing: base64url JSON of the page number and, for each
+// source key, its own after cursor, or null once that source is exhausted.
+// Sources missing from the cursor (e.g. added to a feed since) start from the top.
+const encodeMixedCursor = (positions, page) => (Object.values(positions).some(position => position !== null)
+  ? Buffer.from(JSON.stringify({ page, positions })).toString('base64url')
+  : null);
+
+const decodeMixedCursor = (cursor) => {
+  if (!cursor) return { page: 0, positions: {} };
+  try {
+    const { page, positions } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Number.isSafeInteger(page) || page < 0) return null;
+    if (!positions || typeof positions !== 'object' || Array.isArray(positions)) return null;
+    const valid = Object.values(positions).every(position => position === null || parseAfterCursor(position));
+    return valid ? { page, positions } : null;
+  } catch {
+    return null;
+  }
+};
+
+// Round-robin across lists: a1, b1, c1, a2, b2, ...
+const interleave = (lists) => {
+  const merged = [];
+  const longest = Math.max(0, ...lists.map(list => list.length));
+  for (let i = 0; i < longest; i++) {
+    lists.forEach((list) => {
+      if (i < list.length) merged.push(list[i]);
+    });
+  }
+  return merged;
+};
+
+// Several listings mixed into one feed (custom feeds, see handlers/feeds.js).
+// `sources` is [{ key, path, query }], e.g. { key: 'r/pics', path: '/r/pics/top.json', query: { t: 'week' } }.
+// Each page takes an equal share from every source that still has posts and
+// interleaves them, so one busy subreddit cannot crowd out the others. Sources
+// are fetched in parallel, one upstream call each, and each beyond the first
+// takes another token of the caller's quota; a source's cursor resumes where it
+// stopped. A source Reddit refuses (banned, private, deleted) is skipped, and a
+// post two sources share (a user posting in a mixed subreddit) is shown once.
+const getMixedListing = async (ctx, sources, { label, feedKey }) => {
+  const { limit = '25', after = '' } = ctx.query;
+  const target = Math.min(Math.max(parseInt(limit, 10) || 25, 1), MAX_LIMIT);
+
+  const cursor = decodeMixedCursor(after);
+  if (!cursor) {
+    return error(400, 'Invalid after cursor');
+  }
+  const { page, positions } = cursor;
+
+  const filter = ctx.userId && feedKey
+    ? posts => dropSeen(ctx.userId, feedKey, posts)
+    : async posts => posts;
+
+  const active = sources.filter(source => positions[source.key] !== null);
+  const nextPositions = Object.fromEntries(sources.map(source => [source.key, null]));
+  // Spread the remainder over the sources from a start that moves one source
+  // per page: 25 over 3 is 9, 8, 8, then 8, 9, 8. Otherwise, with fewer posts
+  // per page than sources, the last ones would never get any.
+  const shares = active.map((source, index) => {
+    const rank = (index - page % active.length + active.length) % active.length;
+    return { source, share: Math.floor(target / active.length) + (rank < target % active.length ? 1 : 0) };
+  });
+  shares.filter(({ share }) => share === 0).forEach(({ source }) => {
+    nextPositions[source.key] = positions[source.key] || '';
+  });
+  const fetched = shares.filter(({ share }) => share > 0);
+
+  // Its RateLimit-* headers replace those of the route's own token
+  let quotaHeaders = {};
+  if (fetched.length > 1) {
+    const quota = ctx.consumeQuota(fetched.length - 1);
+    quotaHeaders = quota.headers;
+    if (!quota.allowed) {
+      console.log(`[Reddit] Rate limited ${ctx.userId || ctx.ip} on ${label} (${fetched.length} sources)`);
+      const limited = error(429, 'Rate limit exceeded. Please wait before making more requests.', { retryAfter: quota.retryAfter });
+      return { ...limited, headers: quota.headers };
+    }
+  }
+
+  try {
+    const results = await Promise.all(fetched.map(async ({ source, share }) => {
+      try {
+        return await fillPage({
+          listingPath: source.path,
+          listingQuery: source.query,
+          cursor: parseAfterCursor(positions[source.key] || ''),
+          target: share,
+          filter,
+          maxCalls: 1
+        });
+      } catch (err) {
+        if (!(err instanceof UpstreamError) || ![403, 404].includes(err.status)) throw err;
+        console.log(`[Reddit] Skipping ${source.key} in ${label}: Reddit responded with ${err.status}`);
+        return null;
+      }
+    }));
+
+    const lists = [];
+    let upstreamPages = 0;
+    let upstreamCalls = 0;
+    results.forEach((result, index) => {
+      if (!result) return;
+      lists.push(result.children);
+      nextPositions[fetched[index].source.key] = result.after;
+      upstreamPages += result.upstreamPages;
+      upstreamCalls += result.upstreamCalls;
+    });
+
+    const ids = new Set();
+    const unique = interleave(lists).filter((post) => {
+      if (ids.has(post.data.id)) return false;
+      ids.add(post.data.id);
+      return true;
+    });
+    const children = await Promise.all(unique.map(normalizeChild));
+
+    console.log(`[Reddit] Returning ${children.length} media posts from ${label} (${active.length} source(s), ${upstreamCalls} call(s))`);
+    return json({
+      data: {
+        children,
+        after: encodeMixedCursor(nextPositions, page + 1),
+        before: null
+      },
+      meta: { upstreamPages, upstreamCalls }
+    }, 200, quotaHeaders);
+  } catch (err) {
+    console.error(`[Reddit] Error fetching ${label}:`, err);
+    return upstreamError(err, 'Failed to fetch Reddit media posts');
+  }
+};
+
+// GET /reddit/:subreddit  (also /reddit?subreddit=)
+// Query: sort, t (see parseSort), limit, after, feedKey
+const getSubreddit = async (ctx) => {
+  const subreddit = ctx.params.subreddit || ctx.query.subreddit;
+  if (!subreddit) {
+    return error(400, 'subreddit parameter is required');
+  }
+  if (!isValidSubredditPath(subreddit)) {
+    return error(400, 'Invalid subreddit name');
+  }
+
+  const { sort, t, message } = parseSort(ctx.query);
+  if (message) {
+    return error(400, message);
+  }
+  return getMediaListing(ctx, `/r/${subreddit}/${sort}.json`, `r/${subreddit} (${t ? `${sort}/${t}` : sort})`, t ? { t } : {});
+};
+
+// GET /reddit/user/:username  - a user's submitted media posts
+// Same query as subreddits; Reddit has no rising sort for users
+const getUserSubmissions = async (ctx) => {
+  const { username } = ctx.params;
+  if (!USERNAME_PATTERN.test(username)) {
+    return error(400, 'Invalid username');
+  }
+
+  const { sort, t, message } = parseSort(ctx.query);
+  if (message) {
+    return error(400, message);
+  }
+  if (sort === 'rising') {
+    return error(400, 'sort "rising" is not available for users');
+  }
+  return getMediaListing(ctx, `/user/${username}/submitted.json`, `u/${username} (${t ? `${sort}/${t}` : sort})`, t ? { sort, t } : { sort });
+};
+
+// GET /reddit/post/:postId  - a single post, without its comments
+const getPost = async (ctx) => {
+  const { postId } = ctx.params;
+  if (!POST_ID_PATTERN.test(postId)) {
+    return error(400, 'Invalid post ID');
+  }
+
+  try {
+    const { data } = await fetchReddit(`/comments/${postId}.json`, { limit: '1' });
+    const post = Array.isArray(data) ? data[0]?.data?.children?.[0] : null;
+    if (!post) {
+      return error(404, 'Post not found');
+    }
+    return json({ post: await normalizeChild(post) });
+  } catch (err) {
+    console.error(`[Reddit] Error fetching post ${postId}:`, err);
+    return upstreamError(err, 'Failed to fetch Reddit post');
+  }
+};
+
+// Raw post data for many post IDs, through Reddit's /by_id listing (100 per
+// call, cached like any other read). Resolves to a Map of ID -> post data;
+// IDs Reddit does not return (deleted, private) are missing from it.
+const BY_ID_BATCH_SIZE = 100;
+
+const fetchPostsById = async (postIds) => {
+  const posts = new Map();
+  const ids = [...new Set(postIds.filter(id => POST_ID_PATTERN.test(id)).map(id => id.toLowerCase()))];
+  for (let start = 0; start < ids.length; start += BY_ID_BATCH_SIZE) {
+    const names = ids.slice(start, start + BY_ID_BATCH_SIZE).map(id => `t3_${id}`).join(',');
+    const { data } = await fetchReddit(`/by_id/${names}.json`, { limit: String(BY_ID_BATCH_SIZE) });
+    (data.data?.children || []).forEach((child) => {
+      if (child.data && child.data.id) posts.set(child.data.id, child.data);
+    });
+  }
+  return posts;
+};
+
+// GET /reddit/search/subreddits?q=&limit=
+const searchSubreddits = async (ctx) => {
+  const q = (ctx.query.q || '').trim();
+  if (!q) {
+    return error(400, 'q parameter is required');
+  }
+  const limit = Math.min(Math.max(parseInt(ctx.query.limit, 10) || 25, 1), MAX_LIMIT);
+
+  try {
+    const { data } = await fetchReddit('/subreddits/search.json', { q, limit: String(limit) });
+    return json({
+      data: {
+        children: data.data?.children || [],
+        after: data.data?.after || null
+      }
+    });
+  } catch (err) {
+    console.error(`[Reddit] Error searching subreddits for "${q}":`, err);
+    return upstreamError(err, 'Failed to search subreddits');
+  }
+};
+
+// GET /reddit/about/:subreddit
+const getSubredditAbout = async (ctx) => {
+  const { subreddit } = ctx.params;
+  if (!SUBREDDIT_PATTERN.test(subreddit)) {
+    return error(400, 'Invalid subreddit name');
+  }
+
+  try {
+    const { data } = await fetchReddit(`/r/${subreddit}/about.json`);
+    if (data.kind !== 't5' || !data.data) {
+      return error(404, 'Subreddit not found');
+    }
+    return json({ data: data.data });
+  } catch (err) {
+    console.error(`[Reddit] Error fetching about for r/${subreddit}:`, err);
+    return upstreamError(err, 'Failed to fetch subreddit details');
+  }
+};
+
+// POST /reddit/normalize  body: { posts: [postData] }
+// Normalized models for posts saved before the API attached one (anonymous likes
+// kept in localStorage), so clients only ever render the server's model
+const normalizePosts = async (ctx) => {
+  const posts = ctx.body && ctx.body.posts;
+  if (!Array.isArray(posts) || posts.length === 0) {
+    return error(400, 'posts must be a non-empty array');
+  }
+  if (posts.length > MAX_NORMALIZE_POSTS) {
+    return error(400, `At most ${MAX_NORMALIZE_POSTS} posts per request`);
+  }
+  if (!posts.every(post => post && typeof post === 'object' && !Array.isArray(post))) {
+    return error(400, 'Each post must be an object');
+  }
+
+  const models = await Promise.all(posts.map(post => resolveLookup(normalizePost(post))));
+  return json({ models });
+};
+
+module.exports = {
+  getSubreddit,
+  getUserSubmissions,
+  getPost,
+  searchSubreddits,
+  getSubredditAbout,
+  getMixedListing,
+  normalizePosts,
+  fetchPostsById,
+  upstreamError,
+  parseSort,
+  sortKeySuffix,
+  isMediaPost,
+  encodeAfterCursor,
+  parseAfterCursor,
+  encodeMixedCursor,
+  decodeMixedCursor,
+  interleave,
+  SUBREDDIT_PATTERN,
+  USERNAME_PATTERN,
+  POST_ID_PATTERN
+};
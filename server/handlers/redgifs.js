@@ -0,0 +1,72 @@
+const { error } = require('./response');
+const { resolveGif, openMedia, RedgifsError } = require('../redgifs/client');
+
+// RedGifs IDs are lowercase words, e.g. "happyyellowbird"
+const GIF_ID_PATTERN = /^[a-z0-9]{1,100}$/;
+
+// Headers worth passing from the media host to the client
+const FORWARDED_HEADERS = ['content-type', 'content-length', 'content-range', 'last-modified', 'etag'];
+
+// The media behind an ID never changes, so browsers and CDNs may keep it
+const CACHE_CONTROL = 'public, max-age=86400, s-maxage=86400';
+
+const redgifsError = (err, id) => {
+  if (err instanceof RedgifsError) {
+    if (err.status === 404 || err.status === 410) return error(404, 'GIF not found on RedGifs');
+    if (err.status === 429) {
+      const retryAfter = err.retryAfter || 60;
+      return {
+        ...error(429, 'RedGifs is rate limiting requests. Please try again shortly.', { retryAfter }),
+        headers: { 'Retry-After': String(retryAfter) }
+      };
+    }
+    return error(502, 'RedGifs request failed');
+  }
+  if (err.name === 'FetchError') {
+    console.error(`[RedGifs] Network error for ${id}:`, err.message);
+    return error(502, 'Could not reach RedGifs');
+  }
+  console.error(`[RedGifs] Exception for ID ${id}:`, err);
+  return error(500, 'Internal server error');
+};
+
+// GET /redgifs/:id  (also /redgifs?id=)  optional ?quality=sd
+// Streams the video itself, honouring Range requests so players can seek
+const getRedgif = async (ctx) => {
+  const id = String(ctx.params.id || ctx.query.id || '').toLowerCase();
+  if (!id) {
+    return error(400, 'id parameter is required');
+  }
+  if (!GIF_ID_PATTERN.test(id)) {
+    return error(400, 'Invalid RedGifs ID');
+  }
+  const quality = ctx.query.quality === 'sd' ? 'sd' : 'hd';
+  const range = ctx.headers && ctx.headers.range;
+
+  try {
+    const urls = await resolveGif(id);
+    const mediaUrl = urls[quality] || urls.hd || urls.sd;
+    if (!mediaUrl) {
+      return error(404, 'No video available for this GIF');
+    }
+
+    const upstream = await openMedia(mediaUrl, range);
+    const headers = { 'Accept-Ranges': 'bytes', 'Cache-Control': CACHE_CONTROL };
+    FORWARDED_HEADERS.forEach((name) => {
+      const value = upstream.headers.get(name);
+      if (value) headers[name] = value;
+    });
+
+    if (upstream.status === 416) {
+      upstream.body.resume();
+      return { status: 416, headers: { 'Content-Range': headers['content-range'] }, raw: '' };
+    }
+
+    console.log(`[RedGifs] Streaming ${id} (${quality}${range ? `, ${range}` : ''})`);
+    return { status: upstream.status, headers, stream: upstream.body };
+  } catch (err) {
+    return redgifsError(err, id);
+  }
+};
+
+module.exports = { getRedgif };
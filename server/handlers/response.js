@@ -0,0 +1,50 @@
+// Transport-agnostic responses. Handlers return plain objects and the
+// Express/Vercel adapters write them with sendResult():
+//   { status, headers, body }    JSON body
+//   { status, headers, raw }     string/Buffer sent as-is
+//   { status, headers, stream }  readable stream piped to the client
+
+const json = (body, status = 200, headers = {}) => ({ status, headers, body });
+
+const error = (status, message, extra = {}) => ({
+  status,
+  headers: {},
+  body: { error: message, ...extra }
+});
+
+// Write a handler result to a Node http.ServerResponse (Express and Vercel both extend it)
+const sendResult = (res, result) => {
+  const { status = 200, headers = {}, body, raw, stream } = result;
+
+  res.statusCode = status;
+  Object.entries(headers).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) {
+      res.setHeader(name, value);
+    }
+  });
+
+  if (stream) {
+    stream.on('error', (err) => {
+      console.error('[API] Stream error:', err);
+      res.destroy(err);
+    });
+    // Stop reading upstream when the client goes away (e.g. a video seeks)
+    res.on('close', () => {
+      if (!res.writableFinished && typeof stream.destroy === 'function') {
+        stream.destroy();
+      }
+    });
+    return stream.pipe(res);
+  }
+
+  if (raw !== undefined) {
+    return res.end(raw);
+  }
+
+  if (!res.getHeader('Content-Type')) {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  }
+  return res.end(JSON.stringify(body === undefined ? null : body));
+};
+
+module.exports = { json, error, sendResult };
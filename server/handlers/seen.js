@@ -0,0 +1,118 @@
+const { connectToDatabase } = require('../config/db');
+const { json, error } = require('./response');
+
+const MAX_BULK_SEEN = 5000;
+
+// GET /seen?feedKey=  (also /seen/:userId/:feedKey)
+const listSeen = async (ctx) => {
+  const { userId } = ctx;
+  const feedKey = ctx.params.feedKey || ctx.query.feedKey;
+  if (!feedKey) {
+    return error(400, 'feedKey is required');
+  }
+
+  try {
+    const db = await connectToDatabase();
+    const docs = await db.collection('seen_memes')
+      .find({ userId, feedKey })
+      .toArray();
+    return json(docs.map(d => d.memeId));
+  } catch (err) {
+    console.error('[Seen] Error fetching seen memes:', err);
+    return error(500, 'Failed to fetch seen memes');
+  }
+};
+
+// POST /seen  body: { feedKey, memeIds }
+const addSeen = async (ctx) => {
+  const { userId } = ctx;
+  const { feedKey, memeIds } = ctx.body || {};
+  if (!feedKey || !Array.isArray(memeIds) || memeIds.length === 0) {
+    return error(400, 'feedKey and memeIds[] are required');
+  }
+
+  try {
+    const db = await connectToDatabase();
+
+    // Use bulkWrite with upsert to handle duplicates gracefully
+    const operations = memeIds.map(memeId => ({
+      updateOne: {
+        filter: { userId, feedKey, memeId },
+        update: { $setOnInsert: { userId, feedKey, memeId, createdAt: new Date() } },
+        upsert: true
+      }
+    }));
+
+    await db.collection('seen_memes').bulkWrite(operations, { ordered: false });
+    return json({ success: true });
+  } catch (err) {
+    console.error('[Seen] Error saving seen memes:', err);
+    return error(500, 'Failed to save seen memes');
+  }
+};
+
+// Validate a bulk body: { feeds: { [feedKey]: memeIds[] } }. Only the app's own
+// seen_memes_* keys are accepted. Returns { feeds } or { message } for a 400.
+const parseBulkSeen = (body) => {
+  const { feeds } = body || {};
+  if (!feeds || typeof feeds !== 'object' || Array.isArray(feeds)) {
+    return { message: 'feeds is required' };
+  }
+
+  const entries = Object.entries(feeds);
+  if (entries.some(([feedKey, memeIds]) => !/^seen_memes_[\w+-]{1,200}$/.test(feedKey) || !Array.isArray(memeIds))) {
+    return { message: 'feeds must map seen_memes_* keys to memeIds[]' };
+  }
+  const total = entries.reduce((sum, [, memeIds]) => sum + memeIds.length, 0);
+  if (total > MAX_BULK_SEEN) {
+    return { message: `At most ${MAX_BULK_SEEN} seen IDs per request` };
+  }
+  return {
+    feeds: entries.map(([feedKey, memeIds]) => [feedKey, [...new Set(memeIds.filter(id => typeof id === 'string' && id))]])
+  };
+};
+
+// POST /seen/bulk  body: { feeds }  - used to merge anonymous history on sign-in.
+// Like POST /seen, IDs already recorded are skipped.
+const addSeenBulk = async (ctx) => {
+  const { userId } = ctx;
+  const { feeds, message } = parseBulkSeen(ctx.body);
+  if (message) {
+    return error(400, message);
+  }
+
+  const now = new Date();
+  const operations = feeds.flatMap(([feedKey, memeIds]) => memeIds.map(memeId => ({
+    updateOne: {
+      filter: { userId, feedKey, memeId },
+      update: { $setOnInsert: { userId, feedKey, memeId, createdAt: now } },
+      upsert: true
+    }
+  })));
+  if (operations.length === 0) {
+    return json({ received: 0, merged: 0 });
+  }
+
+  try {
+    const db = await connectToDatabase();
+    const result = await db.collection('seen_memes').bulkWrite(operations, { ordered: false });
+    console.log('[Seen] Merged', result.upsertedCount, 'of', operations.length, 'seen IDs for user:', userId);
+    return json({ received: operations.length, merged: result.upsertedCount });
+  } catch (err) {
+    console.error('[Seen] Error merging seen memes:', err);
+    return error(500, 'Failed to merge seen memes');
+  }
+};
+
+// Of the given meme IDs, return the Set the user has already seen in this feed.
+// One $in lookup served by the { userId, feedKey, memeId } index.
+const findSeenIds = async (userId, feedKey, memeIds) => {
+  if (memeIds.length === 0) return new Set();
+  const db = await connectToDatabase();
+  const docs = await db.collection('seen_memes')
+    .find({ userId, feedKey, memeId: { $in: memeIds } }, { projection: { _id: 0, memeId: 1 } })
+    .toArray();
+  return new Set(docs.map(d => d.memeId));
+};
+
+module.exports = { listSeen, addSeen, addSeenBulk, findSeenIds, parseBulkSeen };
@@ -0,0 +1,16 @@
+const { IMAGE_EXTENSION, GIF_EXTENSION, VIDEO_EXTENSION, imageMedia, gifMedia, videoMedia } = require('../sources');
+
+// A link straight to a media file on any host (catbox, a personal server, ...),
+// recognised by its extension. Registered last so host-specific plugins win.
+module.exports = {
+  name: 'direct',
+
+  match: (url) => Boolean(url) && /^https?:$/.test(url.protocol),
+
+  resolve: (url, data) => {
+    if (VIDEO_EXTENSION.test(url.pathname)) return videoMedia(url.href, data);
+    if (GIF_EXTENSION.test(url.pathname)) return gifMedia(url.href, data);
+    if (IMAGE_EXTENSION.test(url.pathname)) return imageMedia(url.href, data);
+    return null;
+  }
+};
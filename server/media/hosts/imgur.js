@@ -0,0 +1,107 @@
+const fetch = require('node-fetch');
+const {
+  IMAGE_EXTENSION,
+  GIF_EXTENSION,
+  GIFV_EXTENSION,
+  VIDEO_EXTENSION,
+  candidate,
+  fromFile,
+  previewImageOf,
+  imageMedia,
+  gifMedia,
+  videoMedia
+} = require('../sources');
+
+const IMGUR_HOST = /(^|\.)imgur\.com$/i;
+const LOOKUP_TIMEOUT_MS = 5000;
+
+// Read per call so tests can point at a local stub
+//   IMGUR_CLIENT_ID     enables album lookups; without it albums show their preview
+//   IMGUR_API_BASE_URL  defaults to https://api.imgur.com/3
+const getConfig = () => ({
+  clientId: process.env.IMGUR_CLIENT_ID || null,
+  apiBaseUrl: process.env.IMGUR_API_BASE_URL || 'https://api.imgur.com/3'
+});
+
+// i.imgur.com serves every upload under any extension; .mp4 is the transcode
+// of an animated upload
+const mp4Of = (id) => `https://i.imgur.com/${id}.mp4`;
+
+// /a/:id, /gallery/:id and their slugged forms (/a/some-title-AbC12)
+const albumIdFrom = (pathname) => {
+  const match = /^\/(?:a|gallery)\/([^/]+)/.exec(pathname);
+  if (!match) return null;
+  const slug = match[1];
+  return slug.slice(slug.lastIndexOf('-') + 1) || null;
+};
+
+const singleMedia = (url, data) => {
+  const [, id, extension = ''] = /^\/([A-Za-z0-9]+)(\.\w+)?$/.exec(url.pathname) || [];
+  if (!id) return null;
+  const path = `${id}${extension}`;
+  const animated = Boolean(data.preview?.reddit_video_preview || previewImageOf(data)?.variants?.mp4);
+
+  if (GIFV_EXTENSION.test(path)) return gifMedia(null, data, mp4Of(id));
+  if (VIDEO_EXTENSION.test(path)) return videoMedia(mp4Of(id), data);
+  if (GIF_EXTENSION.test(path)) return gifMedia(`https://i.imgur.com/${path}`, data, mp4Of(id));
+  if (IMAGE_EXTENSION.test(path)) return imageMedia(`https://i.imgur.com/${path}`, data);
+  // imgur.com/:id page link
+  return animated ? gifMedia(null, data, mp4Of(id)) : imageMedia(`https://i.imgur.com/${id}.jpg`, data);
+};
+
+// One album image from the API: { id, description, type, animated, width, height, link, mp4, has_sound }
+const albumItem = (image) => {
+  const animated = Boolean(image.animated || image.mp4);
+  const isVideo = /^video\//.test(image.type || '');
+  return {
+    id: image.id,
+    type: animated ? (image.has_sound ? 'video' : 'gif') : 'image',
+    caption: image.description || null,
+    link: null,
+    sources: isVideo ? [] : [candidate(image.link, image.width, image.height)],
+    video: animated ? fromFile(image.mp4 || mp4Of(image.id), image.width, image.height, Boolean(image.has_sound)) : null
+  };
+};
+
+module.exports = {
+  name: 'imgur',
+
+  match: (url) => IMGUR_HOST.test(url?.hostname || ''),
+
+  resolve: (url, data) => {
+    const albumId = albumIdFrom(url.pathname);
+    if (!albumId) return singleMedia(url, data);
+
+    // Reddit only embeds the album's cover; the images come from lookup()
+    const cover = previewImageOf(data) ? imageMedia(null, data) : null;
+    return {
+      type: cover ? 'image' : 'link',
+      sources: cover ? cover.sources : [],
+      video: null,
+      embed: null,
+      lookup: { host: 'imgur', id: albumId }
+    };
+  },
+
+  lookup: async (albumId) => {
+    const { clientId, apiBaseUrl } = getConfig();
+    if (!clientId) return null;
+
+    const response = await fetch(`${apiBaseUrl}/album/${encodeURIComponent(albumId)}/images`, {
+      headers: { Authorization: `Client-ID ${clientId}` },
+      timeout: LOOKUP_TIMEOUT_MS
+    });
+    if (!response.ok) {
+      throw new Error(`Imgur responded with status ${response.status}`);
+    }
+    const { data: images } = await response.json();
+    const gallery = (images || []).filter(image => image.link).map(albumItem);
+    if (gallery.length === 0) return null;
+
+    if (gallery.length === 1) {
+      const [item] = gallery;
+      return { type: item.type, sources: item.sources, video: item.video, gallery: null };
+    }
+    return { type: 'gallery', sources: gallery[0].sources, video: null, gallery };
+  }
+};
@@ -0,0 +1,9 @@
+// Built-in media hosts, most specific first
+module.exports = [
+  require('./vreddit'),
+  require('./ireddit'),
+  require('./redgifs'),
+  require('./imgur'),
+  require('./streamable'),
+  require('./direct')
+];
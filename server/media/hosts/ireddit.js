@@ -0,0 +1,14 @@
+const { IMAGE_EXTENSION, GIF_EXTENSION, imageMedia, gifMedia } = require('../sources');
+
+// Reddit-hosted images and GIFs (i.redd.it)
+module.exports = {
+  name: 'ireddit',
+
+  match: (url) => url?.hostname === 'i.redd.it',
+
+  resolve: (url, data) => {
+    if (GIF_EXTENSION.test(url.pathname)) return gifMedia(url.href, data);
+    if (IMAGE_EXTENSION.test(url.pathname)) return imageMedia(url.href, data);
+    return null;
+  }
+};
@@ -0,0 +1,32 @@
+const { previewCandidates, previewImageOf, fromRedditVideo, unescape } = require('../sources');
+
+// RedGifs links: /watch/:id, /ifr/:id (the oEmbed iframe) and i.redgifs.com/i/:id.jpg
+const REDGIFS_ID = /redgifs\.com\/(?:watch|ifr|i)\/([A-Za-z0-9]+)/i;
+
+const oembedHtmlOf = (data) => unescape(data.secure_media?.oembed?.html || data.media?.oembed?.html || '') || '';
+
+const idFrom = (url, data) => {
+  const match = REDGIFS_ID.exec(url?.href || '') || REDGIFS_ID.exec(oembedHtmlOf(data));
+  return match ? match[1].toLowerCase() : null;
+};
+
+// Clients play the video through /api/redgifs/:id; Reddit's own transcode, when
+// it made one, is offered as `video` so no RedGifs request is needed at all
+module.exports = {
+  name: 'redgifs',
+
+  match: (url, data) => /(^|\.)redgifs\.com$/i.test(url?.hostname || '') || REDGIFS_ID.test(oembedHtmlOf(data)),
+
+  resolve: (url, data) => {
+    const id = idFrom(url, data);
+    if (!id) return null;
+    const videoPreview = data.preview?.reddit_video_preview;
+    const video = videoPreview ? fromRedditVideo(videoPreview) : null;
+    return {
+      type: !video ? 'embed' : videoPreview.is_gif ? 'gif' : 'video',
+      sources: previewCandidates(previewImageOf(data)),
+      video,
+      embed: { provider: 'redgifs', id, url: unescape(data.url), html: null }
+    };
+  }
+};
@@ -0,0 +1,69 @@
+const fetch = require('node-fetch');
+const { previewCandidates, previewImageOf, fromRedditVideo, candidate, decodeHtml, unescape } = require('../sources');
+
+const LOOKUP_TIMEOUT_MS = 5000;
+// status 2 = finished transcoding
+const STATUS_READY = 2;
+
+// Read per call so tests can point at a local stub
+//   STREAMABLE_API_BASE_URL  defaults to https://api.streamable.com
+const getConfig = () => ({
+  apiBaseUrl: process.env.STREAMABLE_API_BASE_URL || 'https://api.streamable.com'
+});
+
+// streamable.com/:code, /e/:code (embed) and /o/:code (original)
+const codeFrom = (pathname) => {
+  const match = /^\/(?:[eo]\/)?([A-Za-z0-9]+)\/?$/.exec(pathname);
+  return match ? match[1] : null;
+};
+
+// The API hands out protocol-relative CDN URLs
+const absolute = (url) => (typeof url === 'string' && url.startsWith('//') ? `https:${url}` : url);
+
+module.exports = {
+  name: 'streamable',
+
+  match: (url) => /(^|\.)streamable\.com$/i.test(url?.hostname || ''),
+
+  // Reddit embeds the player only; the files come from lookup()
+  resolve: (url, data) => {
+    const code = codeFrom(url.pathname);
+    if (!code) return null;
+    const oembedHtml = data.secure_media?.oembed?.html || data.media?.oembed?.html;
+    const videoPreview = data.preview?.reddit_video_preview;
+    return {
+      type: videoPreview ? 'video' : 'embed',
+      sources: previewCandidates(previewImageOf(data)),
+      video: videoPreview ? fromRedditVideo(videoPreview) : null,
+      embed: { provider: 'streamable', id: code, url: unescape(data.url), html: oembedHtml ? decodeHtml(oembedHtml) : null },
+      lookup: { host: 'streamable', id: code }
+    };
+  },
+
+  lookup: async (code) => {
+    const response = await fetch(`${getConfig().apiBaseUrl}/videos/${encodeURIComponent(code)}`, {
+      timeout: LOOKUP_TIMEOUT_MS
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Streamable responded with status ${response.status}`);
+    }
+    const body = await response.json();
+    if (body.status !== STATUS_READY || !body.files) return null;
+
+    const files = [body.files.mp4, body.files['mp4-mobile']].filter(file => file && file.url);
+    if (files.length === 0) return null;
+
+    return {
+      type: 'video',
+      sources: body.thumbnail_url ? [candidate(absolute(body.thumbnail_url), files[0].width, files[0].height)] : [],
+      video: {
+        sources: files.map(file => ({ ...candidate(absolute(file.url), file.width, file.height), mimeType: 'video/mp4' })),
+        hls: null,
+        dash: null,
+        hasAudio: null,
+        duration: files[0].duration || null
+      }
+    };
+  }
+};
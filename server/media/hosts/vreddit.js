@@ -0,0 +1,28 @@
+const { previewCandidates, previewImageOf, fromRedditVideo } = require('../sources');
+
+// Reddit-hosted video (v.redd.it). The playable variants live in the post's
+// media.reddit_video, or the original post's for a crosspost.
+const redditVideoOf = (data) => {
+  const own = data.secure_media?.reddit_video || data.media?.reddit_video;
+  if (own) return own;
+  const parent = data.crosspost_parent_list?.[0];
+  return parent ? parent.secure_media?.reddit_video || parent.media?.reddit_video : null;
+};
+
+module.exports = {
+  name: 'vreddit',
+
+  match: (url, data) => url?.hostname === 'v.redd.it' || Boolean(redditVideoOf(data)),
+
+  // A v.redd.it link without the metadata has nothing playable
+  resolve: (url, data) => {
+    const redditVideo = redditVideoOf(data);
+    if (!redditVideo) return null;
+    return {
+      type: redditVideo.is_gif ? 'gif' : 'video',
+      sources: previewCandidates(previewImageOf(data)),
+      video: fromRedditVideo(redditVideo),
+      embed: null
+    };
+  }
+};
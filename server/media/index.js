@@ -0,0 +1,34 @@
+const { createRegistry } = require('./registry');
+const { pickPoster } = require('./sources');
+const builtInHosts = require('./hosts');
+
+// The server's media host registry. Extra hosts can be added at startup with
+// registerMediaHost(plugin); see registry.js for the plugin shape.
+const registry = createRegistry(builtInHosts);
+
+// Complete a normalized post whose host needs an API call (`lookup` set by the
+// host's resolve()). Resolves to a new model with `lookup` cleared; when the
+// lookup fails the model keeps what Reddit embedded.
+const resolveLookup = async (model) => {
+  if (!model || !model.lookup) return model;
+
+  const media = await registry.lookup(model.lookup);
+  if (!media) return { ...model, lookup: null };
+
+  const sources = media.sources && media.sources.length > 0 ? media.sources : model.sources;
+  return {
+    ...model,
+    type: media.type,
+    sources,
+    video: media.video || model.video,
+    gallery: media.gallery || model.gallery,
+    poster: model.poster || pickPoster(sources),
+    lookup: null
+  };
+};
+
+module.exports = {
+  registry,
+  registerMediaHost: registry.register,
+  resolveLookup
+};
@@ -0,0 +1,86 @@
+const { createCache } = require('../cache');
+const { createMemoryCache } = require('../cache/memoryCache');
+const { unescape } = require('./sources');
+
+// A media host plugin maps a post URL to playable sources:
+//
+//   {
+//     name: 'imgur',
+//     match(url, data)   -> boolean      url is a WHATWG URL (or null), data the raw post
+//     resolve(url, data) -> media | null  { type, sources, video, embed, gallery?, lookup? }
+//     lookup(id)         -> Promise<media | null>   optional, for hosts with an API
+//   }
+//
+// resolve() must be synchronous and offline; it works from the post URL and
+// what Reddit already embedded in the post. When that is not enough (an imgur
+// album, a streamable video) it returns what it can plus `lookup: { host, id }`,
+// and resolveLookup() later asks the plugin's lookup() for the rest.
+// Plugins are tried in order; the first non-null resolve() wins.
+
+const LOOKUP_TTL_MS = 60 * 60 * 1000;
+
+const parseUrl = (raw) => {
+  try {
+    return new URL(unescape(raw));
+  } catch {
+    return null;
+  }
+};
+
+const createRegistry = (plugins = []) => {
+  const hosts = [...plugins];
+  let lookupCache = null;
+
+  const getLookupCache = () => {
+    if (!lookupCache) {
+      lookupCache = createCache(createMemoryCache({ maxEntries: 1000 }), { ttl: LOOKUP_TTL_MS, staleTtl: 0 });
+    }
+    return lookupCache;
+  };
+
+  // Custom plugins take precedence over the built-in ones
+  const register = (plugin) => {
+    if (!plugin || typeof plugin.name !== 'string' || typeof plugin.match !== 'function' || typeof plugin.resolve !== 'function') {
+      throw new TypeError('A media host needs a name, match() and resolve()');
+    }
+    const existing = hosts.findIndex(host => host.name === plugin.name);
+    if (existing !== -1) hosts.splice(existing, 1);
+    hosts.unshift(plugin);
+  };
+
+  const resolve = (rawUrl, data = {}) => {
+    const url = parseUrl(rawUrl);
+    for (const host of hosts) {
+      if (!host.match(url, data)) continue;
+      const media = host.resolve(url, data);
+      if (media) return { ...media, host: host.name };
+    }
+    return null;
+  };
+
+  // Failed lookups resolve to null (and are cached as such) so one broken host
+  // never fails a whole feed page
+  const lookup = async (ref) => {
+    const host = ref && hosts.find(h => h.name === ref.host);
+    if (!host || typeof host.lookup !== 'function') return null;
+
+    const { value } = await getLookupCache().wrap(`media:${ref.host}:${ref.id}`, async () => {
+      try {
+        return await host.lookup(ref.id);
+      } catch (err) {
+        console.error(`[Media] ${ref.host} lookup failed for ${ref.id}:`, err.message);
+        return null;
+      }
+    });
+    return value;
+  };
+
+  return {
+    register,
+    resolve,
+    lookup,
+    names: () => hosts.map(host => host.name)
+  };
+};
+
+module.exports = { createRegistry };
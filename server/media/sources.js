@@ -0,0 +1,148 @@
+// Building blocks for the normalized media model, shared by the post normalizer
+// (server/reddit/normalize.js) and the host resolvers (server/media/hosts).
+
+const POSTER_MAX_WIDTH = 640;
+
+// Match a URL's pathname (or a whole URL, query string and all)
+const IMAGE_EXTENSION = /\.(jpe?g|png|webp)(\?|$)/i;
+const GIF_EXTENSION = /\.gif(\?|$)/i;
+const GIFV_EXTENSION = /\.gifv(\?|$)/i;
+const VIDEO_EXTENSION = /\.(mp4|webm|mov)(\?|$)/i;
+
+// Reddit's JSON escapes URLs as HTML (`&amp;`)
+const unescape = (url) => (typeof url === 'string' ? url.replace(/&amp;/g, '&') : null);
+
+// oEmbed HTML arrives entity-escaped as a whole (`&lt;iframe ...&gt;`)
+const decodeHtml = (html) => html
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const candidate = (url, width, height) => ({
+  url: unescape(url),
+  width: width || null,
+  height: height || null
+});
+
+// Largest first, without duplicate URLs
+const orderCandidates = (candidates) => {
+  const seen = new Set();
+  return candidates
+    .filter(c => c.url && !seen.has(c.url) && seen.add(c.url))
+    .sort((a, b) => (b.width || 0) - (a.width || 0));
+};
+
+// Reddit preview image: { source: {url,width,height}, resolutions: [...] }
+const previewCandidates = (image) => {
+  if (!image) return [];
+  return orderCandidates([
+    ...(image.source ? [candidate(image.source.url, image.source.width, image.source.height)] : []),
+    ...(image.resolutions || []).map(r => candidate(r.url, r.width, r.height))
+  ]);
+};
+
+const previewImageOf = (data) => data.preview?.images?.[0];
+
+const pickPoster = (candidates) => (
+  candidates.find(c => c.width && c.width <= POSTER_MAX_WIDTH) ||
+  candidates[candidates.length - 1] ||
+  null
+);
+
+const mimeTypeOf = (url) => {
+  if (/\.webm(\?|$)/i.test(url)) return 'video/webm';
+  if (/\.mov(\?|$)/i.test(url)) return 'video/quicktime';
+  return 'video/mp4';
+};
+
+// media.reddit_video / preview.reddit_video_preview
+const fromRedditVideo = (rv) => ({
+  sources: rv.fallback_url
+    ? [{ ...candidate(rv.fallback_url, rv.width, rv.height), mimeType: 'video/mp4' }]
+    : [],
+  hls: unescape(rv.hls_url),
+  dash: unescape(rv.dash_url),
+  hasAudio: typeof rv.has_audio === 'boolean' ? rv.has_audio : !rv.is_gif,
+  duration: rv.duration || null
+});
+
+// A progressive file; hasAudio stays null (unknown) unless the caller knows
+const fromFile = (url, width, height, hasAudio = null, duration = null) => ({
+  sources: [{ ...candidate(url, width, height), mimeType: mimeTypeOf(url) }],
+  hls: null,
+  dash: null,
+  hasAudio,
+  duration
+});
+
+// A still image at `url`, with Reddit's previews as smaller candidates
+const imageMedia = (url, data) => {
+  const previewImage = previewImageOf(data);
+  const source = previewImage?.source;
+  return {
+    type: 'image',
+    sources: orderCandidates([candidate(url, source?.width, source?.height), ...previewCandidates(previewImage)]),
+    video: null,
+    embed: null
+  };
+};
+
+// An animated GIF at `url` (or only `mp4Url`). Reddit's preview variants add
+// smaller GIFs and an MP4 transcode, which clients play in preference to the GIF.
+const gifMedia = (url, data, mp4Url = null) => {
+  const previewImage = previewImageOf(data);
+  const source = previewImage?.source;
+  const gifVariant = previewImage?.variants?.gif;
+  const mp4Variant = previewImage?.variants?.mp4;
+
+  let video = null;
+  if (mp4Url) {
+    video = fromFile(mp4Url, source?.width, source?.height, false);
+  } else if (mp4Variant?.source) {
+    video = fromFile(mp4Variant.source.url, mp4Variant.source.width, mp4Variant.source.height, false);
+  }
+
+  const gifSources = orderCandidates([
+    ...(url ? [candidate(url, source?.width, source?.height)] : []),
+    ...(gifVariant ? previewCandidates(gifVariant) : [])
+  ]);
+  return {
+    type: 'gif',
+    sources: gifSources.length > 0 ? gifSources : previewCandidates(previewImage),
+    video,
+    embed: null
+  };
+};
+
+// A video file at `url`, previews as poster candidates
+const videoMedia = (url, data, { hasAudio = null, type = 'video' } = {}) => {
+  const previewImage = previewImageOf(data);
+  const source = previewImage?.source;
+  return {
+    type,
+    sources: previewCandidates(previewImage),
+    video: fromFile(url, source?.width, source?.height, hasAudio),
+    embed: null
+  };
+};
+
+module.exports = {
+  IMAGE_EXTENSION,
+  GIF_EXTENSION,
+  GIFV_EXTENSION,
+  VIDEO_EXTENSION,
+  unescape,
+  decodeHtml,
+  candidate,
+  orderCandidates,
+  previewCandidates,
+  previewImageOf,
+  pickPoster,
+  fromRedditVideo,
+  fromFile,
+  imageMedia,
+  gifMedia,
+  videoMedia
+};
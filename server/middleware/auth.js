@@ -0,0 +1,96 @@
+const { verifyToken } = require('@clerk/clerk-sdk-node');
+
+// Error carrying the HTTP status an auth failure should be answered with
+class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// Build Clerk verification options from the environment.
+// CLERK_JWT_KEY (the instance PEM public key) verifies without a network call;
+// otherwise the JWKS is loaded from the Frontend API (CLERK_ISSUER) or the
+// Backend API (CLERK_SECRET_KEY). Options are read per call so tests can swap them.
+const getVerifyOptions = () => {
+  const options = {};
+
+  if (process.env.CLERK_JWT_KEY) {
+    options.jwtKey = process.env.CLERK_JWT_KEY;
+  }
+  if (process.env.CLERK_ISSUER) {
+    options.issuer = process.env.CLERK_ISSUER.replace(/\/$/, '');
+  }
+  if (process.env.CLERK_SECRET_KEY) {
+    options.secretKey = process.env.CLERK_SECRET_KEY;
+  }
+  if (process.env.CLERK_AUTHORIZED_PARTIES) {
+    options.authorizedParties = process.env.CLERK_AUTHORIZED_PARTIES
+      .split(',')
+      .map(party => party.trim())
+      .filter(Boolean);
+  }
+
+  return options;
+};
+
+// Extract the session token from an `Authorization: Bearer <token>` header
+const getBearerToken = (req) => {
+  const header = (req.headers && req.headers.authorization) || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+// Verify the request's session token and return the Clerk user ID it was issued for
+const authenticateRequest = async (req) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    throw new AuthError(401, 'Authentication required');
+  }
+
+  let payload;
+  try {
+    payload = await verifyToken(token, getVerifyOptions());
+  } catch (error) {
+    console.warn('[Auth] Rejected session token:', error.reason || error.message);
+    throw new AuthError(401, 'Invalid or expired session token');
+  }
+
+  if (!payload || !payload.sub) {
+    throw new AuthError(401, 'Session token has no subject');
+  }
+
+  return payload.sub;
+};
+
+// Reject requests that name a different user than the verified session.
+// Clients may still send userId for backwards compatibility, but it is never trusted.
+const assertSameUser = (authUserId, claimedUserId) => {
+  if (claimedUserId && claimedUserId !== authUserId) {
+    throw new AuthError(403, 'userId does not match the signed-in user');
+  }
+};
+
+// Express middleware: verifies the session and exposes the user ID as req.userId
+const requireAuth = async (req, res, next) => {
+  try {
+    const userId = await authenticateRequest(req);
+    assertSameUser(userId, (req.params && req.params.userId) || req.query.userId || (req.body && req.body.userId));
+    req.userId = userId;
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  AuthError,
+  getBearerToken,
+  authenticateRequest,
+  assertSameUser,
+  requireAuth
+};
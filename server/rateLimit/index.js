@@ -0,0 +1,49 @@
+const { createTokenBucket } = require('./tokenBucket');
+const { createUpstreamBudget, UpstreamBudgetError } = require('./upstreamBudget');
+
+// Per-route quotas, in requests per minute per client. The bucket holds one
+// minute's worth, so short bursts are fine. Override with RATE_LIMIT_<NAME>_PER_MINUTE.
+const QUOTAS = {
+  reddit: 30,
+  // Players fetch one video in several Range requests
+  redgifs: 240,
+  // Archived likes: a page of cards, and videos in Range requests
+  media: 240,
+  // ZIP downloads each fetch many files
+  download: 10,
+  write: 120
+};
+
+const buckets = {};
+
+const getBucket = (name) => {
+  if (!buckets[name]) {
+    const perMinute = parseInt(process.env[`RATE_LIMIT_${name.toUpperCase()}_PER_MINUTE`], 10) || QUOTAS[name];
+    buckets[name] = createTokenBucket({ capacity: perMinute, refillPerSecond: perMinute / 60 });
+  }
+  return buckets[name];
+};
+
+// Take one request (or `count`) from `key`'s quota. Returns { allowed, headers, retryAfter }
+// with the standard RateLimit-* headers (plus Retry-After when rejected).
+const consumeQuota = (name, key, count = 1) => {
+  const verdict = getBucket(name).take(key, count);
+  const headers = {
+    'RateLimit-Limit': String(verdict.limit),
+    'RateLimit-Remaining': String(verdict.remaining),
+    'RateLimit-Reset': String(verdict.reset),
+    'RateLimit-Policy': `${verdict.limit};w=60`
+  };
+  if (!verdict.allowed) {
+    headers['Retry-After'] = String(verdict.retryAfter);
+  }
+  return { allowed: verdict.allowed, headers, retryAfter: verdict.retryAfter };
+};
+
+// One budget for every call this process makes to Reddit
+const redditBudget = createUpstreamBudget({
+  reserve: parseInt(process.env.REDDIT_UPSTREAM_RESERVE, 10) || 5,
+  slowdownAt: parseInt(process.env.REDDIT_UPSTREAM_SLOWDOWN_AT, 10) || 50
+});
+
+module.exports = { QUOTAS, consumeQuota, redditBudget, UpstreamBudgetError };
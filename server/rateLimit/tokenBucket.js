@@ -0,0 +1,58 @@
+// Token bucket limiter. Each key (client IP or user ID) gets `capacity` tokens
+// that refill continuously at `refillPerSecond`; a request takes one token, or
+// more when it costs more.
+// Buckets live in a Map used as an LRU: touched buckets move to the end and the
+// oldest are evicted past `maxKeys`. A bucket that has refilled completely holds
+// no information, so it is dropped on the next sweep as well.
+const createTokenBucket = ({ capacity, refillPerSecond, maxKeys = 10000, now = Date.now }) => {
+  const buckets = new Map();
+  let lastSweep = now();
+
+  const refill = (bucket, at) => {
+    const elapsed = (at - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);
+    bucket.updatedAt = at;
+  };
+
+  const sweep = (at) => {
+    for (const [key, bucket] of buckets) {
+      refill(bucket, at);
+      if (bucket.tokens >= capacity) buckets.delete(key);
+    }
+    lastSweep = at;
+  };
+
+  // Take `count` tokens for `key`, all or none. Returns the numbers the
+  // RateLimit-* headers need.
+  const take = (key, count = 1) => {
+    const at = now();
+    if (at - lastSweep > 60 * 1000) sweep(at);
+
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: at };
+    refill(bucket, at);
+
+    const allowed = bucket.tokens >= count;
+    if (allowed) bucket.tokens -= count;
+
+    buckets.delete(key);
+    buckets.set(key, bucket);
+    while (buckets.size > maxKeys) {
+      buckets.delete(buckets.keys().next().value);
+    }
+
+    const remaining = Math.floor(bucket.tokens);
+    return {
+      allowed,
+      limit: capacity,
+      remaining,
+      // Seconds until the bucket is full again
+      reset: Math.ceil((capacity - bucket.tokens) / refillPerSecond),
+      // Seconds until enough tokens, only meaningful when rejected
+      retryAfter: allowed ? 0 : Math.ceil((count - bucket.tokens) / refillPerSecond)
+    };
+  };
+
+  return { take, size: () => buckets.size };
+};
+
+module.exports = { createTokenBucket };
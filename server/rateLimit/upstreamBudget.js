@@ -0,0 +1,84 @@
+// Global budget for calls to Reddit, shared by every client of this server.
+// Reddit reports its own quota on each response (x-ratelimit-remaining and
+// x-ratelimit-reset, in seconds). Once the remaining calls drop below
+// `slowdownAt`, calls are spaced evenly over the rest of the window; a call that
+// would wait longer than `maxWaitMs`, or would dig into the last `reserve` calls,
+// is refused with UpstreamBudgetError so clients back off before Reddit 429s.
+
+class UpstreamBudgetError extends Error {
+  constructor(retryAfter) {
+    super('Upstream request budget exhausted');
+    this.name = 'UpstreamBudgetError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+const createUpstreamBudget = ({
+  reserve = 5,
+  slowdownAt = 50,
+  maxWaitMs = 2000,
+  now = Date.now,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) => {
+  let remaining = null; // unknown until the first response
+  let resetAt = 0;
+  let nextSlotAt = 0;
+
+  const readHeader = (headers, name) => {
+    const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? null : number;
+  };
+
+  // Update the budget from an upstream response's headers
+  const record = (headers) => {
+    const reportedRemaining = readHeader(headers, 'x-ratelimit-remaining');
+    const reset = readHeader(headers, 'x-ratelimit-reset');
+    if (reportedRemaining === null || reset === null) return;
+    remaining = reportedRemaining;
+    resetAt = now() + reset * 1000;
+  };
+
+  // Reddit answered 429 anyway: stop calling until it says we may
+  const recordThrottled = (retryAfterSeconds = 60) => {
+    remaining = 0;
+    resetAt = Math.max(resetAt, now() + retryAfterSeconds * 1000);
+  };
+
+  // Resolve when an upstream call may be made; throws UpstreamBudgetError otherwise
+  const acquire = async () => {
+    const at = now();
+    if (remaining === null || at >= resetAt) return;
+
+    const windowLeft = resetAt - at;
+    if (remaining <= reserve) {
+      throw new UpstreamBudgetError(Math.ceil(windowLeft / 1000));
+    }
+
+    if (remaining > slowdownAt) {
+      remaining -= 1;
+      return;
+    }
+
+    const interval = windowLeft / (remaining - reserve);
+    const slot = Math.max(at, nextSlotAt);
+    const wait = slot - at;
+    if (wait > maxWaitMs) {
+      throw new UpstreamBudgetError(Math.ceil(wait / 1000));
+    }
+
+    nextSlotAt = slot + interval;
+    // Count the call now; the next response reports the real figure
+    remaining -= 1;
+    if (wait > 0) await sleep(wait);
+  };
+
+  const getState = () => ({
+    remaining,
+    resetInSeconds: remaining === null ? null : Math.max(0, Math.ceil((resetAt - now()) / 1000))
+  });
+
+  return { acquire, record, recordThrottled, getState };
+};
+
+module.exports = { createUpstreamBudget, UpstreamBudgetError };
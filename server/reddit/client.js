@@ -0,0 +1,64 @@
+const fetch = require('node-fetch');
+const { createTokenManager } = require('./oauth');
+
+const DEFAULT_USER_AGENT = 'RedditMemeGallery/1.0 (Server-side proxy for rate limiting)';
+
+// Read per call so tests (and redeploys with new env) pick up changes.
+//   REDDIT_CLIENT_ID / REDDIT_CLIENT_SECRET  enable OAuth; without them requests are anonymous
+//   REDDIT_USER_AGENT                       sent on every request
+//   REDDIT_TOKEN_URL, REDDIT_OAUTH_BASE_URL, REDDIT_BASE_URL  override endpoints (local stubs)
+const getConfig = () => ({
+  clientId: process.env.REDDIT_CLIENT_ID,
+  clientSecret: process.env.REDDIT_CLIENT_SECRET,
+  userAgent: process.env.REDDIT_USER_AGENT || DEFAULT_USER_AGENT,
+  tokenUrl: process.env.REDDIT_TOKEN_URL || 'https://www.reddit.com/api/v1/access_token',
+  oauthBaseUrl: process.env.REDDIT_OAUTH_BASE_URL || 'https://oauth.reddit.com',
+  anonymousBaseUrl: process.env.REDDIT_BASE_URL || 'https://www.reddit.com'
+});
+
+// One token manager per credential set
+const tokenManagers = new Map();
+
+const getTokenManager = (config) => {
+  const key = `${config.tokenUrl}|${config.clientId}`;
+  if (!tokenManagers.has(key)) {
+    tokenManagers.set(key, createTokenManager(config));
+  }
+  return tokenManagers.get(key);
+};
+
+const isOAuthConfigured = () => {
+  const { clientId, clientSecret } = getConfig();
+  return Boolean(clientId && clientSecret);
+};
+
+// GET a Reddit path such as '/r/memes/hot.json?limit=100'. Uses oauth.reddit.com
+// with an app-only bearer token when credentials are configured, otherwise
+// www.reddit.com anonymously. Resolves to the node-fetch Response.
+const redditGet = async (pathAndQuery) => {
+  const config = getConfig();
+  const headers = { 'User-Agent': config.userAgent };
+
+  if (!config.clientId || !config.clientSecret) {
+    return fetch(`${config.anonymousBaseUrl}${pathAndQuery}`, { headers });
+  }
+
+  const tokens = getTokenManager(config);
+  const send = async () => {
+    const token = await tokens.getToken();
+    const response = await fetch(`${config.oauthBaseUrl}${pathAndQuery}`, {
+      headers: { ...headers, Authorization: `Bearer ${token}` }
+    });
+    return { token, response };
+  };
+
+  const first = await send();
+  if (first.response.status !== 401) return first.response;
+
+  // Token revoked or expired early: refresh once and retry
+  console.warn('[Reddit] OAuth token rejected, refreshing');
+  tokens.invalidate(first.token);
+  return (await send()).response;
+};
+
+module.exports = { redditGet, isOAuthConfigured };
@@ -0,0 +1,154 @@
+// Normalized post model shared by the feeds, the post page and stored likes.
+// Reddit's JSON escapes URLs as HTML (`&amp;`) and scatters media across
+// preview, media, secure_media and media_metadata; normalizePost() folds all of
+// that into one shape so clients never read the raw fields:
+//
+//   {
+//     id, title, author, subreddit, score, numComments, createdUtc, permalink,
+//     url, domain, over18, selftext,
+//     type: 'image' | 'gif' | 'video' | 'gallery' | 'embed' | 'text' | 'link',
+//     poster:  { url, width, height } | null      still frame, at most ~640px wide
+//     sources: [{ url, width, height }]           image candidates, largest first
+//     video:   { sources: [{ url, width, height, mimeType }], hls, dash,
+//                hasAudio, duration } | null
+//     gallery: [{ id, type, caption, link, sources, video }] | null
+//     embed:   { provider, id, url, html } | null
+//     host:    media host plugin that resolved the post, e.g. 'imgur' | null
+//     lookup:  { host, id } | null   pending host API call, see server/media
+//   }
+//
+// `video` may be set together with `embed` (e.g. a RedGifs post Reddit has
+// transcoded); clients play `video` when present and fall back to the embed.
+
+const {
+  IMAGE_EXTENSION,
+  unescape,
+  decodeHtml,
+  candidate,
+  orderCandidates,
+  previewCandidates,
+  pickPoster,
+  fromRedditVideo,
+  fromFile,
+  imageMedia
+} = require('../media/sources');
+const { registry } = require('../media');
+
+const isThumbnailUrl = (thumbnail) => typeof thumbnail === 'string' && /^https?:\/\//.test(thumbnail);
+
+// Any other oEmbed provider (YouTube, Twitch, ...): the player HTML only
+const embedFrom = (data) => {
+  const oembed = data.secure_media?.oembed || data.media?.oembed;
+  if (!oembed?.html) return null;
+  return {
+    provider: (oembed.provider_name || data.domain || 'embed').toLowerCase(),
+    id: null,
+    url: unescape(data.url),
+    html: decodeHtml(oembed.html)
+  };
+};
+
+// media_metadata entry: e = 'Image' | 'AnimatedImage', s = source, p = previews
+const galleryItem = (item, media) => {
+  if (!media || media.status !== 'valid' || !media.s) return null;
+  const animated = media.e === 'AnimatedImage';
+  const sources = orderCandidates([
+    candidate(media.s.u || media.s.gif, media.s.x, media.s.y),
+    ...(media.p || []).map(p => candidate(p.u, p.x, p.y))
+  ]);
+  if (sources.length === 0 && !media.s.mp4) return null;
+
+  return {
+    id: item.media_id,
+    type: animated ? 'gif' : 'image',
+    caption: item.caption || null,
+    link: unescape(item.outbound_url),
+    sources,
+    video: animated && media.s.mp4 ? fromFile(media.s.mp4, media.s.x, media.s.y, false) : null
+  };
+};
+
+const galleryFrom = (data) => {
+  if (!data.is_gallery || !data.gallery_data?.items || !data.media_metadata) return null;
+  const items = data.gallery_data.items
+    .map(item => galleryItem(item, data.media_metadata[item.media_id]))
+    .filter(Boolean);
+  return items.length > 0 ? items : null;
+};
+
+// Work out type, sources and video for a non-gallery post: the media host
+// registry first (server/media/hosts), then what Reddit itself embedded
+const mediaFrom = (data, previewImage) => {
+  const resolved = registry.resolve(data.url, data);
+  if (resolved) return resolved;
+
+  const url = unescape(data.url) || '';
+  const videoPreview = data.preview?.reddit_video_preview;
+  const embed = embedFrom(data);
+  const images = previewCandidates(previewImage);
+
+  if (embed) {
+    const video = videoPreview ? fromRedditVideo(videoPreview) : null;
+    const type = !video ? 'embed' : videoPreview.is_gif ? 'gif' : 'video';
+    return { type, sources: images, video, embed };
+  }
+
+  if (videoPreview) {
+    return { type: 'video', sources: images, video: fromRedditVideo(videoPreview), embed: null };
+  }
+
+  if (IMAGE_EXTENSION.test(url) || data.post_hint === 'image') {
+    return imageMedia(url, data);
+  }
+
+  if (images.length > 0 && data.post_hint !== 'link' && !data.is_self) {
+    return { type: 'image', sources: images, video: null, embed: null };
+  }
+
+  return { type: data.is_self ? 'text' : 'link', sources: images, video: null, embed: null };
+};
+
+// Accepts a raw post's `data` (or a listing child, or a stored like, which keeps
+// the same field names)
+const normalizePost = (post) => {
+  const data = post && !post.id && post.data ? post.data : post;
+  if (!data || !data.id) return null;
+
+  const previewImage = data.preview?.images?.[0];
+  const gallery = galleryFrom(data);
+  const media = gallery
+    ? { type: 'gallery', sources: gallery[0].sources, video: null, embed: null }
+    : mediaFrom(data, previewImage);
+
+  const posterCandidates = gallery ? gallery[0].sources : previewCandidates(previewImage);
+  const poster = pickPoster(posterCandidates.length > 0 ? posterCandidates : media.sources) ||
+    (isThumbnailUrl(data.thumbnail) ? candidate(data.thumbnail, data.thumbnail_width, data.thumbnail_height) : null);
+
+  return {
+    id: data.id,
+    title: data.title || '',
+    author: data.author || null,
+    subreddit: data.subreddit || null,
+    score: typeof data.score === 'number' ? data.score : null,
+    numComments: typeof data.num_comments === 'number' ? data.num_comments : null,
+    createdUtc: data.created_utc || null,
+    permalink: data.permalink || null,
+    url: unescape(data.url),
+    domain: data.domain || null,
+    over18: Boolean(data.over_18),
+    selftext: data.selftext || '',
+    type: media.type,
+    poster,
+    sources: media.sources,
+    video: media.video,
+    gallery,
+    embed: media.embed,
+    host: media.host || null,
+    lookup: media.lookup || null
+  };
+};
+
+// Listing children gain a `normalized` field next to the raw `data`
+const withNormalized = (child) => ({ ...child, normalized: normalizePost(child.data) });
+
+module.exports = { normalizePost, withNormalized };
@@ -0,0 +1,57 @@
+const fetch = require('node-fetch');
+
+// Application-only OAuth (client credentials grant). Tokens last an hour; they are
+// cached and refreshed a minute early, and concurrent callers share one refresh.
+// https://github.com/reddit-archive/reddit/wiki/OAuth2#application-only-oauth
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+const createTokenManager = ({ clientId, clientSecret, tokenUrl, userAgent, now = Date.now }) => {
+  let token = null;
+  let expiresAt = 0;
+  let pending = null;
+
+  const requestToken = async () => {
+    const credentials = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+    const response = await fetch(tokenUrl, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': userAgent
+      },
+      body: 'grant_type=client_credentials'
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || !body.access_token) {
+      throw new Error(`Reddit token request failed with status ${response.status}${body.error ? `: ${body.error}` : ''}`);
+    }
+
+    token = body.access_token;
+    expiresAt = now() + (body.expires_in || 3600) * 1000 - EXPIRY_MARGIN_MS;
+    console.log('[Reddit] Obtained application-only OAuth token');
+    return token;
+  };
+
+  const getToken = async () => {
+    if (token && now() < expiresAt) return token;
+    if (!pending) {
+      pending = requestToken().finally(() => {
+        pending = null;
+      });
+    }
+    return pending;
+  };
+
+  // Forget a token Reddit rejected so the next call fetches a new one
+  const invalidate = (rejected) => {
+    if (token === rejected) {
+      token = null;
+      expiresAt = 0;
+    }
+  };
+
+  return { getToken, invalidate };
+};
+
+module.exports = { createTokenManager };
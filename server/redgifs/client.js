@@ -0,0 +1,125 @@
+const fetch = require('node-fetch');
+const { createCache } = require('../cache');
+const { createMemoryCache } = require('../cache/memoryCache');
+
+// RedGifs' API wants a temporary bearer token (GET /v2/auth/temporary). Tokens
+// last about a day and carry no expiry, so they are reused for TOKEN_TTL_MS or
+// until the API rejects one. Concurrent callers share one token request.
+const TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// Read per call so tests can point at a local stub
+//   REDGIFS_API_BASE_URL  defaults to https://api.redgifs.com/v2
+const getConfig = () => ({
+  apiBaseUrl: process.env.REDGIFS_API_BASE_URL || 'https://api.redgifs.com/v2',
+  userAgent: DEFAULT_USER_AGENT
+});
+
+// Non-2xx response from RedGifs (API or media host)
+class RedgifsError extends Error {
+  constructor(status, retryAfter = null) {
+    super(`RedGifs responded with status ${status}`);
+    this.name = 'RedgifsError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const toRedgifsError = (response) => new RedgifsError(
+  response.status,
+  parseInt(response.headers.get('retry-after'), 10) || null
+);
+
+let token = null;
+let tokenExpiresAt = 0;
+let pendingToken = null;
+
+const requestToken = async () => {
+  const { apiBaseUrl, userAgent } = getConfig();
+  const response = await fetch(`${apiBaseUrl}/auth/temporary`, { headers: { 'User-Agent': userAgent } });
+  if (!response.ok) {
+    throw toRedgifsError(response);
+  }
+  const body = await response.json();
+  if (!body.token) {
+    throw new RedgifsError(502);
+  }
+  token = body.token;
+  tokenExpiresAt = Date.now() + TOKEN_TTL_MS;
+  console.log('[RedGifs] Obtained temporary API token');
+  return token;
+};
+
+const getToken = async () => {
+  if (token && Date.now() < tokenExpiresAt) return token;
+  if (!pendingToken) {
+    pendingToken = requestToken().finally(() => {
+      pendingToken = null;
+    });
+  }
+  return pendingToken;
+};
+
+const invalidateToken = (rejected) => {
+  if (token === rejected) {
+    token = null;
+    tokenExpiresAt = 0;
+  }
+};
+
+// GET /v2/gifs/:id, retrying once with a fresh token if the cached one was rejected
+const fetchGifInfo = async (id, retried = false) => {
+  const { apiBaseUrl, userAgent } = getConfig();
+  const bearer = await getToken();
+  const response = await fetch(`${apiBaseUrl}/gifs/${encodeURIComponent(id)}`, {
+    headers: { Authorization: `Bearer ${bearer}`, 'User-Agent': userAgent }
+  });
+
+  if ((response.status === 401 || response.status === 403) && !retried) {
+    invalidateToken(bearer);
+    return fetchGifInfo(id, true);
+  }
+  if (!response.ok) {
+    throw toRedgifsError(response);
+  }
+  return response.json();
+};
+
+// Resolved media URLs change rarely; an hour keeps repeat plays off the API
+let gifCache = null;
+
+const getGifCache = () => {
+  if (!gifCache) {
+    gifCache = createCache(createMemoryCache({ maxEntries: 1000 }), {
+      ttl: 60 * 60 * 1000,
+      staleTtl: 0
+    });
+  }
+  return gifCache;
+};
+
+// Resolve a GIF ID to its media URLs: { hd, sd, poster }
+const resolveGif = async (id) => {
+  const { value } = await getGifCache().wrap(`redgifs:${id}`, async () => {
+    const { gif } = await fetchGifInfo(id);
+    const urls = gif?.urls || {};
+    return { hd: urls.hd || null, sd: urls.sd || null, poster: urls.poster || urls.thumbnail || null };
+  });
+  return value;
+};
+
+// Open a media file, forwarding the client's Range header. Resolves to the
+// node-fetch Response (200, 206 or 416); throws RedgifsError on other statuses.
+const openMedia = async (url, range) => {
+  const headers = { 'User-Agent': getConfig().userAgent };
+  if (range) {
+    headers.Range = range;
+  }
+  const response = await fetch(url, { headers });
+  if (!response.ok && response.status !== 416) {
+    throw toRedgifsError(response);
+  }
+  return response;
+};
+
+module.exports = { resolveGif, openMedia, RedgifsError };
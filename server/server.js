@@ -3,6 +3,7 @@ const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '../.env') });
 const apiRoutes = require('./routes/api');
 const { initializeDb } = require('./config/db');
+const { JSON_BODY_LIMIT } = require('./config/http');
 
 const app = express();
 const PORT = process.env.PORT || 6000;
@@ -15,7 +16,7 @@ initializeDb().then(() => {
 });
 
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
 
 // API routes
 app.use('/api', apiRoutes);
@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { mediaToArchive, isArchivable } = require('../archive');
+const { createLocalStore, BlobTooLargeError } = require('../archive/localStore');
+const { parseRange } = require('../handlers/media');
+const { normalizePost } = require('../reddit/normalize');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+test('images keep their best source, videos their file and poster', () => {
+  const image = normalizePost({
+    id: 'img1',
+    url: 'https://i.redd.it/img1.jpg',
+    post_hint: 'image',
+    preview: { images: [{ source: { url: 'https://preview.redd.it/img1.jpg?a=1&amp;b=2', width: 1200, height: 800 }, resolutions: [] }] }
+  });
+  assert.deepStrictEqual(mediaToArchive(image), [{
+    kind: 'image',
+    gallery: null,
+    urls: ['https://i.redd.it/img1.jpg', 'https://preview.redd.it/img1.jpg?a=1&b=2']
+  }]);
+
+  const video = normalizePost({
+    id: 'vr1',
+    url: 'https://v.redd.it/vr1',
+    secure_media: { reddit_video: { fallback_url: 'https://v.redd.it/vr1/DASH_720.mp4', width: 720, height: 1280, is_gif: false } },
+    preview: { images: [{ source: { url: 'https://preview.redd.it/vr1.jpg', width: 640, height: 1138 }, resolutions: [] }] }
+  });
+  assert.deepStrictEqual(mediaToArchive(video).map(item => [item.kind, item.urls[0]]), [
+    ['video', 'https://v.redd.it/vr1/DASH_720.mp4'],
+    ['poster', 'https://preview.redd.it/vr1.jpg']
+  ]);
+
+  // Reddit videos with sound bring their DASH manifest to mux the audio from
+  const withSound = normalizePost({
+    id: 'vr2',
+    url: 'https://v.redd.it/vr2',
+    secure_media: { reddit_video: { fallback_url: 'https://v.redd.it/vr2/DASH_720.mp4', dash_url: 'https://v.redd.it/vr2/DASHPlaylist.mpd?a=1&amp;b=2', has_audio: true } }
+  });
+  assert.strictEqual(mediaToArchive(withSound)[0].dash, 'https://v.redd.it/vr2/DASHPlaylist.mpd?a=1&b=2');
+  withSound.video.hasAudio = false;
+  assert.strictEqual(mediaToArchive(withSound)[0].dash, undefined);
+});
+
+test('galleries keep every item and RedGifs embeds are resolved when downloaded', () => {
+  const gallery = mediaToArchive({
+    type: 'gallery',
+    gallery: [
+      { sources: [{ url: 'https://i.redd.it/a.jpg' }], video: null },
+      { sources: [{ url: 'https://i.redd.it/b.gif' }], video: { sources: [{ url: 'https://i.redd.it/b.mp4' }] } }
+    ]
+  });
+  assert.deepStrictEqual(gallery, [
+    { kind: 'image', gallery: 0, urls: ['https://i.redd.it/a.jpg'] },
+    { kind: 'video', gallery: 1, urls: ['https://i.redd.it/b.mp4'] }
+  ]);
+
+  const redgifs = mediaToArchive({ type: 'embed', sources: [], poster: null, video: null, embed: { provider: 'redgifs', id: 'happyyellowbird' } });
+  assert.deepStrictEqual(redgifs, [{ kind: 'video', gallery: null, urls: [], redgifs: 'happyyellowbird' }]);
+
+  assert.deepStrictEqual(mediaToArchive({ type: 'text', sources: [] }), []);
+  assert.deepStrictEqual(mediaToArchive(null), []);
+});
+
+test('only media CDNs are archived', () => {
+  assert.ok(isArchivable('https://i.redd.it/a.jpg'));
+  assert.ok(isArchivable('https://media.redgifs.com/Happy.mp4'));
+  assert.ok(!isArchivable('https://example.com/a.jpg'));
+  assert.ok(!isArchivable('http://localhost:6000/api/health'));
+  assert.ok(!isArchivable('file:///etc/passwd'));
+  assert.ok(!isArchivable('not a url'));
+});
+
+test('the local store writes, reads ranges and removes blobs', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'twiix-archive-'));
+  const store = createLocalStore({ root });
+  try {
+    assert.strictEqual(await store.put('like1/0', Readable.from(['hello ', 'world'])), 11);
+
+    const whole = await store.open('like1/0');
+    assert.strictEqual(whole.size, 11);
+    assert.strictEqual(await readAll(whole.stream), 'hello world');
+
+    const part = await store.open('like1/0', { start: 6, end: 10 });
+    assert.strictEqual(await readAll(part.stream), 'world');
+
+    await assert.rejects(store.put('like1/1', Readable.from(['too large']), { maxBytes: 4 }), BlobTooLargeError);
+    assert.strictEqual(await store.open('like1/1'), null);
+    assert.deepStrictEqual(fs.readdirSync(path.join(root, 'like1')), ['0']);
+
+    await store.remove('like1');
+    assert.strictEqual(await store.open('like1/0'), null);
+    await assert.rejects(store.open('../outside'), TypeError);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('Range headers map to inclusive byte ranges', () => {
+  assert.deepStrictEqual(parseRange('bytes=0-99', 1000), { start: 0, end: 99 });
+  assert.deepStrictEqual(parseRange('bytes=900-', 1000), { start: 900, end: 999 });
+  assert.deepStrictEqual(parseRange('bytes=-100', 1000), { start: 900, end: 999 });
+  assert.deepStrictEqual(parseRange('bytes=500-5000', 1000), { start: 500, end: 999 });
+  assert.strictEqual(parseRange(undefined, 1000), null);
+  assert.strictEqual(parseRange('bytes=0-1,5-6', 1000), null);
+  assert.strictEqual(parseRange('bytes=1000-', 1000), undefined);
+  assert.strictEqual(parseRange('bytes=5-2', 1000), undefined);
+});
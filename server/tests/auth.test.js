@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { createClerkStub } = require('./helpers/clerkStub');
+
+const clerk = createClerkStub();
+const { signToken, rogueKey } = clerk;
+
+let appServer;
+let baseUrl;
+
+before(async () => {
+  await clerk.start();
+
+  const app = express();
+  app.use(express.json());
+  app.get('/likes/:userId', requireAuth, (req, res) => res.json({ userId: req.userId }));
+  app.post('/likes', requireAuth, (req, res) => res.json({ userId: req.userId }));
+  appServer = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => appServer.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${appServer.address().port}`;
+});
+
+after(async () => {
+  await clerk.stop();
+  appServer.close();
+});
+
+const request = (path, token, options = {}) => fetch(`${baseUrl}${path}`, {
+  ...options,
+  headers: {
+    'Content-Type': 'application/json',
+    ...(token ? { Authorization: `Bearer ${token}` } : {})
+  }
+});
+
+test('rejects requests without a bearer token', async () => {
+  const res = await request('/likes/user_a');
+  assert.strictEqual(res.status, 401);
+});
+
+test('derives the user from a valid session token', async () => {
+  const res = await request('/likes/user_a', signToken({ sub: 'user_a' }));
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(await res.json(), { userId: 'user_a' });
+});
+
+test('rejects a userId in the path that does not match the token', async () => {
+  const res = await request('/likes/user_b', signToken({ sub: 'user_a' }));
+  assert.strictEqual(res.status, 403);
+});
+
+test('rejects a userId in the body that does not match the token', async () => {
+  const res = await request('/likes', signToken({ sub: 'user_a' }), {
+    method: 'POST',
+    body: JSON.stringify({ userId: 'user_b', meme: { id: 'abc' } })
+  });
+  assert.strictEqual(res.status, 403);
+});
+
+test('rejects tokens signed with another key', async () => {
+  const res = await request('/likes/user_a', signToken({ sub: 'user_a' }, rogueKey));
+  assert.strictEqual(res.status, 401);
+});
+
+test('rejects expired tokens', async () => {
+  const past = Math.floor(Date.now() / 1000) - 3600;
+  const res = await request('/likes/user_a', signToken({ sub: 'user_a', iat: past, nbf: past, exp: past + 60 }));
+  assert.strictEqual(res.status, 401);
+});
+
+test('rejects tokens from a different issuer', async () => {
+  const res = await request('/likes/user_a', signToken({ sub: 'user_a', iss: 'https://clerk.example.com' }));
+  assert.strictEqual(res.status, 401);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createCache } = require('../cache');
+const { createMemoryCache } = require('../cache/memoryCache');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('serves fresh entries without calling the fetcher again', async () => {
+  const cache = createCache(createMemoryCache(), { ttl: 1000, staleTtl: 1000 });
+  let calls = 0;
+  const fetcher = async () => ++calls;
+
+  assert.deepStrictEqual(await cache.wrap('k', fetcher), { value: 1, fromCache: false, stale: false });
+  assert.deepStrictEqual(await cache.wrap('k', fetcher), { value: 1, fromCache: true, stale: false });
+  assert.strictEqual(calls, 1);
+
+  const stats = await cache.getStats();
+  assert.strictEqual(stats.hits, 1);
+  assert.strictEqual(stats.misses, 1);
+});
+
+test('serves stale entries immediately and refreshes in the background', async () => {
+  const cache = createCache(createMemoryCache(), { ttl: 20, staleTtl: 1000 });
+  let calls = 0;
+  const fetcher = async () => ++calls;
+
+  await cache.wrap('k', fetcher);
+  await wait(30);
+
+  assert.deepStrictEqual(await cache.wrap('k', fetcher), { value: 1, fromCache: true, stale: true });
+  await wait(5);
+  assert.deepStrictEqual(await cache.wrap('k', fetcher), { value: 2, fromCache: true, stale: false });
+
+  const stats = await cache.getStats();
+  assert.strictEqual(stats.staleHits, 1);
+  assert.strictEqual(stats.refreshes, 1);
+});
+
+test('treats entries past the stale window as misses', async () => {
+  const cache = createCache(createMemoryCache(), { ttl: 10, staleTtl: 10 });
+  let calls = 0;
+  const fetcher = async () => ++calls;
+
+  await cache.wrap('k', fetcher);
+  await wait(30);
+  assert.deepStrictEqual(await cache.wrap('k', fetcher), { value: 2, fromCache: false, stale: false });
+});
+
+test('coalesces concurrent misses into one fetch', async () => {
+  const cache = createCache(createMemoryCache(), { ttl: 1000, staleTtl: 1000 });
+  let calls = 0;
+  const fetcher = async () => {
+    calls++;
+    await wait(10);
+    return 'v';
+  };
+
+  await Promise.all([cache.wrap('k', fetcher), cache.wrap('k', fetcher), cache.wrap('k', fetcher)]);
+  assert.strictEqual(calls, 1);
+});
+
+test('memory store evicts the least recently used entry', async () => {
+  const store = createMemoryCache({ maxEntries: 2 });
+  const entry = (value) => ({ value, freshUntil: Date.now() + 1000, expiresAt: Date.now() + 1000 });
+
+  await store.set('a', entry(1));
+  await store.set('b', entry(2));
+  await store.get('a');
+  await store.set('c', entry(3));
+
+  assert.ok(await store.get('a'));
+  assert.strictEqual(await store.get('b'), null);
+  assert.ok(await store.get('c'));
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Likes and one collection in memory, enough for adding items
+const likes = [];
+const fakeDb = {
+  collection: (name) => (name === 'collections'
+    ? { findOne: async ({ _id, userId }) => (userId === 'user_a' ? { _id, userId } : null) }
+    : {
+      bulkWrite: async (operations) => {
+        let upsertedCount = 0;
+        operations.forEach(({ updateOne: { filter, update } }) => {
+          if (likes.some(like => like.userId === filter.userId && like.memeId === filter.memeId)) return;
+          likes.push({ ...update.$setOnInsert, collectionIds: [] });
+          upsertedCount++;
+        });
+        return { upsertedCount, upsertedIds: {} };
+      },
+      updateOne: async (filter, update) => {
+        const like = likes.find(l => l.userId === filter.userId && l.memeId === filter.memeId);
+        if (like) like.collectionIds.push(update.$addToSet.collectionIds);
+        return { matchedCount: like ? 1 : 0 };
+      }
+    })
+};
+require('../config/db').connectToDatabase = async () => fakeDb;
+const { parseName, parseOrder, parseCollectionId, addItem } = require('../handlers/collections');
+
+const idA = '65f0a1b2c3d4e5f6a7b8c9d0';
+const idB = '65f0a1b2c3d4e5f6a7b8c9d1';
+
+test('validates collection names', () => {
+  assert.deepStrictEqual(parseName({ name: '  Cats  ' }), { name: 'Cats' });
+  assert.match(parseName({ name: '   ' }).message, /required/);
+  assert.match(parseName({}).message, /required/);
+  assert.match(parseName({ name: 'x'.repeat(51) }).message, /at most 50/);
+});
+
+test('validates a new order', () => {
+  const { ids } = parseOrder({ ids: [idB, idA] });
+  assert.deepStrictEqual(ids.map(id => id.toString()), [idB, idA]);
+
+  assert.match(parseOrder({ ids: [] }).message, /non-empty/);
+  assert.match(parseOrder({ ids: idA }).message, /non-empty/);
+  assert.match(parseOrder({ ids: [idA, 'nope'] }).message, /Invalid/);
+  assert.match(parseOrder({ ids: [idA, idA.toUpperCase()] }).message, /repeat/);
+});
+
+test('collection IDs must be ObjectIds', () => {
+  assert.strictEqual(parseCollectionId(idA).toString(), idA);
+  assert.strictEqual(parseCollectionId('order'), null);
+  assert.strictEqual(parseCollectionId(undefined), null);
+});
+
+test('adding a post the server has no like for yet saves the like from the post', async () => {
+  const ctx = (body) => ({ userId: 'user_a', params: { collectionId: idA }, query: {}, body });
+
+  // The like is still in the client's outbox
+  assert.strictEqual((await addItem(ctx({ memeId: 'abc' }))).status, 404);
+
+  const meme = { id: 'abc', title: 'Cat', subreddit: 'pics', url: 'https://i.redd.it/abc.jpg' };
+  assert.strictEqual((await addItem(ctx({ memeId: 'abc', meme }))).status, 200);
+  assert.strictEqual(likes.length, 1);
+  assert.deepStrictEqual(likes[0].collectionIds, [idA]);
+  assert.strictEqual(likes[0].memeData.title, 'Cat');
+
+  assert.strictEqual((await addItem(ctx({ memeId: 'abc', meme: { ...meme, id: 'xyz' } }))).status, 400);
+});
@@ -0,0 +1,211 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+// Media CDN that sends no Content-Length (chunked): /big.jpg is 300 bytes,
+// anything else 5
+require.cache[require.resolve('node-fetch')] = {
+  exports: async (url) => ({
+    ok: true,
+    headers: new Headers({ 'content-type': 'image/jpeg' }),
+    body: Readable.from(url.endsWith('/big.jpg') ? [Buffer.alloc(150), Buffer.alloc(150)] : [Buffer.from('small')])
+  })
+};
+
+const { createZipStream, crc32 } = require('../download/zip');
+const { sanitizePart, extensionFor, mediaFileName, titleFileName } = require('../download/fileNames');
+const { writeZip, MANIFEST_RESERVE } = require('../handlers/download');
+const { setArchiveStore } = require('../archive');
+const { createLocalStore } = require('../archive/localStore');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Just enough of a ZIP reader to check what the writer produced: walks the
+// central directory and returns { name: contents }, verifying each CRC
+const unzip = (zip) => {
+  const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.ok(end >= 0, 'end of central directory');
+  const count = zip.readUInt16LE(end + 10);
+  let position = zip.readUInt32LE(end + 16);
+
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    assert.strictEqual(zip.readUInt32LE(position), 0x02014b50);
+    const crc = zip.readUInt32LE(position + 16);
+    const size = zip.readUInt32LE(position + 20);
+    const nameLength = zip.readUInt16LE(position + 28);
+    const offset = zip.readUInt32LE(position + 42);
+    const name = zip.toString('utf8', position + 46, position + 46 + nameLength);
+
+    assert.strictEqual(zip.readUInt32LE(offset), 0x04034b50);
+    const dataStart = offset + 30 + zip.readUInt16LE(offset + 26) + zip.readUInt16LE(offset + 28);
+    const data = zip.subarray(dataStart, dataStart + size);
+    assert.strictEqual(crc32(data), crc, `CRC of ${name}`);
+    files[name] = data;
+    position += 46 + nameLength;
+  }
+  return files;
+};
+
+test('CRC-32 matches the standard check value', () => {
+  assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.strictEqual(crc32(Buffer.from('6789'), crc32(Buffer.from('12345'))), 0xcbf43926);
+});
+
+test('the ZIP writer streams buffers and readables into a valid archive', async () => {
+  const zip = createZipStream();
+  const output = readAll(zip.stream);
+  await zip.addEntry('a.txt', Buffer.from('hello'));
+  await zip.addEntry('dir/b.txt', Readable.from([Buffer.from('wor'), Buffer.from('ld')]));
+  await zip.addEntry('é.txt', Buffer.alloc(0));
+  await zip.finish();
+
+  const files = unzip(await output);
+  assert.deepStrictEqual(Object.keys(files), ['a.txt', 'dir/b.txt', 'é.txt']);
+  assert.strictEqual(files['dir/b.txt'].toString(), 'world');
+  assert.strictEqual(zip.entryCount(), 3);
+});
+
+test('download filenames are sanitized and take their extension from the type', () => {
+  assert.strictEqual(sanitizePart('Déjà vu / 😂'), 'Deja-vu');
+  assert.strictEqual(sanitizePart('../../etc/passwd'), 'etc-passwd');
+  assert.strictEqual(sanitizePart('🔥🔥'), 'unknown');
+  assert.strictEqual(sanitizePart('x'.repeat(100)).length, 40);
+
+  assert.strictEqual(extensionFor('image/jpeg'), 'jpg');
+  assert.strictEqual(extensionFor('video/mp4; codecs="avc1"'), 'mp4');
+  assert.strictEqual(extensionFor('image/x-icon'), 'bin');
+  assert.strictEqual(extensionFor(undefined), 'bin');
+
+  assert.strictEqual(mediaFileName({ subreddit: 'pics', author: 'some_one', id: 'abc' }, 2, 'image/png'), 'pics_some_one_abc_2.png');
+  assert.strictEqual(titleFileName({ id: 'abc', title: 'When the / build passes 🎉' }, null, 'video/mp4'), 'When-the-build-passes.mp4');
+  assert.strictEqual(titleFileName({ id: 'abc', title: '🎉' }, 1, 'image/jpeg'), 'abc_2.jpg');
+});
+
+test('ZIPs of likes use archived copies and end with a manifest', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'twiix-download-'));
+  const store = createLocalStore({ root });
+  setArchiveStore(store);
+  try {
+    await store.put('like1/0', Readable.from(['first']));
+    await store.put('like1/1', Readable.from(['second']));
+    const gallery = {
+      likeId: 'like1',
+      likedAt: new Date('2024-05-02T08:00:00.000Z'),
+      archive: {
+        status: 'done',
+        items: [
+          { kind: 'image', gallery: 0, source: 'https://i.redd.it/a.jpg', mimeType: 'image/jpeg', size: 5 },
+          { kind: 'image', gallery: 1, source: 'https://i.redd.it/b.png', mimeType: 'image/png', size: 6 }
+        ]
+      },
+      memeData: {
+        id: 'abc',
+        title: 'Two / pictures',
+        subreddit: 'pics',
+        author: 'someone',
+        permalink: '/r/pics/comments/abc/two_pictures/',
+        normalized: {
+          type: 'gallery',
+          sources: [],
+          gallery: [
+            { sources: [{ url: 'https://i.redd.it/a.jpg' }], video: null },
+            { sources: [{ url: 'https://i.redd.it/b.png' }], video: null }
+          ]
+        }
+      }
+    };
+    const text = { likeId: 'like2', memeData: { id: 'txt', subreddit: 'pics', normalized: { type: 'text', sources: [] } } };
+
+    const zip = createZipStream();
+    const output = readAll(zip.stream);
+    await writeZip(zip, [gallery, text], { truncated: true });
+    const files = unzip(await output);
+
+    assert.deepStrictEqual(Object.keys(files), ['pics_someone_abc_1.jpg', 'pics_someone_abc_2.png', 'manifest.json']);
+    assert.strictEqual(files['pics_someone_abc_2.png'].toString(), 'second');
+
+    const manifest = JSON.parse(files['manifest.json']);
+    assert.strictEqual(manifest.truncated, true);
+    assert.deepStrictEqual(manifest.items[0], {
+      file: 'pics_someone_abc_1.jpg',
+      postId: 'abc',
+      title: 'Two / pictures',
+      subreddit: 'pics',
+      author: 'someone',
+      permalink: 'https://www.reddit.com/r/pics/comments/abc/two_pictures/',
+      sourceUrl: 'https://i.redd.it/a.jpg',
+      kind: 'image',
+      gallery: 0,
+      likedAt: '2024-05-02T08:00:00.000Z'
+    });
+    assert.deepStrictEqual(manifest.missing, [{ postId: 'txt', gallery: null, reason: 'No downloadable media' }]);
+  } finally {
+    setArchiveStore(undefined);
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('ZIPs stop before the size limit and list the rest as missing', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'twiix-download-'));
+  const store = createLocalStore({ root });
+  setArchiveStore(store);
+  try {
+    const archivedImage = async (likeId, id, contents) => {
+      await store.put(`${likeId}/0`, Readable.from([contents]));
+      return {
+        likeId,
+        archive: { status: 'done', items: [{ kind: 'image', gallery: null, source: `https://i.redd.it/${id}.jpg`, mimeType: 'image/jpeg', size: contents.length }] },
+        memeData: { id, subreddit: 'pics', author: 'someone', normalized: { type: 'image', sources: [{ url: `https://i.redd.it/${id}.jpg` }] } }
+      };
+    };
+    const posts = [
+      await archivedImage('like1', 'aaa', 'small'),
+      await archivedImage('like2', 'bbb', 'x'.repeat(200)),
+      await archivedImage('like3', 'ccc', 'tiny')
+    ];
+
+    // Room for the first file and the manifest, not the second
+    const zip = createZipStream({ maxBytes: MANIFEST_RESERVE + 300 });
+    const output = readAll(zip.stream);
+    const manifest = await writeZip(zip, posts);
+    const files = unzip(await output);
+
+    assert.deepStrictEqual(Object.keys(files), ['pics_someone_aaa_1.jpg', 'manifest.json']);
+    assert.strictEqual(manifest.truncated, true);
+    assert.deepStrictEqual(JSON.parse(files['manifest.json']).missing, [
+      { postId: 'bbb', gallery: null, reason: 'ZIP size limit reached' },
+      { postId: 'ccc', gallery: null, reason: 'ZIP size limit reached' }
+    ]);
+    assert.strictEqual(zip.fits('a.jpg', 0), true);
+    assert.strictEqual(zip.fits('a.jpg', MANIFEST_RESERVE), false);
+  } finally {
+    setArchiveStore(undefined);
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('files without an announced size are stopped at the file size limit', async () => {
+  const post = (id) => ({
+    likeId: `like_${id}`,
+    memeData: { id, subreddit: 'pics', author: 'someone', normalized: { type: 'image', sources: [{ url: `https://i.redd.it/${id}.jpg` }] } }
+  });
+
+  const zip = createZipStream({ maxBytes: MANIFEST_RESERVE + 2000 });
+  const output = readAll(zip.stream);
+  const manifest = await writeZip(zip, [post('big'), post('after')], { maxFileBytes: 200 });
+  const files = unzip(await output);
+
+  // The cut-off file is left out and the archive is still whole
+  assert.deepStrictEqual(Object.keys(files), ['pics_someone_after_1.jpg', 'manifest.json']);
+  assert.strictEqual(files['pics_someone_after_1.jpg'].toString(), 'small');
+  assert.strictEqual(manifest.truncated, false);
+  assert.deepStrictEqual(manifest.missing, [{ postId: 'big', gallery: null, reason: 'Larger than 200 MB' }]);
+});
@@ -0,0 +1,162 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Fake Reddit: a busy subreddit with endless image posts, a small one with
+// three, a user with two (both also in r/bobsub), and a banned subreddit
+const upstreamRequests = [];
+
+const listing = (children, after = null) => ({
+  ok: true,
+  status: 200,
+  headers: new Headers(),
+  json: async () => ({ data: { children, after } })
+});
+
+const images = (prefix, count, offset = 0) => Array.from({ length: count }, (_, i) => ({
+  data: { id: `${prefix}${offset + i}`, post_hint: 'image' }
+}));
+
+const fakeFetch = async (url) => {
+  upstreamRequests.push(url);
+  const { pathname, searchParams } = new URL(url);
+  if (pathname.startsWith('/r/banned/')) {
+    return { ok: false, status: 404, headers: new Headers(), json: async () => ({}) };
+  }
+  if (pathname.startsWith('/r/busy/')) {
+    const page = Number((searchParams.get('after') || 't3_page0').replace('t3_page', ''));
+    return listing(images('busy', 100, page * 100), `t3_page${page + 1}`);
+  }
+  if (pathname.startsWith('/r/small/')) return listing(images('small', 3));
+  if (pathname.startsWith('/user/bob/') || pathname.startsWith('/r/bobsub/')) return listing(images('bob', 2));
+  return listing([]);
+};
+
+require.cache[require.resolve('node-fetch')] = { exports: fakeFetch };
+
+// Seen history without a database: `seenIds` are the posts every user has seen
+let seenIds = new Set();
+require('../handlers/seen').findSeenIds = async (userId, feedKey, memeIds) => new Set(memeIds.filter(id => seenIds.has(id)));
+const { getMixedListing, interleave, decodeMixedCursor } = require('../handlers/reddit');
+const { parseFeed, feedSources } = require('../handlers/feeds');
+
+// Extra quota tokens each call took; `quotaLeft` runs out like a real bucket
+const quotaTaken = [];
+let quotaLeft = Infinity;
+const consumeQuota = (count) => {
+  quotaTaken.push(count);
+  const allowed = quotaLeft >= count;
+  if (allowed) quotaLeft -= count;
+  return { allowed, headers: { 'RateLimit-Remaining': String(quotaLeft) }, retryAfter: allowed ? 0 : 2 };
+};
+
+const mixed = (sources, query = {}, userId = null) => getMixedListing(
+  { query, ip: 'test', userId, consumeQuota },
+  sources,
+  { label: 'test feed', feedKey: 'seen_memes_feed_test' }
+);
+
+const ids = (result) => result.body.data.children.map(child => child.data.id);
+
+test('validates and cleans feed definitions', () => {
+  const { feed } = parseFeed({ name: '  Daily  ', subreddits: ['r/pics', '/r/Aww', 'pics', 'aww'], users: ['u/bob'] });
+  assert.deepStrictEqual(feed, { name: 'Daily', subreddits: ['pics', 'Aww'], users: ['bob'] });
+
+  assert.match(parseFeed({ subreddits: ['pics'] }).message, /name/);
+  assert.match(parseFeed({ name: 'x' }).message, /at least one/);
+  assert.match(parseFeed({ name: 'x', subreddits: ['no spaces'] }).message, /r\/no spaces/);
+  assert.match(parseFeed({ name: 'x', subreddits: 'pics' }).message, /arrays/);
+  assert.match(parseFeed({ name: 'x', subreddits: Array.from({ length: 11 }, (_, i) => `sub${i}`) }).message, /at most 10/);
+});
+
+test('mixes subreddits first, then users', () => {
+  assert.deepStrictEqual(feedSources({ subreddits: ['pics'], users: ['bob'] }), [
+    { key: 'r/pics', path: '/r/pics/hot.json', query: {} },
+    { key: 'u/bob', path: '/user/bob/submitted.json', query: { sort: 'hot' } }
+  ]);
+  assert.deepStrictEqual(feedSources({ subreddits: ['pics'], users: ['bob'] }, { sort: 'top', t: 'week' }), [
+    { key: 'r/pics', path: '/r/pics/top.json', query: { t: 'week' } },
+    { key: 'u/bob', path: '/user/bob/submitted.json', query: { sort: 'top', t: 'week' } }
+  ]);
+  assert.strictEqual(feedSources({ subreddits: [], users: ['bob'] }, { sort: 'rising' })[0].query.sort, 'hot');
+  assert.deepStrictEqual(interleave([[1, 2, 3], ['a'], ['x', 'y']]), [1, 'a', 'x', 2, 'y', 3]);
+});
+
+const sources = [
+  { key: 'r/busy', path: '/r/busy/hot.json' },
+  { key: 'r/small', path: '/r/small/hot.json' },
+  { key: 'u/bob', path: '/user/bob/submitted.json' }
+];
+
+test('takes an equal share from each source and interleaves them', async () => {
+  const first = await mixed(sources, { limit: '9' });
+  assert.deepStrictEqual(ids(first), ['busy0', 'small0', 'bob0', 'busy1', 'small1', 'bob1', 'busy2', 'small2']);
+
+  // small and bob are exhausted; busy carries on from where it stopped
+  const cursor = decodeMixedCursor(first.body.data.after);
+  assert.deepStrictEqual(cursor, { page: 1, positions: { 'r/busy': '~3', 'r/small': null, 'u/bob': null } });
+
+  const second = await mixed(sources, { limit: '4', after: first.body.data.after });
+  assert.deepStrictEqual(ids(second), ['busy3', 'busy4', 'busy5', 'busy6']);
+  assert.strictEqual(second.body.meta.upstreamCalls, 0);
+});
+
+test('moves the extra posts of a page through the sources', async () => {
+  const pages = [];
+  let after = '';
+  for (let i = 0; i < 4; i++) {
+    const result = await mixed(sources, { limit: '1', after });
+    pages.push(ids(result));
+    after = result.body.data.after;
+  }
+  assert.deepStrictEqual(pages, [['busy0'], ['small0'], ['bob0'], ['busy1']]);
+
+  const second = await mixed(sources, { limit: '4', after: (await mixed(sources, { limit: '4' })).body.data.after });
+  assert.deepStrictEqual(ids(second), ['busy2', 'small1', 'bob1', 'small2']);
+});
+
+test('drops seen posts for signed-in users and still fills each share', async () => {
+  seenIds = new Set(['busy0', 'busy1', 'busy2', 'busy3', 'busy4', 'small0']);
+  const result = await mixed(sources, { limit: '6' }, 'user_a');
+  assert.deepStrictEqual(ids(result), ['busy5', 'small1', 'bob0', 'busy6', 'small2', 'bob1']);
+
+  const anonymous = await mixed(sources, { limit: '6' });
+  assert.deepStrictEqual(ids(anonymous), ['busy0', 'small0', 'bob0', 'busy1', 'small1', 'bob1']);
+  seenIds = new Set();
+});
+
+test('skips sources Reddit refuses and ends when every source is exhausted', async () => {
+  const result = await mixed([
+    { key: 'r/banned', path: '/r/banned/hot.json' },
+    { key: 'r/small', path: '/r/small/hot.json' }
+  ], { limit: '10' });
+  assert.deepStrictEqual(ids(result), ['small0', 'small1', 'small2']);
+  assert.strictEqual(result.body.data.after, null);
+});
+
+test('shows a post two sources share once and charges the quota per source', async () => {
+  quotaTaken.length = 0;
+  const result = await mixed([
+    { key: 'r/bobsub', path: '/r/bobsub/hot.json' },
+    { key: 'u/bob', path: '/user/bob/submitted.json' },
+    { key: 'r/small', path: '/r/small/hot.json' }
+  ], { limit: '6' });
+  assert.deepStrictEqual(ids(result), ['bob0', 'small0', 'bob1', 'small1']);
+  assert.deepStrictEqual(quotaTaken, [2]);
+
+  // One source per page takes nothing extra
+  await mixed(sources, { limit: '1' });
+  assert.deepStrictEqual(quotaTaken, [2]);
+
+  quotaLeft = 1;
+  const limited = await mixed(sources, { limit: '3' });
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(limited.body.retryAfter, 2);
+  quotaLeft = Infinity;
+});
+
+test('rejects malformed mixed cursors', async () => {
+  assert.strictEqual((await mixed(sources, { after: 'not-a-cursor' })).status, 400);
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  assert.strictEqual((await mixed(sources, { after: encode({ page: 1, positions: { 'r/busy': 't3_x&limit=1' } }) })).status, 400);
+  assert.strictEqual((await mixed(sources, { after: encode({ page: -1, positions: { 'r/busy': '' } }) })).status, 400);
+});
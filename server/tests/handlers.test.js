@@ -0,0 +1,200 @@
+const { test, before, after, describe } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const { createApiRouter } = require('../adapters/express');
+const { createVercelHandler } = require('../adapters/vercel');
+const { createClerkStub } = require('./helpers/clerkStub');
+
+const clerk = createClerkStub();
+const { signToken } = clerk;
+
+const listen = async (server) => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+};
+
+// Express: the same router server.js mounts under /api
+const startExpress = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', createApiRouter());
+  return http.createServer(app);
+};
+
+// Vercel: apply the vercel.json rewrite the way the platform does. The rest of
+// the path lands in req.query.__path already percent-decoded, while req.url
+// keeps the original request URL unless rewrittenUrl is set. The query and
+// JSON body are parsed as by the Node runtime before the api/<resource>.js
+// handler runs.
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+const startVercel = ({ rewrittenUrl = false } = {}) => {
+  const handlers = {};
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, resource, ...rest] = url.pathname.replace(/^\/api/, '').split('/');
+    const query = Object.fromEntries(url.searchParams);
+    if (rest.length) {
+      query.__path = rest.map(decodeSegment).join('/');
+    }
+
+    let body = '';
+    for await (const chunk of req) body += chunk;
+
+    if (rewrittenUrl) {
+      req.url = `/api/${resource}?${new URLSearchParams(query)}`;
+    }
+    req.query = query;
+    req.body = body ? JSON.parse(body) : undefined;
+
+    handlers[resource] = handlers[resource] || createVercelHandler(resource);
+    await handlers[resource](req, res);
+  });
+};
+
+const servers = [];
+
+before(async () => {
+  await clerk.start();
+});
+
+after(async () => {
+  await clerk.stop();
+  servers.forEach(server => server.close());
+});
+
+[['Express adapter', startExpress], ['Vercel adapter', startVercel]].forEach(([name, start]) => {
+  describe(name, () => {
+    let baseUrl;
+
+    before(async () => {
+      const server = start();
+      servers.push(server);
+      baseUrl = await listen(server);
+    });
+
+    const request = (path, token, options = {}) => fetch(`${baseUrl}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      }
+    });
+
+    test('requires a session on both likes URL shapes', async () => {
+      assert.strictEqual((await request('/api/likes/user_a')).status, 401);
+      assert.strictEqual((await request('/api/likes?userId=user_a')).status, 401);
+    });
+
+    test('rejects a path userId that does not match the token', async () => {
+      const res = await request('/api/likes/user_b', signToken({ sub: 'user_a' }));
+      assert.strictEqual(res.status, 403);
+      assert.deepStrictEqual(await res.json(), { error: 'userId does not match the signed-in user' });
+    });
+
+    test('rejects a body userId that does not match the token', async () => {
+      const res = await request('/api/seen', signToken({ sub: 'user_a' }), {
+        method: 'POST',
+        body: JSON.stringify({ userId: 'user_b', feedKey: 'subreddit:memes', memeIds: ['abc'] })
+      });
+      assert.strictEqual(res.status, 403);
+    });
+
+    test('validates input after authenticating', async () => {
+      const token = signToken({ sub: 'user_a' });
+      const res = await request('/api/seen', token);
+      assert.strictEqual(res.status, 400);
+      assert.deepStrictEqual(await res.json(), { error: 'feedKey is required' });
+
+      const post = await request('/api/seen', token, { method: 'POST', body: JSON.stringify({ feedKey: 'x' }) });
+      assert.strictEqual(post.status, 400);
+
+      // "order" is a route of its own, not a collection ID
+      const reorder = await request('/api/collections/order', token, { method: 'PUT', body: JSON.stringify({ ids: 'x' }) });
+      assert.strictEqual(reorder.status, 400);
+      assert.deepStrictEqual(await reorder.json(), { error: 'ids must be a non-empty array' });
+
+      // Likewise "export" is not a user ID
+      const exported = await request('/api/likes/export?format=pdf', token);
+      assert.strictEqual(exported.status, 400);
+      assert.deepStrictEqual(await exported.json(), { error: 'format must be one of: json, csv, html' });
+
+      const zip = await request('/api/download/likes?ids=abc,not-an-id', token);
+      assert.strictEqual(zip.status, 400);
+      assert.strictEqual((await request('/api/download/likes?ids=abc')).status, 401);
+
+      // The single-file proxy only takes a post ID, never a URL
+      assert.strictEqual((await request('/api/download?url=https://example.com/a.jpg')).status, 400);
+      assert.strictEqual((await request('/api/download?postId=abc&index=x')).status, 400);
+
+      // A POST beside the GET /reddit/:subreddit listing
+      const normalize = await request('/api/reddit/normalize', null, { method: 'POST', body: JSON.stringify({ posts: [] }) });
+      assert.strictEqual(normalize.status, 400);
+      assert.deepStrictEqual(await normalize.json(), { error: 'posts must be a non-empty array' });
+    });
+
+    test('rejects a bad token on routes where auth is optional', async () => {
+      const res = await request('/api/reddit/memes?feedKey=seen_memes_subreddit_memes', 'not-a-jwt');
+      assert.strictEqual(res.status, 401);
+    });
+
+    test('reports the write quota in RateLimit headers', async () => {
+      const res = await request('/api/seen', signToken({ sub: 'user_a' }), { method: 'POST', body: JSON.stringify({}) });
+      assert.strictEqual(res.status, 400);
+      assert.ok(Number(res.headers.get('ratelimit-limit')) > 0);
+      assert.ok(res.headers.get('ratelimit-remaining') !== null);
+      assert.ok(res.headers.get('ratelimit-reset') !== null);
+    });
+
+    test('answers 405 for a known path with the wrong method', async () => {
+      const res = await request('/api/health', null, { method: 'POST' });
+      assert.strictEqual(res.status, 405);
+    });
+
+    test('answers 400 for a path parameter that is not valid percent-encoding', async () => {
+      const res = await request('/api/likes/%E0%A4', signToken({ sub: 'user_a' }));
+      assert.strictEqual(res.status, 400);
+    });
+
+    test('decodes path parameters once', async () => {
+      // "user%25a" names the user "user%a", which is not user_a
+      const res = await request('/api/likes/user%25a', signToken({ sub: 'user_a' }));
+      assert.strictEqual(res.status, 403);
+    });
+
+    test('leaves a client query parameter named path alone', async () => {
+      const res = await request('/api/reddit/normalize?path=memes', null, { method: 'POST', body: JSON.stringify({ posts: [] }) });
+      assert.strictEqual(res.status, 400);
+      assert.deepStrictEqual(await res.json(), { error: 'posts must be a non-empty array' });
+    });
+
+    test('answers 404 for an unknown path', async () => {
+      const res = await request('/api/likes/user_a/abc/extra', signToken({ sub: 'user_a' }));
+      assert.strictEqual(res.status, 404);
+    });
+  });
+});
+
+describe('Vercel adapter given the rewritten req.url', () => {
+  let baseUrl;
+
+  before(async () => {
+    const server = startVercel({ rewrittenUrl: true });
+    servers.push(server);
+    baseUrl = await listen(server);
+  });
+
+  test('encodes the decoded __path again before routing', async () => {
+    const headers = { Authorization: `Bearer ${signToken({ sub: 'user_a' })}` };
+    assert.strictEqual((await fetch(`${baseUrl}/api/likes/user%25a`, { headers })).status, 403);
+    assert.strictEqual((await fetch(`${baseUrl}/api/likes/user_b`, { headers })).status, 403);
+    assert.strictEqual((await fetch(`${baseUrl}/api/likes/user_a/abc/extra`, { headers })).status, 404);
+  });
+});
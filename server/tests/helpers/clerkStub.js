@@ -0,0 +1,48 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Local stand-in for Clerk's Frontend API: serves a JWKS and signs tokens with its key.
+// start() points CLERK_ISSUER at the stub so the auth middleware verifies against it.
+const KID = 'ins_test_key';
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const createClerkStub = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const rogueKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  let server;
+
+  const signToken = (claims, key = privateKey) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KID }));
+    const payload = base64url(JSON.stringify({
+      iss: process.env.CLERK_ISSUER,
+      iat: now,
+      nbf: now - 5,
+      exp: now + 60,
+      ...claims
+    }));
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), key).toString('base64url');
+    return `${header}.${payload}.${signature}`;
+  };
+
+  const start = async () => {
+    const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' };
+    server = http.createServer((req, res) => {
+      if (req.url === '/.well-known/jwks.json') {
+        res.setHeader('Content-Type', 'application/json');
+        return res.end(JSON.stringify({ keys: [jwk] }));
+      }
+      res.statusCode = 404;
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.CLERK_ISSUER = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  const stop = () => new Promise(resolve => server.close(resolve));
+
+  return { start, stop, signToken, rogueKey };
+};
+
+module.exports = { createClerkStub };
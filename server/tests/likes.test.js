@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+// A database where $text fails until the search index exists, as in MongoDB.
+// Nothing calls initializeDb(), as on Vercel.
+const createdIndexes = [];
+const fakeDb = {
+  collection: () => ({
+    createIndex: async (keys, options) => {
+      createdIndexes.push(options.name);
+    },
+    aggregate: (pipeline) => ({
+      toArray: async () => {
+        if (pipeline[0].$match.$text && !createdIndexes.includes('likes_search')) {
+          throw new Error('text index required for $text query');
+        }
+        return [];
+      }
+    })
+  })
+};
+require('../config/db').connectToDatabase = async () => fakeDb;
+const { encodeCursor, decodeCursor, parseFields, parseBulkLikes, parseLikesQuery, afterCursor, sortStages, listLikes } = require('../handlers/likes');
+const { downloadLikes } = require('../handlers/download');
+
+test('cursors round-trip createdAt and _id', () => {
+  const doc = { createdAt: new Date('2024-05-01T12:00:00.000Z'), _id: new ObjectId() };
+  const position = decodeCursor(encodeCursor(doc));
+  assert.strictEqual(position.createdAt.getTime(), doc.createdAt.getTime());
+  assert.ok(position._id.equals(doc._id));
+});
+
+test('malformed cursors decode to null', () => {
+  assert.strictEqual(decodeCursor('not-a-cursor'), null);
+  assert.strictEqual(decodeCursor(Buffer.from('{"t":"x","id":"y"}').toString('base64url')), null);
+});
+
+test('cursors for other orders carry their sort value and only fit that order', () => {
+  const doc = { _id: new ObjectId(), createdAt: new Date(), memeData: { created_utc: 1714560000, title: 'Cat' } };
+  const cursor = encodeCursor(doc, 'posted');
+  const position = decodeCursor(cursor, 'posted');
+  assert.strictEqual(position['memeData.created_utc'], 1714560000);
+  assert.strictEqual(decodeCursor(cursor, 'title'), null);
+  assert.strictEqual(decodeCursor(cursor), null);
+
+  // Ascending orders page forward with $gt
+  const after = afterCursor(decodeCursor(encodeCursor(doc, 'title'), 'title'), 'title');
+  assert.deepStrictEqual(after.$or[0], { _sortMissing: 0, _sortValue: { $gt: 'Cat' } });
+});
+
+test('likes missing the sort field are listed last instead of left out', () => {
+  const { filter } = parseLikesQuery({ sort: 'title' });
+  assert.deepStrictEqual(filter, {});
+  assert.deepStrictEqual(sortStages('title')[1], { $sort: { _sortMissing: 1, _sortValue: 1, _id: 1 } });
+  assert.deepStrictEqual(sortStages('liked'), [{ $sort: { createdAt: -1, _id: -1 } }]);
+
+  // Paging from a like that has the field still reaches those without it
+  const doc = { _id: new ObjectId(), createdAt: new Date(), memeData: { created_utc: 1714560000 } };
+  assert.deepStrictEqual(afterCursor(decodeCursor(encodeCursor(doc, 'posted'), 'posted'), 'posted').$or[2], { _sortMissing: 1 });
+
+  // and from one without it, the rest follow by _id
+  const legacy = { _id: new ObjectId(), createdAt: new Date(), memeData: { created_utc: '1714560000' } };
+  const position = decodeCursor(encodeCursor(legacy, 'posted'), 'posted');
+  assert.strictEqual(position['memeData.created_utc'], null);
+  assert.deepStrictEqual(afterCursor(position, 'posted'), { _sortMissing: 1, _id: { $lt: legacy._id } });
+});
+
+test('builds likes filters from query parameters', () => {
+  const { filter, sort } = parseLikesQuery({
+    q: ' cat ',
+    type: 'image,video',
+    subreddit: 'pics,aww',
+    likedFrom: '2024-05-01',
+    likedTo: '2024-05-31',
+    postedFrom: '2024-01-01T00:00:00Z',
+    sort: 'posted'
+  });
+  assert.strictEqual(sort, 'posted');
+  assert.deepStrictEqual(filter.$text, { $search: 'cat' });
+  assert.deepStrictEqual(filter['memeData.normalized.type'], { $in: ['image', 'video'] });
+  assert.deepStrictEqual(filter['memeData.subreddit'], { $in: ['pics', 'aww'] });
+  // A bare upper date includes that whole day
+  assert.deepStrictEqual(filter.createdAt, {
+    $gte: new Date('2024-05-01T00:00:00.000Z'),
+    $lte: new Date('2024-05-31T23:59:59.999Z')
+  });
+  assert.deepStrictEqual(filter['memeData.created_utc'], { $gte: 1704067200 });
+
+  assert.deepStrictEqual(parseLikesQuery({ subreddit: 'pics' }), { filter: { 'memeData.subreddit': 'pics' }, sort: 'liked' });
+  assert.match(parseLikesQuery({ sort: 'random' }).message, /sort/);
+  assert.match(parseLikesQuery({ type: 'image,audio' }).message, /type/);
+  assert.match(parseLikesQuery({ likedFrom: 'yesterday' }).message, /likedFrom/);
+  assert.match(parseLikesQuery({ q: 'x'.repeat(101) }).message, /at most/);
+});
+
+test('field projection always keeps the meme id', () => {
+  assert.deepStrictEqual(parseFields('title, thumbnail,$where'), {
+    createdAt: 1,
+    'memeData.id': 1,
+    'memeData.title': 1,
+    'memeData.thumbnail': 1
+  });
+  assert.strictEqual(parseFields(''), null);
+});
+
+test('bulk likes keep likedAt and reject bad input', () => {
+  const likedAt = Date.parse('2024-03-01T10:00:00.000Z');
+  const { likes } = parseBulkLikes({ likes: [{ id: 'a1', likedAt }, { data: { id: 'b2' }, likedAt: 'garbage' }] });
+  assert.deepStrictEqual(likes.map(l => l.memeId), ['a1', 'b2']);
+  assert.strictEqual(likes[0].createdAt.getTime(), likedAt);
+  // Unparseable and future dates become "now"
+  assert.ok(Math.abs(likes[1].createdAt.getTime() - Date.now()) < 5000);
+  assert.ok(parseBulkLikes({ likes: [{ id: 'c3', likedAt: Date.now() + 1e9 }] }).likes[0].createdAt <= new Date());
+
+  assert.match(parseBulkLikes({}).message, /required/);
+  assert.match(parseBulkLikes({ likes: [{ title: 'no id' }] }).message, /id/);
+  assert.match(parseBulkLikes({ likes: Array.from({ length: 201 }, (_, i) => ({ id: `m${i}` })) }).message, /At most 200/);
+});
+
+test('searches create the text index themselves', async () => {
+  const result = await listLikes({ userId: 'user_a', query: { q: 'cat', limit: '10' } });
+  assert.strictEqual(result.status, 200);
+  assert.deepStrictEqual(createdIndexes, ['likes_search']);
+
+  // Nothing matches, so no ZIP, but no 500 either
+  assert.strictEqual((await downloadLikes({ userId: 'user_a', query: { q: 'cat' } })).status, 404);
+  assert.deepStrictEqual(createdIndexes, ['likes_search']);
+});
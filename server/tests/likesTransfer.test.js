@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { formatLikes, parseImport, parseCsv, MAX_IMPORT_LIKES } = require('../handlers/likesTransfer');
+
+const like = (id, extra = {}) => ({
+  createdAt: new Date('2024-05-02T08:00:00.000Z'),
+  memeData: {
+    id,
+    title: 'A "quoted", title',
+    subreddit: 'pics',
+    author: 'someone',
+    permalink: `/r/pics/comments/${id}/a_title/`,
+    url: `https://i.redd.it/${id}.jpg`,
+    created_utc: 1714550400,
+    normalized: { type: 'image' },
+    ...extra
+  }
+});
+
+test('JSON exports drop the normalized model and import back as full posts', () => {
+  const exported = JSON.parse(formatLikes('json', [like('abc')], new Date('2024-06-01T00:00:00.000Z')));
+  assert.strictEqual(exported.format, 'twiix-likes');
+  assert.strictEqual(exported.likes[0].normalized, undefined);
+  assert.strictEqual(exported.likes[0].likedAt, '2024-05-02T08:00:00.000Z');
+
+  const { format, posts, ids } = parseImport(JSON.stringify(exported));
+  assert.strictEqual(format, 'json');
+  assert.strictEqual(ids.length, 0);
+  assert.strictEqual(posts[0].memeId, 'abc');
+  assert.strictEqual(posts[0].meme.likedAt, undefined);
+  assert.strictEqual(posts[0].createdAt.toISOString(), '2024-05-02T08:00:00.000Z');
+});
+
+test('CSV exports quote fields and defuse spreadsheet formulas', () => {
+  const csv = formatLikes('csv', [like('abc', { title: '=HYPERLINK("x")' })]);
+  const rows = parseCsv(csv);
+  assert.deepStrictEqual(rows[0], ['id', 'title', 'subreddit', 'author', 'permalink', 'url', 'posted_at', 'liked_at']);
+  assert.strictEqual(rows[1][1], '\'=HYPERLINK("x")');
+  assert.strictEqual(rows[1][4], 'https://www.reddit.com/r/pics/comments/abc/a_title/');
+  assert.strictEqual(rows[1][6], '2024-05-01T08:00:00.000Z');
+});
+
+test('bookmark exports escape titles and carry the like date', () => {
+  const html = formatLikes('html', [like('abc', { title: '<b>Cats & dogs</b>' })]);
+  assert.match(html, /^<!DOCTYPE NETSCAPE-Bookmark-file-1>/);
+  assert.match(html, /<A HREF="https:\/\/www\.reddit\.com\/r\/pics\/comments\/abc\/a_title\/" ADD_DATE="1714636800" TAGS="pics">&lt;b&gt;Cats &amp; dogs&lt;\/b&gt;<\/A>/);
+});
+
+test('Reddit saved_posts.csv imports by ID, falling back to the permalink', () => {
+  const content = '\uFEFFid,permalink\r\nabc,https://www.reddit.com/r/pics/comments/abc/x/\r\n,https://old.reddit.com/r/aww/comments/def/y/\r\nabc,dup\r\n,not a link\r\n';
+  const { format, ids, invalid } = parseImport(content);
+  assert.strictEqual(format, 'csv');
+  assert.deepStrictEqual(ids.map(entry => entry.memeId), ['abc', 'def']);
+  assert.strictEqual(invalid, 1);
+});
+
+test('plain text and bookmark files import every Reddit link they contain', () => {
+  const content = [
+    'https://www.reddit.com/r/pics/comments/Abc12/title/',
+    'https://redd.it/def34',
+    'https://example.com/comments/nope',
+    '<DT><A HREF="https://reddit.com/comments/ghi56">x</A>'
+  ].join('\n');
+  const { format, ids } = parseImport(content);
+  assert.strictEqual(format, 'links');
+  assert.deepStrictEqual(ids.map(entry => entry.memeId), ['abc12', 'def34', 'ghi56']);
+});
+
+test('imports are validated', () => {
+  assert.match(parseImport('').message, /required/);
+  assert.match(parseImport('abc', 'xml').message, /format/);
+  assert.match(parseImport('{"likes": ').message, /not valid JSON/);
+  assert.match(parseImport('{"likes": 3}').message, /Expected/);
+  assert.match(parseImport('nothing to see here').message, /No Reddit posts/);
+  assert.match(parseImport('title,url\nx,y', 'csv').message, /id and permalink/);
+
+  const tooMany = Array.from({ length: MAX_IMPORT_LIKES + 1 }, (_, i) => `https://redd.it/p${i}`).join('\n');
+  assert.match(parseImport(tooMany).message, /At most/);
+});
@@ -0,0 +1,129 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+// Each fixture file covers one host: Reddit posts (trimmed copies of real
+// listing entries), the expected normalized model, and canned API responses
+// for hosts that need a lookup. `expected` is a partial match; arrays must
+// match in length and order.
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'hosts');
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8')));
+
+const apiRequests = [];
+
+const stub = http.createServer((req, res) => {
+  apiRequests.push({ path: req.url, authorization: req.headers.authorization });
+  const response = fixtures
+    .map(fixture => fixture.responses && fixture.responses[req.url])
+    .find(Boolean);
+  res.setHeader('Content-Type', 'application/json');
+  res.statusCode = response ? response.status : 404;
+  res.end(JSON.stringify(response ? response.body : {}));
+});
+
+let normalizePost;
+let media;
+
+before(async () => {
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${stub.address().port}`;
+  process.env.IMGUR_CLIENT_ID = 'test-client';
+  process.env.IMGUR_API_BASE_URL = `${base}/imgur`;
+  process.env.STREAMABLE_API_BASE_URL = `${base}/streamable`;
+  ({ normalizePost } = require('../reddit/normalize'));
+  media = require('../media');
+});
+
+after(() => new Promise(resolve => stub.close(resolve)));
+
+const assertMatches = (actual, expected, where) => {
+  if (Array.isArray(expected)) {
+    assert.ok(Array.isArray(actual), `${where}: expected an array, got ${JSON.stringify(actual)}`);
+    assert.strictEqual(actual.length, expected.length, `${where}: length`);
+    expected.forEach((item, i) => assertMatches(actual[i], item, `${where}[${i}]`));
+  } else if (expected && typeof expected === 'object') {
+    assert.ok(actual && typeof actual === 'object', `${where}: expected an object, got ${JSON.stringify(actual)}`);
+    Object.keys(expected).forEach(key => assertMatches(actual[key], expected[key], `${where}.${key}`));
+  } else {
+    assert.strictEqual(actual, expected, where);
+  }
+};
+
+for (const fixture of fixtures) {
+  for (const fixtureCase of fixture.cases) {
+    test(`${fixture.host}: ${fixtureCase.name}`, async () => {
+      const model = normalizePost({ title: fixtureCase.name, ...fixtureCase.post });
+      const expectedHost = 'host' in fixtureCase.expected ? fixtureCase.expected.host : fixture.host;
+      assert.strictEqual(model.host, expectedHost);
+
+      if (fixtureCase.expectedBeforeLookup) {
+        assertMatches(model, fixtureCase.expectedBeforeLookup, 'model');
+      }
+      assertMatches(await media.resolveLookup(model), fixtureCase.expected, 'model');
+    });
+  }
+}
+
+test('POST /reddit/normalize resolves saved posts with the same plugins', async () => {
+  const { normalizePosts } = require('../handlers/reddit');
+  const cases = fixtures.flatMap(fixture => fixture.cases.map(fixtureCase => ({ fixture, fixtureCase })));
+  const res = await normalizePosts({ body: { posts: cases.map(({ fixtureCase }) => ({ title: fixtureCase.name, ...fixtureCase.post })) } });
+
+  assert.strictEqual(res.status, 200);
+  cases.forEach(({ fixture, fixtureCase }, i) => {
+    const expectedHost = 'host' in fixtureCase.expected ? fixtureCase.expected.host : fixture.host;
+    assert.strictEqual(res.body.models[i].host, expectedHost, fixtureCase.name);
+    assertMatches(res.body.models[i], fixtureCase.expected, `${fixtureCase.name}: model`);
+  });
+
+  assert.strictEqual((await normalizePosts({ body: { posts: [] } })).status, 400);
+  assert.strictEqual((await normalizePosts({ body: { posts: ['abc'] } })).status, 400);
+  assert.strictEqual((await normalizePosts({ body: { posts: Array(101).fill({}) } })).status, 400);
+});
+
+test('sends the imgur client ID and caches lookups', async () => {
+  const album = { id: 'im9', url: 'https://imgur.com/a/AlbM1' };
+  await media.resolveLookup(normalizePost(album));
+  const before = apiRequests.length;
+  const resolved = await media.resolveLookup(normalizePost(album));
+
+  assert.strictEqual(resolved.type, 'gallery');
+  assert.strictEqual(apiRequests.length, before);
+  const albumRequest = apiRequests.find(r => r.path === '/imgur/album/AlbM1/images');
+  assert.strictEqual(albumRequest.authorization, 'Client-ID test-client');
+});
+
+test('skips imgur album lookups without a client ID', async () => {
+  const clientId = process.env.IMGUR_CLIENT_ID;
+  delete process.env.IMGUR_CLIENT_ID;
+  try {
+    const before = apiRequests.length;
+    const resolved = await media.resolveLookup(normalizePost({ id: 'im10', url: 'https://imgur.com/a/NoKey1' }));
+    assert.strictEqual(resolved.type, 'link');
+    assert.strictEqual(resolved.lookup, null);
+    assert.strictEqual(apiRequests.length, before);
+  } finally {
+    process.env.IMGUR_CLIENT_ID = clientId;
+  }
+});
+
+test('registered hosts take precedence over the built-in ones', () => {
+  const { createRegistry } = require('../media/registry');
+  const registry = createRegistry(require('../media/hosts'));
+  registry.register({
+    name: 'example',
+    match: url => url?.hostname === 'media.example.com',
+    resolve: url => ({ type: 'video', sources: [], video: { sources: [{ url: `${url.href}.mp4` }] }, embed: null })
+  });
+
+  assert.deepStrictEqual(registry.names(), ['example', 'vreddit', 'ireddit', 'redgifs', 'imgur', 'streamable', 'direct']);
+  assert.strictEqual(registry.resolve('https://media.example.com/clip1', {}).host, 'example');
+  assert.strictEqual(registry.resolve('https://media.example.com/clip1.png', {}).video.sources[0].url, 'https://media.example.com/clip1.png.mp4');
+  assert.strictEqual(registry.resolve('https://other.example.com/clip1.png', {}).host, 'direct');
+  assert.strictEqual(registry.resolve('not a url', {}), null);
+  assert.throws(() => registry.register({ name: 'broken' }), TypeError);
+});
@@ -0,0 +1,163 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { muxTracks, childrenOf, MuxError } = require('../download/mp4Mux');
+const { audioUrlsFromMpd } = require('../archive/redditVideo');
+
+const box = (type, ...payloads) => {
+  const body = Buffer.concat(payloads);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+};
+
+const uint32s = (...values) => {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, i) => buffer.writeUInt32BE(value, i * 4));
+  return buffer;
+};
+
+// Version 0 full boxes with just the fields the muxer reads filled in
+const mvhd = (timescale, nextTrackId) => box('mvhd', uint32s(0, 0, 0, timescale, 0), Buffer.alloc(76), uint32s(nextTrackId));
+const tkhd = (trackId, duration) => box('tkhd', uint32s(0, 0, 0, trackId, 0, duration), Buffer.alloc(60));
+const mdhd = (timescale) => box('mdhd', uint32s(0, 0, 0, timescale, 0, 0));
+const trex = (trackId) => box('trex', uint32s(0, trackId, 1, 0, 0, 0));
+
+// A fragment: moof (mfhd, traf with tfhd and a version 1 tfdt) and its mdat.
+// With `baseAt`, tfhd carries an absolute base_data_offset of that value.
+const fragment = (trackId, sequence, decodeTime, payload, baseAt = null) => {
+  const tfhd = baseAt === null
+    ? box('tfhd', uint32s(0x020000, trackId))
+    : box('tfhd', uint32s(0x000001, trackId, 0, baseAt));
+  const tfdt = box('tfdt', uint32s(0x01000000, 0, decodeTime));
+  return [box('moof', box('mfhd', uint32s(0, sequence)), box('traf', tfhd, tfdt)), box('mdat', Buffer.from(payload))];
+};
+
+// A single-track fragmented MP4 whose fragments are [decodeTime, payload, absolute?]
+const fmp4 = ({ trackId, movieTimescale, duration, timescale, fragments, extra = [] }) => {
+  const init = [
+    box('ftyp', Buffer.from('dashiso6', 'latin1')),
+    box('moov',
+      mvhd(movieTimescale, trackId + 1),
+      box('trak', tkhd(trackId, duration), box('mdia', mdhd(timescale))),
+      box('mvex', trex(trackId))),
+    ...extra
+  ];
+  let position = Buffer.concat(init).length;
+  const boxes = [...init];
+  fragments.forEach(([decodeTime, payload, absolute], i) => {
+    const parts = fragment(trackId, i + 1, decodeTime, payload, absolute ? position : null);
+    boxes.push(...parts);
+    position += parts[0].length + parts[1].length;
+  });
+  return Buffer.concat(boxes);
+};
+
+// Feed a file in small chunks so boxes straddle reads
+const streamOf = (buffer, chunkSize = 7) => {
+  const chunks = [];
+  for (let i = 0; i < buffer.length; i += chunkSize) chunks.push(buffer.subarray(i, i + chunkSize));
+  return Readable.from(chunks);
+};
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const child = (buffer, parent, type) => childrenOf(buffer, parent.body, parent.end).filter(c => c.type === type);
+
+test('a video and an audio fMP4 are muxed into one file, fragments in time order', async () => {
+  const video = fmp4({
+    trackId: 1,
+    movieTimescale: 1000,
+    duration: 2000,
+    timescale: 90000,
+    fragments: [[0, 'v0'], [90000, 'v1', true]]
+  });
+  const audio = fmp4({
+    trackId: 1,
+    movieTimescale: 48000,
+    duration: 96000,
+    timescale: 48000,
+    fragments: [[0, 'a0'], [24000, 'a1'], [72000, 'a2']],
+    extra: [box('sidx', Buffer.alloc(24))]
+  });
+
+  const output = await readAll(await muxTracks(streamOf(video), streamOf(audio)));
+  const top = childrenOf(output);
+  assert.deepStrictEqual(top.map(c => c.type), ['ftyp', 'moov', ...Array(5).fill(['moof', 'mdat']).flat()]);
+
+  const moov = top[1];
+  const [header] = child(output, moov, 'mvhd');
+  assert.strictEqual(output.readUInt32BE(header.end - 4), 3, 'next_track_ID');
+
+  const traks = child(output, moov, 'trak');
+  const headers = traks.map(trak => child(output, trak, 'tkhd')[0]);
+  assert.deepStrictEqual(headers.map(h => output.readUInt32BE(h.body + 12)), [1, 2]);
+  // The audio's duration moves from its 48 kHz movie timescale to the video's
+  assert.deepStrictEqual(headers.map(h => output.readUInt32BE(h.body + 20)), [2000, 2000]);
+
+  const [mvex] = child(output, moov, 'mvex');
+  assert.deepStrictEqual(child(output, mvex, 'trex').map(t => output.readUInt32BE(t.body + 4)), [1, 2]);
+
+  const fragments = [];
+  for (let i = 2; i < top.length; i += 2) {
+    const moof = top[i];
+    const [mfhd] = child(output, moof, 'mfhd');
+    const [traf] = child(output, moof, 'traf');
+    const [tfhd] = child(output, traf, 'tfhd');
+    fragments.push({
+      sequence: output.readUInt32BE(mfhd.body + 4),
+      trackId: output.readUInt32BE(tfhd.body + 4),
+      payload: output.toString('latin1', top[i + 1].body, top[i + 1].end),
+      base: output.readUInt32BE(tfhd.body) & 1 ? Number(output.readBigUInt64BE(tfhd.body + 8)) : null,
+      start: moof.start
+    });
+  }
+  assert.deepStrictEqual(fragments.map(f => [f.sequence, f.trackId, f.payload]), [
+    [1, 1, 'v0'],
+    [2, 2, 'a0'],
+    [3, 2, 'a1'],
+    [4, 1, 'v1'],
+    [5, 2, 'a2']
+  ]);
+  // An absolute offset still points at the fragment's own moof
+  assert.strictEqual(fragments[3].base, fragments[3].start);
+});
+
+test('files that are not fragmented are rejected before any output', async () => {
+  const progressive = Buffer.concat([
+    box('ftyp', Buffer.from('isom', 'latin1')),
+    box('moov', mvhd(1000, 2), box('trak', tkhd(1, 1000), box('mdia', mdhd(1000)))),
+    box('mdat', Buffer.from('frames'))
+  ]);
+  const audio = fmp4({ trackId: 1, movieTimescale: 1000, duration: 1000, timescale: 48000, fragments: [[0, 'a0']] });
+  const audioStream = streamOf(audio);
+
+  await assert.rejects(muxTracks(streamOf(progressive), audioStream), MuxError);
+  assert.ok(audioStream.destroyed);
+  await assert.rejects(muxTracks(streamOf(Buffer.from('not an mp4 at all')), streamOf(audio)), MuxError);
+});
+
+test('audio representations are read from a DASH manifest, best first', () => {
+  const mpd = `<?xml version="1.0" encoding="UTF-8"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011">
+  <Period>
+    <AdaptationSet contentType="video" mimeType="video/mp4">
+      <Representation id="1" bandwidth="2000000"><BaseURL>DASH_720.mp4</BaseURL></Representation>
+    </AdaptationSet>
+    <AdaptationSet contentType="audio" mimeType="audio/mp4">
+      <Representation id="5" bandwidth="64000"><BaseURL>DASH_AUDIO_64.mp4</BaseURL></Representation>
+      <Representation id="6" bandwidth="128000"><BaseURL>DASH_AUDIO_128.mp4?a=1&amp;b=2</BaseURL></Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+  assert.deepStrictEqual(audioUrlsFromMpd(mpd, 'https://v.redd.it/abc/DASHPlaylist.mpd?x=1'), [
+    'https://v.redd.it/abc/DASH_AUDIO_128.mp4?a=1&b=2',
+    'https://v.redd.it/abc/DASH_AUDIO_64.mp4'
+  ]);
+  assert.deepStrictEqual(audioUrlsFromMpd(mpd.replace(/contentType="audio" mimeType="audio\/mp4"/, ''), 'https://v.redd.it/abc/DASHPlaylist.mpd'), []);
+});
@@ -0,0 +1,180 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizePost, withNormalized } = require('../reddit/normalize');
+
+// Trimmed-down copies of real listing entries
+const base = {
+  title: 'A post',
+  author: 'someone',
+  subreddit: 'pics',
+  score: 42,
+  num_comments: 7,
+  created_utc: 1700000000,
+  permalink: '/r/pics/comments/abc/a_post/'
+};
+
+const preview = (name, width = 1080, height = 1350) => ({
+  images: [{
+    source: { url: `https://preview.redd.it/${name}.jpg?width=${width}&amp;s=src`, width, height },
+    resolutions: [
+      { url: `https://preview.redd.it/${name}.jpg?width=108&amp;s=a`, width: 108, height: 135 },
+      { url: `https://preview.redd.it/${name}.jpg?width=640&amp;s=b`, width: 640, height: 800 },
+      { url: `https://preview.redd.it/${name}.jpg?width=960&amp;s=c`, width: 960, height: 1200 }
+    ]
+  }]
+});
+
+test('normalizes an i.redd.it image with ordered, unescaped candidates', () => {
+  const post = normalizePost({
+    ...base,
+    id: 'img1',
+    url: 'https://i.redd.it/img1.jpg',
+    post_hint: 'image',
+    preview: preview('img1')
+  });
+
+  assert.strictEqual(post.type, 'image');
+  assert.strictEqual(post.sources[0].url, 'https://i.redd.it/img1.jpg');
+  assert.deepStrictEqual(post.sources.map(s => s.width), [1080, 1080, 960, 640, 108]);
+  assert.ok(post.sources.every(s => !s.url.includes('&amp;')));
+  assert.deepStrictEqual(post.poster, { url: 'https://preview.redd.it/img1.jpg?width=640&s=b', width: 640, height: 800 });
+  assert.strictEqual(post.video, null);
+  assert.strictEqual(post.author, 'someone');
+  assert.strictEqual(post.subreddit, 'pics');
+  assert.strictEqual(post.score, 42);
+});
+
+test('normalizes a v.redd.it video with its mp4, HLS and DASH variants', () => {
+  const post = normalizePost({
+    ...base,
+    id: 'vid1',
+    url: 'https://v.redd.it/vid1',
+    is_video: true,
+    post_hint: 'hosted:video',
+    preview: preview('vid1'),
+    media: {
+      reddit_video: {
+        fallback_url: 'https://v.redd.it/vid1/DASH_720.mp4?source=fallback',
+        hls_url: 'https://v.redd.it/vid1/HLSPlaylist.m3u8?a=1&amp;v=1',
+        dash_url: 'https://v.redd.it/vid1/DASHPlaylist.mpd?a=1&amp;v=1',
+        width: 720,
+        height: 900,
+        duration: 12,
+        has_audio: true,
+        is_gif: false
+      }
+    }
+  });
+
+  assert.strictEqual(post.type, 'video');
+  assert.deepStrictEqual(post.video.sources, [{
+    url: 'https://v.redd.it/vid1/DASH_720.mp4?source=fallback', width: 720, height: 900, mimeType: 'video/mp4'
+  }]);
+  assert.strictEqual(post.video.hls, 'https://v.redd.it/vid1/HLSPlaylist.m3u8?a=1&v=1');
+  assert.strictEqual(post.video.dash, 'https://v.redd.it/vid1/DASHPlaylist.mpd?a=1&v=1');
+  assert.strictEqual(post.video.hasAudio, true);
+  assert.strictEqual(post.video.duration, 12);
+  assert.strictEqual(post.poster.width, 640);
+});
+
+test('treats a silent Reddit video and an imgur gifv as gifs', () => {
+  const silent = normalizePost({
+    ...base,
+    id: 'gif1',
+    is_video: true,
+    media: { reddit_video: { fallback_url: 'https://v.redd.it/gif1/DASH_480.mp4', is_gif: true } }
+  });
+  assert.strictEqual(silent.type, 'gif');
+  assert.strictEqual(silent.video.hasAudio, false);
+
+  const gifv = normalizePost({ ...base, id: 'gif2', url: 'https://i.imgur.com/gif2.gifv', preview: preview('gif2') });
+  assert.strictEqual(gifv.type, 'gif');
+  assert.strictEqual(gifv.video.sources[0].url, 'https://i.imgur.com/gif2.mp4');
+});
+
+test('normalizes a gallery in order, with captions and animated items', () => {
+  const post = normalizePost({
+    ...base,
+    id: 'gal1',
+    url: 'https://www.reddit.com/gallery/gal1',
+    is_gallery: true,
+    gallery_data: {
+      items: [
+        { media_id: 'm2', caption: 'Second upload, shown first' },
+        { media_id: 'm1', outbound_url: 'https://example.com/?a=1&amp;b=2' },
+        { media_id: 'broken' }
+      ]
+    },
+    media_metadata: {
+      m1: {
+        status: 'valid',
+        e: 'AnimatedImage',
+        s: { gif: 'https://i.redd.it/m1.gif', mp4: 'https://preview.redd.it/m1.gif?format=mp4&amp;s=x', x: 500, y: 400 }
+      },
+      m2: {
+        status: 'valid',
+        e: 'Image',
+        s: { u: 'https://preview.redd.it/m2.jpg?width=2000&amp;s=y', x: 2000, y: 1500 },
+        p: [{ u: 'https://preview.redd.it/m2.jpg?width=320&amp;s=z', x: 320, y: 240 }]
+      },
+      broken: { status: 'failed' }
+    }
+  });
+
+  assert.strictEqual(post.type, 'gallery');
+  assert.deepStrictEqual(post.gallery.map(item => item.id), ['m2', 'm1']);
+  assert.strictEqual(post.gallery[0].caption, 'Second upload, shown first');
+  assert.strictEqual(post.gallery[0].sources[0].url, 'https://preview.redd.it/m2.jpg?width=2000&s=y');
+  assert.strictEqual(post.gallery[1].type, 'gif');
+  assert.strictEqual(post.gallery[1].link, 'https://example.com/?a=1&b=2');
+  assert.strictEqual(post.gallery[1].video.sources[0].url, 'https://preview.redd.it/m1.gif?format=mp4&s=x');
+  assert.strictEqual(post.poster.url, 'https://preview.redd.it/m2.jpg?width=320&s=z');
+});
+
+test('normalizes a RedGifs post as an embed, keeping Reddit\'s transcode when present', () => {
+  const oembedOnly = normalizePost({
+    ...base,
+    id: 'rg1',
+    url: 'https://www.redgifs.com/watch/SomeGifName',
+    secure_media: { oembed: { html: '&lt;iframe src="https://www.redgifs.com/ifr/somegifname"&gt;' } },
+    thumbnail: 'https://b.thumbs.redditmedia.com/rg1.jpg'
+  });
+  assert.strictEqual(oembedOnly.type, 'embed');
+  assert.deepStrictEqual(oembedOnly.embed, {
+    provider: 'redgifs', id: 'somegifname', url: 'https://www.redgifs.com/watch/SomeGifName', html: null
+  });
+  assert.strictEqual(oembedOnly.video, null);
+  assert.strictEqual(oembedOnly.poster.url, 'https://b.thumbs.redditmedia.com/rg1.jpg');
+
+  const transcoded = normalizePost({
+    ...base,
+    id: 'rg2',
+    url: 'https://redgifs.com/watch/othergif',
+    preview: { ...preview('rg2'), reddit_video_preview: { fallback_url: 'https://v.redd.it/rg2/DASH_360.mp4', is_gif: true } }
+  });
+  assert.strictEqual(transcoded.type, 'gif');
+  assert.strictEqual(transcoded.embed.id, 'othergif');
+  assert.strictEqual(transcoded.video.sources[0].url, 'https://v.redd.it/rg2/DASH_360.mp4');
+});
+
+test('classifies text and link posts and accepts listing children', () => {
+  assert.strictEqual(normalizePost({ ...base, id: 't1', is_self: true, selftext: 'hi' }).type, 'text');
+  assert.strictEqual(normalizePost({ ...base, id: 'l1', url: 'https://example.com/article', post_hint: 'link' }).type, 'link');
+  assert.strictEqual(normalizePost(null), null);
+
+  const youtube = normalizePost({
+    ...base,
+    id: 'yt1',
+    url: 'https://youtu.be/xyz',
+    domain: 'youtu.be',
+    secure_media: { oembed: { provider_name: 'YouTube', html: '&lt;iframe src="https://www.youtube.com/embed/xyz?a=1&amp;b=2"&gt;&lt;/iframe&gt;' } }
+  });
+  assert.strictEqual(youtube.type, 'embed');
+  assert.strictEqual(youtube.embed.provider, 'youtube');
+  assert.strictEqual(youtube.embed.html, '<iframe src="https://www.youtube.com/embed/xyz?a=1&b=2"></iframe>');
+
+  const child = withNormalized({ kind: 't3', data: { ...base, id: 'img2', url: 'https://i.imgur.com/img2.png' } });
+  assert.strictEqual(child.data.id, 'img2');
+  assert.strictEqual(child.normalized.type, 'image');
+  assert.strictEqual(normalizePost({ data: child.data }).id, 'img2');
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createTokenBucket } = require('../rateLimit/tokenBucket');
+const { createUpstreamBudget, UpstreamBudgetError } = require('../rateLimit/upstreamBudget');
+
+const fakeClock = (start = 1000000) => {
+  let time = start;
+  return { now: () => time, advance: (ms) => { time += ms; } };
+};
+
+test('token bucket allows bursts up to capacity, then refills over time', () => {
+  const clock = fakeClock();
+  const bucket = createTokenBucket({ capacity: 3, refillPerSecond: 1, now: clock.now });
+
+  assert.strictEqual(bucket.take('a').remaining, 2);
+  bucket.take('a');
+  assert.strictEqual(bucket.take('a').remaining, 0);
+
+  const rejected = bucket.take('a');
+  assert.strictEqual(rejected.allowed, false);
+  assert.strictEqual(rejected.retryAfter, 1);
+
+  clock.advance(1000);
+  assert.strictEqual(bucket.take('a').allowed, true);
+  assert.strictEqual(bucket.take('b').allowed, true);
+});
+
+test('token bucket takes several tokens at once, or none', () => {
+  const clock = fakeClock();
+  const bucket = createTokenBucket({ capacity: 5, refillPerSecond: 1, now: clock.now });
+
+  assert.strictEqual(bucket.take('a', 3).remaining, 2);
+  const rejected = bucket.take('a', 3);
+  assert.strictEqual(rejected.allowed, false);
+  assert.strictEqual(rejected.remaining, 2);
+  assert.strictEqual(rejected.retryAfter, 1);
+  assert.strictEqual(bucket.take('a', 2).allowed, true);
+});
+
+test('token bucket evicts idle and least recently used keys', () => {
+  const clock = fakeClock();
+  const bucket = createTokenBucket({ capacity: 2, refillPerSecond: 1, maxKeys: 2, now: clock.now });
+
+  bucket.take('a');
+  bucket.take('b');
+  bucket.take('c');
+  assert.strictEqual(bucket.size(), 2);
+
+  // Once refilled, buckets are dropped by the periodic sweep
+  clock.advance(61 * 1000);
+  bucket.take('d');
+  assert.strictEqual(bucket.size(), 1);
+});
+
+test('upstream budget passes calls through while Reddit reports plenty left', async () => {
+  const clock = fakeClock();
+  const budget = createUpstreamBudget({ now: clock.now, sleep: async () => {} });
+  budget.record(new Headers({ 'x-ratelimit-remaining': '90', 'x-ratelimit-reset': '300' }));
+  await budget.acquire();
+  assert.strictEqual(budget.getState().remaining, 89);
+});
+
+test('upstream budget spaces calls out when running low and refuses long waits', async () => {
+  const clock = fakeClock();
+  const waits = [];
+  const budget = createUpstreamBudget({
+    reserve: 5,
+    slowdownAt: 50,
+    maxWaitMs: 2000,
+    now: clock.now,
+    sleep: async (ms) => { waits.push(ms); }
+  });
+  // 15 usable calls over 15 seconds: one per second
+  budget.record(new Headers({ 'x-ratelimit-remaining': '20', 'x-ratelimit-reset': '15' }));
+
+  await budget.acquire();
+  await budget.acquire();
+  assert.deepStrictEqual(waits, [1000]);
+
+  // The next free slot is over two seconds away: refuse instead of holding the request
+  await assert.rejects(budget.acquire(), UpstreamBudgetError);
+});
+
+test('upstream budget stops calling inside the reserve and after a 429', async () => {
+  const clock = fakeClock();
+  const budget = createUpstreamBudget({ reserve: 5, now: clock.now, sleep: async () => {} });
+
+  budget.record(new Headers({ 'x-ratelimit-remaining': '5', 'x-ratelimit-reset': '30' }));
+  await assert.rejects(budget.acquire(), (err) => err instanceof UpstreamBudgetError && err.retryAfter === 30);
+
+  clock.advance(31 * 1000);
+  await budget.acquire();
+
+  budget.recordThrottled(10);
+  await assert.rejects(budget.acquire(), UpstreamBudgetError);
+});
@@ -0,0 +1,169 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Fake Reddit: three listing pages of 100 posts, every fourth one an image
+const PAGE_COUNT = 3;
+const upstreamRequests = [];
+
+const fakeFetch = async (url) => {
+  upstreamRequests.push(url);
+  if (url.includes('/r/private/')) {
+    return { ok: false, status: 403, headers: new Headers(), json: async () => ({}) };
+  }
+  const after = new URL(url).searchParams.get('after');
+  const page = after ? Number(after.replace('t3_page', '')) : 0;
+  const children = Array.from({ length: 100 }, (_, i) => ({
+    data: i % 4 === 0
+      ? { id: `p${page}m${i}`, post_hint: 'image' }
+      : { id: `p${page}t${i}`, is_self: true }
+  }));
+  return {
+    ok: true,
+    status: 200,
+    headers: new Headers(),
+    json: async () => ({ data: { children, after: page + 1 < PAGE_COUNT ? `t3_page${page + 1}` : null } })
+  };
+};
+
+require.cache[require.resolve('node-fetch')] = { exports: fakeFetch };
+process.env.REDDIT_MAX_UPSTREAM_CALLS = '2';
+
+// Seen history without a database: `seenIds` are the posts user_a has seen
+const seenLookups = [];
+let seenIds = new Set();
+require('../handlers/seen').findSeenIds = async (userId, feedKey, memeIds) => {
+  seenLookups.push({ userId, feedKey });
+  return new Set(userId === 'user_a' ? memeIds.filter(id => seenIds.has(id)) : []);
+};
+const { getSubreddit, getUserSubmissions, encodeAfterCursor, parseAfterCursor, parseSort, sortKeySuffix } = require('../handlers/reddit');
+
+const get = (subreddit, query) => getSubreddit({ params: { subreddit }, query, ip: 'test', userId: null });
+
+test('after cursors carry an offset into a partly returned page', () => {
+  assert.strictEqual(encodeAfterCursor('t3_abc', 0), 't3_abc');
+  assert.strictEqual(encodeAfterCursor('', 12), '~12');
+  assert.deepStrictEqual(parseAfterCursor('t3_abc~12'), { after: 't3_abc', skip: 12 });
+  assert.deepStrictEqual(parseAfterCursor(''), { after: '', skip: 0 });
+  assert.strictEqual(parseAfterCursor('t3_abc&limit=100'), null);
+  assert.strictEqual(parseAfterCursor('t3_abc~-1'), null);
+});
+
+test('returns exactly the requested number of media posts and resumes mid-page', async () => {
+  const first = await get('fill', { limit: '10' });
+  assert.strictEqual(first.body.data.children.length, 10);
+  assert.strictEqual(first.body.data.after, '~10');
+  assert.strictEqual(first.body.data.children[0].normalized.type, 'image');
+  assert.deepStrictEqual(first.body.meta, { upstreamPages: 1, upstreamCalls: 1 });
+
+  const second = await get('fill', { limit: '10', after: first.body.data.after });
+  assert.strictEqual(second.body.data.children[0].data.id, 'p0m40');
+  assert.deepStrictEqual(second.body.meta, { upstreamPages: 1, upstreamCalls: 0 });
+
+  const third = await get('fill', { limit: '30', after: second.body.data.after });
+  assert.strictEqual(third.body.data.children.length, 30);
+  assert.strictEqual(third.body.data.after, 't3_page2');
+  assert.deepStrictEqual(third.body.meta, { upstreamPages: 2, upstreamCalls: 1 });
+});
+
+test('stops at the upstream call budget and returns a resumable cursor', async () => {
+  upstreamRequests.length = 0;
+  const res = await get('budget', { limit: '100' });
+  assert.strictEqual(upstreamRequests.length, 2);
+  assert.strictEqual(res.body.data.children.length, 50);
+  assert.strictEqual(res.body.data.after, 't3_page2');
+});
+
+test('signed-in requests with a feedKey skip seen posts and still fill the page', async () => {
+  // Half of the first page's 25 images are seen: p0m0, p0m8, ... p0m96
+  seenIds = new Set(Array.from({ length: 13 }, (_, i) => `p0m${i * 8}`));
+  seenLookups.length = 0;
+  const res = await getSubreddit({
+    params: { subreddit: 'seenfilter' },
+    query: { limit: '20', feedKey: 'seen_memes_subreddit_seenfilter' },
+    ip: 'test',
+    userId: 'user_a'
+  });
+
+  const returned = res.body.data.children.map(child => child.data.id);
+  assert.strictEqual(returned.length, 20);
+  assert.ok(returned.every(id => !seenIds.has(id)));
+  // The 12 unseen images of page 0, then the rest from page 1
+  assert.strictEqual(returned[0], 'p0m4');
+  assert.strictEqual(returned[12], 'p1m0');
+  assert.deepStrictEqual(res.body.meta, { upstreamPages: 2, upstreamCalls: 2 });
+  assert.deepStrictEqual(seenLookups[0], { userId: 'user_a', feedKey: 'seen_memes_subreddit_seenfilter' });
+
+  // Anonymous requests are never filtered
+  seenLookups.length = 0;
+  const anonymous = await get('seenfilter', { limit: '20', feedKey: 'seen_memes_subreddit_seenfilter' });
+  assert.strictEqual(anonymous.body.data.children[0].data.id, 'p0m0');
+  assert.strictEqual(seenLookups.length, 0);
+  seenIds = new Set();
+});
+
+test('rejects malformed after cursors', async () => {
+  const res = await get('fill', { after: 'bogus' });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual((await get('pics+', {})).status, 400);
+});
+
+test('accepts Reddit\'s a+b+c multireddit syntax', async () => {
+  const res = await get('pics+aww', { limit: '5' });
+  assert.strictEqual(res.status, 200);
+  assert.ok(upstreamRequests.some(url => url.includes('/r/pics+aww/hot.json')));
+});
+
+test('maps upstream errors to client-facing statuses', async () => {
+  const res = await get('private', {});
+  assert.strictEqual(res.status, 403);
+  assert.deepStrictEqual(res.body, { error: 'This content is private, quarantined or banned' });
+});
+
+test('rejects names that are not valid on Reddit', async () => {
+  assert.strictEqual((await get('../user/x', {})).status, 400);
+  const res = await getUserSubmissions({ params: { username: 'a/b' }, query: {}, ip: 'test', userId: null });
+  assert.strictEqual(res.status, 400);
+});
+
+test('user feeds share the media filtering and paging', async () => {
+  const res = await getUserSubmissions({ params: { username: 'someone' }, query: { limit: '5' }, ip: 'test', userId: null });
+  assert.strictEqual(res.body.data.children.length, 5);
+  assert.ok(upstreamRequests.some(url => url.includes('/user/someone/submitted.json')));
+});
+
+test('validates sort and time window', () => {
+  assert.deepStrictEqual(parseSort({}), { sort: 'hot', t: null });
+  assert.deepStrictEqual(parseSort({ sort: 'new', t: 'week' }), { sort: 'new', t: null });
+  assert.deepStrictEqual(parseSort({ sort: 'top' }), { sort: 'top', t: 'day' });
+  assert.deepStrictEqual(parseSort({ sort: 'controversial', t: 'all' }), { sort: 'controversial', t: 'all' });
+  assert.ok(parseSort({ sort: 'best' }).message);
+  assert.ok(parseSort({ sort: 'top', t: 'decade' }).message);
+
+  assert.strictEqual(sortKeySuffix({ sort: 'hot', t: null }), '');
+  assert.strictEqual(sortKeySuffix({ sort: 'new', t: null }), '_new');
+  assert.strictEqual(sortKeySuffix({ sort: 'top', t: 'week' }), '_top_week');
+});
+
+test('passes sort and time window upstream, cached per window', async () => {
+  const week = await get('ranked', { sort: 'top', t: 'week', limit: '5' });
+  assert.strictEqual(week.status, 200);
+  assert.ok(upstreamRequests.some(url => url.includes('/r/ranked/top.json') && url.includes('t=week')));
+
+  const before = upstreamRequests.length;
+  await get('ranked', { sort: 'top', t: 'week', limit: '5' });
+  assert.strictEqual(upstreamRequests.length, before);
+  await get('ranked', { sort: 'top', t: 'month', limit: '5' });
+  assert.ok(upstreamRequests.slice(before).some(url => url.includes('t=month')));
+
+  assert.strictEqual((await get('ranked', { sort: 'best' })).status, 400);
+  assert.strictEqual((await get('ranked', { sort: 'top', t: 'decade' })).status, 400);
+});
+
+test('user feeds take a sort but not rising', async () => {
+  const top = await getUserSubmissions({ params: { username: 'ranked' }, query: { sort: 'top', t: 'year', limit: '5' }, ip: 'test', userId: null });
+  assert.strictEqual(top.status, 200);
+  assert.ok(upstreamRequests.some(url => url.includes('/user/ranked/submitted.json') && url.includes('sort=top') && url.includes('t=year')));
+
+  const rising = await getUserSubmissions({ params: { username: 'ranked' }, query: { sort: 'rising' }, ip: 'test', userId: null });
+  assert.strictEqual(rising.status, 400);
+});
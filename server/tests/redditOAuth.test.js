@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// Local stand-in for Reddit: issues app-only tokens and serves listings to bearer holders
+const CLIENT_ID = 'test-client';
+const CLIENT_SECRET = 'test-secret';
+const tokenRequests = [];
+const listingRequests = [];
+const revoked = new Set();
+let issued = 0;
+
+const stub = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'POST' && url.pathname === '/api/v1/access_token') {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      tokenRequests.push({ authorization: req.headers.authorization, body, userAgent: req.headers['user-agent'] });
+      const expected = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+      if (req.headers.authorization !== expected || body !== 'grant_type=client_credentials') {
+        res.statusCode = 401;
+        return res.end(JSON.stringify({ error: 'invalid_grant' }));
+      }
+      issued++;
+      res.end(JSON.stringify({ access_token: `token-${issued}`, token_type: 'bearer', expires_in: 3600 }));
+    });
+    return;
+  }
+
+  listingRequests.push({ path: url.pathname, authorization: req.headers.authorization, userAgent: req.headers['user-agent'] });
+  const token = (req.headers.authorization || '').replace('Bearer ', '');
+  if (!token.startsWith('token-') || revoked.has(token)) {
+    res.statusCode = 401;
+    return res.end(JSON.stringify({ message: 'Unauthorized' }));
+  }
+
+  res.setHeader('x-ratelimit-remaining', '995');
+  res.setHeader('x-ratelimit-reset', '300');
+  res.end(JSON.stringify({
+    data: {
+      children: [{ data: { id: `${url.pathname.split('/')[2]}1`, post_hint: 'image' } }],
+      after: null
+    }
+  }));
+});
+
+let getSubreddit;
+
+before(async () => {
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${stub.address().port}`;
+  process.env.REDDIT_CACHE = 'memory';
+  process.env.REDDIT_CLIENT_ID = CLIENT_ID;
+  process.env.REDDIT_CLIENT_SECRET = CLIENT_SECRET;
+  process.env.REDDIT_USER_AGENT = 'web:twiix-test:1.0 (by /u/tester)';
+  process.env.REDDIT_TOKEN_URL = `${base}/api/v1/access_token`;
+  process.env.REDDIT_OAUTH_BASE_URL = base;
+  ({ getSubreddit } = require('../handlers/reddit'));
+});
+
+after(() => {
+  stub.close();
+});
+
+const get = (subreddit) => getSubreddit({ params: { subreddit }, query: {}, ip: 'test', userId: null });
+
+test('fetches listings from the OAuth host with an app-only bearer token', async () => {
+  const res = await get('first');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.data.children[0].data.id, 'first1');
+
+  assert.strictEqual(tokenRequests.length, 1);
+  assert.strictEqual(tokenRequests[0].userAgent, 'web:twiix-test:1.0 (by /u/tester)');
+  const listing = listingRequests[listingRequests.length - 1];
+  assert.strictEqual(listing.path, '/r/first/hot.json');
+  assert.strictEqual(listing.authorization, 'Bearer token-1');
+  assert.strictEqual(listing.userAgent, 'web:twiix-test:1.0 (by /u/tester)');
+});
+
+test('reuses the cached token across requests', async () => {
+  await get('second');
+  await get('third');
+  assert.strictEqual(tokenRequests.length, 1);
+});
+
+test('refreshes the token once when Reddit rejects it', async () => {
+  revoked.add('token-1');
+  const res = await get('fourth');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(tokenRequests.length, 2);
+  assert.strictEqual(listingRequests[listingRequests.length - 1].authorization, 'Bearer token-2');
+});
+
+test('falls back to anonymous requests without credentials', async () => {
+  delete process.env.REDDIT_CLIENT_ID;
+  process.env.REDDIT_BASE_URL = process.env.REDDIT_OAUTH_BASE_URL;
+  const res = await get('fifth');
+  // The stub only serves bearer holders, so the anonymous request is refused
+  assert.strictEqual(listingRequests[listingRequests.length - 1].authorization, undefined);
+  assert.strictEqual(res.status, 502);
+  assert.strictEqual(tokenRequests.length, 2);
+  process.env.REDDIT_CLIENT_ID = CLIENT_ID;
+});
@@ -0,0 +1,154 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// Local stand-in for RedGifs: temporary tokens, gif lookups and a media host with Range support
+const MEDIA = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+const tokenRequests = [];
+const gifRequests = [];
+const revoked = new Set();
+let issued = 0;
+let base;
+
+const stub = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname === '/v2/auth/temporary') {
+    tokenRequests.push(url.pathname);
+    issued++;
+    res.setHeader('Content-Type', 'application/json');
+    return res.end(JSON.stringify({ token: `temp-${issued}` }));
+  }
+
+  const gif = /^\/v2\/gifs\/(\w+)$/.exec(url.pathname);
+  if (gif) {
+    gifRequests.push({ id: gif[1], authorization: req.headers.authorization });
+    res.setHeader('Content-Type', 'application/json');
+    const token = (req.headers.authorization || '').replace('Bearer ', '');
+    if (!token.startsWith('temp-') || revoked.has(token)) {
+      res.statusCode = 401;
+      return res.end(JSON.stringify({ error: 'expired' }));
+    }
+    if (gif[1] === 'missinggif') {
+      res.statusCode = 404;
+      return res.end(JSON.stringify({ error: 'not found' }));
+    }
+    if (gif[1] === 'busygif') {
+      res.statusCode = 429;
+      res.setHeader('Retry-After', '7');
+      return res.end(JSON.stringify({ error: 'slow down' }));
+    }
+    return res.end(JSON.stringify({
+      gif: { urls: { hd: `${base}/media/${gif[1]}.mp4`, sd: `${base}/media/${gif[1]}-mobile.mp4` } }
+    }));
+  }
+
+  if (url.pathname.startsWith('/media/')) {
+    res.setHeader('Content-Type', 'video/mp4');
+    res.setHeader('Accept-Ranges', 'bytes');
+    const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+    if (!range) {
+      res.setHeader('Content-Length', MEDIA.length);
+      return res.end(MEDIA);
+    }
+    const start = Number(range[1]);
+    const end = range[2] ? Math.min(Number(range[2]), MEDIA.length - 1) : MEDIA.length - 1;
+    if (start >= MEDIA.length) {
+      res.statusCode = 416;
+      res.setHeader('Content-Range', `bytes */${MEDIA.length}`);
+      return res.end();
+    }
+    res.statusCode = 206;
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${MEDIA.length}`);
+    res.setHeader('Content-Length', end - start + 1);
+    return res.end(MEDIA.subarray(start, end + 1));
+  }
+
+  res.statusCode = 404;
+  res.end();
+});
+
+let getRedgif;
+
+before(async () => {
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${stub.address().port}`;
+  process.env.REDGIFS_API_BASE_URL = `${base}/v2`;
+  ({ getRedgif } = require('../handlers/redgifs'));
+});
+
+after(() => new Promise(resolve => stub.close(resolve)));
+
+const get = (id, { range, query = {} } = {}) => getRedgif({
+  params: { id },
+  query,
+  headers: range ? { range } : {},
+  ip: 'test'
+});
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+test('streams the whole video with cache headers', async () => {
+  const result = await get('happygif');
+  assert.strictEqual(result.status, 200);
+  assert.strictEqual(result.headers['content-type'], 'video/mp4');
+  assert.strictEqual(result.headers['content-length'], String(MEDIA.length));
+  assert.strictEqual(result.headers['Accept-Ranges'], 'bytes');
+  assert.match(result.headers['Cache-Control'], /max-age=86400/);
+  assert.strictEqual(await readStream(result.stream), MEDIA.toString());
+});
+
+test('forwards Range requests so players can seek', async () => {
+  const result = await get('happygif', { range: 'bytes=10-19' });
+  assert.strictEqual(result.status, 206);
+  assert.strictEqual(result.headers['content-range'], `bytes 10-19/${MEDIA.length}`);
+  assert.strictEqual(await readStream(result.stream), 'abcdefghij');
+
+  const unsatisfiable = await get('happygif', { range: 'bytes=1000-' });
+  assert.strictEqual(unsatisfiable.status, 416);
+  assert.strictEqual(unsatisfiable.headers['Content-Range'], `bytes */${MEDIA.length}`);
+});
+
+test('reuses the temporary token and caches resolved URLs', async () => {
+  const tokensBefore = tokenRequests.length;
+  const lookupsBefore = gifRequests.length;
+
+  await readStream((await get('othergif')).stream);
+  await readStream((await get('othergif', { range: 'bytes=0-1' })).stream);
+  await readStream((await get('thirdgif')).stream);
+
+  assert.strictEqual(tokenRequests.length, tokensBefore);
+  assert.deepStrictEqual(gifRequests.slice(lookupsBefore).map(r => r.id), ['othergif', 'thirdgif']);
+});
+
+test('fetches a new token when RedGifs rejects the cached one', async () => {
+  revoked.add(`temp-${issued}`);
+  const result = await get('freshgif');
+  assert.strictEqual(result.status, 200);
+  await readStream(result.stream);
+
+  const lookups = gifRequests.filter(r => r.id === 'freshgif');
+  assert.strictEqual(lookups.length, 2);
+  assert.notStrictEqual(lookups[0].authorization, lookups[1].authorization);
+});
+
+test('serves the SD rendition on request', async () => {
+  const result = await get('sdgif', { query: { quality: 'sd' } });
+  assert.strictEqual(result.status, 200);
+  await readStream(result.stream);
+});
+
+test('maps upstream errors to clear statuses', async () => {
+  assert.strictEqual((await get('missinggif')).status, 404);
+
+  const limited = await get('busygif');
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(limited.headers['Retry-After'], '7');
+
+  assert.strictEqual((await get('not-a-valid-id!')).status, 400);
+  assert.strictEqual((await get('')).status, 400);
+});
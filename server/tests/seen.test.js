@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseBulkSeen } = require('../handlers/seen');
+
+test('bulk seen accepts only seen_memes_* keys and drops duplicate IDs', () => {
+  const { feeds } = parseBulkSeen({
+    feeds: {
+      seen_memes_subreddit_pics: ['a', 'b', 'a', 7, ''],
+      'seen_memes_subreddit_pics+aww_top_week': ['c']
+    }
+  });
+  assert.deepStrictEqual(feeds, [
+    ['seen_memes_subreddit_pics', ['a', 'b']],
+    ['seen_memes_subreddit_pics+aww_top_week', ['c']]
+  ]);
+
+  assert.match(parseBulkSeen({}).message, /required/);
+  assert.match(parseBulkSeen({ feeds: [] }).message, /required/);
+  assert.match(parseBulkSeen({ feeds: { likes_anonymous: ['a'] } }).message, /seen_memes_/);
+  assert.match(parseBulkSeen({ feeds: { seen_memes_x: 'a' } }).message, /memeIds/);
+  assert.match(parseBulkSeen({ feeds: { seen_memes_x: Array.from({ length: 5001 }, (_, i) => `m${i}`) } }).message, /At most/);
+});
@@ -7,6 +7,7 @@ import MemePage from './components/MemePage';
 import TikTokFeed from './components/TikTokFeed';
 import SubredditsPage from './pages/SubredditsPage';
 import LikesPage from './pages/LikesPage';
+import FeedsPage from './pages/FeedsPage';
 
 function App() {
   // Retrieve visitedSubreddits from local storage
@@ -36,6 +37,8 @@ function App() {
           <Route path="/search" element={<Search />} />
           <Route path="/subreddits" element={<SubredditsPage />} />
           <Route path="/likes" element={<LikesPage />} />
+          <Route path="/feeds" element={<FeedsPage />} />
+          <Route path="/f/:feedId" element={<FeedRoute />} />
           <Route path="/r/:subreddit" element={<SubredditRoute />} />
           <Route path="/u/:username" element={<UserRoute />} />
           <Route path="/r/:subreddit/:memeId" element={<MemePage />} />
@@ -50,6 +53,11 @@ function SubredditRoute() {
   return <TikTokFeed subreddit={subreddit} />;
 }
 
+function FeedRoute() {
+  const { feedId } = useParams();
+  return <TikTokFeed feedId={feedId} />;
+}
+
 function UserRoute() {
   const { username } = useParams();
   return <TikTokFeed username={username} />;
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { useCollections } from '../context/CollectionsContext';
+import { useLikes } from '../context/LikesContext';
+import { FaTimes, FaPlus } from 'react-icons/fa';
+
+// Modal for adding one post to collections. Adding likes the post first if needed.
+const CollectionPicker = ({ meme, onClose }) => {
+  const { collections, fetchMemberships, addToCollection, removeFromCollection, createCollection } = useCollections();
+  const { isLiked, addLike } = useLikes();
+  const [memberOf, setMemberOf] = useState(new Set());
+  const [newName, setNewName] = useState('');
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const memeData = meme?.data || meme;
+  const memeId = memeData?.id;
+
+  useEffect(() => {
+    if (!memeId || !isLiked(memeId)) return;
+    fetchMemberships(memeId)
+      .then((list) => setMemberOf(new Set(list.filter((c) => c.contains).map((c) => c.id))))
+      .catch((err) => console.error('Failed to load collection memberships:', err));
+  }, [memeId, isLiked, fetchMemberships]);
+
+  useEffect(() => {
+    const onKeyDown = (e) => e.key === 'Escape' && onClose();
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const add = async (collectionId) => {
+    if (!isLiked(memeId)) await addLike(meme);
+    // The like may still be waiting in the outbox (offline, or a flush in
+    // progress), so the post goes along for the server to save it
+    await addToCollection(collectionId, memeId, memeData);
+    setMemberOf((prev) => new Set([...prev, collectionId]));
+  };
+
+  const toggle = async (collectionId) => {
+    setBusyId(collectionId);
+    setError(null);
+    try {
+      if (memberOf.has(collectionId)) {
+        await removeFromCollection(collectionId, memeId);
+        setMemberOf((prev) => new Set([...prev].filter((id) => id !== collectionId)));
+      } else {
+        await add(collectionId);
+      }
+    } catch (err) {
+      console.error('Failed to update collection:', err);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    setBusyId('new');
+    setError(null);
+    try {
+      const collection = await createCollection(newName);
+      setNewName('');
+      await add(collection.id);
+    } catch (err) {
+      console.error('Failed to create collection:', err);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Portaled out of the feed's transformed slides; clicks stop here so cards
+  // underneath do not navigate
+  return createPortal(
+    <div
+      className="fixed inset-0 z-[1000] flex items-center justify-center bg-black/60 px-4"
+      onClick={(e) => {
+        e.stopPropagation();
+        onClose();
+      }}
+    >
+      <div
+        role="dialog"
+        aria-label="Add to collection"
+        className="w-full max-w-sm rounded-xl border border-border bg-card text-card-foreground p-4 shadow-lg"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-lg font-semibold">Add to collection</h2>
+          <button onClick={onClose} className="p-1 rounded-md hover:bg-accent" aria-label="Close">
+            <FaTimes className="h-4 w-4" />
+          </button>
+        </div>
+
+        <div className="max-h-64 overflow-y-auto space-y-1 mb-3">
+          {collections.length === 0 && (
+            <p className="text-sm text-muted-foreground">No collections yet. Create one below.</p>
+          )}
+          {collections.map((collection) => (
+            <label
+              key={collection.id}
+              className="flex items-center gap-3 rounded-md px-2 py-1.5 hover:bg-accent cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                checked={memberOf.has(collection.id)}
+                disabled={busyId !== null}
+                onChange={() => toggle(collection.id)}
+                className="h-4 w-4 accent-orange-500"
+              />
+              <span className="flex-1 truncate text-sm">{collection.name}</span>
+              <span className="text-xs text-muted-foreground">{collection.count}</span>
+            </label>
+          ))}
+        </div>
+
+        <form onSubmit={handleCreate} className="flex gap-2">
+          <input
+            type="text"
+            placeholder="New collection"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            maxLength={50}
+            className="flex h-9 w-full rounded-md border border-input bg-background px-3 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+          />
+          <button
+            type="submit"
+            disabled={busyId !== null || !newName.trim()}
+            className="h-9 px-3 rounded-md bg-orange-500 hover:bg-orange-600 text-white disabled:opacity-50"
+            aria-label="Create collection"
+          >
+            <FaPlus className="h-3.5 w-3.5" />
+          </button>
+        </form>
+
+        {error && <p className="mt-2 text-sm text-destructive">{error}</p>}
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default CollectionPicker;
@@ -1,21 +1,62 @@
-import React from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import { useUser, useClerk } from '@clerk/clerk-react';
 import { useLikes } from '../context/LikesContext';
+import CollectionPicker from './CollectionPicker';
 import { FaHeart, FaRegHeart } from 'react-icons/fa';
 
+const LONG_PRESS_MS = 500;
+
+// Click toggles the like; a long press or right-click opens the collection picker
 const LikeButton = ({ meme, size = 'md', showText = false, className = '' }) => {
   const { isSignedIn } = useUser();
   const { openSignIn } = useClerk();
   const { toggleLike, isLiked } = useLikes();
+  const [isPickerOpen, setIsPickerOpen] = useState(false);
+  const pressTimer = useRef(null);
+  // Set when a long press opened the picker, so the click that follows is ignored
+  const longPressed = useRef(false);
 
   const memeData = meme?.data || meme;
   const memeId = memeData?.id;
   const liked = isLiked(memeId);
 
+  useEffect(() => () => clearTimeout(pressTimer.current), []);
+
+  const openPicker = () => {
+    if (!isSignedIn) {
+      openSignIn();
+      return;
+    }
+    setIsPickerOpen(true);
+  };
+
+  const handlePointerDown = () => {
+    longPressed.current = false;
+    clearTimeout(pressTimer.current);
+    pressTimer.current = setTimeout(() => {
+      longPressed.current = true;
+      openPicker();
+    }, LONG_PRESS_MS);
+  };
+
+  const cancelPress = () => clearTimeout(pressTimer.current);
+
+  const handleContextMenu = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    cancelPress();
+    if (!longPressed.current) openPicker();
+  };
+
   const handleClick = (e) => {
     e.stopPropagation();
     e.preventDefault();
 
+    if (longPressed.current) {
+      longPressed.current = false;
+      return;
+    }
+
     if (!isSignedIn) {
       openSignIn();
       return;
@@ -37,27 +78,34 @@ const LikeButton = ({ meme, size = 'md', showText = false, className = '' }) =>
   };
 
   return (
-    <button
-      onClick={handleClick}
-      className={`inline-flex items-center justify-center gap-1.5 rounded-full transition-all duration-200 hover:scale-110 ${
-        liked
-          ? 'text-red-500 hover:text-red-600'
-          : 'text-gray-400 hover:text-red-400'
-      } ${sizeClasses[size]} ${className}`}
-      title={liked ? 'Unlike' : isSignedIn ? 'Like' : 'Sign in to like'}
-      aria-label={liked ? 'Unlike' : 'Like'}
-    >
-      {liked ? (
-        <FaHeart size={iconSizes[size]} className="fill-current" />
-      ) : (
-        <FaRegHeart size={iconSizes[size]} className="fill-current" />
-      )}
-      {showText && (
-        <span className="text-xs font-medium">
-          {liked ? 'Liked' : 'Like'}
-        </span>
-      )}
-    </button>
+    <>
+      <button
+        onClick={handleClick}
+        onPointerDown={handlePointerDown}
+        onPointerUp={cancelPress}
+        onPointerLeave={cancelPress}
+        onContextMenu={handleContextMenu}
+        className={`inline-flex items-center justify-center gap-1.5 rounded-full select-none transition-all duration-200 hover:scale-110 ${
+          liked
+            ? 'text-red-500 hover:text-red-600'
+            : 'text-gray-400 hover:text-red-400'
+        } ${sizeClasses[size]} ${className}`}
+        title={liked ? 'Unlike (hold to add to a collection)' : isSignedIn ? 'Like (hold to add to a collection)' : 'Sign in to like'}
+        aria-label={liked ? 'Unlike' : 'Like'}
+      >
+        {liked ? (
+          <FaHeart size={iconSizes[size]} className="fill-current" />
+        ) : (
+          <FaRegHeart size={iconSizes[size]} className="fill-current" />
+        )}
+        {showText && (
+          <span className="text-xs font-medium">
+            {liked ? 'Liked' : 'Like'}
+          </span>
+        )}
+      </button>
+      {isPickerOpen && <CollectionPicker meme={meme} onClose={() => setIsPickerOpen(false)} />}
+    </>
   );
 };
 
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { FaSearch, FaTimes } from 'react-icons/fa';
+import { LIKE_MEDIA_TYPES, LIKE_SORTS, EMPTY_LIKES_FILTERS, hasActiveFilters } from '../utils/likesFilter';
+
+const SEARCH_DELAY_MS = 300;
+
+const controlClassName = 'px-3 py-1.5 text-sm rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-orange-500';
+
+const toggle = (list, value) => (list.includes(value) ? list.filter((v) => v !== value) : [...list, value]);
+
+// Search, media type, subreddits, date range and order for the likes page
+const LikesFilterBar = ({ filters, onChange, subreddits, subredditCounts }) => {
+  // Typing updates the box at once and the filters after a pause
+  const [query, setQuery] = useState(filters.q);
+
+  useEffect(() => {
+    setQuery(filters.q);
+  }, [filters.q]);
+
+  useEffect(() => {
+    if (query === filters.q) return undefined;
+    const timer = setTimeout(() => onChange({ ...filters, q: query }), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query, filters, onChange]);
+
+  const set = (changes) => onChange({ ...filters, ...changes });
+
+  return (
+    <div className="flex flex-col gap-3 w-full">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative flex-1 min-w-[12rem]">
+          <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 h-3.5 w-3.5 text-muted-foreground" />
+          <input
+            type="search"
+            placeholder="Search titles and authors"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            maxLength={100}
+            className={`${controlClassName} w-full pl-9`}
+          />
+        </div>
+        <select
+          aria-label="Sort likes"
+          value={filters.sort}
+          onChange={(e) => set({ sort: e.target.value })}
+          className={controlClassName}
+        >
+          {LIKE_SORTS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {LIKE_MEDIA_TYPES.map((type) => (
+          <button
+            key={type.value}
+            onClick={() => set({ types: toggle(filters.types, type.value) })}
+            aria-pressed={filters.types.includes(type.value)}
+            className={'px-3 py-1 text-xs font-medium rounded-full border transition-colors ' + (
+              filters.types.includes(type.value)
+                ? 'bg-orange-500 border-orange-500 text-white'
+                : 'bg-background border-border text-foreground hover:bg-accent'
+            )}
+          >
+            {type.label}
+          </button>
+        ))}
+
+        <details className="relative">
+          <summary className={`${controlClassName} cursor-pointer list-none`}>
+            {filters.subreddits.length ? `${filters.subreddits.length} subreddits` : 'All subreddits'}
+          </summary>
+          <div className="absolute z-20 mt-1 max-h-64 w-56 overflow-y-auto rounded-lg border border-border bg-card p-2 shadow-lg">
+            {subreddits.map((subreddit) => (
+              <label key={subreddit} className="flex items-center gap-2 rounded px-2 py-1 text-sm hover:bg-accent cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={filters.subreddits.includes(subreddit)}
+                  onChange={() => set({ subreddits: toggle(filters.subreddits, subreddit) })}
+                  className="h-4 w-4 accent-orange-500"
+                />
+                <span className="flex-1 truncate">r/{subreddit}</span>
+                <span className="text-xs text-muted-foreground">{subredditCounts[subreddit] || 0}</span>
+              </label>
+            ))}
+          </div>
+        </details>
+
+        <select
+          aria-label="Date to filter on"
+          value={filters.dateField}
+          onChange={(e) => set({ dateField: e.target.value })}
+          className={controlClassName}
+        >
+          <option value="liked">Liked</option>
+          <option value="posted">Posted</option>
+        </select>
+        <input
+          type="date"
+          aria-label="From"
+          value={filters.from}
+          max={filters.to || undefined}
+          onChange={(e) => set({ from: e.target.value })}
+          className={controlClassName}
+        />
+        <span className="text-sm text-muted-foreground">to</span>
+        <input
+          type="date"
+          aria-label="To"
+          value={filters.to}
+          min={filters.from || undefined}
+          onChange={(e) => set({ to: e.target.value })}
+          className={controlClassName}
+        />
+
+        {(hasActiveFilters(filters) || filters.sort !== 'liked') && (
+          <button
+            onClick={() => onChange(EMPTY_LIKES_FILTERS)}
+            className="inline-flex items-center gap-1 px-2 py-1 text-sm text-muted-foreground hover:text-foreground"
+          >
+            <FaTimes className="h-3 w-3" />
+            Clear
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LikesFilterBar;
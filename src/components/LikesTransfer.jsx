@@ -0,0 +1,124 @@
+import React, { useState, useRef } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+import { useLikes } from '../context/LikesContext';
+import { downloadLikesExport, importLikes, LIKES_EXPORT_FORMATS } from '../utils/likesTransfer';
+import { FaDownload, FaUpload, FaTimes } from 'react-icons/fa';
+
+const buttonClassName = 'inline-flex items-center gap-2 px-3 py-1.5 text-sm font-medium rounded-lg border border-border bg-background text-foreground hover:bg-accent transition-colors disabled:opacity-50';
+
+const describeReport = (report) => [
+  `${report.imported} imported`,
+  report.alreadyLiked && `${report.alreadyLiked} already liked`,
+  report.notFound && `${report.notFound} no longer on Reddit`,
+  report.invalid && `${report.invalid} unreadable`,
+].filter(Boolean).join(', ');
+
+// Export buttons and file import with a progress report, for the likes page.
+// The outcome ({ report, error }) is kept by the page so it survives the page
+// switching from its empty state once likes arrive; onImported runs after an import.
+const LikesTransfer = ({ showExport = true, result, onResult, onImported }) => {
+  const { getToken } = useAuth();
+  const { refreshSummary } = useLikes();
+  const [exporting, setExporting] = useState(null);
+  const [progress, setProgress] = useState(null); // { done, total, report } while importing
+  const fileInput = useRef(null);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    onResult(null);
+    try {
+      await downloadLikesExport(getToken, format);
+    } catch (err) {
+      console.error('Failed to export likes:', err);
+      onResult({ error: 'Export failed. Please try again.' });
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+
+    onResult(null);
+    setProgress({ done: 0, total: 0, report: null });
+    let outcome;
+    try {
+      outcome = { report: await importLikes(getToken, await file.text(), setProgress) };
+    } catch (err) {
+      console.error('Failed to import likes:', err);
+      outcome = { report: err.report, error: err.message };
+    }
+    await refreshSummary().catch((err) => console.error('Failed to refresh likes after import:', err));
+    setProgress(null);
+    onResult(outcome);
+    if (onImported) onImported();
+  };
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex flex-wrap items-center gap-2">
+        {showExport && LIKES_EXPORT_FORMATS.map((format) => (
+          <button
+            key={format.value}
+            onClick={() => handleExport(format.value)}
+            disabled={Boolean(exporting) || Boolean(progress)}
+            title={format.description}
+            className={buttonClassName}
+          >
+            <FaDownload className="w-3.5 h-3.5" />
+            {exporting === format.value ? 'Exporting...' : format.label}
+          </button>
+        ))}
+        <button
+          onClick={() => fileInput.current.click()}
+          disabled={Boolean(progress)}
+          title="Our JSON export, Reddit's saved_posts.csv, or any list of Reddit links"
+          className={buttonClassName}
+        >
+          <FaUpload className="w-3.5 h-3.5" />
+          {progress ? 'Importing...' : 'Import'}
+        </button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".json,.csv,.txt,.html,.htm,application/json,text/csv,text/plain,text/html"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+
+      {progress && progress.total > 0 && (
+        <div className="w-full max-w-sm">
+          <div className="h-1.5 rounded-full bg-muted overflow-hidden">
+            <div
+              className="h-full bg-orange-500 transition-all"
+              style={{ width: `${Math.round((progress.done / progress.total) * 100)}%` }}
+            />
+          </div>
+          <p className="mt-1 text-xs text-muted-foreground">
+            Batch {Math.min(progress.done + 1, progress.total)} of {progress.total}
+            {progress.report && progress.report.received > 0 && ` - ${describeReport(progress.report)}`}
+          </p>
+        </div>
+      )}
+
+      {result && (
+        <div className={'flex items-start gap-2 rounded-lg border px-3 py-2 text-sm ' + (
+          result.error ? 'border-destructive text-destructive' : 'border-border text-foreground'
+        )}>
+          <p className="flex-1">
+            {result.report && result.report.received > 0 && `${describeReport(result.report)}.`}
+            {result.error && ` ${result.error}`}
+          </p>
+          <button onClick={() => onResult(null)} aria-label="Dismiss" className="text-muted-foreground hover:text-foreground">
+            <FaTimes className="w-3 h-3" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LikesTransfer;
@@ -1,22 +1,27 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { useUser, useClerk } from '@clerk/clerk-react';
+import { useUser, useClerk, useAuth } from '@clerk/clerk-react';
 import Masonry from 'react-masonry-css';
 import { Link, useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
-import { debouncedFetch, exponentialBackoff } from '../utils/apiUtils';
+import { exponentialBackoff, authFetch } from '../utils/apiUtils';
+import { getMediaType, getPosterUrl, getImageUrl, getVideoSource, getDownloadUrl, pickSource } from '../utils/postMedia';
+import { useVideoSource } from '../utils/videoSource';
+import { downloadUrl } from '../utils/download';
+import { useFeedSort, applyFeedSort, feedSortKeySuffix } from '../utils/feedSort';
 import { REDDIT_API_CONFIG, MEDIA_CONFIG, ERROR_MESSAGES } from '../config/redditApi';
 import '../styles/MemeGallery.css';
 // Icon imports
-import { TbDownload, TbHome, TbSearch, TbPuzzle, TbTag, TbPhoto, TbVideo, TbFileText, TbLink, TbLayoutGrid } from 'react-icons/tb';
+import { TbDownload, TbHome, TbSearch, TbPuzzle, TbTag, TbPhoto, TbGif, TbVideo, TbFileText, TbLink, TbLayoutGrid } from 'react-icons/tb';
 import LikeButton from './LikeButton';
+import SortControls from './SortControls';
 import { useLikes } from '../context/LikesContext';
 
 // Create a reusable LazyVideo component for all video types
-const LazyVideo = React.memo(({ videoUrl, thumbnailUrl, videoType = "video/mp4" }) => {
-  const [error, setError] = useState(null);
+const LazyVideo = React.memo(({ video, thumbnailUrl }) => {
   const [isPlaying, setIsPlaying] = useState(false);
   const videoRef = useRef(null);
   const containerRef = useRef(null);
+  const { error, retry } = useVideoSource(videoRef, video);
 
   // Add cleanup function to free resources when component unmounts or video scrolls far away
   useEffect(() => {
@@ -50,10 +55,6 @@ const LazyVideo = React.memo(({ videoUrl, thumbnailUrl, videoType = "video/mp4"
     };
   }, []);
 
-  const handleVideoError = () => {
-    setError("Failed to load video");
-  };
-
   return (
     <div className="relative w-full bg-black" ref={containerRef}>
       <video 
@@ -63,23 +64,16 @@ const LazyVideo = React.memo(({ videoUrl, thumbnailUrl, videoType = "video/mp4"
         loop 
         muted 
         className="w-full h-auto block"
-        onError={handleVideoError}
         onPlay={() => setIsPlaying(true)}
         onPause={() => setIsPlaying(false)}
         poster={thumbnailUrl}
       >
-        <source src={videoUrl} type={videoType} />
         Your browser does not support video playback.
       </video>
       {error && (
         <div className="error-message">
           {error}
-          <button onClick={() => {
-            setError(null);
-            if (videoRef.current) {
-              videoRef.current.load();
-            }
-          }} className="retry-button">
+          <button onClick={retry} className="retry-button">
             Retry
           </button>
         </div>
@@ -91,7 +85,6 @@ const LazyVideo = React.memo(({ videoUrl, thumbnailUrl, videoType = "video/mp4"
 // Create a new component for lazy-loaded RedGifs
 const LazyRedGif = React.memo(({ gifId, thumbnailUrl, memeId }) => {
   const [isVisible, setIsVisible] = useState(false);
-  const [isLoading, setIsLoading] = useState(false);
   const [videoUrl, setVideoUrl] = useState(null);
   const [error, setError] = useState(null);
   const containerRef = useRef(null);
@@ -101,7 +94,7 @@ const LazyRedGif = React.memo(({ gifId, thumbnailUrl, memeId }) => {
     // Set up intersection observer to detect when element is visible
     const observer = new IntersectionObserver(
       (entries) => {
-        if (entries[0].isIntersecting && !isLoading && !videoUrl && !error) {
+        if (entries[0].isIntersecting && !videoUrl && !error) {
           setIsVisible(true);
         }
       },
@@ -117,47 +110,15 @@ const LazyRedGif = React.memo(({ gifId, thumbnailUrl, memeId }) => {
         observer.unobserve(containerRef.current);
       }
     };
-  }, [isLoading, videoUrl, error]);
+  }, [videoUrl, error]);
 
-  // Load the video when it becomes visible
+  // Load the video when it becomes visible. The server resolves the ID and
+  // streams the file with Range support, so the player can seek.
   useEffect(() => {
-    if (isVisible && !isLoading && !videoUrl && !error) {
-      setIsLoading(true);
-      // Try to use the RedGifs API directly or fallback to a known pattern if possible
-      // Since we are avoiding the proxy, we'll try to construct a direct URL if possible
-      // or just fail gracefully if we can't get the token.
-      // For now, let's try to use the proxy only if it's available, but since the user
-      // wants to avoid it, we might need another strategy.
-      // However, RedGifs usually requires a token.
-      // Let's revert to the localhost check but handle failure better, or just disable it if the user wants no proxy.
-      
-      // Reverting to original behavior but with better error handling
-      const url = `/api/redgifs?id=${encodeURIComponent(gifId)}`;
-
-      fetch(url)
-        .then(response => {
-          if (!response.ok) {
-            throw new Error(`Server responded with status: ${response.status}`);
-          }
-          return response.json();
-        })
-        .then(data => {
-          const hdUrl = data?.gif?.urls?.hd || data?.gif?.urls?.sd;
-          if (hdUrl) {
-            setVideoUrl(hdUrl);
-          } else {
-            throw new Error('No video URL found in RedGifs response');
-          }
-        })
-        .catch(err => {
-          console.error('Error fetching RedGifs:', err);
-          setError(err.message);
-        })
-        .finally(() => {
-          setIsLoading(false);
-        });
+    if (isVisible && !videoUrl && !error) {
+      setVideoUrl(`/api/redgifs/${encodeURIComponent(gifId)}`);
     }
-  }, [isVisible, isLoading, videoUrl, error, gifId]);
+  }, [isVisible, videoUrl, error, gifId]);
 
   return (
     <div className="relative w-full bg-black min-h-[200px]" ref={containerRef}>
@@ -170,9 +131,12 @@ const LazyRedGif = React.memo(({ gifId, thumbnailUrl, memeId }) => {
           muted 
           className="w-full h-auto block"
           poster={thumbnailUrl}
-          onError={() => setError("Failed to load video")}
+          src={videoUrl}
+          onError={() => {
+            setVideoUrl(null);
+            setError("Failed to load video");
+          }}
         >
-          <source src={videoUrl} type="video/mp4" />
           Your browser does not support video playback.
         </video>
       ) : error ? (
@@ -185,17 +149,6 @@ const LazyRedGif = React.memo(({ gifId, thumbnailUrl, memeId }) => {
             Retry
           </button>
         </div>
-      ) : isLoading ? (
-        <div className="loading-container min-h-[200px] flex items-center justify-center flex-col">
-          <div className="loading-spinner">
-            <svg viewBox="0 0 32 32" width="32" height="32">
-              <circle cx="16" cy="16" r="14" fill="none" strokeWidth="4" stroke="#fff" strokeDasharray="87.96459430051421 87.96459430051421" transform="rotate(120 16 16)">
-                <animateTransform attributeName="transform" attributeType="XML" type="rotate" dur="0.75s" from="0 16 16" to="360 16 16" repeatCount="indefinite"/>
-              </circle>
-            </svg>
-          </div>
-          <span>Loading RedGifs content...</span>
-        </div>
       ) : (
         <div className="loading-container min-h-[200px] flex items-center justify-center flex-col cursor-pointer" onClick={() => setIsVisible(true)}>
           {thumbnailUrl && <img src={thumbnailUrl} alt="RedGifs thumbnail" className="w-full h-auto" />}
@@ -207,41 +160,21 @@ const LazyRedGif = React.memo(({ gifId, thumbnailUrl, memeId }) => {
 });
 
 // Gallery Carousel component for Reddit gallery posts
-const GalleryCarousel = React.memo(({ galleryData, mediaMetadata }) => {
+const GalleryCarousel = React.memo(({ items }) => {
   const [currentIndex, setCurrentIndex] = useState(0);
   
-  // Extract images from gallery data in order
-  const images = React.useMemo(() => {
-    if (!galleryData?.items || !mediaMetadata) return [];
-    
-    return galleryData.items
-      .map(item => {
-        const media = mediaMetadata[item.media_id];
-        if (!media || media.status !== 'valid') return null;
-        
-        // Get the source image URL (highest quality)
-        const sourceUrl = media.s?.u || media.s?.gif;
-        if (!sourceUrl) return null;
-        
-        // Decode HTML entities in URL
-        const decodedUrl = sourceUrl.replace(/&amp;/g, '&');
-        
-        // Get a preview image for faster loading
-        const previewUrl = media.p && media.p.length > 0 
-          ? media.p[media.p.length - 1].u.replace(/&amp;/g, '&')
-          : decodedUrl;
-        
-        return {
-          id: item.media_id,
-          src: decodedUrl,
-          preview: previewUrl,
-          width: media.s?.x,
-          height: media.s?.y,
-          type: media.e, // 'Image' or 'AnimatedImage'
-        };
-      })
-      .filter(Boolean);
-  }, [galleryData, mediaMetadata]);
+  // Gallery items arrive in display order from the normalized post
+  const images = React.useMemo(() => (items || [])
+    .map(item => {
+      const source = pickSource(item.sources);
+      if (!source) return null;
+      return {
+        id: item.id,
+        src: source.url,
+        caption: item.caption,
+      };
+    })
+    .filter(Boolean), [items]);
   
   const goToNext = (e) => {
     e.stopPropagation();
@@ -265,7 +198,7 @@ const GalleryCarousel = React.memo(({ galleryData, mediaMetadata }) => {
       <div className="gallery-image-container relative">
         <img 
           src={currentImage.src} 
-          alt={`Gallery image ${currentIndex + 1} of ${images.length}`}
+          alt={currentImage.caption || `Gallery image ${currentIndex + 1} of ${images.length}`}
           className="w-full h-auto block"
           loading="lazy"
         />
@@ -355,28 +288,20 @@ function MemeGallery({ subreddit = 'memes' }) {
   const pendingSeenRef = useRef([]);
   const seenFlushTimerRef = useRef(null);
 
+  const [feedSort, setFeedSort] = useFeedSort();
+  const { getToken } = useAuth();
+
   const getSeenStorageKey = useCallback(() => {
     const sub = subreddit || 'memes';
-    return `seen_memes_subreddit_${sub}`;
-  }, [subreddit]);
+    return `seen_memes_subreddit_${sub}${feedSortKeySuffix(feedSort)}`;
+  }, [subreddit, feedSort]);
 
   const loadSeenIds = useCallback(async () => {
     const storageKey = getSeenStorageKey();
 
-    // Signed-in users: database is the single source of truth
+    // Signed-in users: the proxy drops seen posts server-side, so only
+    // IDs seen during this session are tracked here
     if (isSignedIn && user) {
-      try {
-        const feedKey = storageKey;
-        const response = await fetch(`/api/seen?userId=${encodeURIComponent(user.id)}&feedKey=${encodeURIComponent(feedKey)}`);
-        if (response.ok) {
-          const backendIds = await response.json();
-          const dbSet = new Set(backendIds);
-          setSeenIds(dbSet);
-          return dbSet;
-        }
-      } catch (error) {
-        console.error('Failed to load seen memes from database:', error);
-      }
       setSeenIds(new Set());
       return new Set();
     }
@@ -412,12 +337,12 @@ function MemeGallery({ subreddit = 'memes' }) {
     const feedKey = getSeenStorageKey();
     const batch = [...pendingSeenRef.current];
     pendingSeenRef.current = [];
-    fetch('/api/seen', {
+    authFetch(getToken, '/api/seen', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ userId: user.id, feedKey, memeIds: batch }),
+      body: JSON.stringify({ feedKey, memeIds: batch }),
     }).catch(err => console.error('Failed to flush seen IDs to backend:', err));
-  }, [isSignedIn, user, getSeenStorageKey]);
+  }, [isSignedIn, user, getSeenStorageKey, getToken]);
   
   const lastMemeElementRef = useCallback(node => {
     if (isLoading) return;
@@ -515,15 +440,9 @@ function MemeGallery({ subreddit = 'memes' }) {
   }, [handleDoubleTap]);
 
   // Handler: Download media
-  const handleDownload = (mediaUrl, title) => {
-    if (!mediaUrl) return;
-    // Create a temporary anchor to trigger download
-    const link = document.createElement('a');
-    link.href = mediaUrl;
-    link.download = title ? `${title}` : 'download';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+  const handleDownload = (meme) => {
+    const url = getDownloadUrl(meme);
+    if (url) downloadUrl(url);
   };
 
   // Handler: Show similar subreddits (from meme data, e.g., crossposts)
@@ -591,32 +510,17 @@ function MemeGallery({ subreddit = 'memes' }) {
         const feedKey = getSeenStorageKey();
         const batch = [...pendingSeenRef.current];
         pendingSeenRef.current = [];
-        const blob = new Blob([JSON.stringify({ userId: user.id, feedKey, memeIds: batch })], { type: 'application/json' });
-        navigator.sendBeacon('/api/seen', blob);
+        // keepalive instead of sendBeacon: beacons cannot carry the Authorization header
+        authFetch(getToken, '/api/seen', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ feedKey, memeIds: batch }),
+          keepalive: true,
+        }).catch(err => console.error('Failed to flush seen IDs to backend:', err));
       }
     };
-  }, [isSignedIn, user, getSeenStorageKey]);
+  }, [isSignedIn, user, getSeenStorageKey, getToken]);
   
-  // Helper to extract the best thumbnail for a meme
-  const extractThumbnailUrl = (meme) => {
-    const { thumbnail, preview } = meme.data;
-    let thumbnailUrl = null;
-    if (preview && preview.images && preview.images.length > 0) {
-      const image = preview.images[0];
-      const resolutions = [...image.resolutions].sort((a, b) => b.width - a.width);
-      const bestResolution = resolutions.find(r => r.width <= 640) || resolutions[resolutions.length - 1];
-      if (bestResolution) {
-        thumbnailUrl = bestResolution.url.replace(/&amp;/g, '&');
-      } else if (image.source) {
-        thumbnailUrl = image.source.url.replace(/&amp;/g, '&');
-      }
-    }
-    if (!thumbnailUrl && thumbnail && thumbnail !== 'self' && thumbnail !== 'default') {
-      thumbnailUrl = thumbnail;
-    }
-    return thumbnailUrl;
-  };
-
   const fetchMemes = () => {
     // Prevent fetching the first page multiple times
     if (!after && firstPageLoaded) {
@@ -630,13 +534,15 @@ function MemeGallery({ subreddit = 'memes' }) {
       return;
     }
     
-    // Construct the URL path
-    const urlPath = after 
-      ? `https://www.reddit.com/r/${subreddit}.json?after=${after}&limit=${memesPerPage}&include_over_18=1` 
-      : `https://www.reddit.com/r/${subreddit}.json?limit=${memesPerPage}&include_over_18=1`;
+    // Construct the URL path. The proxy skips posts a signed-in user has already seen.
+    const params = new URLSearchParams({ limit: String(memesPerPage) });
+    if (after) params.set('after', after);
+    applyFeedSort(params, feedSort);
+    if (isSignedIn) params.set('feedKey', getSeenStorageKey());
+    const urlPath = `/api/reddit/${encodeURIComponent(subreddit)}?${params}`;
     
     // Check cache first
-    const cacheKey = `${subreddit}-${after || 'initial'}`;
+    const cacheKey = `${subreddit}-${feedSort.sort}-${feedSort.t}-${after || 'initial'}`;
     const cachedData = apiCache.current.get(cacheKey);
     if (cachedData && (now - cachedData.timestamp < cacheExpiry)) {
       console.log(`Using cached data for ${cacheKey}`);
@@ -658,7 +564,13 @@ function MemeGallery({ subreddit = 'memes' }) {
       
     // Use exponential backoff for resilient API calls
     exponentialBackoff(async () => {
-      const response = await debouncedFetch(urlPath);
+      const response = await authFetch(getToken, urlPath);
+      if (response.status === 429) {
+        throw new Error('Rate limited by proxy');
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
       return response.json();
     }, 3, 1000)
       .then(data => {
@@ -745,7 +657,7 @@ function MemeGallery({ subreddit = 'memes' }) {
         // Precompute and set thumbnails for new memes before rendering media
         const newThumbnails = {};
         newMemes.forEach(meme => {
-          const thumb = extractThumbnailUrl(meme);
+          const thumb = getPosterUrl(meme);
           if (thumb) newThumbnails[meme.data.id] = thumb;
         });
         if (Object.keys(newThumbnails).length > 0) {
@@ -783,94 +695,45 @@ function MemeGallery({ subreddit = 'memes' }) {
 
   // Remove thumbnail extraction from renderMedia, just use thumbnails state
   const renderMedia = useCallback(async (meme) => {
-    const { url, media, post_hint, secure_media, thumbnail, preview, is_gallery, gallery_data, media_metadata } = meme.data;
+    const model = meme.normalized;
+    const mediaType = getMediaType(meme);
 
     // Use precomputed thumbnail
     const thumbUrl = thumbnails[meme.data.id];
 
     // Handle Reddit gallery posts (multiple images)
-    if (is_gallery && gallery_data && media_metadata) {
+    if (model?.gallery) {
       return (
-        <GalleryCarousel 
-          galleryData={gallery_data}
-          mediaMetadata={media_metadata}
-        />
+        <GalleryCarousel items={model.gallery} />
       );
     }
 
-    if (media && media.reddit_video) {
+    // Reddit-hosted videos, transcoded gifs (imgur gifv, RedGifs previews) and video files
+    if (getVideoSource(meme)) {
       return (
         <LazyVideo 
-          videoUrl={media.reddit_video.fallback_url} 
+          video={model.video} 
           thumbnailUrl={thumbUrl}
-          videoType="video/mp4"
         />
       );
     }
-    // Handle all RedGifs URLs - including those embedded in secure_media
-    if ((url && url.includes('redgifs')) || 
-        (secure_media && secure_media.oembed && 
-         secure_media.oembed.html && 
-         secure_media.oembed.html.includes('redgifs'))) {
-          
-          // First check if we have a Reddit video preview available
-          if (preview && preview.reddit_video_preview && preview.reddit_video_preview.fallback_url) {
-            return (
-              <LazyVideo 
-                videoUrl={preview.reddit_video_preview.fallback_url} 
-                thumbnailUrl={thumbUrl}
-                videoType="video/mp4"
-              />
-            );
-          }
-          
-          // If no preview is available, extract RedGifs ID for backend call
-          let redgifsId = null;
-          
-          if (url && url.includes('redgifs')) {
-            // Extract ID from direct URL
-            const urlParts = url.split('/');
-            redgifsId = urlParts[urlParts.length - 1];
-            // Remove any query parameters
-            redgifsId = redgifsId.split('?')[0];
-          } else if (secure_media && secure_media.oembed && secure_media.oembed.html) {
-            // Extract ID from embedded HTML
-            const html = secure_media.oembed.html;
-            const match = html.match(/redgifs\.com\/(?:watch|ifr)\/([^"&?/]+)/);
-            if (match && match[1]) {
-              redgifsId = match[1];
-            }
-          }
-          
-          if (redgifsId) {
-            return (
-              <LazyRedGif 
-                gifId={redgifsId} 
-                thumbnailUrl={thumbUrl}
-                memeId={meme.data.id}
-              />
-            );
-          }
-          
-          return <p>Unable to load RedGifs content (no preview or ID available)</p>;
-    }
-    
-    // Handle Imgur GIFV links
-    if (url && url.includes('.gifv')) {
-      // Convert .gifv to .mp4 for direct playback
-      const mp4Url = url.replace('.gifv', '.mp4');
-      
-      return (
-        <LazyVideo 
-          videoUrl={mp4Url} 
-          thumbnailUrl={thumbUrl}
-          videoType="video/mp4"
-        />
-      );
+
+    // RedGifs without a Reddit transcode: resolve through the backend
+    if (mediaType === 'embed') {
+      if (model.embed.provider === 'redgifs' && model.embed.id) {
+        return (
+          <LazyRedGif 
+            gifId={model.embed.id} 
+            thumbnailUrl={thumbUrl}
+            memeId={meme.data.id}
+          />
+        );
+      }
+      return <p>Unable to load embedded content</p>;
     }
 
     // Handle text posts
-    if (meme.data.is_self || meme.data.post_hint === 'self') {
+    if (mediaType === 'text') {
         return (
             <div className="text-content" style={{ padding: '15px', maxHeight: '300px', overflowY: 'auto', backgroundColor: '#f9f9f9', borderRadius: '4px' }}>
                 <p style={{ whiteSpace: 'pre-wrap', fontSize: '0.9rem' }}>
@@ -880,32 +743,18 @@ function MemeGallery({ subreddit = 'memes' }) {
         );
     }
     
-    // Handle standard GIFs, JPGs, PNGs
+    // Handle GIFs, JPGs, PNGs (and link posts with a preview image)
+    const url = getImageUrl(meme);
     if (url) {
-      const isGif = url.endsWith('.gif') || url.includes('.gif');
-      const isVideo = url.endsWith('.mp4') || url.endsWith('.webm');
-      
-      if (isVideo) {
-        const videoType = url.endsWith('.mp4') ? 'video/mp4' : 'video/webm';
-        return (
-          <LazyVideo 
-            videoUrl={url} 
-            thumbnailUrl={thumbUrl}
-            videoType={videoType}
-          />
-        );
-      } else {
-        // For images or GIFs we can use img tag
-        return new Promise((resolve) => {
-          const img = new Image();
-          img.src = url;
-          img.onload = () => resolve(<img src={url} alt={meme.data.title} className="media-content" />);
-          img.onerror = () => {
-            console.error(`Failed to load image: ${url}`);
-            resolve(null); // Return null if image fails to load
-          };
-        });
-      }
+      return new Promise((resolve) => {
+        const img = new Image();
+        img.src = url;
+        img.onload = () => resolve(<img src={url} alt={meme.data.title} className="media-content" />);
+        img.onerror = () => {
+          console.error(`Failed to load image: ${url}`);
+          resolve(null); // Return null if image fails to load
+        };
+      });
     }
     
     return <p>Media not available</p>;
@@ -1013,20 +862,22 @@ function MemeGallery({ subreddit = 'memes' }) {
     }
   }, [memes, isLoading]);
 
-  const getMediaTypeIcon = (data) => {
-    if (data.is_gallery) {
+  const getMediaTypeIcon = (type) => {
+    switch (type) {
+      case 'gallery':
         return <TbLayoutGrid size={20} />;
-    }
-    if (data.is_video || data.post_hint === 'hosted:video' || data.post_hint === 'rich:video' || (data.url && data.url.includes('redgifs'))) {
+      case 'video':
+      case 'embed':
         return <TbVideo size={20} />;
-    }
-    if (data.post_hint === 'image' || (data.url && data.url.match(/\.(jpeg|jpg|gif|png|webp)$/i))) {
+      case 'gif':
+        return <TbGif size={20} />;
+      case 'image':
         return <TbPhoto size={20} />;
-    }
-    if (data.is_self || data.post_hint === 'self') {
+      case 'text':
         return <TbFileText size={20} />;
+      default:
+        return <TbLink size={20} />;
     }
-    return <TbLink size={20} />;
   };
 
   // Configure breakpoints for responsive design
@@ -1042,7 +893,13 @@ function MemeGallery({ subreddit = 'memes' }) {
       <Helmet>
         <title>{`r/${subreddit} - twiix NSFW Viewer`}</title>
       </Helmet>
-      <h2 className="text-3xl font-bold mb-8 text-center text-foreground tracking-tight">r/{subreddit}</h2>
+      <h2 className="text-3xl font-bold mb-4 text-center text-foreground tracking-tight">r/{subreddit}</h2>
+      <SortControls
+        value={feedSort}
+        onChange={setFeedSort}
+        className="justify-center mb-8"
+        selectClassName="h-9 rounded-md border border-input bg-background px-3 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+      />
       
       {/* Remove the pagination UI controls */}
       
@@ -1057,18 +914,6 @@ function MemeGallery({ subreddit = 'memes' }) {
             ? [meme.data.link_flair_text]
             : [];
 
-          // Use the best media URL for download/search
-          let mediaUrl = meme.data.url;
-          if (meme.data.media && meme.data.media.reddit_video) {
-            mediaUrl = meme.data.media.reddit_video.fallback_url;
-          } else if (
-            meme.data.preview &&
-            meme.data.preview.reddit_video_preview &&
-            meme.data.preview.reddit_video_preview.fallback_url
-          ) {
-            mediaUrl = meme.data.preview.reddit_video_preview.fallback_url;
-          }
-
           // Related subreddits
           const relatedSubreddits = getRelatedSubreddits(meme);
 
@@ -1079,7 +924,7 @@ function MemeGallery({ subreddit = 'memes' }) {
               ref={index === memes.length - 1 ? lastMemeElementRef : null}
             >
               <div className="absolute top-2 right-2 z-10 flex h-8 w-8 items-center justify-center rounded-full bg-black/60 text-white backdrop-blur-sm pointer-events-none">
-                  {getMediaTypeIcon(meme.data)}
+                  {getMediaTypeIcon(getMediaType(meme))}
               </div>
               <div
                 className="media-wrapper double-tap-container"
@@ -1112,7 +957,7 @@ function MemeGallery({ subreddit = 'memes' }) {
                 {/* Download */}
                 <button
                   title="Download"
-                  onClick={() => handleDownload(mediaUrl, meme.data.title)}
+                  onClick={() => handleDownload(meme)}
                   className="hover:text-primary transition-colors"
                 >
                   <TbDownload />
@@ -5,14 +5,17 @@ import MemeGallery from './MemeGallery';
 import { Helmet } from 'react-helmet-async';
 import '../styles/MemeGallery.css';
 import LikeButton from './LikeButton';
+import { getMediaType, getPosterUrl, getImageUrl, getVideoSource, getDownloadUrl, pickSource } from '../utils/postMedia';
+import { useVideoSource } from '../utils/videoSource';
+import { useFeedSort } from '../utils/feedSort';
 import { useLikes } from '../context/LikesContext';
 
 // Import components used by MemePage
-const LazyVideo = React.memo(({ videoUrl, thumbnailUrl, videoType = "video/mp4" }) => {
-  const [error, setError] = useState(null);
+const LazyVideo = React.memo(({ video, thumbnailUrl }) => {
   const [isPlaying, setIsPlaying] = useState(false);
   const videoRef = useRef(null);
   const containerRef = useRef(null);
+  const { error, retry } = useVideoSource(videoRef, video);
 
   // Add cleanup function to free resources when component unmounts or video scrolls far away
   useEffect(() => {
@@ -46,10 +49,6 @@ const LazyVideo = React.memo(({ videoUrl, thumbnailUrl, videoType = "video/mp4"
     };
   }, []);
 
-  const handleVideoError = () => {
-    setError("Failed to load video");
-  };
-
   return (
     <div className="relative w-full bg-black aspect-video" ref={containerRef}>
       <video 
@@ -60,23 +59,16 @@ const LazyVideo = React.memo(({ videoUrl, thumbnailUrl, videoType = "video/mp4"
         muted 
         autoPlay // Add autoPlay attribute
         className="w-full h-full object-contain"
-        onError={handleVideoError}
         onPlay={() => setIsPlaying(true)}
         onPause={() => setIsPlaying(false)}
         poster={thumbnailUrl}
       >
-        <source src={videoUrl} type={videoType} />
         Your browser does not support video playback.
       </video>
       {error && (
         <div className="error-message">
           {error}
-          <button onClick={() => {
-            setError(null);
-            if (videoRef.current) {
-              videoRef.current.load();
-            }
-          }} className="retry-button">
+          <button onClick={retry} className="retry-button">
             Retry
           </button>
         </div>
@@ -88,7 +80,6 @@ const LazyVideo = React.memo(({ videoUrl, thumbnailUrl, videoType = "video/mp4"
 // Create a new component for lazy-loaded RedGifs
 const LazyRedGif = React.memo(({ gifId, thumbnailUrl, memeId }) => {
   const [isVisible, setIsVisible] = useState(false);
-  const [isLoading, setIsLoading] = useState(false);
   const [videoUrl, setVideoUrl] = useState(null);
   const [error, setError] = useState(null);
   const containerRef = useRef(null);
@@ -98,7 +89,7 @@ const LazyRedGif = React.memo(({ gifId, thumbnailUrl, memeId }) => {
     // Set up intersection observer to detect when element is visible
     const observer = new IntersectionObserver(
       (entries) => {
-        if (entries[0].isIntersecting && !isLoading && !videoUrl && !error) {
+        if (entries[0].isIntersecting && !videoUrl && !error) {
           setIsVisible(true);
         }
       },
@@ -114,38 +105,15 @@ const LazyRedGif = React.memo(({ gifId, thumbnailUrl, memeId }) => {
         observer.unobserve(containerRef.current);
       }
     };
-  }, [isLoading, videoUrl, error]);
+  }, [videoUrl, error]);
 
-  // Load the video when it becomes visible
+  // Load the video when it becomes visible. The server resolves the ID and
+  // streams the file with Range support, so the player can seek.
   useEffect(() => {
-    if (isVisible && !isLoading && !videoUrl && !error) {
-      setIsLoading(true);
-      const url = `/api/redgifs?id=${encodeURIComponent(gifId)}`;
-
-      fetch(url)
-        .then(response => {
-          if (!response.ok) {
-            throw new Error(`Server responded with status: ${response.status}`);
-          }
-          return response.json();
-        })
-        .then(data => {
-          const hdUrl = data?.gif?.urls?.hd || data?.gif?.urls?.sd;
-          if (hdUrl) {
-            setVideoUrl(hdUrl);
-          } else {
-            throw new Error('No video URL found in RedGifs response');
-          }
-        })
-        .catch(err => {
-          console.error('Error fetching RedGifs:', err);
-          setError(err.message);
-        })
-        .finally(() => {
-          setIsLoading(false);
-        });
+    if (isVisible && !videoUrl && !error) {
+      setVideoUrl(`/api/redgifs/${encodeURIComponent(gifId)}`);
     }
-  }, [isVisible, isLoading, videoUrl, error, gifId]);
+  }, [isVisible, videoUrl, error, gifId]);
 
   return (
     <div className="video-container" ref={containerRef}>
@@ -159,9 +127,12 @@ const LazyRedGif = React.memo(({ gifId, thumbnailUrl, memeId }) => {
           autoPlay // Add autoPlay attribute
           className="media-content"
           poster={thumbnailUrl}
-          onError={() => setError("Failed to load video")}
+          src={videoUrl}
+          onError={() => {
+            setVideoUrl(null);
+            setError("Failed to load video");
+          }}
         >
-          <source src={videoUrl} type="video/mp4" />
           Your browser does not support video playback.
         </video>
       ) : error ? (
@@ -174,17 +145,6 @@ const LazyRedGif = React.memo(({ gifId, thumbnailUrl, memeId }) => {
             Retry
           </button>
         </div>
-      ) : isLoading ? (
-        <div className="loading-container">
-          <div className="loading-spinner">
-            <svg viewBox="0 0 32 32" width="32" height="32">
-              <circle cx="16" cy="16" r="14" fill="none" strokeWidth="4" stroke="#fff" strokeDasharray="87.96459430051421 87.96459430051421" transform="rotate(120 16 16)">
-                <animateTransform attributeName="transform" attributeType="XML" type="rotate" dur="0.75s" from="0 16 16" to="360 16 16" repeatCount="indefinite"/>
-              </circle>
-            </svg>
-          </div>
-          <span>Loading RedGifs content...</span>
-        </div>
       ) : (
         <div className="loading-container" onClick={() => setIsVisible(true)}>
           {thumbnailUrl && <img src={thumbnailUrl} alt="RedGifs thumbnail" className="poster-image" />}
@@ -196,41 +156,21 @@ const LazyRedGif = React.memo(({ gifId, thumbnailUrl, memeId }) => {
 });
 
 // Gallery Carousel component for Reddit gallery posts
-const GalleryCarousel = React.memo(({ galleryData, mediaMetadata }) => {
+const GalleryCarousel = React.memo(({ items }) => {
   const [currentIndex, setCurrentIndex] = useState(0);
   
-  // Extract images from gallery data in order
-  const images = React.useMemo(() => {
-    if (!galleryData?.items || !mediaMetadata) return [];
-    
-    return galleryData.items
-      .map(item => {
-        const media = mediaMetadata[item.media_id];
-        if (!media || media.status !== 'valid') return null;
-        
-        // Get the source image URL (highest quality)
-        const sourceUrl = media.s?.u || media.s?.gif;
-        if (!sourceUrl) return null;
-        
-        // Decode HTML entities in URL
-        const decodedUrl = sourceUrl.replace(/&amp;/g, '&');
-        
-        // Get a preview image for faster loading
-        const previewUrl = media.p && media.p.length > 0 
-          ? media.p[media.p.length - 1].u.replace(/&amp;/g, '&')
-          : decodedUrl;
-        
-        return {
-          id: item.media_id,
-          src: decodedUrl,
-          preview: previewUrl,
-          width: media.s?.x,
-          height: media.s?.y,
-          type: media.e, // 'Image' or 'AnimatedImage'
-        };
-      })
-      .filter(Boolean);
-  }, [galleryData, mediaMetadata]);
+  // Gallery items arrive in display order from the normalized post
+  const images = React.useMemo(() => (items || [])
+    .map(item => {
+      const source = pickSource(item.sources);
+      if (!source) return null;
+      return {
+        id: item.id,
+        src: source.url,
+        caption: item.caption,
+      };
+    })
+    .filter(Boolean), [items]);
   
   const goToNext = (e) => {
     e.stopPropagation();
@@ -254,7 +194,7 @@ const GalleryCarousel = React.memo(({ galleryData, mediaMetadata }) => {
       <div className="gallery-image-container relative">
         <img 
           src={currentImage.src} 
-          alt={`Gallery image ${currentIndex + 1} of ${images.length}`}
+          alt={currentImage.caption || `Gallery image ${currentIndex + 1} of ${images.length}`}
           className="w-full h-auto block"
           loading="lazy"
         />
@@ -311,6 +251,7 @@ const GalleryCarousel = React.memo(({ galleryData, mediaMetadata }) => {
 function MemePage() {
   const { subreddit, memeId } = useParams();
   const navigate = useNavigate();
+  const [feedSort] = useFeedSort();
   const [meme, setMeme] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -375,17 +316,18 @@ function MemePage() {
   useEffect(() => {
     setIsLoading(true);
     setError(null);
-    // Fetch the specific post data from Reddit API
-    fetch(`https://www.reddit.com/r/${subreddit}/comments/${memeId}.json`)
-      .then(res => {
+    // Fetch the specific post data through the server proxy
+    fetch(`/api/reddit/post/${encodeURIComponent(memeId)}`)
+      .then(async res => {
         if (!res.ok) {
-          throw new Error(`Reddit API responded with status ${res.status}`);
+          const body = await res.json().catch(() => ({}));
+          throw new Error(body.error || `Server responded with status ${res.status}`);
         }
         return res.json();
       })
       .then(data => {
-        if (data && data.length > 0 && data[0].data.children.length > 0) {
-          setMeme(data[0].data.children[0]);
+        if (data && data.post) {
+          setMeme(data.post);
         } else {
           throw new Error('Post not found');
         }
@@ -406,115 +348,48 @@ function MemePage() {
     // Clear previously rendered media before processing new meme
     setRenderedMedia(null);
     
-    const { url, media, post_hint, secure_media, thumbnail, preview, is_gallery, gallery_data, media_metadata } = meme.data;
-    
-    // Extract thumbnail
-    let thumbnailUrl = null;
-    if (preview && preview.images && preview.images.length > 0) {
-      const image = preview.images[0];
-      const resolutions = [...image.resolutions].sort((a, b) => b.width - a.width);
-      const bestResolution = resolutions.find(r => r.width <= 640) || resolutions[resolutions.length - 1];
-      
-      if (bestResolution) {
-        thumbnailUrl = bestResolution.url.replace(/&amp;/g, '&');
-      } else if (image.source) {
-        thumbnailUrl = image.source.url.replace(/&amp;/g, '&');
-      }
-    }
-    
-    if (!thumbnailUrl && thumbnail && thumbnail !== 'self' && thumbnail !== 'default') {
-      thumbnailUrl = thumbnail;
-    }
-    
+    const model = meme.normalized;
+    const mediaType = getMediaType(meme);
+    const thumbnailUrl = getPosterUrl(meme);
     if (thumbnailUrl) {
       setThumbnail(thumbnailUrl);
     }
 
     // Handle Reddit gallery posts (multiple images)
-    if (is_gallery && gallery_data && media_metadata) {
+    if (model?.gallery) {
       setRenderedMedia(
         <GalleryCarousel 
           key={`${meme.data.id}-gallery`}
-          galleryData={gallery_data}
-          mediaMetadata={media_metadata}
+          items={model.gallery}
         />
       );
       return;
     }
 
     // Render appropriate media component
-    if (media && media.reddit_video) {
+    const imageUrl = getImageUrl(meme);
+    if (getVideoSource(meme)) {
       setRenderedMedia(
         <LazyVideo 
-          key={`${meme.data.id}-redditvideo`}
-          videoUrl={media.reddit_video.fallback_url} 
+          key={`${meme.data.id}-video`}
+          video={model.video} 
           thumbnailUrl={thumbnailUrl}
-          videoType="video/mp4"
         />
       );
-    } else if ((url && url.includes('redgifs')) || 
-        (secure_media && secure_media.oembed && 
-         secure_media.oembed.html && 
-         secure_media.oembed.html.includes('redgifs'))) {
-      
-      if (preview && preview.reddit_video_preview && preview.reddit_video_preview.fallback_url) {
+    } else if (mediaType === 'embed') {
+      if (model.embed.provider === 'redgifs' && model.embed.id) {
         setRenderedMedia(
-          <LazyVideo 
-            key={`${meme.data.id}-preview`}
-            videoUrl={preview.reddit_video_preview.fallback_url} 
+          <LazyRedGif 
+            key={`${meme.data.id}-redgifs`}
+            gifId={model.embed.id} 
             thumbnailUrl={thumbnailUrl}
-            videoType="video/mp4"
+            memeId={meme.data.id}
           />
         );
       } else {
-        // Extract RedGifs ID
-        let redgifsId = null;
-        
-        if (url && url.includes('redgifs')) {
-          const urlParts = url.split('/');
-          redgifsId = urlParts[urlParts.length - 1].split('?')[0];
-        } else if (secure_media && secure_media.oembed && secure_media.oembed.html) {
-          const html = secure_media.oembed.html;
-          const match = html.match(/redgifs\.com\/(?:watch|ifr)\/([^"&?/]+)/);
-          if (match && match[1]) {
-            redgifsId = match[1];
-          }
-        }
-        
-        if (redgifsId) {
-          setRenderedMedia(
-            <LazyRedGif 
-              key={`${meme.data.id}-redgifs`}
-              gifId={redgifsId} 
-              thumbnailUrl={thumbnailUrl}
-              memeId={meme.data.id}
-            />
-          );
-        } else {
-          setRenderedMedia(<p key={`${meme.data.id}-error`}>Unable to load RedGifs content</p>);
-        }
+        setRenderedMedia(<p key={`${meme.data.id}-error`}>Unable to load embedded content</p>);
       }
-    } else if (url && url.includes('.gifv')) {
-      const mp4Url = url.replace('.gifv', '.mp4');
-      setRenderedMedia(
-        <LazyVideo 
-          key={`${meme.data.id}-gifv`}
-          videoUrl={mp4Url} 
-          thumbnailUrl={thumbnailUrl}
-          videoType="video/mp4"
-        />
-      );
-    } else if (url && (url.endsWith('.mp4') || url.endsWith('.webm'))) {
-      const videoType = url.endsWith('.mp4') ? 'video/mp4' : 'video/webm';
-      setRenderedMedia(
-        <LazyVideo 
-          key={`${meme.data.id}-video`}
-          videoUrl={url} 
-          thumbnailUrl={thumbnailUrl}
-          videoType={videoType}
-        />
-      );
-    } else if (meme.data.is_self || meme.data.post_hint === 'self') {
+    } else if (mediaType === 'text') {
         setRenderedMedia(
             <div key={`${meme.data.id}-text`} className="text-content" style={{ padding: '20px', backgroundColor: '#f9f9f9', borderRadius: '8px', width: '100%' }}>
                 <p style={{ whiteSpace: 'pre-wrap', fontSize: '1rem', lineHeight: '1.6' }}>
@@ -522,12 +397,12 @@ function MemePage() {
                 </p>
             </div>
         );
-    } else if (url) {
+    } else if (imageUrl) {
       // For images
       setRenderedMedia(
         <img 
           key={`${meme.data.id}-img`}
-          src={url} 
+          src={imageUrl} 
           alt={meme.data.title} 
           className="media-content" 
         />
@@ -541,9 +416,9 @@ function MemePage() {
   useEffect(() => {
     const fetchSimilarSubreddits = async () => {
       try {
-        const response = await fetch(`https://www.reddit.com/search.json?q=${subreddit}&type=sr&limit=10&include_over_18=1`);
+        const response = await fetch(`/api/reddit/search/subreddits?q=${encodeURIComponent(subreddit)}&limit=10`);
         if (!response.ok) {
-          throw new Error(`Reddit API responded with status ${response.status}`);
+          throw new Error(`Server responded with status ${response.status}`);
         }
         const data = await response.json();
         if (data && data.data && data.data.children) {
@@ -596,6 +471,9 @@ function MemePage() {
     );
   }
 
+  // Same-origin, so the link's `download` is honoured; galleries come as a ZIP
+  const downloadHref = getDownloadUrl(meme);
+
   return (
     <div className="container mx-auto px-4 py-8">
       <Helmet>
@@ -655,6 +533,15 @@ function MemePage() {
           >
             <span role="img" aria-label="reddit" className="mr-2">🔗</span> View on Reddit
           </a>
+          {downloadHref && (
+            <a
+              href={downloadHref}
+              download
+              className="mt-4 ml-2 inline-flex items-center justify-center rounded-md bg-secondary px-4 py-2 text-sm font-medium text-secondary-foreground shadow-sm transition-colors hover:bg-secondary/80"
+            >
+              <span role="img" aria-label="download" className="mr-2">⬇️</span> {getMediaType(meme) === 'gallery' ? 'Download all' : 'Download'}
+            </a>
+          )}
         </div>
   
         {similarSubreddits.length > 0 && (
@@ -684,7 +571,8 @@ function MemePage() {
       <div className="w-full mt-12 border-t border-border pt-8">
         <div className="mx-auto px-4">
           <h2 className="text-2xl font-bold mb-6">More from r/{subreddit}</h2>
-          <MemeGallery subreddit={subreddit} />
+          {/* Remounted per sort so paging starts over */}
+          <MemeGallery key={`${feedSort.sort}-${feedSort.t}`} subreddit={subreddit} />
         </div>
       </div>
     </div>
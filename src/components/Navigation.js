@@ -1,11 +1,11 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
-import { FaSearch, FaHeart } from 'react-icons/fa';
+import { FaSearch, FaHeart, FaTimes, FaSync } from 'react-icons/fa';
 import { SignedIn, SignedOut, SignInButton, UserButton } from '@clerk/clerk-react';
 import { useLikes } from '../context/LikesContext';
 
 function Navigation() {
-  const { likesCount } = useLikes();
+  const { likesCount, mergeReport, dismissMergeReport, pendingCount, flushOutbox } = useLikes();
 
   return (
     <header className="sticky top-0 z-50 w-full border-b border-border/40 bg-background/95 backdrop-blur supports-[backdrop-filter]:bg-background/60">
@@ -30,6 +30,12 @@ function Navigation() {
             Subreddits
           </Link>
           <SignedIn>
+            <Link
+              to="/feeds"
+              className="transition-colors hover:text-foreground/80 text-foreground/60"
+            >
+              Feeds
+            </Link>
             <Link
               to="/likes"
               className="transition-colors hover:text-foreground/80 text-foreground/60 flex items-center gap-1.5"
@@ -45,6 +51,19 @@ function Navigation() {
           </SignedIn>
         </nav>
         <div className="flex items-center space-x-4">
+          {/* Likes and unlikes the server has not accepted yet; click to retry now */}
+          <SignedIn>
+            {pendingCount > 0 && (
+              <button
+                onClick={() => flushOutbox()}
+                className="inline-flex items-center gap-1.5 rounded-full bg-amber-500/15 px-2.5 py-1 text-xs font-medium text-amber-600 hover:bg-amber-500/25 transition-colors"
+                title="Retry now"
+              >
+                <FaSync className="h-3 w-3" />
+                {pendingCount} {pendingCount === 1 ? 'change' : 'changes'} not synced
+              </button>
+            )}
+          </SignedIn>
           <Link 
             to="/search" 
             className="inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium ring-offset-background transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:pointer-events-none disabled:opacity-50 hover:bg-accent hover:text-accent-foreground h-9 w-9"
@@ -73,6 +92,19 @@ function Navigation() {
           </SignedIn>
         </div>
       </div>
+      {/* Shown once after sign-in merged this device's anonymous likes and history */}
+      {mergeReport && (
+        <div className="border-t border-border/40 bg-orange-500/10">
+          <div className="container flex max-w-screen-2xl items-center gap-3 px-4 py-2 text-sm text-foreground">
+            <span className="flex-1">
+              Added {mergeReport.likes} {mergeReport.likes === 1 ? 'like' : 'likes'} and {mergeReport.seen} seen {mergeReport.seen === 1 ? 'post' : 'posts'} from this device to your account.
+            </span>
+            <button onClick={dismissMergeReport} className="p-1 rounded-md hover:bg-accent" aria-label="Dismiss">
+              <FaTimes className="h-3.5 w-3.5" />
+            </button>
+          </div>
+        </div>
+      )}
     </header>
   );
 }
@@ -66,7 +66,10 @@ function Search() {
     setError(null);
     
     try {
-      const response = await fetch(`https://www.reddit.com/subreddits/search.json?q=${encodeURIComponent(term)}&include_over_18=1`);
+      const response = await fetch(`/api/reddit/search/subreddits?q=${encodeURIComponent(term)}`);
+      if (!response.ok) {
+        throw new Error(`Server responded with status ${response.status}`);
+      }
       const data = await response.json();
       
       if (data && data.data && data.data.children) {
@@ -109,7 +112,10 @@ function Search() {
     setError(null);
     
     try {
-      const response = await fetch(`https://www.reddit.com/subreddits/search.json?q=${encodeURIComponent(searchTerm)}&include_over_18=1`);
+      const response = await fetch(`/api/reddit/search/subreddits?q=${encodeURIComponent(searchTerm)}`);
+      if (!response.ok) {
+        throw new Error(`Server responded with status ${response.status}`);
+      }
       const data = await response.json();
       
       if (data && data.data && data.data.children) {
@@ -0,0 +1,32 @@
+import React from 'react';
+import { SORT_OPTIONS, TIME_WINDOWS, hasTimeWindow } from '../utils/feedSort';
+
+// Sort selector with a time window for top and controversial
+const SortControls = ({ value, onChange, className = '', selectClassName = '' }) => (
+  <div className={`flex items-center gap-2 ${className}`}>
+    <select
+      aria-label="Sort"
+      value={value.sort}
+      onChange={e => onChange({ sort: e.target.value, t: value.t || 'day' })}
+      className={selectClassName}
+    >
+      {SORT_OPTIONS.map(option => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      ))}
+    </select>
+    {hasTimeWindow(value.sort) && (
+      <select
+        aria-label="Time window"
+        value={value.t || 'day'}
+        onChange={e => onChange({ sort: value.sort, t: e.target.value })}
+        className={selectClassName}
+      >
+        {TIME_WINDOWS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    )}
+  </div>
+);
+
+export default SortControls;
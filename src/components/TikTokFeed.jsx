@@ -1,15 +1,20 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
-import { useUser } from '@clerk/clerk-react';
-import { debouncedFetch, exponentialBackoff } from '../utils/apiUtils';
+import { useUser, useAuth } from '@clerk/clerk-react';
+import { exponentialBackoff, authFetch } from '../utils/apiUtils';
 import { REDDIT_API_CONFIG } from '../config/redditApi';
+import { getMediaType, getPosterUrl, getImageUrl, getVideoSource, getDownloadUrl, isDisplayableMedia, pickSource } from '../utils/postMedia';
+import { useVideoSource } from '../utils/videoSource';
+import { downloadUrl } from '../utils/download';
+import { useFeedSort, applyFeedSort, feedSortKeySuffix } from '../utils/feedSort';
 import LikeButton from './LikeButton';
-import { TbDownload, TbPhoto, TbVideo, TbLayoutGrid, TbChevronLeft, TbChevronRight, TbVolume, TbVolumeOff, TbShare } from 'react-icons/tb';
+import SortControls from './SortControls';
+import { TbDownload, TbPhoto, TbGif, TbVideo, TbLayoutGrid, TbChevronLeft, TbChevronRight, TbVolume, TbVolumeOff, TbShare } from 'react-icons/tb';
 import './TikTokFeed.css';
 
 // Horizontal swipeable gallery for posts with multiple images
-const GallerySwiper = ({ galleryData, mediaMetadata, onSwipePastEnd, onSwipeBeforeStart, authorName, originSubreddit }) => {
+const GallerySwiper = ({ items, onSwipePastEnd, onSwipeBeforeStart, authorName, originSubreddit }) => {
   const [currentIndex, setCurrentIndex] = useState(0);
   const [touchStart, setTouchStart] = useState(null);
   const [touchEnd, setTouchEnd] = useState(null);
@@ -19,29 +24,17 @@ const GallerySwiper = ({ galleryData, mediaMetadata, onSwipePastEnd, onSwipeBefo
 
   const minSwipeDistance = 50;
 
-  const images = React.useMemo(() => {
-    if (!galleryData?.items || !mediaMetadata) return [];
-    
-    return galleryData.items
-      .map(item => {
-        const media = mediaMetadata[item.media_id];
-        if (!media || media.status !== 'valid') return null;
-        
-        const sourceUrl = media.s?.u || media.s?.gif;
-        if (!sourceUrl) return null;
-        
-        const decodedUrl = sourceUrl.replace(/&amp;/g, '&');
-        
-        return {
-          id: item.media_id,
-          src: decodedUrl,
-          width: media.s?.x,
-          height: media.s?.y,
-          type: media.e,
-        };
-      })
-      .filter(Boolean);
-  }, [galleryData, mediaMetadata]);
+  const images = React.useMemo(() => (items || [])
+    .map(item => {
+      const source = pickSource(item.sources);
+      if (!source) return null;
+      return {
+        id: item.id,
+        src: source.url,
+        caption: item.caption,
+      };
+    })
+    .filter(Boolean), [items]);
 
   const onTouchStart = (e) => {
     setTouchEnd(null);
@@ -148,7 +141,7 @@ const GallerySwiper = ({ galleryData, mediaMetadata, onSwipePastEnd, onSwipeBefo
           <div key={image.id} className="tiktok-gallery-slide">
             <img 
               src={image.src} 
-              alt={`Gallery image ${idx + 1}`}
+              alt={image.caption || `Gallery image ${idx + 1}`}
               className="tiktok-gallery-image"
             />
           </div>
@@ -205,11 +198,11 @@ const GallerySwiper = ({ galleryData, mediaMetadata, onSwipePastEnd, onSwipeBefo
 };
 
 // Video player with auto-play support
-const TikTokVideo = ({ videoUrl, thumbnailUrl, isActive }) => {
+const TikTokVideo = ({ video, thumbnailUrl, isActive }) => {
   const videoRef = useRef(null);
   const [isMuted, setIsMuted] = useState(true);
   const [isPlaying, setIsPlaying] = useState(false);
-  const [error, setError] = useState(null);
+  const { hasAudio, error, retry } = useVideoSource(videoRef, video);
 
   useEffect(() => {
     if (videoRef.current) {
@@ -250,7 +243,7 @@ const TikTokVideo = ({ videoUrl, thumbnailUrl, isActive }) => {
     return (
       <div className="tiktok-media-error">
         <p>Failed to load video</p>
-        <button onClick={() => setError(null)} className="tiktok-retry-btn">Retry</button>
+        <button onClick={retry} className="tiktok-retry-btn">Retry</button>
       </div>
     );
   }
@@ -259,13 +252,11 @@ const TikTokVideo = ({ videoUrl, thumbnailUrl, isActive }) => {
     <div className="tiktok-video-container" onClick={togglePlay}>
       <video
         ref={videoRef}
-        src={videoUrl}
         poster={thumbnailUrl}
         loop
         muted={isMuted}
         playsInline
         className="tiktok-video"
-        onError={() => setError('Failed to load video')}
       />
       
       {/* Play/Pause overlay */}
@@ -275,10 +266,12 @@ const TikTokVideo = ({ videoUrl, thumbnailUrl, isActive }) => {
         </div>
       )}
       
-      {/* Mute toggle */}
-      <button onClick={toggleMute} className="tiktok-mute-btn">
-        {isMuted ? <TbVolumeOff size={24} /> : <TbVolume size={24} />}
-      </button>
+      {/* Mute toggle, only for videos that have sound */}
+      {hasAudio && (
+        <button onClick={toggleMute} className="tiktok-mute-btn">
+          {isMuted ? <TbVolumeOff size={24} /> : <TbVolume size={24} />}
+        </button>
+      )}
     </div>
   );
 };
@@ -307,7 +300,7 @@ const TikTokImage = ({ imageUrl, title }) => {
   );
 };
 
-function TikTokFeed({ subreddit, username }) {
+function TikTokFeed({ subreddit, username, feedId }) {
   const [memes, setMemes] = useState([]);
   const [currentIndex, setCurrentIndex] = useState(0);
   const [isLoading, setIsLoading] = useState(false);
@@ -328,6 +321,8 @@ function TikTokFeed({ subreddit, username }) {
   const minSwipeDistance = 50;
   const navigate = useNavigate();
   const { user, isSignedIn } = useUser();
+  const { getToken } = useAuth();
+  const [feedSort, setFeedSort] = useFeedSort();
 
   // Determine if we're on a user page and get the origin subreddit
   const isUserPage = !!username;
@@ -356,37 +351,41 @@ function TikTokFeed({ subreddit, username }) {
     }
   }, [navigate]);
 
+  // Custom feeds (/f/:feedId) belong to the signed-in user; their name comes from the API
+  const [feed, setFeed] = useState(null);
+
+  useEffect(() => {
+    setFeed(null);
+    if (!feedId || !isSignedIn) return;
+    authFetch(getToken, `/api/feeds/${encodeURIComponent(feedId)}`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(setFeed)
+      .catch(err => console.error('Failed to load feed:', err));
+  }, [feedId, isSignedIn, getToken]);
+
+  const contextLabel = feedId
+    ? (feed?.name || 'Custom feed')
+    : username ? `u/${username}` : `r/${subreddit || 'memes'}`;
+
   const getSeenStorageKey = useCallback(() => {
+    // Each sort keeps its own seen history; custom feeds use the key the server filters with
+    const suffix = feedSortKeySuffix(feedSort);
+    if (feedId) {
+      return `seen_memes_feed_${feedId}${suffix}`;
+    }
     if (username) {
-      return `seen_memes_user_${username}`;
+      return `seen_memes_user_${username}${suffix}`;
     }
     const sub = subreddit || 'memes';
-    return `seen_memes_subreddit_${sub}`;
-  }, [subreddit, username]);
+    return `seen_memes_subreddit_${sub}${suffix}`;
+  }, [subreddit, username, feedId, feedSort]);
 
   const loadSeenIds = useCallback(async () => {
     const storageKey = getSeenStorageKey();
 
-    // Signed-in users: database is the single source of truth
+    // Signed-in users: the proxy drops seen posts server-side, so only
+    // IDs seen during this session are tracked here
     if (isSignedIn && user) {
-      try {
-        const feedKey = storageKey;
-        const response = await fetch(`/api/seen?userId=${encodeURIComponent(user.id)}&feedKey=${encodeURIComponent(feedKey)}`);
-        if (response.ok) {
-          const contentType = response.headers.get('content-type') || '';
-          if (!contentType.includes('application/json')) {
-            console.warn('Seen memes endpoint returned non-JSON response');
-          } else {
-            const backendIds = await response.json();
-            const dbSet = new Set(backendIds);
-            seenIdsRef.current = dbSet;
-            setSeenIds(dbSet);
-            return;
-          }
-        }
-      } catch (error) {
-        console.error('Failed to load seen memes from database:', error);
-      }
       seenIdsRef.current = new Set();
       setSeenIds(new Set());
       return;
@@ -423,85 +422,48 @@ function TikTokFeed({ subreddit, username }) {
     const feedKey = getSeenStorageKey();
     const batch = [...pendingSeenRef.current];
     pendingSeenRef.current = [];
-    fetch('/api/seen', {
+    authFetch(getToken, '/api/seen', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ userId: user.id, feedKey, memeIds: batch }),
+      body: JSON.stringify({ feedKey, memeIds: batch }),
     }).catch(err => console.error('Failed to flush seen IDs to backend:', err));
-  }, [isSignedIn, user, getSeenStorageKey]);
+  }, [isSignedIn, user, getSeenStorageKey, getToken]);
 
   // Fetch memes from Reddit API
   const fetchMemes = useCallback(async (afterToken = null) => {
     if (isLoadingRef.current) return;
+    // Custom feeds are only served to their owner
+    if (feedId && !isSignedIn) return;
     
     isLoadingRef.current = true;
     setIsLoading(true);
     
     const limit = REDDIT_API_CONFIG.MEMES_PER_REQUEST;
-    let url;
-    
-    if (username) {
-      url = afterToken 
-        ? `https://www.reddit.com/user/${username}/submitted.json?after=${afterToken}&limit=${limit}&include_over_18=1`
-        : `https://www.reddit.com/user/${username}/submitted.json?limit=${limit}&include_over_18=1`;
-    } else {
-      const sub = subreddit || 'memes';
-      url = afterToken 
-        ? `https://www.reddit.com/r/${sub}.json?after=${afterToken}&limit=${limit}&include_over_18=1`
-        : `https://www.reddit.com/r/${sub}.json?limit=${limit}&include_over_18=1`;
+    // Feeds go through the proxy, which skips posts a signed-in user has already seen
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (afterToken) params.set('after', afterToken);
+    applyFeedSort(params, feedSort);
+    if (isSignedIn && !feedId) params.set('feedKey', getSeenStorageKey());
+    let url = `/api/reddit/${encodeURIComponent(subreddit || 'memes')}?${params}`;
+    if (feedId) {
+      url = `/api/feeds/${encodeURIComponent(feedId)}/posts?${params}`;
+    } else if (username) {
+      url = `/api/reddit/user/${encodeURIComponent(username)}?${params}`;
     }
     
     try {
       const response = await exponentialBackoff(async () => {
-        const res = await debouncedFetch(url);
+        const res = await authFetch(getToken, url);
+        if (!res.ok) {
+          throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+        }
         return res.json();
       }, 3, 1000);
       
       if (response?.data?.children) {
         // Filter to only include videos, images, and galleries (exclude text/documents)
-        const filteredMemes = response.data.children.filter(meme => {
-          const data = meme.data;
-          
-          // Include galleries
-          if (data.is_gallery && data.gallery_data && data.media_metadata) {
-            return true;
-          }
-          
-          // Include videos
-          if (data.is_video || data.post_hint === 'hosted:video' || 
-              (data.media && data.media.reddit_video)) {
-            return true;
-          }
-          
-          // Include rich videos (like redgifs) with preview
-          if (data.post_hint === 'rich:video' && 
-              data.preview?.reddit_video_preview?.fallback_url) {
-            return true;
-          }
-          
-          // Include images
-          if (data.post_hint === 'image') {
-            return true;
-          }
-          
-          // Include direct image URLs
-          if (data.url && data.url.match(/\.(jpeg|jpg|gif|png|webp)$/i)) {
-            return true;
-          }
-          
-          // Include gifv (Imgur)
-          if (data.url && data.url.includes('.gifv')) {
-            return true;
-          }
-          
-          // Include mp4/webm videos
-          if (data.url && (data.url.endsWith('.mp4') || data.url.endsWith('.webm'))) {
-            return true;
-          }
-          
-          // Exclude everything else (text posts, links, documents)
-          return false;
-        });
+        // Only media the feed can show full screen (no text, links or bare embeds)
+        const filteredMemes = response.data.children.filter(isDisplayableMedia);
 
         const seenSet = seenIdsRef.current;
         const unseenMemes = filteredMemes.filter(meme => !seenSet.has(meme.data.id));
@@ -516,7 +478,7 @@ function TikTokFeed({ subreddit, username }) {
       setIsLoading(false);
       isLoadingRef.current = false;
     }
-  }, [subreddit, username]);
+  }, [subreddit, username, feedId, feedSort, isSignedIn, getSeenStorageKey, getToken]);
 
   // Initial fetch
   useEffect(() => {
@@ -529,7 +491,7 @@ function TikTokFeed({ subreddit, username }) {
     setAfter(null);
     setHasMore(true);
     fetchMemes();
-  }, [subreddit, username, fetchMemes]);
+  }, [subreddit, username, feedId, feedSort, fetchMemes]);
 
   // Load more when near the end
   useEffect(() => {
@@ -565,11 +527,16 @@ function TikTokFeed({ subreddit, username }) {
         const feedKey = getSeenStorageKey();
         const batch = [...pendingSeenRef.current];
         pendingSeenRef.current = [];
-        const blob = new Blob([JSON.stringify({ userId: user.id, feedKey, memeIds: batch })], { type: 'application/json' });
-        navigator.sendBeacon('/api/seen', blob);
+        // keepalive instead of sendBeacon: beacons cannot carry the Authorization header
+        authFetch(getToken, '/api/seen', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ feedKey, memeIds: batch }),
+          keepalive: true,
+        }).catch(err => console.error('Failed to flush seen IDs to backend:', err));
       }
     };
-  }, [isSignedIn, user, getSeenStorageKey]);
+  }, [isSignedIn, user, getSeenStorageKey, getToken]);
 
   // Handle swipe (vertical for feed navigation, horizontal for user profile)
   const onTouchStart = (e) => {
@@ -596,7 +563,7 @@ function TikTokFeed({ subreddit, username }) {
     if (hTouchStart !== null && hTouchEnd !== null && absH > absV && absH > minSwipeDistance) {
       const currentMemeData = memes[currentIndex]?.data;
       if (currentMemeData) {
-        const mediaType = getMediaType(currentMemeData);
+        const mediaType = getMediaType(memes[currentIndex]);
         if (mediaType !== 'gallery') {
           const isLeftSwipe = hDist > minSwipeDistance; // finger moved left = content scrolls right
           const isRightSwipe = hDist < -minSwipeDistance; // finger moved right = content scrolls left
@@ -652,7 +619,7 @@ function TikTokFeed({ subreddit, username }) {
       if (absX > absY && absX > 50) {
         const currentMemeData = memes[currentIndex]?.data;
         if (currentMemeData) {
-          const mediaType = getMediaType(currentMemeData);
+          const mediaType = getMediaType(memes[currentIndex]);
           if (mediaType !== 'gallery') {
             setIsScrolling(true);
             if (e.deltaX > 0 && !isUserPage && currentMemeData.author) {
@@ -698,22 +665,13 @@ function TikTokFeed({ subreddit, username }) {
     };
   }, [currentIndex, memes.length, isScrolling]);
 
-  // Get media type for current meme
-  const getMediaType = (data) => {
-    if (data.is_gallery) return 'gallery';
-    if (data.is_video || data.post_hint === 'hosted:video' || data.post_hint === 'rich:video' ||
-        (data.media && data.media.reddit_video) ||
-        (data.url && (data.url.includes('.gifv') || data.url.endsWith('.mp4') || data.url.endsWith('.webm')))) {
-      return 'video';
-    }
-    return 'image';
-  };
-
   // Get media type icon
   const getMediaTypeIcon = (type) => {
     switch (type) {
       case 'gallery':
         return <TbLayoutGrid size={20} />;
+      case 'gif':
+        return <TbGif size={20} />;
       case 'video':
         return <TbVideo size={20} />;
       default:
@@ -726,6 +684,8 @@ function TikTokFeed({ subreddit, username }) {
     switch (type) {
       case 'gallery':
         return 'Gallery';
+      case 'gif':
+        return 'GIF';
       case 'video':
         return 'Video';
       default:
@@ -733,29 +693,17 @@ function TikTokFeed({ subreddit, username }) {
     }
   };
 
-  // Extract thumbnail URL
-  const extractThumbnailUrl = (meme) => {
-    const { thumbnail, preview } = meme.data;
-    if (preview?.images?.[0]?.source?.url) {
-      return preview.images[0].source.url.replace(/&amp;/g, '&');
-    }
-    if (thumbnail && thumbnail !== 'self' && thumbnail !== 'default') {
-      return thumbnail;
-    }
-    return null;
-  };
-
   // Render media content
   const renderMedia = (meme, isActive) => {
     const data = meme.data;
-    const thumbnailUrl = extractThumbnailUrl(meme);
+    const model = meme.normalized;
+    const thumbnailUrl = getPosterUrl(meme);
 
     // Gallery
-    if (data.is_gallery && data.gallery_data && data.media_metadata) {
+    if (model?.gallery) {
       return (
         <GallerySwiper 
-          galleryData={data.gallery_data}
-          mediaMetadata={data.media_metadata}
+          items={model.gallery}
           onSwipePastEnd={!isUserPage ? () => navigateToAuthor(data.author) : undefined}
           onSwipeBeforeStart={isUserPage ? navigateToOriginSubreddit : undefined}
           authorName={data.author}
@@ -764,45 +712,11 @@ function TikTokFeed({ subreddit, username }) {
       );
     }
 
-    // Reddit video
-    if (data.media?.reddit_video?.fallback_url) {
-      return (
-        <TikTokVideo 
-          videoUrl={data.media.reddit_video.fallback_url}
-          thumbnailUrl={thumbnailUrl}
-          isActive={isActive}
-        />
-      );
-    }
-
-    // Rich video preview (e.g., redgifs)
-    if (data.preview?.reddit_video_preview?.fallback_url) {
-      return (
-        <TikTokVideo 
-          videoUrl={data.preview.reddit_video_preview.fallback_url}
-          thumbnailUrl={thumbnailUrl}
-          isActive={isActive}
-        />
-      );
-    }
-
-    // Imgur gifv
-    if (data.url?.includes('.gifv')) {
-      const mp4Url = data.url.replace('.gifv', '.mp4');
+    // Reddit-hosted, transcoded (e.g. redgifs, imgur gifv) or direct video files
+    if (getVideoSource(meme)) {
       return (
         <TikTokVideo 
-          videoUrl={mp4Url}
-          thumbnailUrl={thumbnailUrl}
-          isActive={isActive}
-        />
-      );
-    }
-
-    // Direct video URLs
-    if (data.url && (data.url.endsWith('.mp4') || data.url.endsWith('.webm'))) {
-      return (
-        <TikTokVideo 
-          videoUrl={data.url}
+          video={meme.normalized.video}
           thumbnailUrl={thumbnailUrl}
           isActive={isActive}
         />
@@ -812,7 +726,7 @@ function TikTokFeed({ subreddit, username }) {
     // Image
     return (
       <TikTokImage 
-        imageUrl={data.url}
+        imageUrl={getImageUrl(meme) || data.url}
         title={data.title}
       />
     );
@@ -820,23 +734,8 @@ function TikTokFeed({ subreddit, username }) {
 
   // Handle download
   const handleDownload = (meme) => {
-    const data = meme.data;
-    let mediaUrl = data.url;
-    
-    if (data.media?.reddit_video?.fallback_url) {
-      mediaUrl = data.media.reddit_video.fallback_url;
-    } else if (data.preview?.reddit_video_preview?.fallback_url) {
-      mediaUrl = data.preview.reddit_video_preview.fallback_url;
-    }
-    
-    if (mediaUrl) {
-      const link = document.createElement('a');
-      link.href = mediaUrl;
-      link.download = data.title || 'download';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-    }
+    const url = getDownloadUrl(meme);
+    if (url) downloadUrl(url);
   };
 
   // Handle share
@@ -867,10 +766,19 @@ function TikTokFeed({ subreddit, username }) {
     );
   }
 
+  if (feedId && !isSignedIn) {
+    return (
+      <div className="tiktok-empty">
+        <p>Sign in to view your custom feeds</p>
+      </div>
+    );
+  }
+
   if (memes.length === 0) {
     return (
       <div className="tiktok-empty">
-        <p>No media found in r/{subreddit}</p>
+        <p>No media found in {contextLabel}</p>
+        <SortControls value={feedSort} onChange={setFeedSort} selectClassName="tiktok-sort-select" />
         <button onClick={() => fetchMemes()} className="tiktok-retry-btn">
           Retry
         </button>
@@ -879,7 +787,7 @@ function TikTokFeed({ subreddit, username }) {
   }
 
   const currentMeme = memes[currentIndex];
-  const mediaType = getMediaType(currentMeme.data);
+  const mediaType = getMediaType(currentMeme);
 
   return (
     <div 
@@ -890,7 +798,7 @@ function TikTokFeed({ subreddit, username }) {
       onTouchEnd={onTouchEnd}
     >
       <Helmet>
-        <title>{username ? `u/${username} - twiix` : (subreddit ? `r/${subreddit} - twiix` : 'twiix')}</title>
+        <title>{`${contextLabel} - twiix`}</title>
       </Helmet>
 
       {/* Media type badge (top right) */}
@@ -901,9 +809,17 @@ function TikTokFeed({ subreddit, username }) {
 
       {/* Context badge (top left) */}
       <div className="tiktok-subreddit-badge">
-        {username ? `u/${username}` : `r/${subreddit || 'memes'}`}
+        {contextLabel}
       </div>
 
+      {/* Sort and time window (top center) */}
+      <SortControls
+        value={feedSort}
+        onChange={setFeedSort}
+        className="tiktok-sort-controls"
+        selectClassName="tiktok-sort-select"
+      />
+
       {/* Main content area */}
       <div className="tiktok-content">
         {memes.map((meme, index) => (
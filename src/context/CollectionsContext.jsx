@@ -0,0 +1,125 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useUser, useAuth } from '@clerk/clerk-react';
+import { authFetch } from '../utils/apiUtils';
+
+const CollectionsContext = createContext();
+
+export function useCollections() {
+  return useContext(CollectionsContext);
+}
+
+// Collections (boards) of the signed-in user's likes. Anonymous users have none;
+// the like button asks them to sign in first.
+export function CollectionsProvider({ children }) {
+  const { isSignedIn, isLoaded } = useUser();
+  const { getToken } = useAuth();
+  const [collections, setCollections] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Send a JSON request; resolves to the parsed body or throws with the server's message
+  const request = useCallback(async (url, method = 'GET', body) => {
+    const response = await authFetch(getToken, url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    return data;
+  }, [getToken]);
+
+  const refreshCollections = useCallback(async () => {
+    try {
+      setCollections(await request('/api/collections'));
+    } catch (error) {
+      console.error('Failed to load collections:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    if (!isLoaded) return;
+    if (!isSignedIn) {
+      setCollections([]);
+      setIsLoading(false);
+      return;
+    }
+    refreshCollections();
+  }, [isLoaded, isSignedIn, refreshCollections]);
+
+  const createCollection = useCallback(async (name) => {
+    const collection = await request('/api/collections', 'POST', { name });
+    setCollections((prev) => [...prev, collection]);
+    return collection;
+  }, [request]);
+
+  const renameCollection = useCallback(async (id, name) => {
+    const collection = await request(`/api/collections/${id}`, 'PUT', { name });
+    setCollections((prev) => prev.map((c) => (c.id === id ? collection : c)));
+    return collection;
+  }, [request]);
+
+  const deleteCollection = useCallback(async (id) => {
+    await request(`/api/collections/${id}`, 'DELETE');
+    setCollections((prev) => prev.filter((c) => c.id !== id));
+  }, [request]);
+
+  // Move a collection one place up (-1) or down (1); reverts if the server refuses
+  const moveCollection = useCallback(async (id, offset) => {
+    const previous = collections;
+    const index = previous.findIndex((c) => c.id === id);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= previous.length) return;
+
+    const reordered = [...previous];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setCollections(reordered);
+    try {
+      setCollections(await request('/api/collections/order', 'PUT', { ids: reordered.map((c) => c.id) }));
+    } catch (error) {
+      console.error('Failed to reorder collections:', error);
+      setCollections(previous);
+    }
+  }, [collections, request]);
+
+  // Collections with `contains` set for one liked post
+  const fetchMemberships = useCallback(
+    (memeId) => request(`/api/collections?memeId=${encodeURIComponent(memeId)}`),
+    [request]
+  );
+
+  const changeCount = useCallback((id, delta) => {
+    setCollections((prev) => prev.map((c) => (c.id === id ? { ...c, count: Math.max(c.count + delta, 0) } : c)));
+  }, []);
+
+  // With `meme`, the server saves the like too if the outbox has not sent it yet
+  const addToCollection = useCallback(async (id, memeId, meme = null) => {
+    await request(`/api/collections/${id}/items`, 'POST', meme ? { memeId, meme } : { memeId });
+    changeCount(id, 1);
+  }, [request, changeCount]);
+
+  const removeFromCollection = useCallback(async (id, memeId) => {
+    await request(`/api/collections/${id}/items/${encodeURIComponent(memeId)}`, 'DELETE');
+    changeCount(id, -1);
+  }, [request, changeCount]);
+
+  const value = {
+    collections,
+    isLoading,
+    refreshCollections,
+    createCollection,
+    renameCollection,
+    deleteCollection,
+    moveCollection,
+    fetchMemberships,
+    addToCollection,
+    removeFromCollection,
+  };
+
+  return <CollectionsContext.Provider value={value}>{children}</CollectionsContext.Provider>;
+}
+
+export default CollectionsContext;
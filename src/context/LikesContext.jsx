@@ -1,18 +1,171 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
-import { useUser } from '@clerk/clerk-react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useUser, useAuth } from '@clerk/clerk-react';
+import { authFetch } from '../utils/apiUtils';
+import { mergeAnonymousData } from '../utils/anonymousMerge';
+import { enqueueMutation, listPending, removeEntry, sendEntry } from '../utils/likeOutbox';
+import { clearUserCache } from '../serviceWorkerRegistration';
+import { fetchNormalizedModels } from '../utils/legacyLikes';
+import { EMPTY_LIKES_FILTERS, applyLikesFilters, matchesLikesFilters, sortLikes } from '../utils/likesFilter';
 
 const LikesContext = createContext();
 
+const LIKES_PAGE_SIZE = 30;
+// After a flush gives up (offline, server down), try again this much later
+const OUTBOX_RETRY_MS = 30000;
+
+const EMPTY_SUMMARY = { total: 0, subreddits: {}, likedIds: [] };
+
+// Build the same shape as GET /api/likes/summary from a full list of likes
+const summarizeLikes = (likes) => {
+  const subreddits = {};
+  likes.forEach((like) => {
+    const subreddit = like.subreddit || 'unknown';
+    subreddits[subreddit] = (subreddits[subreddit] || 0) + 1;
+  });
+  return { total: likes.length, subreddits, likedIds: likes.map((like) => like.id) };
+};
+
+// The summary with one post liked; unchanged if it already is
+const withLike = (summary, memeId, subreddit) => {
+  if (summary.likedIds.includes(memeId)) {
+    return summary;
+  }
+  const countKey = subreddit || 'unknown';
+  return {
+    total: summary.total + 1,
+    subreddits: { ...summary.subreddits, [countKey]: (summary.subreddits[countKey] || 0) + 1 },
+    likedIds: [memeId, ...summary.likedIds],
+  };
+};
+
+// The summary with one post unliked; unchanged if it is not liked
+const withoutLike = (summary, memeId, subreddit) => {
+  if (!summary.likedIds.includes(memeId)) {
+    return summary;
+  }
+  const countKey = subreddit || 'unknown';
+  const subreddits = { ...summary.subreddits };
+  if (subreddits[countKey] > 1) {
+    subreddits[countKey] -= 1;
+  } else {
+    delete subreddits[countKey];
+  }
+  return {
+    total: summary.total - 1,
+    subreddits,
+    likedIds: summary.likedIds.filter((id) => id !== memeId),
+  };
+};
+
+// Apply queued mutations on top of a summary from the server
+const withPending = (summary, pending) => pending.reduce(
+  (acc, entry) => (entry.action === 'like'
+    ? withLike(acc, entry.memeId, entry.subreddit)
+    : withoutLike(acc, entry.memeId, entry.subreddit)),
+  summary
+);
+
 export function useLikes() {
   return useContext(LikesContext);
 }
 
 export function LikesProvider({ children }) {
   const { user, isSignedIn, isLoaded } = useUser();
+  const { getToken } = useAuth();
+  // Full like entries for anonymous users (localStorage). Signed-in users only keep
+  // the summary in memory; LikesPage pages entries in with fetchLikesPage().
   const [likes, setLikes] = useState([]);
+  const [summary, setSummary] = useState(EMPTY_SUMMARY);
   const [isLoading, setIsLoading] = useState(true);
+  // { likes, seen } added to the account from this device's anonymous data
+  const [mergeReport, setMergeReport] = useState(null);
+  // Like/unlike requests not yet accepted by the server (see utils/likeOutbox)
+  const [pendingCount, setPendingCount] = useState(0);
+  const flushPromiseRef = useRef(null);
+  const flushAgainRef = useRef(false);
+  const sendingIdRef = useRef(null);
+  const retryTimerRef = useRef(null);
+  const flushRef = useRef(() => Promise.resolve());
+
+  // Send queued mutations in order. One flush runs at a time; callers during a
+  // flush share it, and anything queued meanwhile is picked up before it ends.
+  const flushOutbox = useCallback(() => {
+    if (!isSignedIn || !user) return Promise.resolve();
+    if (flushPromiseRef.current) {
+      flushAgainRef.current = true;
+      return flushPromiseRef.current;
+    }
 
-  // Load likes: from database for signed-in users, localStorage for anonymous
+    const userId = user.id;
+    const run = async () => {
+      clearTimeout(retryTimerRef.current);
+      try {
+        do {
+          flushAgainRef.current = false;
+          // The 'online' listener flushes again once the connection is back
+          if (!navigator.onLine) return;
+          for (let [entry] = await listPending(userId); entry; [entry] = await listPending(userId)) {
+            sendingIdRef.current = entry.id;
+            // A mutation queued while this entry was being picked may have cancelled it
+            const current = await listPending(userId);
+            if (!current.some((pending) => pending.id === entry.id)) {
+              sendingIdRef.current = null;
+              continue;
+            }
+            const outcome = await sendEntry(getToken, entry);
+            sendingIdRef.current = null;
+            if (outcome === 'failed') {
+              retryTimerRef.current = setTimeout(() => flushRef.current(), OUTBOX_RETRY_MS);
+              return;
+            }
+            await removeEntry(entry.id);
+            if (outcome === 'rejected') {
+              // The server will never accept it: undo the optimistic change
+              console.warn('Rolling back', entry.action, 'of', entry.memeId);
+              setSummary((prev) => (entry.action === 'like'
+                ? withoutLike(prev, entry.memeId, entry.subreddit)
+                : withLike(prev, entry.memeId, entry.subreddit)));
+            }
+          }
+        } while (flushAgainRef.current);
+      } catch (error) {
+        console.error('Error flushing like outbox:', error);
+      } finally {
+        sendingIdRef.current = null;
+        flushPromiseRef.current = null;
+        const pending = await listPending(userId).catch(() => []);
+        setPendingCount(pending.length);
+      }
+    };
+
+    flushPromiseRef.current = run();
+    return flushPromiseRef.current;
+  }, [isSignedIn, user, getToken]);
+
+  useEffect(() => {
+    flushRef.current = flushOutbox;
+  }, [flushOutbox]);
+
+  useEffect(() => {
+    const onOnline = () => flushRef.current();
+    window.addEventListener('online', onOnline);
+    return () => {
+      window.removeEventListener('online', onOnline);
+      clearTimeout(retryTimerRef.current);
+    };
+  }, []);
+
+  // Signing out drops the account's responses the service worker kept for offline use
+  const wasSignedInRef = useRef(false);
+  useEffect(() => {
+    if (!isLoaded) return;
+    if (wasSignedInRef.current && !isSignedIn) {
+      clearUserCache().catch(error => console.error('Failed to clear cached account data:', error));
+    }
+    wasSignedInRef.current = Boolean(isSignedIn);
+  }, [isLoaded, isSignedIn]);
+
+  // Load likes: summary from database for signed-in users, localStorage for anonymous
   useEffect(() => {
     // Don't do anything until Clerk has finished loading auth state
     if (!isLoaded) return;
@@ -22,24 +175,46 @@ export function LikesProvider({ children }) {
       try {
         if (isSignedIn && user) {
           // Database is the single source of truth for signed-in users
-          console.log('Fetching likes from database for user:', user.id);
-          const response = await fetch(`/api/likes?userId=${encodeURIComponent(user.id)}`);
+          console.log('Fetching likes summary from database for user:', user.id);
+          setLikes([]);
+          // First sign-in on this device: bring anonymous likes and history along
+          try {
+            const merged = await mergeAnonymousData(getToken, user.id);
+            if (merged) setMergeReport(merged);
+          } catch (error) {
+            console.error('Failed to merge anonymous data, will retry next load:', error);
+          }
+          const response = await authFetch(getToken, '/api/likes/summary');
           const contentType = response.headers.get('content-type') || '';
           if (response.ok && contentType.includes('application/json')) {
-            const backendLikes = await response.json();
-            console.log('Loaded likes from database:', backendLikes.length);
-            setLikes(backendLikes);
+            const backendSummary = await response.json();
+            console.log('Loaded likes summary from database:', backendSummary.total);
+            // Changes made offline or before a reload still show until they are sent
+            const pending = await listPending(user.id).catch(() => []);
+            setPendingCount(pending.length);
+            setSummary(withPending(backendSummary, pending));
+            flushRef.current();
           } else {
-            console.error('Failed to fetch likes from database, status:', response.status, 'content-type:', contentType);
-            setLikes([]);
+            console.error('Failed to fetch likes summary from database, status:', response.status, 'content-type:', contentType);
+            setSummary(EMPTY_SUMMARY);
           }
         } else {
           // localStorage for anonymous users only
           const storedLikes = localStorage.getItem('likes_anonymous');
-          if (storedLikes) {
-            setLikes(JSON.parse(storedLikes));
-          } else {
-            setLikes([]);
+          const anonymousLikes = storedLikes ? JSON.parse(storedLikes) : [];
+          setLikes(anonymousLikes);
+          setSummary(summarizeLikes(anonymousLikes));
+          // Likes saved before the normalized model get theirs from the server,
+          // and are saved back to localStorage with it
+          if (anonymousLikes.some(like => !like.normalized)) {
+            fetchNormalizedModels(anonymousLikes)
+              .then((models) => {
+                if (models.size === 0) return;
+                setLikes(prevLikes => prevLikes.map(like => (
+                  !like.normalized && models.has(like.id) ? { ...like, normalized: models.get(like.id) } : like
+                )));
+              })
+              .catch(error => console.error('Failed to resolve media of older likes:', error));
           }
         }
       } catch (error) {
@@ -47,7 +222,9 @@ export function LikesProvider({ children }) {
         if (!isSignedIn) {
           const storedLikes = localStorage.getItem('likes_anonymous');
           if (storedLikes) {
-            setLikes(JSON.parse(storedLikes));
+            const anonymousLikes = JSON.parse(storedLikes);
+            setLikes(anonymousLikes);
+            setSummary(summarizeLikes(anonymousLikes));
           }
         }
       } finally {
@@ -56,7 +233,9 @@ export function LikesProvider({ children }) {
     };
 
     loadLikes();
-  }, [isLoaded, isSignedIn, user]);
+  }, [isLoaded, isSignedIn, user, getToken]);
+
+  const likedIds = useMemo(() => new Set(summary.likedIds), [summary.likedIds]);
 
   // Save to localStorage ONLY for anonymous users
   useEffect(() => {
@@ -86,123 +265,142 @@ export function LikesProvider({ children }) {
       is_video: memeData.is_video,
       post_hint: memeData.post_hint,
       media: memeData.media,
+      secure_media: memeData.secure_media,
       preview: memeData.preview,
       is_gallery: memeData.is_gallery,
       gallery_data: memeData.gallery_data,
       media_metadata: memeData.media_metadata,
       selftext: memeData.selftext,
       domain: memeData.domain,
+      // The server recomputes this for stored likes; kept for anonymous likes
+      normalized: meme.normalized || memeData.normalized,
       likedAt: Date.now(),
     };
 
     // Optimistically update UI
-    setLikes((prevLikes) => {
-      if (prevLikes.some((like) => like.id === likeEntry.id)) {
-        return prevLikes;
-      }
-      return [likeEntry, ...prevLikes];
-    });
+    setSummary((prev) => withLike(prev, likeEntry.id, likeEntry.subreddit));
+    if (!isSignedIn) {
+      setLikes((prevLikes) => {
+        if (prevLikes.some((like) => like.id === likeEntry.id)) {
+          return prevLikes;
+        }
+        return [likeEntry, ...prevLikes];
+      });
+    }
 
-    // Save to Backend if signed in
+    // Queue for the backend if signed in; resolves once the outbox has been flushed
     if (isSignedIn && user) {
       try {
-        console.log('Saving like to backend for user:', user.id, 'meme:', likeEntry.id);
-        const response = await fetch('/api/likes', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            userId: user.id,
-            meme: likeEntry,
-          }),
-        });
-        if (!response.ok) {
-          console.error('Failed to save like to backend, status:', response.status);
-        } else {
-          console.log('Like saved successfully to backend');
-        }
+        await enqueueMutation({
+          userId: user.id,
+          memeId: likeEntry.id,
+          action: 'like',
+          meme: likeEntry,
+          subreddit: likeEntry.subreddit,
+        }, () => sendingIdRef.current);
+        await flushOutbox();
       } catch (error) {
-        console.error('Error saving like to backend:', error);
+        console.error('Error queueing like:', error);
       }
     }
-  }, [isSignedIn, user]);
+  }, [isSignedIn, user, flushOutbox]);
+
+  // Remove a like. `subreddit` keeps per-subreddit counts right for signed-in
+  // users, whose full like entries are not held in memory.
+  const removeLike = useCallback(async (memeId, subreddit) => {
+    const removed = likes.find((like) => like.id === memeId);
+    const countKey = (removed && removed.subreddit) || subreddit;
 
-  // Remove a like
-  const removeLike = useCallback(async (memeId) => {
     // Optimistically update UI
+    setSummary((prev) => withoutLike(prev, memeId, countKey));
     setLikes((prevLikes) => prevLikes.filter((like) => like.id !== memeId));
 
-    // Remove from Backend if signed in
+    // Queue for the backend if signed in
     if (isSignedIn && user) {
       try {
-        console.log('Removing like from backend for user:', user.id, 'meme:', memeId);
-        const response = await fetch(`/api/likes?userId=${encodeURIComponent(user.id)}&memeId=${encodeURIComponent(memeId)}`, {
-          method: 'DELETE',
-        });
-        if (!response.ok) {
-          console.error('Failed to remove like from backend, status:', response.status);
-        } else {
-          console.log('Like removed successfully from backend');
-        }
+        await enqueueMutation({ userId: user.id, memeId, action: 'unlike', subreddit: countKey }, () => sendingIdRef.current);
+        await flushOutbox();
       } catch (error) {
-        console.error('Error removing like from backend:', error);
+        console.error('Error queueing unlike:', error);
       }
     }
-  }, [isSignedIn, user]);
+  }, [likes, isSignedIn, user, flushOutbox]);
 
   // Toggle like
   const toggleLike = useCallback((meme) => {
     const memeData = meme.data || meme;
     const memeId = memeData.id;
-    
-    if (likes.some((like) => like.id === memeId)) {
-      removeLike(memeId);
+
+    if (likedIds.has(memeId)) {
+      removeLike(memeId, memeData.subreddit);
     } else {
       addLike(meme);
     }
-  }, [likes, addLike, removeLike]);
+  }, [likedIds, addLike, removeLike]);
 
   // Check if a meme is liked
   const isLiked = useCallback((memeId) => {
-    return likes.some((like) => like.id === memeId);
-  }, [likes]);
-
-  // Get likes by subreddit
-  const getLikesBySubreddit = useCallback(() => {
-    const grouped = {};
-    likes.forEach((like) => {
-      const subreddit = like.subreddit || 'unknown';
-      if (!grouped[subreddit]) {
-        grouped[subreddit] = [];
-      }
-      grouped[subreddit].push(like);
-    });
-    return grouped;
-  }, [likes]);
+    return likedIds.has(memeId);
+  }, [likedIds]);
+
+  // Fetch one page of full like entries matching `filters` (see utils/likesFilter),
+  // optionally from one collection. Resolves to { items, nextCursor }; pass
+  // nextCursor back, with the same filters, to get the following page.
+  const fetchLikesPage = useCallback(async ({ cursor = null, filters = EMPTY_LIKES_FILTERS, collection = null, limit = LIKES_PAGE_SIZE } = {}) => {
+    if (!isSignedIn) {
+      const matching = sortLikes(likes, filters.sort)
+        .filter((like) => matchesLikesFilters(like, filters));
+      const start = cursor ? Number(cursor) : 0;
+      const end = start + limit;
+      return {
+        items: matching.slice(start, end),
+        nextCursor: end < matching.length ? String(end) : null,
+      };
+    }
+
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (cursor) params.set('cursor', cursor);
+    applyLikesFilters(params, filters);
+    if (collection) params.set('collection', collection);
 
-  // Get likes sorted by date (latest first)
-  const getLikesByDate = useCallback(() => {
-    return [...likes].sort((a, b) => b.likedAt - a.likedAt);
-  }, [likes]);
+    const response = await authFetch(getToken, `/api/likes?${params}`);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch likes page, status: ${response.status}`);
+    }
+    return response.json();
+  }, [isSignedIn, likes, getToken]);
+
+  // Reload counts and liked IDs after likes were added outside this context (imports)
+  const refreshSummary = useCallback(async () => {
+    if (!isSignedIn || !user) return;
+    const response = await authFetch(getToken, '/api/likes/summary');
+    if (!response.ok) {
+      throw new Error(`Failed to fetch likes summary, status: ${response.status}`);
+    }
+    const pending = await listPending(user.id).catch(() => []);
+    setSummary(withPending(await response.json(), pending));
+  }, [isSignedIn, user, getToken]);
 
   // Get unique subreddits from likes
   const getSubredditsFromLikes = useCallback(() => {
-    const subreddits = [...new Set(likes.map((like) => like.subreddit).filter(Boolean))];
-    return subreddits.sort();
-  }, [likes]);
+    return Object.keys(summary.subreddits).sort();
+  }, [summary.subreddits]);
 
   const value = {
-    likes,
     isLoading,
     addLike,
     removeLike,
     toggleLike,
     isLiked,
-    getLikesBySubreddit,
-    getLikesByDate,
+    fetchLikesPage,
     getSubredditsFromLikes,
-    likesCount: likes.length,
+    subredditCounts: summary.subreddits,
+    likesCount: summary.total,
+    mergeReport,
+    dismissMergeReport: () => setMergeReport(null),
+    pendingCount,
+    flushOutbox,
+    refreshSummary,
   };
 
   return <LikesContext.Provider value={value}>{children}</LikesContext.Provider>;
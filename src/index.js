@@ -6,6 +6,8 @@ import { HelmetProvider } from 'react-helmet-async';
 import { BrowserRouter } from 'react-router-dom';
 import { ClerkProvider } from '@clerk/clerk-react';
 import { LikesProvider } from './context/LikesContext';
+import { CollectionsProvider } from './context/CollectionsContext';
+import { register as registerServiceWorker } from './serviceWorkerRegistration';
 
 // Get Clerk publishable key from environment
 const PUBLISHABLE_KEY = process.env.REACT_APP_CLERK_PUBLISHABLE_KEY || process.env.NEXT_PUBLIC_CLERK_PUBLISHABLE_KEY;
@@ -20,9 +22,14 @@ root.render(
     <HelmetProvider>
       <BrowserRouter>
         <LikesProvider>
-          <App />
+          <CollectionsProvider>
+            <App />
+          </CollectionsProvider>
         </LikesProvider>
       </BrowserRouter>
     </HelmetProvider>
   </ClerkProvider>
 );
+
+// Offline app shell and caches, production builds only
+registerServiceWorker();
@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { useUser, useAuth, SignInButton } from '@clerk/clerk-react';
+import { FaSignInAlt, FaTrash, FaEdit } from 'react-icons/fa';
+import { authFetch } from '../utils/apiUtils';
+
+const inputClassName = 'flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2';
+
+const EMPTY_FORM = { name: '', subreddits: '', users: '' };
+
+// "pics, r/aww funny" -> ['pics', 'r/aww', 'funny']; the server strips prefixes
+const splitNames = (text) => text.split(/[\s,+]+/).filter(Boolean);
+
+const toForm = (feed) => ({
+  name: feed.name,
+  subreddits: feed.subreddits.join(', '),
+  users: feed.users.join(', '),
+});
+
+// Create, edit and open custom feeds: several subreddits and users mixed into one feed
+function FeedsPage() {
+  const { isSignedIn, isLoaded } = useUser();
+  const { getToken } = useAuth();
+  const [feeds, setFeeds] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadFeeds = useCallback(async () => {
+    try {
+      const response = await authFetch(getToken, '/api/feeds');
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      setFeeds(await response.json());
+    } catch (err) {
+      console.error('Failed to load feeds:', err);
+      setError('Failed to load your feeds');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [getToken]);
+
+  useEffect(() => {
+    if (!isLoaded) return;
+    if (!isSignedIn) {
+      setIsLoading(false);
+      return;
+    }
+    loadFeeds();
+  }, [isLoaded, isSignedIn, loadFeeds]);
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      const response = await authFetch(getToken, editingId ? `/api/feeds/${editingId}` : '/api/feeds', {
+        method: editingId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: form.name,
+          subreddits: splitNames(form.subreddits),
+          users: splitNames(form.users),
+        }),
+      });
+      const body = await response.json();
+      if (!response.ok) {
+        setError(body.error || 'Failed to save feed');
+        return;
+      }
+      setFeeds(prev => (editingId
+        ? prev.map(feed => (feed.id === editingId ? body : feed))
+        : [body, ...prev]));
+      resetForm();
+    } catch (err) {
+      console.error('Failed to save feed:', err);
+      setError('Failed to save feed');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (feed) => {
+    if (!window.confirm(`Delete the feed "${feed.name}"?`)) return;
+    try {
+      const response = await authFetch(getToken, `/api/feeds/${feed.id}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      setFeeds(prev => prev.filter(f => f.id !== feed.id));
+      if (editingId === feed.id) resetForm();
+    } catch (err) {
+      console.error('Failed to delete feed:', err);
+      setError('Failed to delete feed');
+    }
+  };
+
+  if (!isLoaded || isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-orange-500"></div>
+      </div>
+    );
+  }
+
+  if (!isSignedIn) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center px-4">
+        <Helmet>
+          <title>{'Custom Feeds - twiix'}</title>
+        </Helmet>
+        <h1 className="text-2xl font-bold text-foreground mb-2">Sign in to build custom feeds</h1>
+        <p className="text-muted-foreground text-center mb-6 max-w-md">
+          Combine the subreddits and users you follow into one feed, saved to your account.
+        </p>
+        <SignInButton mode="modal">
+          <button className="inline-flex items-center gap-2 px-6 py-3 bg-orange-500 hover:bg-orange-600 text-white font-medium rounded-lg transition-colors">
+            <FaSignInAlt />
+            Sign In
+          </button>
+        </SignInButton>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-3xl">
+      <Helmet>
+        <title>{'Custom Feeds - twiix'}</title>
+      </Helmet>
+      <h1 className="text-3xl font-bold mb-8 text-center">Custom Feeds</h1>
+
+      <form onSubmit={handleSubmit} className="mb-8 space-y-3 rounded-xl border border-border bg-card p-4">
+        <input
+          type="text"
+          placeholder="Feed name"
+          value={form.name}
+          onChange={e => setForm(prev => ({ ...prev, name: e.target.value }))}
+          className={inputClassName}
+          maxLength={50}
+        />
+        <input
+          type="text"
+          placeholder="Subreddits, e.g. pics, aww, funny"
+          value={form.subreddits}
+          onChange={e => setForm(prev => ({ ...prev, subreddits: e.target.value }))}
+          className={inputClassName}
+        />
+        <input
+          type="text"
+          placeholder="Users (optional)"
+          value={form.users}
+          onChange={e => setForm(prev => ({ ...prev, users: e.target.value }))}
+          className={inputClassName}
+        />
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            className="h-10 px-4 rounded-md bg-primary text-primary-foreground font-medium hover:bg-primary/90 transition-colors"
+            disabled={isSaving || !form.name.trim()}
+          >
+            {isSaving ? 'Saving...' : editingId ? 'Save Feed' : 'Create Feed'}
+          </button>
+          {editingId && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="h-10 px-4 rounded-md border border-border hover:bg-accent transition-colors"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {error && (
+        <div className="bg-destructive/15 text-destructive p-4 rounded-md mb-6">{error}</div>
+      )}
+
+      {feeds.length === 0 ? (
+        <p className="text-center text-muted-foreground">No custom feeds yet.</p>
+      ) : (
+        <div className="space-y-3">
+          {feeds.map(feed => (
+            <div key={feed.id} className="flex items-center gap-3 rounded-xl border border-border bg-card p-4">
+              <Link to={`/f/${feed.id}`} className="flex-1 min-w-0">
+                <h2 className="text-lg font-semibold truncate">{feed.name}</h2>
+                <p className="text-sm text-muted-foreground truncate">
+                  {[...feed.subreddits.map(s => `r/${s}`), ...feed.users.map(u => `u/${u}`)].join(' · ')}
+                </p>
+              </Link>
+              <button
+                onClick={() => {
+                  setEditingId(feed.id);
+                  setForm(toForm(feed));
+                }}
+                className="p-2 rounded-md hover:bg-accent"
+                aria-label={`Edit ${feed.name}`}
+              >
+                <FaEdit className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => handleDelete(feed)}
+                className="p-2 rounded-md hover:bg-accent text-destructive"
+                aria-label={`Delete ${feed.name}`}
+              >
+                <FaTrash className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FeedsPage;
@@ -1,18 +1,47 @@
-import React, { useState, useMemo, useRef } from 'react';
-import { useUser, SignInButton } from '@clerk/clerk-react';
+import React, { useState, useMemo, useRef, useEffect, useCallback } from 'react';
+import { useUser, useAuth, SignInButton } from '@clerk/clerk-react';
 import { Link, useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
 import { useLikes } from '../context/LikesContext';
+import { useCollections } from '../context/CollectionsContext';
 import LikeButton from '../components/LikeButton';
-import { FaHeart, FaClock, FaLayerGroup, FaFilter, FaSignInAlt, FaPlay, FaExternalLinkAlt } from 'react-icons/fa';
-import { TbPhoto, TbVideo, TbFileText, TbLink, TbLayoutGrid } from 'react-icons/tb';
+import LikesFilterBar from '../components/LikesFilterBar';
+import LikesTransfer from '../components/LikesTransfer';
+import { EMPTY_LIKES_FILTERS, hasActiveFilters } from '../utils/likesFilter';
+import { getNormalized, getMediaType, getPosterUrl, getImageUrl, getVideoSource, pickSource, getArchivedMedia, withArchivedVideo } from '../utils/postMedia';
+import { useVideoSource } from '../utils/videoSource';
+import { downloadLikesZip } from '../utils/download';
+import { FaHeart, FaClock, FaLayerGroup, FaFilter, FaSignInAlt, FaPlay, FaExternalLinkAlt, FaFolder, FaPlus, FaEdit, FaTrash, FaArrowUp, FaArrowDown, FaDownload, FaCheck } from 'react-icons/fa';
+import { TbPhoto, TbGif, TbVideo, TbFileText, TbLink, TbLayoutGrid } from 'react-icons/tb';
 import Masonry from 'react-masonry-css';
 import '../styles/MemeGallery.css';
 
-// Click-to-play video component
-const VideoPlayer = ({ videoUrl, thumbnail, title }) => {
+// The server zips at most this many likes per download
+const MAX_ZIP_LIKES = 500;
+
+// <img> that switches to the server's archived copy (see server/archive) when
+// the original fails to load, e.g. once it is deleted from Reddit
+const ArchivedImage = ({ src, archived, alt, className }) => {
+  const [failed, setFailed] = useState(false);
+  const current = (failed || !src) && archived ? archived.url : src;
+  return (
+    <img
+      src={current}
+      alt={alt}
+      className={className}
+      loading="lazy"
+      onError={() => setFailed(true)}
+    />
+  );
+};
+
+// Click-to-play video component. An archived copy is tried after the originals.
+const VideoPlayer = ({ video, archivedVideo, thumbnail, archivedThumbnail, title }) => {
   const [isPlaying, setIsPlaying] = useState(false);
   const videoRef = useRef(null);
+  const playable = useMemo(() => withArchivedVideo(video, archivedVideo), [video, archivedVideo]);
+  // The source is only attached once the user asks to play
+  const { error } = useVideoSource(videoRef, isPlaying ? playable : null);
 
   const handlePlay = (e) => {
     e.stopPropagation();
@@ -28,11 +57,11 @@ const VideoPlayer = ({ videoUrl, thumbnail, title }) => {
   if (!isPlaying) {
     return (
       <div className="relative cursor-pointer" onClick={handlePlay}>
-        <img
-          src={thumbnail || 'https://via.placeholder.com/300x200?text=Video'}
+        <ArchivedImage
+          src={thumbnail || (!archivedThumbnail && 'https://via.placeholder.com/300x200?text=Video')}
+          archived={archivedThumbnail}
           alt={title}
           className="w-full h-auto object-cover"
-          loading="lazy"
         />
         <div className="absolute inset-0 flex items-center justify-center bg-black/20 hover:bg-black/30 transition-colors">
           <div className="bg-black/60 rounded-full p-4 hover:bg-black/80 transition-colors">
@@ -47,15 +76,18 @@ const VideoPlayer = ({ videoUrl, thumbnail, title }) => {
     <div className="relative w-full bg-black">
       <video
         ref={videoRef}
-        src={videoUrl}
         controls
-        muted
         loop
         preload="metadata"
         className="w-full h-auto"
         poster={thumbnail}
         onClick={(e) => e.stopPropagation()}
       />
+      {error && (
+        <div className="absolute inset-x-0 bottom-0 bg-black/70 text-white text-xs p-2 text-center">
+          {error}
+        </div>
+      )}
     </div>
   );
 };
@@ -98,31 +130,265 @@ const RichVideoPlayer = ({ embedHtml, thumbnail, title }) => {
   );
 };
 
+// Sidebar listing "All likes" and the user's collections, with create, rename,
+// delete and reorder. `selectedId` is null for all likes.
+const CollectionSidebar = ({ selectedId, onSelect, likesCount }) => {
+  const {
+    collections,
+    createCollection,
+    renameCollection,
+    deleteCollection,
+    moveCollection,
+  } = useCollections();
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [error, setError] = useState(null);
+
+  // Run a collection change, showing the server's message if it fails
+  const attempt = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error('Collection update failed:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    attempt(async () => {
+      const collection = await createCollection(newName);
+      setNewName('');
+      onSelect(collection.id);
+    });
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    attempt(async () => {
+      await renameCollection(editingId, editingName);
+      setEditingId(null);
+    });
+  };
+
+  const handleDelete = (collection) => {
+    if (!window.confirm(`Delete the collection "${collection.name}"? Its posts stay liked.`)) return;
+    attempt(async () => {
+      await deleteCollection(collection.id);
+      if (selectedId === collection.id) onSelect(null);
+    });
+  };
+
+  const itemClassName = (active) => 'flex-1 min-w-0 flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-left transition-colors ' + (
+    active ? 'bg-orange-500 text-white' : 'text-foreground hover:bg-accent'
+  );
+
+  return (
+    <aside className="md:w-60 shrink-0 md:sticky md:top-20 self-start w-full p-3 bg-card rounded-lg border border-border">
+      <h2 className="text-sm font-semibold text-muted-foreground px-1 mb-2">Collections</h2>
+      <div className="space-y-1 mb-3">
+        <div className="flex">
+          <button onClick={() => onSelect(null)} className={itemClassName(selectedId === null)}>
+            <FaHeart className="w-3.5 h-3.5 shrink-0" />
+            <span className="flex-1 truncate">All likes</span>
+            <span className="text-xs opacity-75">{likesCount}</span>
+          </button>
+        </div>
+        {collections.map((collection, index) => (
+          editingId === collection.id ? (
+            <form key={collection.id} onSubmit={handleRename} className="flex gap-1">
+              <input
+                autoFocus
+                value={editingName}
+                onChange={(e) => setEditingName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+                maxLength={50}
+                className="flex-1 min-w-0 h-9 px-2 text-sm rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-orange-500"
+              />
+              <button type="submit" className="px-2 text-sm rounded-lg hover:bg-accent">Save</button>
+            </form>
+          ) : (
+            <div key={collection.id} className="group/collection flex items-center gap-1">
+              <button onClick={() => onSelect(collection.id)} className={itemClassName(selectedId === collection.id)}>
+                <FaFolder className="w-3.5 h-3.5 shrink-0" />
+                <span className="flex-1 truncate">{collection.name}</span>
+                <span className="text-xs opacity-75">{collection.count}</span>
+              </button>
+              <div className="hidden group-hover/collection:flex group-focus-within/collection:flex items-center text-muted-foreground">
+                <button
+                  onClick={() => moveCollection(collection.id, -1)}
+                  disabled={index === 0}
+                  className="p-1 rounded hover:text-foreground disabled:opacity-30"
+                  aria-label={`Move ${collection.name} up`}
+                >
+                  <FaArrowUp className="w-3 h-3" />
+                </button>
+                <button
+                  onClick={() => moveCollection(collection.id, 1)}
+                  disabled={index === collections.length - 1}
+                  className="p-1 rounded hover:text-foreground disabled:opacity-30"
+                  aria-label={`Move ${collection.name} down`}
+                >
+                  <FaArrowDown className="w-3 h-3" />
+                </button>
+                <button
+                  onClick={() => {
+                    setEditingId(collection.id);
+                    setEditingName(collection.name);
+                  }}
+                  className="p-1 rounded hover:text-foreground"
+                  aria-label={`Rename ${collection.name}`}
+                >
+                  <FaEdit className="w-3 h-3" />
+                </button>
+                <button
+                  onClick={() => handleDelete(collection)}
+                  className="p-1 rounded hover:text-destructive"
+                  aria-label={`Delete ${collection.name}`}
+                >
+                  <FaTrash className="w-3 h-3" />
+                </button>
+              </div>
+            </div>
+          )
+        ))}
+      </div>
+
+      <form onSubmit={handleCreate} className="flex gap-1">
+        <input
+          type="text"
+          placeholder="New collection"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          maxLength={50}
+          className="flex-1 min-w-0 h-9 px-2 text-sm rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-orange-500"
+        />
+        <button
+          type="submit"
+          disabled={!newName.trim()}
+          className="h-9 px-3 rounded-lg bg-orange-500 hover:bg-orange-600 text-white disabled:opacity-50"
+          aria-label="Create collection"
+        >
+          <FaPlus className="w-3 h-3" />
+        </button>
+      </form>
+      <p className="mt-2 px-1 text-xs text-muted-foreground">Hold or right-click a heart to add a post.</p>
+      {error && <p className="mt-2 px-1 text-xs text-destructive">{error}</p>}
+    </aside>
+  );
+};
+
 const LikesPage = () => {
   const { isSignedIn, isLoaded } = useUser();
-  const { likes, getLikesByDate, getLikesBySubreddit, getSubredditsFromLikes, isLoading } = useLikes();
+  const { getToken } = useAuth();
+  const {
+    isLiked,
+    fetchLikesPage,
+    getSubredditsFromLikes,
+    subredditCounts,
+    likesCount,
+    isLoading,
+  } = useLikes();
+  const { collections, refreshCollections } = useCollections();
   const navigate = useNavigate();
 
   const [viewMode, setViewMode] = useState('latest'); // 'latest' or 'subreddit'
-  const [selectedSubreddit, setSelectedSubreddit] = useState('all');
+  const [filters, setFilters] = useState(EMPTY_LIKES_FILTERS);
+  const [selectedCollection, setSelectedCollection] = useState(null); // null for all likes
+
+  // Likes are paged in from the server as the user scrolls
+  const [loadedLikes, setLoadedLikes] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoadingPage, setIsLoadingPage] = useState(false);
+  const [pageError, setPageError] = useState(null);
+  const [transferResult, setTransferResult] = useState(null); // last export/import outcome
+  // Picking likes for a ZIP download
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [zipDownload, setZipDownload] = useState({ pending: null, error: null }); // pending: what is being zipped
+  const requestIdRef = useRef(0);
+  const observer = useRef();
+
+  const isFiltered = hasActiveFilters(filters);
+  const activeCollection = collections.find((c) => c.id === selectedCollection) || null;
+
+  // Counts may have changed elsewhere (likes removed, posts added from the feed)
+  useEffect(() => {
+    if (isSignedIn) refreshCollections();
+  }, [isSignedIn, refreshCollections]);
+
+  const loadLikesPage = useCallback(async (cursor) => {
+    const requestId = requestIdRef.current;
+    setIsLoadingPage(true);
+    setPageError(null);
+    try {
+      const page = await fetchLikesPage({ cursor, filters, collection: selectedCollection });
+      // Ignore pages for a filter the user has already switched away from
+      if (requestId !== requestIdRef.current) return;
+      setLoadedLikes((prev) => (cursor ? [...prev, ...page.items] : page.items));
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error('Error loading liked memes:', error);
+      if (requestId === requestIdRef.current) {
+        setPageError('Could not load more liked memes.');
+      }
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setIsLoadingPage(false);
+      }
+    }
+  }, [fetchLikesPage, filters, selectedCollection]);
+
+  const reloadFirstPage = useCallback(() => {
+    requestIdRef.current += 1;
+    setLoadedLikes([]);
+    setNextCursor(null);
+    loadLikesPage(null);
+  }, [loadLikesPage]);
+
+  // Start over from the first page whenever the filter changes
+  useEffect(() => {
+    if (!isLoaded || isLoading || !isSignedIn) return;
+    reloadFirstPage();
+  }, [isLoaded, isLoading, isSignedIn, reloadFirstPage]);
+
+  // Sentinel below the grid: fetch the next page when it scrolls into view
+  const loadMoreRef = useCallback((node) => {
+    if (observer.current) observer.current.disconnect();
+    if (!node || !nextCursor || isLoadingPage || pageError) return;
+
+    observer.current = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadLikesPage(nextCursor);
+      }
+    }, { rootMargin: '600px' });
+    observer.current.observe(node);
+  }, [nextCursor, isLoadingPage, pageError, loadLikesPage]);
+
+  useEffect(() => () => observer.current && observer.current.disconnect(), []);
 
   const subreddits = useMemo(() => getSubredditsFromLikes(), [getSubredditsFromLikes]);
-  const likesBySubreddit = useMemo(() => getLikesBySubreddit(), [getLikesBySubreddit]);
-  const likesByDate = useMemo(() => getLikesByDate(), [getLikesByDate]);
 
-  const filteredLikes = useMemo(() => {
-    if (viewMode === 'latest') {
-      if (selectedSubreddit === 'all') {
-        return likesByDate;
-      }
-      return likesByDate.filter((like) => like.subreddit === selectedSubreddit);
-    } else {
-      if (selectedSubreddit === 'all') {
-        return likesByDate;
+  // Drop cards the user unliked on this page without refetching
+  const filteredLikes = useMemo(
+    () => loadedLikes.filter((like) => isLiked(like.id)),
+    [loadedLikes, isLiked]
+  );
+
+  const likesBySubreddit = useMemo(() => {
+    const grouped = {};
+    filteredLikes.forEach((like) => {
+      const subreddit = like.subreddit || 'unknown';
+      if (!grouped[subreddit]) {
+        grouped[subreddit] = [];
       }
-      return likesBySubreddit[selectedSubreddit] || [];
-    }
-  }, [viewMode, selectedSubreddit, likesByDate, likesBySubreddit]);
+      grouped[subreddit].push(like);
+    });
+    return grouped;
+  }, [filteredLikes]);
 
   const breakpointColumnsObj = {
     default: 4,
@@ -131,21 +397,14 @@ const LikesPage = () => {
     500: 1,
   };
 
-  const getMediaType = (data) => {
-    if (data.is_video || data.post_hint === 'hosted:video') return 'video';
-    if (data.post_hint === 'rich:video') return 'rich:video';
-    if (data.is_gallery) return 'gallery';
-    if (data.post_hint === 'image' || (data.url && data.url.match(/\.(jpeg|jpg|gif|png|webp)$/i))) return 'image';
-    if (data.is_self || data.post_hint === 'self') return 'text';
-    return 'link';
-  };
-
   const renderMediaIcon = (mediaType) => {
     const iconClass = "w-4 h-4";
     switch (mediaType) {
       case 'video':
-      case 'rich:video':
+      case 'embed':
         return <TbVideo className={iconClass} />;
+      case 'gif':
+        return <TbGif className={iconClass} />;
       case 'image':
         return <TbPhoto className={iconClass} />;
       case 'gallery':
@@ -166,127 +425,159 @@ const LikesPage = () => {
     });
   };
 
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const stopSelecting = () => {
+    setIsSelecting(false);
+    setSelectedIds(new Set());
+  };
+
   const handleMemeClick = (like) => {
+    if (isSelecting) {
+      toggleSelected(like.id);
+      return;
+    }
     navigate('/r/' + like.subreddit + '/' + like.id);
   };
 
+  // Zip on the server and save; `key` marks which button is busy
+  const downloadZip = async (key, options) => {
+    setZipDownload({ pending: key, error: null });
+    try {
+      await downloadLikesZip(getToken, options);
+      setZipDownload({ pending: null, error: null });
+      return true;
+    } catch (error) {
+      console.error('ZIP download failed:', error);
+      setZipDownload({ pending: null, error: error.message });
+      return false;
+    }
+  };
+
+  const handleDownloadSelected = async () => {
+    if (await downloadZip('selection', { ids: [...selectedIds] })) stopSelecting();
+  };
+
+  // Every like in the group, not only the loaded ones, within the current filters
+  const handleDownloadSubreddit = (subreddit) => downloadZip(subreddit, {
+    filters: { ...filters, subreddits: [subreddit] },
+    collection: selectedCollection,
+  });
+
   // Render media content based on type
   const renderMediaContent = (like) => {
     const mediaType = getMediaType(like);
-    
-    // Get thumbnail URL
-    const getThumbnail = () => {
-      if (like.preview?.images?.[0]?.resolutions) {
-        const resolutions = like.preview.images[0].resolutions;
-        const best = resolutions[resolutions.length - 1] || resolutions[0];
-        return best?.url?.replace(/&amp;/g, '&');
-      }
-      if (like.thumbnail && like.thumbnail !== 'default' && like.thumbnail !== 'self' && like.thumbnail !== 'nsfw') {
-        return like.thumbnail;
-      }
-      return null;
-    };
-
-    const thumbnail = getThumbnail();
+    const model = getNormalized(like);
+    // Likes stored before the normalized model only have Reddit's thumbnail
+    const thumbnail = getPosterUrl(like) ||
+      (like.thumbnail && like.thumbnail.startsWith('http') ? like.thumbnail : null);
+    // Copies kept by the server, shown when the originals are gone
+    const archivedPoster = getArchivedMedia(like, 'poster');
+    const archivedVideo = getArchivedMedia(like, 'video');
+    const archivedImage = getArchivedMedia(like, 'image');
+
+    const playOverlay = (
+      <div className="relative">
+        <ArchivedImage
+          src={thumbnail || (!archivedPoster && 'https://via.placeholder.com/300x200?text=Video')}
+          archived={archivedPoster}
+          alt={like.title}
+          className="w-full h-auto object-cover transition-transform duration-300 group-hover:scale-105"
+        />
+        <div className="absolute inset-0 flex items-center justify-center">
+          <div className="bg-black/60 rounded-full p-3">
+            <FaPlay className="w-6 h-6 text-white" />
+          </div>
+        </div>
+      </div>
+    );
 
     switch (mediaType) {
       case 'video':
-        const videoUrl = like.media?.reddit_video?.fallback_url || 
-                        like.preview?.reddit_video_preview?.fallback_url;
-        if (videoUrl) {
+      case 'gif': {
+        if (getVideoSource(like) || archivedVideo) {
           return (
             <VideoPlayer 
-              videoUrl={videoUrl} 
+              video={model.video} 
+              archivedVideo={archivedVideo}
               thumbnail={thumbnail} 
+              archivedThumbnail={archivedPoster}
               title={like.title} 
             />
           );
         }
-        // Fallback to thumbnail with play icon
-        return (
-          <div className="relative">
-            <img
-              src={thumbnail || 'https://via.placeholder.com/300x200?text=Video'}
+        if (mediaType === 'gif' && (getImageUrl(like) || archivedImage)) {
+          return (
+            <ArchivedImage
+              src={getImageUrl(like)}
+              archived={archivedImage}
               alt={like.title}
               className="w-full h-auto object-cover transition-transform duration-300 group-hover:scale-105"
-              loading="lazy"
             />
-            <div className="absolute inset-0 flex items-center justify-center">
-              <div className="bg-black/60 rounded-full p-3">
-                <FaPlay className="w-6 h-6 text-white" />
-              </div>
-            </div>
-          </div>
-        );
+          );
+        }
+        // Fallback to thumbnail with play icon
+        return playOverlay;
+      }
 
-      case 'rich:video':
-        // Check if we have embed HTML for rich videos (like YouTube)
-        if (like.secure_media?.oembed?.html) {
+      case 'embed':
+        // Embeds with player HTML (like YouTube); RedGifs open on the post page
+        if (model.embed.html) {
           return (
             <RichVideoPlayer 
-              embedHtml={like.secure_media.oembed.html} 
+              embedHtml={model.embed.html} 
               thumbnail={thumbnail} 
               title={like.title} 
             />
           );
         }
-        // Check if we have a preview video
-        if (like.preview?.reddit_video_preview?.fallback_url) {
+        // A RedGifs post the server archived plays from the copy
+        if (archivedVideo) {
           return (
-            <VideoPlayer 
-              videoUrl={like.preview.reddit_video_preview.fallback_url} 
-              thumbnail={thumbnail} 
-              title={like.title} 
+            <VideoPlayer
+              video={model.video}
+              archivedVideo={archivedVideo}
+              thumbnail={thumbnail}
+              archivedThumbnail={archivedPoster}
+              title={like.title}
             />
           );
         }
-        // Fallback to thumbnail with play icon
-        return (
-          <div className="relative">
-            <img
-              src={thumbnail || 'https://via.placeholder.com/300x200?text=Video'}
-              alt={like.title}
-              className="w-full h-auto object-cover transition-transform duration-300 group-hover:scale-105"
-              loading="lazy"
-            />
-            <div className="absolute inset-0 flex items-center justify-center">
-              <div className="bg-black/60 rounded-full p-3">
-                <FaPlay className="w-6 h-6 text-white" />
-              </div>
-            </div>
-          </div>
-        );
+        return playOverlay;
 
-      case 'gallery':
-        // For galleries, show the first image or thumbnail
-        let galleryImage = thumbnail;
-        if (like.media_metadata) {
-          const firstKey = Object.keys(like.media_metadata)[0];
-          if (firstKey && like.media_metadata[firstKey]?.s?.u) {
-            galleryImage = like.media_metadata[firstKey].s.u.replace(/&amp;/g, '&');
-          }
-        }
+      case 'gallery': {
+        // For galleries, show the first image
+        const galleryImage = pickSource(model.gallery[0].sources, 640)?.url || thumbnail;
+        const archivedFirst = getArchivedMedia(like, 'image', 0);
         return (
           <div className="relative">
-            <img
-              src={galleryImage || 'https://via.placeholder.com/300x200?text=Gallery'}
+            <ArchivedImage
+              src={galleryImage || (!archivedFirst && 'https://via.placeholder.com/300x200?text=Gallery')}
+              archived={archivedFirst}
               alt={like.title}
               className="w-full h-auto object-cover transition-transform duration-300 group-hover:scale-105"
-              loading="lazy"
             />
             <div className="absolute bottom-2 right-2 bg-black/60 text-white text-xs px-2 py-1 rounded">
               Gallery
             </div>
           </div>
         );
+      }
 
       case 'image':
         return (
-          <img
-            src={like.url}
+          <ArchivedImage
+            src={getImageUrl(like) || like.url}
+            archived={archivedImage}
             alt={like.title}
             className="w-full h-auto object-cover transition-transform duration-300 group-hover:scale-105"
-            loading="lazy"
           />
         );
 
@@ -321,10 +612,13 @@ const LikesPage = () => {
   // Render a single meme card
   const renderMemeCard = (like) => {
     const mediaType = getMediaType(like);
+    const isSelected = selectedIds.has(like.id);
     return (
       <div
         key={like.id}
-        className="group relative overflow-hidden rounded-xl border border-border bg-card text-card-foreground shadow-sm transition-all hover:shadow-md cursor-pointer"
+        className={'group relative overflow-hidden rounded-xl border bg-card text-card-foreground shadow-sm transition-all hover:shadow-md cursor-pointer ' + (
+          isSelected ? 'border-orange-500 ring-2 ring-orange-500' : 'border-border'
+        )}
         onClick={() => handleMemeClick(like)}
       >
         {/* Media Type Icon */}
@@ -332,10 +626,23 @@ const LikesPage = () => {
           {renderMediaIcon(mediaType)}
         </div>
 
-        {/* Like Button */}
-        <div className="absolute top-2 left-2 z-10 p-1 rounded-full bg-black/60">
-          <LikeButton meme={{ data: like }} size="sm" />
-        </div>
+        {/* Like Button, or a checkbox while selecting */}
+        {isSelecting ? (
+          <div
+            role="checkbox"
+            aria-checked={isSelected}
+            aria-label={`Select ${like.title}`}
+            className={'absolute top-2 left-2 z-10 w-7 h-7 flex items-center justify-center rounded-full border-2 border-white ' + (
+              isSelected ? 'bg-orange-500 text-white' : 'bg-black/40 text-transparent'
+            )}
+          >
+            <FaCheck className="w-3 h-3" />
+          </div>
+        ) : (
+          <div className="absolute top-2 left-2 z-10 p-1 rounded-full bg-black/60">
+            <LikeButton meme={{ data: like, normalized: like.normalized }} size="sm" />
+          </div>
+        )}
 
         {/* Media Content */}
         <div className="relative overflow-hidden bg-muted">
@@ -375,13 +682,14 @@ const LikesPage = () => {
   // Render grid grouped by subreddit
   const renderBySubreddit = () => {
     const sortedSubreddits = Object.keys(likesBySubreddit).sort((a, b) => {
-      return likesBySubreddit[b].length - likesBySubreddit[a].length;
+      return (subredditCounts[b] || 0) - (subredditCounts[a] || 0);
     });
 
     return (
       <div className="space-y-10">
         {sortedSubreddits.map((subreddit) => {
           const subredditLikes = likesBySubreddit[subreddit];
+          const subredditTotal = subredditCounts[subreddit] || subredditLikes.length;
           return (
             <div key={subreddit} className="border-b border-border pb-8 last:border-b-0">
               {/* Subreddit Header */}
@@ -394,15 +702,26 @@ const LikesPage = () => {
                     r/{subreddit}
                   </h2>
                   <span className="text-sm text-muted-foreground">
-                    ({subredditLikes.length} {subredditLikes.length === 1 ? 'like' : 'likes'})
+                    ({subredditTotal} {subredditTotal === 1 ? 'like' : 'likes'})
                   </span>
                 </Link>
-                <Link
-                  to={'/r/' + subreddit}
-                  className="text-sm text-muted-foreground hover:text-orange-500 transition-colors"
-                >
-                  View subreddit →
-                </Link>
+                <div className="flex items-center gap-4">
+                  <button
+                    onClick={() => handleDownloadSubreddit(subreddit)}
+                    disabled={zipDownload.pending !== null}
+                    className="inline-flex items-center gap-1.5 text-sm text-muted-foreground hover:text-orange-500 transition-colors disabled:opacity-50"
+                    title={subredditTotal > MAX_ZIP_LIKES ? `The ${MAX_ZIP_LIKES} most recent likes` : undefined}
+                  >
+                    <FaDownload className="w-3 h-3" />
+                    {zipDownload.pending === subreddit ? 'Zipping...' : 'Download ZIP'}
+                  </button>
+                  <Link
+                    to={'/r/' + subreddit}
+                    className="text-sm text-muted-foreground hover:text-orange-500 transition-colors"
+                  >
+                    View subreddit →
+                  </Link>
+                </div>
               </div>
 
               {/* Subreddit Memes Grid */}
@@ -452,7 +771,7 @@ const LikesPage = () => {
   }
 
   // Empty likes state
-  if (likes.length === 0) {
+  if (likesCount === 0) {
     return (
       <div className="min-h-screen flex flex-col items-center justify-center px-4">
         <Helmet>
@@ -463,6 +782,9 @@ const LikesPage = () => {
         <p className="text-muted-foreground text-center mb-6 max-w-md">
           Start exploring and like your favorite memes! They'll appear here.
         </p>
+        <div className="mb-6">
+          <LikesTransfer showExport={false} result={transferResult} onResult={setTransferResult} />
+        </div>
         <Link
           to="/"
           className="inline-flex items-center gap-2 px-6 py-3 bg-orange-500 hover:bg-orange-600 text-white font-medium rounded-lg transition-colors"
@@ -476,105 +798,178 @@ const LikesPage = () => {
   return (
     <div className="container mx-auto px-4 py-6 max-w-screen-2xl">
       <Helmet>
-        <title>{'Liked Memes (' + likes.length + ') - twiix'}</title>
+        <title>{'Liked Memes (' + likesCount + ') - twiix'}</title>
       </Helmet>
 
       {/* Header */}
-      <div className="mb-6">
+      <div className="mb-6 flex flex-wrap items-start justify-between gap-4">
         <h1 className="text-2xl font-bold text-foreground flex items-center gap-2">
-          <FaHeart className="text-red-500" />
-          Liked Memes
-          <span className="text-lg font-normal text-muted-foreground">({likes.length})</span>
+          {activeCollection ? (
+            <>
+              <FaFolder className="text-orange-500" />
+              {activeCollection.name}
+              <span className="text-lg font-normal text-muted-foreground">({activeCollection.count})</span>
+            </>
+          ) : (
+            <>
+              <FaHeart className="text-red-500" />
+              Liked Memes
+              <span className="text-lg font-normal text-muted-foreground">({likesCount})</span>
+            </>
+          )}
         </h1>
+        <LikesTransfer result={transferResult} onResult={setTransferResult} onImported={reloadFirstPage} />
       </div>
 
-      {/* Filters */}
-      <div className="flex flex-wrap gap-4 mb-6 p-4 bg-card rounded-lg border border-border">
-        {/* View Mode Toggle */}
-        <div className="flex items-center gap-2">
-          <FaFilter className="text-muted-foreground" />
-          <span className="text-sm font-medium text-muted-foreground">View:</span>
-          <div className="flex rounded-lg overflow-hidden border border-border">
-            <button
-              onClick={() => {
-                setViewMode('latest');
-                setSelectedSubreddit('all');
-              }}
-              className={'px-3 py-1.5 text-sm font-medium flex items-center gap-1.5 transition-colors ' + (
-                viewMode === 'latest'
-                  ? 'bg-orange-500 text-white'
-                  : 'bg-background text-foreground hover:bg-accent'
-              )}
-            >
-              <FaClock className="w-3.5 h-3.5" />
-              Latest
-            </button>
+      <div className="flex flex-col md:flex-row gap-6">
+        <CollectionSidebar
+          selectedId={selectedCollection}
+          onSelect={setSelectedCollection}
+          likesCount={likesCount}
+        />
+
+        <div className="flex-1 min-w-0">
+          {/* Filters */}
+          <div className="flex flex-wrap gap-4 mb-6 p-4 bg-card rounded-lg border border-border">
+            {/* View Mode Toggle */}
+            <div className="flex items-center gap-2">
+              <FaFilter className="text-muted-foreground" />
+              <span className="text-sm font-medium text-muted-foreground">View:</span>
+              <div className="flex rounded-lg overflow-hidden border border-border">
+                <button
+                  onClick={() => setViewMode('latest')}
+                  className={'px-3 py-1.5 text-sm font-medium flex items-center gap-1.5 transition-colors ' + (
+                    viewMode === 'latest'
+                      ? 'bg-orange-500 text-white'
+                      : 'bg-background text-foreground hover:bg-accent'
+                  )}
+                >
+                  <FaClock className="w-3.5 h-3.5" />
+                  Latest
+                </button>
+                <button
+                  onClick={() => setViewMode('subreddit')}
+                  className={'px-3 py-1.5 text-sm font-medium flex items-center gap-1.5 transition-colors ' + (
+                    viewMode === 'subreddit'
+                      ? 'bg-orange-500 text-white'
+                      : 'bg-background text-foreground hover:bg-accent'
+                  )}
+                >
+                  <FaLayerGroup className="w-3.5 h-3.5" />
+                  By Subreddit
+                </button>
+              </div>
+            </div>
+
             <button
-              onClick={() => {
-                setViewMode('subreddit');
-                setSelectedSubreddit('all');
-              }}
-              className={'px-3 py-1.5 text-sm font-medium flex items-center gap-1.5 transition-colors ' + (
-                viewMode === 'subreddit'
-                  ? 'bg-orange-500 text-white'
-                  : 'bg-background text-foreground hover:bg-accent'
+              onClick={() => (isSelecting ? stopSelecting() : setIsSelecting(true))}
+              className={'px-3 py-1.5 text-sm font-medium flex items-center gap-1.5 rounded-lg border border-border transition-colors ' + (
+                isSelecting ? 'bg-orange-500 text-white' : 'bg-background text-foreground hover:bg-accent'
               )}
             >
-              <FaLayerGroup className="w-3.5 h-3.5" />
-              By Subreddit
+              <FaCheck className="w-3 h-3" />
+              {isSelecting ? 'Done' : 'Select'}
             </button>
-          </div>
-        </div>
 
-        {/* Subreddit Filter - Only show in latest mode */}
-        {viewMode === 'latest' && (
-          <div className="flex items-center gap-2">
-            <span className="text-sm font-medium text-muted-foreground">Filter:</span>
-            <select
-              value={selectedSubreddit}
-              onChange={(e) => setSelectedSubreddit(e.target.value)}
-              className="px-3 py-1.5 text-sm rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-orange-500"
-            >
-              <option value="all">All Subreddits ({likes.length})</option>
-              {subreddits.map((subreddit) => (
-                <option key={subreddit} value={subreddit}>
-                  r/{subreddit} ({likesBySubreddit[subreddit]?.length || 0})
-                </option>
-              ))}
-            </select>
+            {/* Search, type, subreddit and date filters; the server applies them so paging still works */}
+            <LikesFilterBar
+              filters={filters}
+              onChange={setFilters}
+              subreddits={subreddits}
+              subredditCounts={subredditCounts}
+            />
           </div>
-        )}
-      </div>
 
-      {/* Results count */}
-      {viewMode === 'latest' && (
-        <p className="text-sm text-muted-foreground mb-4">
-          Showing {filteredLikes.length} of {likes.length} liked memes
-          {selectedSubreddit !== 'all' && ' from r/' + selectedSubreddit}
-        </p>
-      )}
+          {/* ZIP download of the selected likes */}
+          {isSelecting && (
+            <div className="flex flex-wrap items-center gap-3 mb-4 p-3 bg-card rounded-lg border border-border">
+              <span className="text-sm text-foreground">
+                {selectedIds.size === 0 ? 'Click posts to select them' : `${selectedIds.size} selected`}
+              </span>
+              <button
+                onClick={handleDownloadSelected}
+                disabled={selectedIds.size === 0 || selectedIds.size > MAX_ZIP_LIKES || zipDownload.pending !== null}
+                className="inline-flex items-center gap-2 px-3 py-1.5 text-sm font-medium bg-orange-500 hover:bg-orange-600 text-white rounded-lg transition-colors disabled:opacity-50"
+              >
+                <FaDownload className="w-3 h-3" />
+                {zipDownload.pending === 'selection' ? 'Zipping...' : 'Download ZIP'}
+              </button>
+              {selectedIds.size > 0 && (
+                <button onClick={() => setSelectedIds(new Set())} className="text-sm text-muted-foreground hover:text-foreground">
+                  Clear
+                </button>
+              )}
+              {selectedIds.size > MAX_ZIP_LIKES && (
+                <span className="text-sm text-destructive">At most {MAX_ZIP_LIKES} per download</span>
+              )}
+            </div>
+          )}
+          {zipDownload.error && (
+            <p className="text-sm text-destructive mb-4">Download failed: {zipDownload.error}</p>
+          )}
 
-      {/* Content */}
-      {viewMode === 'subreddit' ? (
-        renderBySubreddit()
-      ) : (
-        <>
-          {/* Meme Grid for Latest view */}
-          {filteredLikes.length > 0 ? (
-            <Masonry
-              breakpointCols={breakpointColumnsObj}
-              className="masonry-grid"
-              columnClassName="masonry-grid-column"
-            >
-              {filteredLikes.map((like) => renderMemeCard(like))}
-            </Masonry>
+          {/* Results count */}
+          {viewMode === 'latest' && (
+            <p className="text-sm text-muted-foreground mb-4">
+              {isFiltered ? (
+                <>
+                  Showing {filteredLikes.length}{nextCursor ? '+' : ''} matching liked memes
+                  {activeCollection && ' in ' + activeCollection.name}
+                </>
+              ) : activeCollection ? (
+                <>Showing {filteredLikes.length} of {activeCollection.count} in {activeCollection.name}</>
+              ) : (
+                <>Showing {filteredLikes.length} of {likesCount} liked memes</>
+              )}
+            </p>
+          )}
+
+          {/* Content */}
+          {viewMode === 'subreddit' ? (
+            renderBySubreddit()
           ) : (
-            <div className="text-center py-12">
-              <p className="text-muted-foreground">No memes found for the selected filter.</p>
+            <>
+              {/* Meme Grid for Latest view */}
+              {filteredLikes.length > 0 ? (
+                <Masonry
+                  breakpointCols={breakpointColumnsObj}
+                  className="masonry-grid"
+                  columnClassName="masonry-grid-column"
+                >
+                  {filteredLikes.map((like) => renderMemeCard(like))}
+                </Masonry>
+              ) : !isLoadingPage && !pageError && (
+                <div className="text-center py-12">
+                  <p className="text-muted-foreground">
+                    {activeCollection
+                      ? 'Nothing in this collection yet. Hold or right-click a heart to add posts.'
+                      : 'No memes found for the selected filter.'}
+                  </p>
+                </div>
+              )}
+            </>
+          )}
+
+          {/* Incremental loading */}
+          <div ref={loadMoreRef} className="h-px" />
+          {isLoadingPage && (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-orange-500"></div>
             </div>
           )}
-        </>
-      )}
+          {pageError && (
+            <div className="text-center py-8">
+              <p className="text-muted-foreground mb-3">{pageError}</p>
+              <button
+                onClick={() => loadLikesPage(nextCursor)}
+                className="px-4 py-2 text-sm font-medium bg-orange-500 hover:bg-orange-600 text-white rounded-lg transition-colors"
+              >
+                Retry
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
     </div>
   );
 };
@@ -0,0 +1,257 @@
+/* eslint-disable no-restricted-globals */
+// Offline support: the app shell is precached, anonymous feed responses are
+// served stale-while-revalidate, feeds filtered for a signed-in user and their
+// likes and collections fall back to their last copy, and recently viewed
+// media is kept in a size-capped LRU cache. react-scripts builds this file in
+// production and fills in self.__WB_MANIFEST with the build's files;
+// serviceWorkerRegistration.js registers it. See docs/OPTIMIZATION.md.
+import { USER_CACHE } from './serviceWorkerRegistration';
+
+const SHELL_CACHE = 'twiix-shell-v1';
+const API_CACHE = 'twiix-api-v1';
+// v1 also held opaque images, which cost far more quota than their size
+const MEDIA_CACHE = 'twiix-media-v2';
+const CURRENT_CACHES = [SHELL_CACHE, API_CACHE, USER_CACHE, MEDIA_CACHE];
+
+// Files from public/ are copied by the build, not bundled, so they are not in
+// the manifest
+const PUBLIC_FILES = ['manifest.json', 'favicon.ico', 'logo.png', 'logo192.png', 'logo512.png', 'subreddits.json'];
+const MAX_API_ENTRIES = 200;
+// A slow network loses to the cached copy after this long
+const NETWORK_TIMEOUT_MS = 4000;
+const MAX_MEDIA_BYTES = 150 * 1024 * 1024;
+const MAX_MEDIA_ENTRY_BYTES = 10 * 1024 * 1024;
+// The same media CDNs the server archives from (server/archive/remote.js)
+const MEDIA_HOSTS = /(^|\.)(redd\.it|redditmedia\.com|imgur\.com|redgifs\.com|streamable\.com|giphy\.com)$/i;
+const FEED_PATH = /^\/api\/reddit(\/|$)/;
+const USER_DATA_PATH = /^\/api\/(likes|likes\/summary|collections)$/;
+// Archived media and RedGifs videos, proxied by the server
+const MEDIA_PATH = /^\/api\/(media|redgifs)(\/|$)/;
+// Navigations to files (robots.txt and the like) are not app routes
+const FILE_PATH = /\/[^/]+\.[^/]+$/;
+
+const scoped = (file) => new URL(file, self.registration.scope).href;
+const PRECACHE = self.__WB_MANIFEST.map(({ url, revision }) => ({ url: new URL(url, self.location).href, revision }));
+const SHELL_URLS = new Set([...PRECACHE.map(entry => entry.url), ...PUBLIC_FILES.map(scoped)]);
+const INDEX_HTML = scoped('index.html');
+const MEDIA_INDEX = scoped('__media-index');
+
+const putQuietly = async (cache, key, response) => {
+  try {
+    await cache.put(key, response);
+  } catch (error) {
+    // Storage full: serving the response matters more than keeping it
+    console.warn('[SW] Could not cache', key, error.message);
+  }
+};
+
+// Oldest writes first: cache.put() moves a key to the end
+const trimEntries = async (cache, max) => {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(key => cache.delete(key)));
+};
+
+const precacheFile = async (cache, url) => {
+  const response = await fetch(url, { cache: 'reload' });
+  if (!response.ok) throw new Error(`Could not precache ${url}: ${response.status}`);
+  await cache.put(url, response);
+};
+
+// Hashed build files never change, so only new ones are fetched; index.html
+// and public/ files are fetched again, after the files they load
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    const hashed = PRECACHE.filter(entry => !entry.revision);
+    await Promise.all(hashed.map(async ({ url }) => {
+      if (!(await cache.match(url))) await precacheFile(cache, url);
+    }));
+    const revisioned = [...PRECACHE.filter(entry => entry.revision).map(entry => entry.url), ...PUBLIC_FILES.map(scoped)];
+    await Promise.all(revisioned.map(url => precacheFile(cache, url)));
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith('twiix-') && !CURRENT_CACHES.includes(name)).map(name => caches.delete(name)));
+    // Files of earlier builds
+    const shell = await caches.open(SHELL_CACHE);
+    const keys = await shell.keys();
+    await Promise.all(keys.filter(request => !SHELL_URLS.has(request.url)).map(request => shell.delete(request)));
+  })());
+});
+
+// The subject of the request's session token, to keep each user's responses
+// apart. The token is not verified here; the server has done that.
+const userOf = (request) => {
+  const match = /^Bearer [^.]+\.([^.]+)\./.exec(request.headers.get('Authorization') || '');
+  if (!match) return null;
+  try {
+    return JSON.parse(atob(match[1].replace(/-/g, '+').replace(/_/g, '/'))).sub || null;
+  } catch {
+    return null;
+  }
+};
+
+const cacheKeyFor = (request, user) => {
+  if (!user) return request.url;
+  const url = new URL(request.url);
+  url.searchParams.set('__user', user);
+  return url.href;
+};
+
+// Every route is the same index.html, which changes only with a new worker
+const appShell = async (request) => {
+  const cached = await caches.match(INDEX_HTML, { cacheName: SHELL_CACHE });
+  return cached || fetch(request);
+};
+
+const shellFile = async (request) => {
+  const cached = await caches.match(request.url, { cacheName: SHELL_CACHE });
+  return cached || fetch(request);
+};
+
+// Fetch, keeping a successful answer under `key`
+const fetchAndStore = (request, cache, key) => fetch(request).then(async (response) => {
+  if (response.ok) {
+    await putQuietly(cache, key, response.clone());
+    await trimEntries(cache, MAX_API_ENTRIES);
+  }
+  return response;
+});
+
+// Anonymous feeds: answer from the cache at once and refresh it in the background
+const staleWhileRevalidate = async (event) => {
+  const { request } = event;
+  const cache = await caches.open(API_CACHE);
+
+  const cached = await cache.match(request.url);
+  const network = fetchAndStore(request, cache, request.url);
+  if (!cached) return network;
+  event.waitUntil(network.catch(() => {}));
+  return cached;
+};
+
+// The network's answer, or the last one when the network fails. With
+// `timeout`, also when the network is that slow.
+const networkFirst = async (event, { timeout = null } = {}) => {
+  const { request } = event;
+  const user = userOf(request);
+  const cache = await caches.open(user ? USER_CACHE : API_CACHE);
+  const key = cacheKeyFor(request, user);
+
+  const network = fetchAndStore(request, cache, key);
+  event.waitUntil(network.catch(() => {}));
+  const slow = timeout && new Promise(resolve => setTimeout(resolve, timeout));
+  try {
+    const response = await (slow ? Promise.race([network, slow]) : network);
+    if (response) return response;
+  } catch {
+    // Offline: fall back to the cache
+  }
+  return (await cache.match(key)) || network;
+};
+
+// Media cache bookkeeping: url -> { size, usedAt }, kept in an entry of its
+// own. The worker can be stopped between a put and saving the index, so
+// loading reconciles it with what the cache holds.
+let mediaIndex = null;
+let mediaQueue = Promise.resolve();
+
+const sizeOf = async (response) => {
+  const length = Number(response.headers.get('content-length'));
+  return length > 0 ? length : (await response.clone().blob()).size;
+};
+
+const loadMediaIndex = async (cache) => {
+  const stored = await cache.match(MEDIA_INDEX);
+  const saved = new Map(stored ? await stored.json().catch(() => []) : []);
+  const index = new Map();
+  for (const request of await cache.keys()) {
+    if (request.url === MEDIA_INDEX) continue;
+    index.set(request.url, saved.get(request.url) || { size: await sizeOf(await cache.match(request)), usedAt: 0 });
+  }
+  return index;
+};
+
+// Index changes run one at a time
+const updateMediaIndex = (change) => {
+  const run = mediaQueue.then(async () => {
+    const cache = await caches.open(MEDIA_CACHE);
+    if (!mediaIndex) mediaIndex = await loadMediaIndex(cache);
+    await change(cache, mediaIndex);
+    await putQuietly(cache, MEDIA_INDEX, new Response(JSON.stringify([...mediaIndex])));
+  });
+  mediaQueue = run.catch(() => {});
+  return run;
+};
+
+// Add a response, then evict the least recently used until under the cap
+const storeMedia = (url, response) => updateMediaIndex(async (cache, index) => {
+  const size = await sizeOf(response);
+  if (size > MAX_MEDIA_ENTRY_BYTES) return;
+  await cache.put(url, response);
+  index.set(url, { size, usedAt: Date.now() });
+
+  let total = [...index.values()].reduce((sum, entry) => sum + entry.size, 0);
+  const leastRecent = [...index.entries()].sort((a, b) => a[1].usedAt - b[1].usedAt);
+  for (const [key, entry] of leastRecent) {
+    if (total <= MAX_MEDIA_BYTES) break;
+    await cache.delete(key);
+    index.delete(key);
+    total -= entry.size;
+  }
+});
+
+const touchMedia = (url) => updateMediaIndex(async (cache, index) => {
+  const entry = index.get(url);
+  if (entry) entry.usedAt = Date.now();
+});
+
+const cachedMedia = async (event) => {
+  const { request } = event;
+  const cached = await caches.match(request.url, { cacheName: MEDIA_CACHE });
+  if (cached) {
+    event.waitUntil(touchMedia(request.url));
+    return cached;
+  }
+  const response = await fetch(request);
+  // Opaque responses are never ok: browsers charge each several MB of quota
+  // whatever its real size
+  if (response.ok) {
+    event.waitUntil(storeMedia(request.url, response.clone()).catch(() => {}));
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  // Videos seek with Range requests, which the Cache API cannot answer
+  if (request.method !== 'GET' || request.headers.has('range')) return;
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) {
+    // Only CORS requests give a response whose size can be read
+    if (request.destination === 'image' && request.mode === 'cors' && MEDIA_HOSTS.test(url.hostname)) {
+      event.respondWith(cachedMedia(event));
+    }
+    return;
+  }
+
+  if (request.mode === 'navigate' && !url.pathname.startsWith('/api/') && !FILE_PATH.test(url.pathname)) {
+    event.respondWith(appShell(request));
+  } else if (FEED_PATH.test(url.pathname)) {
+    // Signed-in feeds leave out posts already seen (feedKey), which an older
+    // copy would show again, so they use the cache only when offline
+    event.respondWith(userOf(request) || url.searchParams.has('feedKey')
+      ? networkFirst(event)
+      : staleWhileRevalidate(event));
+  } else if (USER_DATA_PATH.test(url.pathname)) {
+    if (userOf(request)) event.respondWith(networkFirst(event, { timeout: NETWORK_TIMEOUT_MS }));
+  } else if (MEDIA_PATH.test(url.pathname)) {
+    event.respondWith(cachedMedia(event));
+  } else if (SHELL_URLS.has(url.href)) {
+    event.respondWith(shellFile(request));
+  }
+});
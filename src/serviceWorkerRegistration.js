@@ -0,0 +1,26 @@
+// Registration of the service worker (src/service-worker.js). Only production
+// builds have one; the dev server does not build it.
+
+// Responses the worker keeps per signed-in user (likes, collections, feeds)
+export const USER_CACHE = 'twiix-user-v1';
+
+/**
+ * Register the service worker once the page has loaded
+ */
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch((error) => {
+      console.error('Service worker registration failed:', error);
+    });
+  });
+};
+
+/**
+ * Drop the signed-in user's cached API responses, e.g. on sign-out
+ * @returns {Promise<void>}
+ */
+export const clearUserCache = async () => {
+  if (!('caches' in window)) return;
+  await window.caches.delete(USER_CACHE);
+};
@@ -0,0 +1,100 @@
+// Merge what an anonymous visitor built up on this device (likes and seen
+// history in localStorage) into their account the first time they sign in.
+// The bulk endpoints skip anything already stored, so a merge interrupted
+// halfway is simply run again on the next load.
+import { authFetch } from './apiUtils';
+
+const ANONYMOUS_LIKES_KEY = 'likes_anonymous';
+const SEEN_KEY_PREFIX = 'seen_memes_';
+const LIKES_BATCH_SIZE = 200;
+const SEEN_BATCH_SIZE = 5000;
+
+const mergedMarkerKey = (userId) => `twiix_anonymous_merged_${userId}`;
+
+const readJsonArray = (key) => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const seenStorageKeys = () => Object.keys(localStorage).filter((key) => key.startsWith(SEEN_KEY_PREFIX));
+
+const postJson = async (getToken, url, body) => {
+  const response = await authFetch(getToken, url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    throw new Error(`${url} failed with status ${response.status}`);
+  }
+  return response.json();
+};
+
+/**
+ * Split seen history into request bodies of at most SEEN_BATCH_SIZE IDs
+ * @param {Array} entries - `[feedKey, memeIds]` pairs
+ * @returns {Array} - `{ [feedKey]: memeIds }` objects for POST /api/seen/bulk
+ */
+export const batchSeen = (entries) => {
+  const batches = [];
+  let current = {};
+  let size = 0;
+  entries.forEach(([feedKey, memeIds]) => {
+    for (let start = 0; start < memeIds.length;) {
+      if (size === SEEN_BATCH_SIZE) {
+        batches.push(current);
+        current = {};
+        size = 0;
+      }
+      const chunk = memeIds.slice(start, start + SEEN_BATCH_SIZE - size);
+      current[feedKey] = [...(current[feedKey] || []), ...chunk];
+      size += chunk.length;
+      start += chunk.length;
+    }
+  });
+  if (size > 0) batches.push(current);
+  return batches;
+};
+
+/**
+ * Upload anonymous likes and seen IDs to the signed-in user's account, then
+ * clear the local copies. Runs once per user per device.
+ * @param {Function} getToken - Clerk's getToken
+ * @param {string} userId - The signed-in user's ID
+ * @returns {Promise<object|null>} - `{ likes, seen }` counts newly added to the
+ *   account, or null when there was nothing to merge
+ */
+export const mergeAnonymousData = async (getToken, userId) => {
+  const markerKey = mergedMarkerKey(userId);
+  if (localStorage.getItem(markerKey)) return null;
+
+  const likes = readJsonArray(ANONYMOUS_LIKES_KEY).filter((like) => like && like.id);
+  const seenKeys = seenStorageKeys();
+  const seenEntries = seenKeys
+    .map((key) => [key, readJsonArray(key).filter((id) => typeof id === 'string')])
+    .filter(([, memeIds]) => memeIds.length > 0);
+
+  const merged = { likes: 0, seen: 0 };
+
+  // Each part is cleared only once it is fully stored, so a failure leaves it for next time
+  for (let start = 0; start < likes.length; start += LIKES_BATCH_SIZE) {
+    const result = await postJson(getToken, '/api/likes/bulk', { likes: likes.slice(start, start + LIKES_BATCH_SIZE) });
+    merged.likes += result.merged;
+  }
+  localStorage.removeItem(ANONYMOUS_LIKES_KEY);
+
+  for (const feeds of batchSeen(seenEntries)) {
+    const result = await postJson(getToken, '/api/seen/bulk', { feeds });
+    merged.seen += result.merged;
+  }
+  seenKeys.forEach((key) => localStorage.removeItem(key));
+
+  localStorage.setItem(markerKey, new Date().toISOString());
+  if (likes.length === 0 && seenEntries.length === 0) return null;
+  console.log('Merged anonymous data into account:', merged);
+  return merged;
+};
@@ -58,6 +58,24 @@ export const debouncedFetch = (url, options = {}) => {
   return requestPromise;
 };
 
+/**
+ * Fetch an API route with the Clerk session token attached as a bearer token
+ * @param {Function} getToken - getToken from Clerk's useAuth()
+ * @param {string} url - The URL to fetch
+ * @param {object} options - Fetch options
+ * @returns {Promise<Response>} - The fetch promise
+ */
+export const authFetch = async (getToken, url, options = {}) => {
+  const token = await getToken();
+  return fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    }
+  });
+};
+
 /**
  * Get request statistics for debugging
  * @returns {object} - Request statistics
@@ -111,9 +129,10 @@ export const debounce = (func, delay) => {
  * @param {Function} fn - Function to retry
  * @param {number} maxRetries - Maximum number of retries
  * @param {number} baseDelay - Base delay in milliseconds
+ * @param {Function} shouldRetry - Called with each error; return false to give up at once
  * @returns {Promise} - Promise that resolves with the result or rejects after all retries
  */
-export const exponentialBackoff = async (fn, maxRetries = 3, baseDelay = 1000) => {
+export const exponentialBackoff = async (fn, maxRetries = 3, baseDelay = 1000, shouldRetry = () => true) => {
   let lastError;
   
   for (let i = 0; i <= maxRetries; i++) {
@@ -122,7 +141,7 @@ export const exponentialBackoff = async (fn, maxRetries = 3, baseDelay = 1000) =
     } catch (error) {
       lastError = error;
       
-      if (i === maxRetries) {
+      if (i === maxRetries || !shouldRetry(error)) {
         break;
       }
       
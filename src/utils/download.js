@@ -0,0 +1,63 @@
+// File downloads. Browsers ignore the `download` attribute on cross-origin
+// links, so media is fetched by the server (server/handlers/download.js) and
+// either linked same-origin or saved here from a blob.
+import { authFetch } from './apiUtils';
+import { applyLikesFilters } from './likesFilter';
+
+/**
+ * Start a download of a same-origin URL through a temporary link
+ * @param {string} url - The URL to download
+ * @param {string} [filename] - Suggested name; the server's Content-Disposition wins
+ */
+export const downloadUrl = (url, filename = '') => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+/**
+ * Save a blob as a file
+ * @param {Blob} blob - The file contents
+ * @param {string} filename - The file name
+ */
+export const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, filename);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * The file name a response suggests in Content-Disposition
+ * @param {Response} response - A fetch response
+ * @param {string} fallback - Used when the header has none
+ * @returns {string}
+ */
+export const filenameFrom = (response, fallback) => {
+  const disposition = response.headers.get('content-disposition') || '';
+  const [, filename = fallback] = disposition.match(/filename="([^"]+)"/) || [];
+  return filename;
+};
+
+/**
+ * Download likes as a ZIP of their media plus a manifest.json. Pass `ids` for
+ * a selection, or the likes page's `filters` and `collection` for everything
+ * they match (at most 500 likes).
+ * @param {Function} getToken - Clerk's getToken
+ * @param {object} options - `{ ids }` or `{ filters, collection }`
+ */
+export const downloadLikesZip = async (getToken, { ids, filters, collection } = {}) => {
+  const params = new URLSearchParams();
+  if (ids) params.set('ids', ids.join(','));
+  if (filters) applyLikesFilters(params, filters);
+  if (collection) params.set('collection', collection);
+
+  const response = await authFetch(getToken, `/api/download/likes?${params}`);
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Download failed with status ${response.status}`);
+  }
+  saveBlob(await response.blob(), filenameFrom(response, 'twiix-likes.zip'));
+};
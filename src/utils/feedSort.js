@@ -0,0 +1,92 @@
+// Listing sort and time window for the feeds, kept in the page's query string
+// (?sort=top&t=week) so a sorted feed can be bookmarked and shared. The proxy
+// validates the same values (parseSort in server/handlers/reddit.js).
+import { useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+export const SORT_OPTIONS = [
+  { value: 'hot', label: 'Hot' },
+  { value: 'new', label: 'New' },
+  { value: 'top', label: 'Top' },
+  { value: 'rising', label: 'Rising' },
+  { value: 'controversial', label: 'Controversial' },
+];
+
+export const TIME_WINDOWS = [
+  { value: 'hour', label: 'Past hour' },
+  { value: 'day', label: 'Today' },
+  { value: 'week', label: 'This week' },
+  { value: 'month', label: 'This month' },
+  { value: 'year', label: 'This year' },
+  { value: 'all', label: 'All time' },
+];
+
+const TIMED_SORTS = ['top', 'controversial'];
+
+/**
+ * Whether a sort takes a time window
+ * @param {string} sort - A SORT_OPTIONS value
+ * @returns {boolean}
+ */
+export const hasTimeWindow = (sort) => TIMED_SORTS.includes(sort);
+
+/**
+ * Read a valid sort from query parameters, falling back to hot (and today)
+ * @param {URLSearchParams} searchParams - The page's query string
+ * @returns {object} - `{ sort, t }`, t null for sorts without a window
+ */
+export const parseFeedSort = (searchParams) => {
+  const requested = searchParams.get('sort');
+  const sort = SORT_OPTIONS.some(option => option.value === requested) ? requested : 'hot';
+  if (!hasTimeWindow(sort)) return { sort, t: null };
+  const requestedWindow = searchParams.get('t');
+  const t = TIME_WINDOWS.some(option => option.value === requestedWindow) ? requestedWindow : 'day';
+  return { sort, t };
+};
+
+/**
+ * Add sort and t to API query parameters; hot is the default and left out
+ * @param {URLSearchParams} params - Parameters for an /api/reddit or /api/feeds request
+ * @param {object} feedSort - `{ sort, t }`
+ */
+export const applyFeedSort = (params, { sort, t }) => {
+  if (sort !== 'hot') params.set('sort', sort);
+  if (t) params.set('t', t);
+};
+
+/**
+ * Suffix for seen-tracking keys, so each sort keeps its own history. Matches
+ * sortKeySuffix on the server; hot has none, keeping the original keys.
+ * @param {object} feedSort - `{ sort, t }`
+ * @returns {string} - e.g. '', '_new' or '_top_week'
+ */
+export const feedSortKeySuffix = ({ sort, t }) => {
+  if (!sort || sort === 'hot') return '';
+  return t ? `_${sort}_${t}` : `_${sort}`;
+};
+
+/**
+ * The current page's sort, and a setter that writes it to the query string
+ * @returns {Array} - `[feedSort, setFeedSort]`; setFeedSort({ sort, t }) replaces the history entry
+ */
+export const useFeedSort = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const sortParam = searchParams.get('sort');
+  const windowParam = searchParams.get('t');
+  // Keyed on the raw values so the object is stable between renders
+  const feedSort = useMemo(
+    () => parseFeedSort(new URLSearchParams({ sort: sortParam || '', t: windowParam || '' })),
+    [sortParam, windowParam]
+  );
+
+  const setFeedSort = useCallback(({ sort, t }) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      if (sort && sort !== 'hot') next.set('sort', sort); else next.delete('sort');
+      if (hasTimeWindow(sort) && t) next.set('t', t); else next.delete('t');
+      return next;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  return [feedSort, setFeedSort];
+};
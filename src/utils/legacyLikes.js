@@ -0,0 +1,33 @@
+// Anonymous likes saved before the API attached a normalized model to every
+// post keep only Reddit's raw fields. The server resolves their models once
+// (POST /api/reddit/normalize, with the same host plugins as the feeds) and
+// they are stored with the likes from then on.
+
+const NORMALIZE_BATCH_SIZE = 100;
+
+/**
+ * Resolve normalized models for likes that lack one
+ * @param {Array} likes - Anonymous like entries (raw Reddit fields)
+ * @returns {Promise<Map>} - Like ID to model, for the likes the server could resolve
+ */
+export const fetchNormalizedModels = async (likes) => {
+  const legacy = likes.filter(like => !like.normalized);
+  const models = new Map();
+
+  for (let start = 0; start < legacy.length; start += NORMALIZE_BATCH_SIZE) {
+    const batch = legacy.slice(start, start + NORMALIZE_BATCH_SIZE);
+    const response = await fetch('/api/reddit/normalize', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ posts: batch }),
+    });
+    if (!response.ok) {
+      throw new Error(`Normalizing likes failed with status ${response.status}`);
+    }
+    const body = await response.json();
+    batch.forEach((like, index) => {
+      if (body.models[index]) models.set(like.id, body.models[index]);
+    });
+  }
+  return models;
+};
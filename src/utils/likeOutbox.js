@@ -0,0 +1,130 @@
+// Persistent outbox of like/unlike mutations for signed-in users. LikesContext
+// updates the UI at once and queues the request here; entries survive reloads
+// and going offline, and are removed once the server has them (or has refused
+// them for good). Stored in IndexedDB, or in memory where that is unavailable.
+import { authFetch, exponentialBackoff } from './apiUtils';
+
+const DB_NAME = 'twiix';
+const DB_VERSION = 1;
+const STORE = 'like_outbox';
+
+// Keeps working (for this page load) in browsers without IndexedDB
+const memoryStore = { entries: [], nextId: 1 };
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('userId', 'userId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('IndexedDB unavailable, like outbox kept in memory:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request against the store and resolve with its result
+const withStore = async (mode, run) => {
+  const db = await openDb();
+  if (!db) return run(null);
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = run(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request && request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Pending mutations for one user, oldest first
+ * @param {string} userId - The signed-in user's ID
+ * @returns {Promise<Array>} - `{ id, userId, memeId, action, meme, subreddit, queuedAt }` entries
+ */
+export const listPending = async (userId) => {
+  const entries = await withStore('readonly', (store) => (
+    store ? store.index('userId').getAll(userId) : null
+  ));
+  const all = entries || memoryStore.entries.filter((entry) => entry.userId === userId);
+  return [...all].sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Remove an entry once it has been sent or rolled back
+ * @param {number} id - The entry's ID
+ */
+export const removeEntry = (id) => withStore('readwrite', (store) => {
+  if (store) return store.delete(id);
+  memoryStore.entries = memoryStore.entries.filter((entry) => entry.id !== id);
+  return null;
+});
+
+const addEntry = (entry) => withStore('readwrite', (store) => {
+  if (store) return store.add(entry);
+  memoryStore.entries.push({ ...entry, id: memoryStore.nextId++ });
+  return null;
+});
+
+/**
+ * Queue a like or unlike. A queued opposite action for the same post cancels
+ * out (like then unlike sends nothing); a repeat replaces the older entry.
+ * The entry being sent right now is never collapsed. The flush can move on to
+ * the next entry while the outbox is read, so the entry in flight is looked up
+ * again just before removing one.
+ * @param {object} mutation - `{ userId, memeId, action: 'like' | 'unlike', meme, subreddit }`
+ * @param {Function} [getSendingId] - Returns the ID of the entry in flight, or null
+ * @returns {Promise<boolean>} - false when the mutation cancelled a queued one
+ */
+export const enqueueMutation = async (mutation, getSendingId = () => null) => {
+  const pending = await listPending(mutation.userId);
+  const queued = pending.find((entry) => entry.memeId === mutation.memeId);
+  if (queued && queued.id !== getSendingId()) {
+    await removeEntry(queued.id);
+    if (queued.action !== mutation.action) return false;
+  }
+  await addEntry({ ...mutation, queuedAt: Date.now() });
+  return true;
+};
+
+// Errors the server will keep returning: roll back instead of retrying.
+// 401 (an expired session), 408 and 429 are worth another try later.
+export const isPermanentFailure = (status) => status >= 400 && status < 500 && ![401, 408, 429].includes(status);
+
+const requestFor = (entry) => (entry.action === 'like'
+  ? ['/api/likes', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ meme: entry.meme }) }]
+  : [`/api/likes?memeId=${encodeURIComponent(entry.memeId)}`, { method: 'DELETE' }]);
+
+/**
+ * Send one entry, retrying network errors and 5xx with exponentialBackoff
+ * @param {Function} getToken - Clerk's getToken
+ * @param {object} entry - An outbox entry
+ * @returns {Promise<string>} - 'sent', 'rejected' (permanent 4xx) or 'failed' (try again later)
+ */
+export const sendEntry = async (getToken, entry) => {
+  const [url, options] = requestFor(entry);
+  try {
+    await exponentialBackoff(async () => {
+      const response = await authFetch(getToken, url, options);
+      if (!response.ok) {
+        const error = new Error(`${entry.action} ${entry.memeId} failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+    }, 3, 1000, (error) => !isPermanentFailure(error.status));
+    return 'sent';
+  } catch (error) {
+    console.error('Like outbox:', error.message);
+    return isPermanentFailure(error.status) ? 'rejected' : 'failed';
+  }
+};
@@ -0,0 +1,29 @@
+import { enqueueMutation, listPending, removeEntry } from './likeOutbox';
+
+// jsdom has no IndexedDB, so the outbox runs on its in-memory store
+jest.mock('./apiUtils', () => ({ authFetch: jest.fn(), exponentialBackoff: jest.fn() }));
+
+const like = (userId, memeId) => ({ userId, memeId, action: 'like', meme: { id: memeId }, subreddit: 'pics' });
+const unlike = (userId, memeId) => ({ userId, memeId, action: 'unlike', subreddit: 'pics' });
+const actions = async (userId) => (await listPending(userId)).map((entry) => `${entry.action} ${entry.memeId}`);
+
+test('an unlike cancels a queued like', async () => {
+  await enqueueMutation(like('user_a', 'a1'));
+  expect(await enqueueMutation(unlike('user_a', 'a1'))).toBe(false);
+  expect(await actions('user_a')).toEqual([]);
+});
+
+test('an unlike is queued when the like is already in flight', async () => {
+  await enqueueMutation(like('user_b', 'b1'));
+  const [queued] = await listPending('user_b');
+
+  let sendingId = null;
+  const queueing = enqueueMutation(unlike('user_b', 'b1'), () => sendingId);
+  // The flush picks the like while the unlike is still reading the outbox
+  sendingId = queued.id;
+  expect(await queueing).toBe(true);
+  expect(await actions('user_b')).toEqual(['like b1', 'unlike b1']);
+
+  await removeEntry(queued.id);
+  expect(await actions('user_b')).toEqual(['unlike b1']);
+});
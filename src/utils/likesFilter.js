@@ -0,0 +1,91 @@
+// Filters and order for the likes page. Signed-in users' likes are filtered by
+// GET /api/likes (parseLikesQuery in server/handlers/likes.js); anonymous likes
+// in localStorage are filtered here the same way.
+import { getMediaType } from './postMedia';
+
+export const LIKE_MEDIA_TYPES = [
+  { value: 'image', label: 'Images' },
+  { value: 'gif', label: 'GIFs' },
+  { value: 'video', label: 'Videos' },
+  { value: 'gallery', label: 'Galleries' },
+  { value: 'embed', label: 'Embeds' },
+];
+
+export const LIKE_SORTS = [
+  { value: 'liked', label: 'Recently liked' },
+  { value: 'posted', label: 'Recently posted' },
+  { value: 'title', label: 'Title (A-Z)' },
+];
+
+// dateField picks which date from/to apply to: when it was liked or posted
+export const EMPTY_LIKES_FILTERS = {
+  q: '',
+  types: [],
+  subreddits: [],
+  dateField: 'liked',
+  from: '',
+  to: '',
+  sort: 'liked',
+};
+
+/**
+ * Whether any filter narrows the likes (the order alone does not)
+ * @param {object} filters - Likes filters
+ * @returns {boolean}
+ */
+export const hasActiveFilters = (filters) => Boolean(
+  filters.q.trim() || filters.types.length || filters.subreddits.length || filters.from || filters.to
+);
+
+/**
+ * Add the filters to GET /api/likes query parameters
+ * @param {URLSearchParams} params - Request parameters
+ * @param {object} filters - Likes filters
+ */
+export const applyLikesFilters = (params, filters) => {
+  if (filters.q.trim()) params.set('q', filters.q.trim());
+  if (filters.types.length) params.set('type', filters.types.join(','));
+  if (filters.subreddits.length) params.set('subreddit', filters.subreddits.join(','));
+  if (filters.from) params.set(`${filters.dateField}From`, filters.from);
+  if (filters.to) params.set(`${filters.dateField}To`, filters.to);
+  if (filters.sort !== 'liked') params.set('sort', filters.sort);
+};
+
+// Bounds in milliseconds; a "to" date includes the whole day, as on the server
+const dayStart = (date) => Date.parse(`${date}T00:00:00.000Z`);
+const dayEnd = (date) => Date.parse(`${date}T23:59:59.999Z`);
+
+/**
+ * Whether a stored like passes the filters. Text search matches whole words
+ * of the title or author, like the server's text index.
+ * @param {object} like - Like entry
+ * @param {object} filters - Likes filters
+ * @returns {boolean}
+ */
+export const matchesLikesFilters = (like, filters) => {
+  const words = filters.q.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length) {
+    const text = `${like.title || ''} ${like.author || ''}`.toLowerCase().split(/\W+/);
+    if (!words.some((word) => text.includes(word))) return false;
+  }
+  if (filters.types.length && !filters.types.includes(getMediaType(like))) return false;
+  if (filters.subreddits.length && !filters.subreddits.includes(like.subreddit)) return false;
+
+  const time = filters.dateField === 'posted' ? like.created_utc * 1000 : like.likedAt;
+  if (filters.from && !(time >= dayStart(filters.from))) return false;
+  if (filters.to && !(time <= dayEnd(filters.to))) return false;
+  return true;
+};
+
+/**
+ * Sort stored likes into the chosen order
+ * @param {Array} likes - Like entries
+ * @param {string} sort - A LIKE_SORTS value
+ * @returns {Array} - A sorted copy
+ */
+export const sortLikes = (likes, sort) => {
+  const sorted = [...likes];
+  if (sort === 'posted') return sorted.sort((a, b) => (b.created_utc || 0) - (a.created_utc || 0));
+  if (sort === 'title') return sorted.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+  return sorted.sort((a, b) => b.likedAt - a.likedAt);
+};
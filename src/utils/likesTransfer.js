@@ -0,0 +1,126 @@
+// Export and import of a signed-in user's likes. The server formats exports and
+// parses imports (server/handlers/likesTransfer.js); here files are downloaded,
+// and uploads are cut into batches so large files fit the server's per-request
+// limit and the page can report progress.
+import { authFetch } from './apiUtils';
+import { saveBlob, filenameFrom } from './download';
+
+export const LIKES_EXPORT_FORMATS = [
+  { value: 'json', label: 'JSON', description: 'Everything, re-importable' },
+  { value: 'csv', label: 'CSV', description: 'For spreadsheets' },
+  { value: 'html', label: 'Bookmarks', description: 'For browser bookmark import' },
+];
+
+// Full posts are a few KB each; links are short
+const JSON_BATCH_SIZE = 200;
+const LINES_BATCH_SIZE = 500;
+// Request bodies stay under the server's JSON_BODY_LIMIT (server/config/http.js)
+const MAX_BATCH_BYTES = 3 * 1024 * 1024;
+
+// Bytes a post adds to a request body, where the batch is itself a JSON string
+const encodedSize = (item) => new TextEncoder().encode(JSON.stringify(JSON.stringify(item))).length;
+
+// Post links only, as the server matches them: /comments/<id> or redd.it/<id>
+const POST_LINK_PATTERN = /reddit\.com\/\S*comments\/|redd\.it\//i;
+
+const EMPTY_REPORT = { received: 0, imported: 0, alreadyLiked: 0, notFound: 0, invalid: 0 };
+
+/**
+ * Download every like in one of LIKES_EXPORT_FORMATS
+ * @param {Function} getToken - Clerk's getToken
+ * @param {string} format - 'json', 'csv' or 'html'
+ */
+export const downloadLikesExport = async (getToken, format) => {
+  const response = await authFetch(getToken, `/api/likes/export?format=${encodeURIComponent(format)}`);
+  if (!response.ok) {
+    throw new Error(`Export failed with status ${response.status}`);
+  }
+  saveBlob(await response.blob(), filenameFrom(response, `twiix-likes.${format}`));
+};
+
+/**
+ * Split a file into POST /api/likes/import bodies. JSON is split by post, at
+ * most JSON_BATCH_SIZE posts or MAX_BATCH_BYTES per body; any other text keeps
+ * only the lines with Reddit post links (plus a CSV header, repeated in every
+ * batch), so bookmark files and Reddit's saved_posts.csv both work.
+ * @param {string} text - The file's contents
+ * @returns {Array} - `{ content, format }` bodies; empty when nothing is importable
+ */
+export const splitImport = (text) => {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (/^[[{]/.test(trimmed)) {
+    let items = null;
+    try {
+      const parsed = JSON.parse(trimmed);
+      items = Array.isArray(parsed) ? parsed : parsed && parsed.likes;
+    } catch {
+      // Let the server explain what is wrong with it
+    }
+    if (!Array.isArray(items)) return [{ content: trimmed, format: 'json' }];
+    const batches = [];
+    let batch = [];
+    let bytes = 0;
+    items.forEach((item) => {
+      const size = encodedSize(item);
+      if (batch.length === JSON_BATCH_SIZE || (batch.length > 0 && bytes + size > MAX_BATCH_BYTES)) {
+        batches.push({ content: JSON.stringify(batch), format: 'json' });
+        batch = [];
+        bytes = 0;
+      }
+      batch.push(item);
+      bytes += size;
+    });
+    if (batch.length > 0) batches.push({ content: JSON.stringify(batch), format: 'json' });
+    return batches;
+  }
+
+  const lines = trimmed.split(/\r?\n/);
+  const header = lines[0].toLowerCase().split(',').map((cell) => cell.trim().replace(/"/g, ''));
+  const isCsv = header.includes('id') && header.includes('permalink');
+  const rows = lines.slice(isCsv ? 1 : 0).filter((line) => POST_LINK_PATTERN.test(line));
+
+  const batches = [];
+  for (let start = 0; start < rows.length; start += LINES_BATCH_SIZE) {
+    const batch = rows.slice(start, start + LINES_BATCH_SIZE);
+    batches.push(isCsv
+      ? { content: [lines[0], ...batch].join('\n'), format: 'csv' }
+      : { content: batch.join('\n'), format: 'links' });
+  }
+  return batches;
+};
+
+/**
+ * Import a file of likes batch by batch. Posts already liked are skipped by
+ * the server, so an interrupted import can simply be run again.
+ * @param {Function} getToken - Clerk's getToken
+ * @param {string} text - The file's contents
+ * @param {Function} onProgress - Called with `{ done, total, report }` after each batch
+ * @returns {Promise<object>} - `{ received, imported, alreadyLiked, notFound, invalid }` totals
+ */
+export const importLikes = async (getToken, text, onProgress = () => {}) => {
+  const batches = splitImport(text);
+  if (batches.length === 0) {
+    throw new Error('No Reddit posts found in the file');
+  }
+
+  const report = { ...EMPTY_REPORT };
+  onProgress({ done: 0, total: batches.length, report });
+  for (let index = 0; index < batches.length; index++) {
+    const response = await authFetch(getToken, '/api/likes/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(batches[index]),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(result.error || `Import failed with status ${response.status}`);
+      error.report = report;
+      throw error;
+    }
+    Object.keys(EMPTY_REPORT).forEach((key) => {
+      report[key] += result[key] || 0;
+    });
+    onProgress({ done: index + 1, total: batches.length, report: { ...report } });
+  }
+  return report;
+};
@@ -0,0 +1,122 @@
+// Accessors for the normalized post model the API attaches to every post
+// (`normalized` on listing children, the post page and stored likes). See
+// server/reddit/normalize.js for the shape. Components read media through
+// these helpers instead of the raw Reddit fields.
+
+const POSTER_MAX_WIDTH = 640;
+
+/**
+ * The normalized model of a listing child, a stored like or the model itself
+ * @param {object} post - `{ data, normalized }`, a like entry, or a normalized post
+ * @returns {object|null} - The normalized post, null for entries without one
+ *   (anonymous likes until utils/legacyLikes.js has filled it in)
+ */
+export const getNormalized = (post) => {
+  if (!post) return null;
+  if (post.normalized) return post.normalized;
+  if (post.type && Array.isArray(post.sources)) return post;
+  return null;
+};
+
+/**
+ * Media type of a post: image, gif, video, gallery, embed, text or link
+ * @param {object} post - Anything getNormalized() accepts
+ * @returns {string} - The type, 'link' when the model is missing
+ */
+export const getMediaType = (post) => getNormalized(post)?.type || 'link';
+
+/**
+ * Pick a candidate from a largest-first list
+ * @param {Array} sources - `{ url, width, height }` candidates, largest first
+ * @param {number} [maxWidth] - Prefer the largest candidate no wider than this
+ * @returns {object|null} - The chosen candidate
+ */
+export const pickSource = (sources, maxWidth) => {
+  if (!sources || sources.length === 0) return null;
+  if (!maxWidth) return sources[0];
+  return sources.find(source => source.width && source.width <= maxWidth) || sources[sources.length - 1];
+};
+
+/**
+ * Still image to show before media loads, or as a grid thumbnail
+ * @param {object} post - Anything getNormalized() accepts
+ * @returns {string|null} - The poster URL
+ */
+export const getPosterUrl = (post) => {
+  const model = getNormalized(post);
+  if (!model) return null;
+  return model.poster?.url || pickSource(model.sources, POSTER_MAX_WIDTH)?.url || null;
+};
+
+/**
+ * Full-size image URL for image and gif posts
+ * @param {object} post - Anything getNormalized() accepts
+ * @returns {string|null} - The best image URL
+ */
+export const getImageUrl = (post) => pickSource(getNormalized(post)?.sources)?.url || null;
+
+/**
+ * First progressive video file (mp4/webm) of a post or gallery item
+ * @param {object} postOrItem - A normalized post, gallery item, or anything getNormalized() accepts
+ * @returns {object|null} - `{ url, width, height, mimeType }`
+ */
+export const getVideoSource = (postOrItem) => {
+  const video = postOrItem?.video || getNormalized(postOrItem)?.video;
+  return video?.sources?.[0] || null;
+};
+
+/**
+ * Same-origin URL that saves a post's media under a clean filename, through
+ * the server (server/handlers/download.js): a ZIP of every item for galleries,
+ * else the video file or the image. Browsers ignore `download` on cross-origin links.
+ * @param {object} post - Anything getNormalized() accepts, with the post's ID
+ * @returns {string|null} - The download URL, null when there is nothing to save
+ */
+export const getDownloadUrl = (post) => {
+  const model = getNormalized(post);
+  const id = post?.data?.id || post?.id;
+  if (!model || !id) return null;
+  if (model.type === 'gallery') return `/api/download/post/${encodeURIComponent(id)}`;
+  const hasMedia = Boolean(getVideoSource(model)) ||
+    model.embed?.provider === 'redgifs' ||
+    (['image', 'gif'].includes(model.type) && model.sources.length > 0);
+  return hasMedia ? `/api/download?postId=${encodeURIComponent(id)}` : null;
+};
+
+/**
+ * Whether a post has media the feeds can show without a provider embed
+ * @param {object} post - Anything getNormalized() accepts
+ * @returns {boolean}
+ */
+export const isDisplayableMedia = (post) => {
+  const model = getNormalized(post);
+  if (!model) return false;
+  return ['image', 'gif', 'video', 'gallery'].includes(model.type) &&
+    Boolean(getVideoSource(model) || model.sources.length > 0 || model.gallery);
+};
+
+/**
+ * The server's copy of a like's media, kept for when the original is deleted
+ * (see server/archive). Only likes from /api/likes carry `archive`.
+ * @param {object} like - A like entry
+ * @param {string} kind - 'image', 'video' or 'poster'
+ * @param {number|null} [gallery] - Index of the gallery item, null for the post itself
+ * @returns {object|null} - `{ kind, gallery, url, mimeType }`
+ */
+export const getArchivedMedia = (like, kind, gallery = null) => (
+  (like?.archive || []).find(item => item.kind === kind && item.gallery === gallery) || null
+);
+
+/**
+ * A video model with an archived copy appended as its last source, so players
+ * try it once the originals fail
+ * @param {object|null} video - The normalized video model
+ * @param {object|null} archived - An entry from getArchivedMedia()
+ * @returns {object|null} - The video model to play
+ */
+export const withArchivedVideo = (video, archived) => {
+  if (!archived) return video;
+  const source = { url: archived.url, width: null, height: null, mimeType: archived.mimeType || 'video/mp4' };
+  if (!video) return { sources: [source], hls: null, dash: null, hasAudio: null, duration: null };
+  return { ...video, sources: [...(video.sources || []), source] };
+};
@@ -0,0 +1,169 @@
+// Shared video source resolver for the normalized `video` model (see
+// src/utils/postMedia.js). Reddit's `fallback_url` is a video-only MP4, so
+// posts with sound are played from their HLS playlist instead: natively where
+// the browser supports it (Safari, iOS), through Media Source Extensions via
+// hls.js elsewhere, and from the MP4 only as a last resort. Browsers have no
+// native DASH playback; the HLS playlist carries the same renditions.
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const HLS_MIME_TYPE = 'application/vnd.apple.mpegurl';
+
+/**
+ * Whether the element can play an HLS playlist without MSE
+ * @param {HTMLVideoElement} video - The video element
+ * @returns {boolean}
+ */
+export const canPlayNativeHls = (video) => Boolean(video?.canPlayType && video.canPlayType(HLS_MIME_TYPE));
+
+/**
+ * Playback candidates for a normalized video, most preferred first
+ * @param {object} video - `{ sources, hls, dash, hasAudio }` from the normalized post
+ * @returns {Array} - `{ kind: 'hls' | 'file', url, mimeType }` entries
+ */
+export const resolveVideoSources = (video) => {
+  if (!video) return [];
+  const candidates = [];
+  // A silent video gains nothing from the playlist, so skip loading hls.js for it
+  if (video.hls && video.hasAudio !== false) {
+    candidates.push({ kind: 'hls', url: video.hls, mimeType: HLS_MIME_TYPE });
+  }
+  (video.sources || []).forEach(source => {
+    candidates.push({ kind: 'file', url: source.url, mimeType: source.mimeType || 'video/mp4' });
+  });
+  return candidates;
+};
+
+// Best-effort audio detection for files whose audio is unknown (direct mp4/webm links)
+const elementHasAudio = (el) => {
+  if (typeof el.mozHasAudio === 'boolean') return el.mozHasAudio;
+  if (el.audioTracks && el.audioTracks.length > 0) return true;
+  return typeof el.webkitAudioDecodedByteCount === 'number' && el.webkitAudioDecodedByteCount > 0;
+};
+
+// What playback depends on, to tell a changed video from the same one rebuilt
+const videoKey = (video) => (video
+  ? JSON.stringify([video.hasAudio, resolveVideoSources(video).map(candidate => candidate.url)])
+  : null);
+
+/**
+ * Attach the best playable source of `video` to the element behind `videoRef`
+ * and fall back down the candidate list on failure. Pass null to detach.
+ * @param {object} videoRef - React ref to a <video> element
+ * @param {object|null} video - The normalized video model
+ * @returns {{ hasAudio: boolean, error: string|null, retry: Function }} - hasAudio is true only once an audio track is known to exist
+ */
+export const useVideoSource = (videoRef, video) => {
+  const [hasAudio, setHasAudio] = useState(false);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  // Callers may build a new model on every render (likes saved without one),
+  // so the effect follows the model's sources rather than its identity
+  const currentRef = useRef(video);
+  if (videoKey(currentRef.current) !== videoKey(video)) {
+    currentRef.current = video;
+  }
+  const current = currentRef.current;
+
+  useEffect(() => {
+    const el = videoRef.current;
+    if (!el || !current) return undefined;
+
+    const candidates = resolveVideoSources(current);
+    let index = -1;
+    let hls = null;
+    let cancelled = false;
+
+    setError(null);
+    setHasAudio(current.hasAudio === true);
+
+    const detectAudio = () => {
+      if (current.hasAudio == null && elementHasAudio(el)) {
+        setHasAudio(true);
+      }
+    };
+
+    const playNext = () => {
+      if (hls) {
+        hls.destroy();
+        hls = null;
+      }
+      index++;
+      const candidate = candidates[index];
+      if (!candidate) {
+        setError('Failed to load video');
+        return;
+      }
+      if (index > 0 && candidates[index - 1].kind === 'hls') {
+        // Reddit's progressive fallback has no audio track
+        setHasAudio(false);
+      }
+
+      if (candidate.kind === 'file' || canPlayNativeHls(el)) {
+        el.src = candidate.url;
+        return;
+      }
+
+      import('hls.js')
+        .then(({ default: Hls }) => {
+          if (cancelled) return;
+          if (!Hls.isSupported()) {
+            playNext();
+            return;
+          }
+          // Like preload="metadata": fetch the playlist now but segments only once playing
+          const lazy = el.paused && !el.autoplay && el.preload !== 'auto';
+          const player = new Hls({ capLevelToPlayerSize: true, autoStartLoad: !lazy });
+          hls = player;
+          if (lazy) {
+            el.addEventListener('play', () => {
+              if (hls === player) player.startLoad();
+            }, { once: true });
+          }
+          player.on(Hls.Events.ERROR, (event, data) => {
+            if (data.fatal && hls === player) {
+              console.warn('[Video] HLS playback failed, falling back:', data.details);
+              playNext();
+            }
+          });
+          player.loadSource(candidate.url);
+          player.attachMedia(el);
+        })
+        .catch(err => {
+          console.error('[Video] Could not load the HLS player:', err);
+          if (!cancelled) playNext();
+        });
+    };
+
+    // Element errors only come from sources set directly (files, native HLS)
+    const handleError = () => {
+      if (!hls && el.getAttribute('src')) {
+        playNext();
+      }
+    };
+
+    el.addEventListener('error', handleError);
+    el.addEventListener('loadedmetadata', detectAudio);
+    el.addEventListener('timeupdate', detectAudio);
+    playNext();
+
+    return () => {
+      cancelled = true;
+      el.removeEventListener('error', handleError);
+      el.removeEventListener('loadedmetadata', detectAudio);
+      el.removeEventListener('timeupdate', detectAudio);
+      if (hls) {
+        hls.destroy();
+        hls = null;
+      }
+      el.removeAttribute('src');
+      el.load();
+    };
+  }, [videoRef, current, attempt]);
+
+  const retry = useCallback(() => {
+    setError(null);
+    setAttempt(n => n + 1);
+  }, []);
+
+  return { hasAudio, error, retry };
+};